@@ -27,6 +27,9 @@ try {
     // Include required files
     require_once __DIR__ . '/../config/database.php';
     require_once __DIR__ . '/../classes/BookingManager.php';
+    require_once __DIR__ . '/../classes/ImportManager.php';
+    require_once __DIR__ . '/../classes/NotificationManager.php';
+    require_once __DIR__ . '/../classes/EventManager.php';
     require_once __DIR__ . '/../middleware/auth.php';
     require_once __DIR__ . '/../middleware/license_check.php';
     
@@ -37,6 +40,9 @@ try {
     $database = new Database();
     $db = $database->connect();
     $bookingManager = new BookingManager($db);
+    $notificationManager = new NotificationManager($db);
+    $eventManager = new EventManager($db);
+    $importManager = new ImportManager($db);
     
     // Check license for company users
     if ($current_user['company_id']) {
@@ -45,19 +51,19 @@ try {
     
     switch ($_SERVER['REQUEST_METHOD']) {
         case 'GET':
-            handleGetBookings($bookingManager, $current_user);
+            handleGetBookings($bookingManager, $eventManager, $current_user);
             break;
             
         case 'POST':
-            handleCreateBooking($bookingManager, $current_user);
+            handleCreateBooking($bookingManager, $notificationManager, $eventManager, $importManager, $current_user);
             break;
             
         case 'PUT':
-            handleUpdateBooking($bookingManager, $current_user);
+            handleUpdateBooking($bookingManager, $notificationManager, $eventManager, $current_user);
             break;
             
         case 'DELETE':
-            handleDeleteBooking($bookingManager, $current_user);
+            handleDeleteBooking($bookingManager, $eventManager, $current_user);
             break;
             
         default:
@@ -82,7 +88,7 @@ try {
 /**
  * Handle GET requests - list bookings
  */
-function handleGetBookings($bookingManager, $current_user) {
+function handleGetBookings($bookingManager, $eventManager, $current_user) {
     try {
         // Check permissions
         requirePermission($current_user['user_type'], 'bookings', 'read');
@@ -100,10 +106,16 @@ function handleGetBookings($bookingManager, $current_user) {
                     handleBookingStatistics($bookingManager, $current_user);
                     return;
                 case 'checkin':
-                    handleCheckIn($bookingManager, $current_user);
+                    handleCheckIn($bookingManager, $eventManager, $current_user);
                     return;
                 case 'checkout':
-                    handleCheckOut($bookingManager, $current_user);
+                    handleCheckOut($bookingManager, $eventManager, $current_user);
+                    return;
+                case 'document':
+                    handleBookingDocument($bookingManager, $current_user);
+                    return;
+                case 'lookup':
+                    handleLookupBooking($bookingManager, $current_user);
                     return;
             }
         }
@@ -144,6 +156,11 @@ function handleGetBookings($bookingManager, $current_user) {
             $filters['driver_id'] = $_GET['driver_id'];
         }
         
+        // Booking type filter
+        if (isset($_GET['booking_type'])) {
+            $filters['booking_type'] = $_GET['booking_type'];
+        }
+        
         // Search filter
         if (isset($_GET['search'])) {
             $filters['search'] = $_GET['search'];
@@ -161,14 +178,29 @@ function handleGetBookings($bookingManager, $current_user) {
             $filters['driver_id'] = $current_user['user_id'];
         }
         
+        // Sorting
+        $sort = $_GET['sort'] ?? 'slot';
+        $order = ($_GET['order'] ?? 'desc') === 'asc' ? 'asc' : 'desc';
+        
+        if (!array_key_exists($sort, BookingManager::SORT_COLUMNS)) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Invalid sort column',
+                'code' => 'INVALID_SORT',
+                'allowed' => array_keys(BookingManager::SORT_COLUMNS)
+            ]);
+            return;
+        }
+        
         // Get bookings
-        $result = $bookingManager->getBookings($filters, $page, $limit);
+        $result = $bookingManager->getBookings($filters, $page, $limit, $sort, $order);
         
         echo json_encode([
             'success' => true,
             'bookings' => $result['bookings'],
             'pagination' => $result['pagination'],
-            'filters' => $filters
+            'filters' => $filters,
+            'sort' => ['column' => $sort, 'order' => $order]
         ]);
         
     } catch (Exception $e) {
@@ -208,13 +240,17 @@ function handleSingleBooking($bookingManager, $current_user, $bookingId) {
             return;
         }
         
-        // Get booking documents
+        // Get booking documents, changes and recurring series
         $documents = $bookingManager->getBookingDocuments($bookingId);
+        $history = $bookingManager->getBookingHistory($bookingId);
+        $series = $booking['series_id'] ? $bookingManager->getBookingSeries($booking['series_id']) : null;
         
         echo json_encode([
             'success' => true,
             'booking' => $booking,
-            'documents' => $documents
+            'documents' => $documents,
+            'history' => $history,
+            'series' => $series
         ]);
         
     } catch (Exception $e) {
@@ -227,6 +263,113 @@ function handleSingleBooking($bookingManager, $current_user, $bookingId) {
     }
 }
 
+/**
+ * Handle lookup by QR code or booking number, used at the gate
+ */
+function handleLookupBooking($bookingManager, $current_user) {
+    try {
+        $code = trim($_GET['code'] ?? '');
+        
+        if ($code === '') {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Code is required',
+                'code' => 'MISSING_CODE'
+            ]);
+            return;
+        }
+        
+        $booking = $bookingManager->getBookingByCode($code);
+        
+        // Bookings of other companies look the same as unknown codes
+        if (!$booking || !canAccessCompany($current_user, $booking['company_id']) || !canModifyBooking($current_user, $booking)) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Booking not found',
+                'code' => 'BOOKING_NOT_FOUND',
+                'errors' => ['Rezervace s tímto kódem nebyla nalezena']
+            ]);
+            return;
+        }
+        
+        // Scanned code is checked again by check-in and check-out, the code itself stays on the server
+        $matchedQrCode = $booking['qr_code'] === $code;
+        unset($booking['qr_code']);
+        
+        echo json_encode([
+            'success' => true,
+            'booking' => $booking,
+            'matched_qr_code' => $matchedQrCode
+        ]);
+        
+    } catch (Exception $e) {
+        error_log("Lookup booking error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to look up booking',
+            'code' => 'LOOKUP_BOOKING_FAILED'
+        ]);
+    }
+}
+
+/**
+ * Handle document download - file of a booking the user may access
+ */
+function handleBookingDocument($bookingManager, $current_user) {
+    try {
+        $document = $bookingManager->getBookingDocument($_GET['document_id'] ?? null);
+        $booking = $document ? $bookingManager->getBookingById($document['booking_id']) : null;
+        
+        if (!$booking) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Document not found',
+                'code' => 'DOCUMENT_NOT_FOUND'
+            ]);
+            return;
+        }
+        
+        // Documents of other companies stay hidden even from their admins and logistics
+        if (!canAccessCompany($current_user, $booking['company_id']) || !canModifyBooking($current_user, $booking)) {
+            http_response_code(403);
+            echo json_encode([
+                'error' => 'Access denied',
+                'code' => 'DOCUMENT_ACCESS_DENIED'
+            ]);
+            return;
+        }
+        
+        $path = $bookingManager->getDocumentPath($document);
+        if (!$path) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Document file is missing',
+                'code' => 'DOCUMENT_FILE_MISSING'
+            ]);
+            return;
+        }
+        
+        // Preview opens inline, download=1 saves the file, other than safe types are always saved
+        $inline = empty($_GET['download']) && in_array($document['file_type'], BookingManager::INLINE_DOCUMENT_TYPES, true);
+        $disposition = $inline ? 'inline' : 'attachment';
+        $filename = str_replace(['"', "\r", "\n"], '', $document['original_filename'] ?: $document['filename']);
+        
+        header('Content-Type: ' . ($document['file_type'] ?: 'application/octet-stream'));
+        header('Content-Length: ' . filesize($path));
+        header("Content-Disposition: {$disposition}; filename=\"{$filename}\"; filename*=UTF-8''" . rawurlencode($filename));
+        header('X-Content-Type-Options: nosniff');
+        readfile($path);
+        
+    } catch (Exception $e) {
+        error_log("Get booking document error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to get document',
+            'code' => 'GET_DOCUMENT_FAILED'
+        ]);
+    }
+}
+
 /**
  * Handle upcoming bookings
  */
@@ -312,7 +455,7 @@ function handleBookingStatistics($bookingManager, $current_user) {
 /**
  * Handle check-in
  */
-function handleCheckIn($bookingManager, $current_user) {
+function handleCheckIn($bookingManager, $eventManager, $current_user) {
     try {
         $bookingId = $_GET['booking_id'] ?? null;
         $qrCode = $_GET['qr_code'] ?? null;
@@ -329,6 +472,12 @@ function handleCheckIn($bookingManager, $current_user) {
         $result = $bookingManager->checkIn($bookingId, $qrCode);
         
         if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'booking_checked_in', [
+                'booking_id' => $bookingId
+            ]);
+            
+            publishBookingChange($eventManager, $bookingManager, $bookingId, 'checked_in');
+            
             echo json_encode([
                 'success' => true,
                 'message' => 'Check-in successful'
@@ -355,7 +504,7 @@ function handleCheckIn($bookingManager, $current_user) {
 /**
  * Handle check-out
  */
-function handleCheckOut($bookingManager, $current_user) {
+function handleCheckOut($bookingManager, $eventManager, $current_user) {
     try {
         $bookingId = $_GET['booking_id'] ?? null;
         $qrCode = $_GET['qr_code'] ?? null;
@@ -372,6 +521,12 @@ function handleCheckOut($bookingManager, $current_user) {
         $result = $bookingManager->checkOut($bookingId, $qrCode);
         
         if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'booking_checked_out', [
+                'booking_id' => $bookingId
+            ]);
+            
+            publishBookingChange($eventManager, $bookingManager, $bookingId, 'checked_out');
+            
             echo json_encode([
                 'success' => true,
                 'message' => 'Check-out successful'
@@ -398,7 +553,7 @@ function handleCheckOut($bookingManager, $current_user) {
 /**
  * Handle POST requests - create booking
  */
-function handleCreateBooking($bookingManager, $current_user) {
+function handleCreateBooking($bookingManager, $notificationManager, $eventManager, $importManager, $current_user) {
     try {
         // Check permissions
         requirePermission($current_user['user_type'], 'bookings', 'create');
@@ -409,6 +564,12 @@ function handleCreateBooking($bookingManager, $current_user) {
             throw new Exception('Invalid JSON input');
         }
         
+        // File import sends rows instead of a single booking
+        if (in_array($input['action'] ?? null, ['preview_import', 'import'])) {
+            handleImportBookings($importManager, $bookingManager, $notificationManager, $eventManager, $current_user, $input);
+            return;
+        }
+        
         // Validate required fields
         $required_fields = ['time_slot_id'];
         foreach ($required_fields as $field) {
@@ -416,7 +577,8 @@ function handleCreateBooking($bookingManager, $current_user) {
                 http_response_code(400);
                 echo json_encode([
                     'error' => "Field '$field' is required",
-                    'code' => 'MISSING_REQUIRED_FIELD'
+                    'code' => 'MISSING_REQUIRED_FIELD',
+                    'field_errors' => [$field => 'Pole je povinné']
                 ]);
                 return;
             }
@@ -431,6 +593,17 @@ function handleCreateBooking($bookingManager, $current_user) {
         
         $input['created_by'] = $current_user['user_id'];
         
+        // Drivers book for themselves
+        if ($current_user['user_type'] === 'driver') {
+            $input['driver_id'] = $current_user['user_id'];
+        }
+        
+        // Recurring booking
+        if (in_array($input['action'] ?? null, ['preview_series', 'create_series'])) {
+            handleCreateSeries($bookingManager, $notificationManager, $eventManager, $current_user, $input);
+            return;
+        }
+        
         // Create booking
         $result = $bookingManager->createBooking($input);
         
@@ -442,6 +615,14 @@ function handleCreateBooking($bookingManager, $current_user) {
                 'time_slot_id' => $input['time_slot_id']
             ]);
             
+            notifyBooking($notificationManager, $current_user, [
+                'id' => $result['booking_id'],
+                'company_id' => $input['company_id'],
+                'driver_id' => $input['driver_id'] ?? null
+            ], 'Nová rezervace ' . $result['booking_number'], $result['requires_approval'] ? 'Rezervace čeká na schválení' : null, true);
+            
+            publishBookingChange($eventManager, $bookingManager, $result['booking_id'], 'created');
+            
             echo json_encode([
                 'success' => true,
                 'booking_id' => $result['booking_id'],
@@ -455,7 +636,8 @@ function handleCreateBooking($bookingManager, $current_user) {
             echo json_encode([
                 'error' => 'Booking creation failed',
                 'code' => 'BOOKING_CREATION_FAILED',
-                'errors' => $result['errors']
+                'errors' => $result['errors'],
+                'field_errors' => $result['field_errors'] ?? []
             ]);
         }
         
@@ -470,10 +652,146 @@ function handleCreateBooking($bookingManager, $current_user) {
     }
 }
 
+/**
+ * Handle recurring booking, the preview lists conflicts without creating anything
+ */
+function handleCreateSeries($bookingManager, $notificationManager, $eventManager, $current_user, $input) {
+    $recurrence = $input['recurrence'] ?? [];
+    
+    if ($input['action'] === 'preview_series') {
+        $result = $bookingManager->previewSeries($input, $recurrence);
+        
+        if ($result['success']) {
+            echo json_encode([
+                'success' => true,
+                'occurrences' => $result['occurrences']
+            ]);
+            return;
+        }
+    } else {
+        $result = $bookingManager->createSeries($input, $recurrence);
+        
+        if ($result['success']) {
+            foreach ($result['bookings'] as $booking) {
+                logUserActivity($current_user['user_id'], 'booking_created', [
+                    'booking_id' => $booking['booking_id'],
+                    'booking_number' => $booking['booking_number'],
+                    'series_id' => $result['series_id']
+                ]);
+                
+                publishBookingChange($eventManager, $bookingManager, $booking['booking_id'], 'created');
+            }
+            
+            // One notification for the whole series
+            notifyBooking($notificationManager, $current_user, [
+                'id' => $result['bookings'][0]['booking_id'],
+                'company_id' => $input['company_id'],
+                'driver_id' => $input['driver_id'] ?? null
+            ], 'Nová série rezervací (' . count($result['bookings']) . ')', $result['requires_approval'] ? 'Rezervace čekají na schválení' : null, true);
+            
+            echo json_encode([
+                'success' => true,
+                'series_id' => $result['series_id'],
+                'bookings' => $result['bookings'],
+                'skipped' => $result['skipped'],
+                'requires_approval' => $result['requires_approval'],
+                'message' => 'Booking series created successfully'
+            ]);
+            return;
+        }
+    }
+    
+    http_response_code(400);
+    echo json_encode([
+        'error' => 'Booking series failed',
+        'code' => 'BOOKING_SERIES_FAILED',
+        'errors' => $result['errors'],
+        'field_errors' => $result['field_errors'] ?? []
+    ]);
+}
+
+/**
+ * Handle bookings file import, the preview checks the rows without creating anything
+ *
+ * Import creates the valid rows of a batch, rows that fail are returned with their errors
+ */
+function handleImportBookings($importManager, $bookingManager, $notificationManager, $eventManager, $current_user, $input) {
+    $rows = $input['rows'] ?? null;
+    if (!is_array($rows) || empty($rows) || count($rows) > ImportManager::MAX_ROWS) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Import needs 1 to ' . ImportManager::MAX_ROWS . ' rows',
+            'code' => 'INVALID_IMPORT_ROWS'
+        ]);
+        return;
+    }
+    
+    if ($current_user['user_type'] === 'super_admin' && !empty($input['company_id'])) {
+        $companyId = $input['company_id'];
+    } else {
+        $companyId = $current_user['company_id'];
+    }
+    
+    if (!$companyId) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => "Field 'company_id' is required",
+            'code' => 'MISSING_REQUIRED_FIELD',
+            'field_errors' => ['company_id' => 'Pole je povinné']
+        ]);
+        return;
+    }
+    
+    if ($input['action'] === 'preview_import') {
+        $results = $importManager->checkBookingRows($rows, $companyId, $current_user);
+        
+        echo json_encode([
+            'success' => true,
+            'rows' => $results,
+            'summary' => $importManager->summarize($results)
+        ]);
+        return;
+    }
+    
+    $results = $importManager->importBookings($rows, $companyId, $current_user);
+    $created = [];
+    $requiresApproval = false;
+    
+    foreach ($results as $result) {
+        if ($result['created']) {
+            $created[] = $result;
+            $requiresApproval = $requiresApproval || $result['requires_approval'];
+            publishBookingChange($eventManager, $bookingManager, $result['booking_id'], 'created');
+        }
+    }
+    
+    if (!empty($created)) {
+        logUserActivity($current_user['user_id'], 'bookings_imported', [
+            'count' => count($created),
+            'booking_ids' => array_column($created, 'booking_id')
+        ]);
+        
+        // One notification for the whole batch
+        notifyBooking($notificationManager, $current_user, [
+            'id' => $created[0]['booking_id'],
+            'company_id' => $companyId,
+            'driver_id' => null
+        ], 'Import rezervací (' . count($created) . ')', $requiresApproval ? 'Rezervace čekají na schválení' : null, true);
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'rows' => $results,
+        'summary' => $importManager->summarize($results),
+        'created' => count($created),
+        'message' => 'Bookings imported'
+    ]);
+}
+
 /**
  * Handle PUT requests - update booking
  */
-function handleUpdateBooking($bookingManager, $current_user) {
+function handleUpdateBooking($bookingManager, $notificationManager, $eventManager, $current_user) {
     try {
         // Get and validate input
         $input = json_decode(file_get_contents('php://input'), true);
@@ -540,6 +858,17 @@ function handleUpdateBooking($bookingManager, $current_user) {
                     $result = $bookingManager->changeStatus($bookingId, $input['status'], $input['note'] ?? null);
                     break;
                     
+                case 'update_series':
+                    if ($current_user['user_type'] === 'driver') {
+                        unset($input['driver_id']);
+                    }
+                    $result = $bookingManager->updateSeries($bookingId, $input);
+                    break;
+                    
+                case 'cancel_series':
+                    $result = $bookingManager->cancelSeries($bookingId, $input['reason'] ?? null);
+                    break;
+                    
                 default:
                     http_response_code(400);
                     echo json_encode([
@@ -549,20 +878,43 @@ function handleUpdateBooking($bookingManager, $current_user) {
                     return;
             }
         } else {
+            // Drivers cannot hand their booking over to someone else
+            if ($current_user['user_type'] === 'driver') {
+                unset($input['driver_id']);
+            }
+            
             // Regular update
             $result = $bookingManager->updateBooking($bookingId, $input);
         }
         
         if ($result['success']) {
-            // Log booking update
-            logUserActivity($current_user['user_id'], 'booking_updated', [
-                'booking_id' => $bookingId,
-                'action' => $input['action'] ?? 'update',
-                'changes' => $input
-            ]);
+            $eventActions = [
+                'approve' => 'approved',
+                'cancel' => 'cancelled',
+                'change_status' => 'status_changed',
+                'cancel_series' => 'cancelled'
+            ];
+            
+            // Series actions change several bookings at once
+            $bookingIds = $result['booking_ids'] ?? [$bookingId];
+            foreach ($bookingIds as $changedId) {
+                // Log booking update
+                logUserActivity($current_user['user_id'], 'booking_updated', [
+                    'booking_id' => $changedId,
+                    'action' => $input['action'] ?? 'update',
+                    'changes' => $input
+                ]);
+                
+                publishBookingChange($eventManager, $bookingManager, $changedId, $eventActions[$input['action'] ?? ''] ?? 'updated');
+            }
+            
+            if (isset($input['action'])) {
+                notifyBookingAction($notificationManager, $current_user, $targetBooking, $input);
+            }
             
             echo json_encode([
                 'success' => true,
+                'booking_ids' => $bookingIds,
                 'message' => 'Booking updated successfully'
             ]);
         } else {
@@ -570,7 +922,8 @@ function handleUpdateBooking($bookingManager, $current_user) {
             echo json_encode([
                 'error' => 'Booking update failed',
                 'code' => 'BOOKING_UPDATE_FAILED',
-                'errors' => $result['errors']
+                'errors' => $result['errors'],
+                'field_errors' => $result['field_errors'] ?? []
             ]);
         }
         
@@ -588,7 +941,7 @@ function handleUpdateBooking($bookingManager, $current_user) {
 /**
  * Handle DELETE requests - delete booking
  */
-function handleDeleteBooking($bookingManager, $current_user) {
+function handleDeleteBooking($bookingManager, $eventManager, $current_user) {
     try {
         // Get booking ID from URL
         $bookingId = intval($_GET['booking_id'] ?? 0);
@@ -632,6 +985,8 @@ function handleDeleteBooking($bookingManager, $current_user) {
                 'booking_number' => $targetBooking['booking_number']
             ]);
             
+            publishBookingChange($eventManager, $bookingManager, $bookingId, 'cancelled');
+            
             echo json_encode([
                 'success' => true,
                 'message' => 'Booking deleted successfully'
@@ -654,4 +1009,70 @@ function handleDeleteBooking($bookingManager, $current_user) {
             'message' => $e->getMessage()
         ]);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Publish the booking as it is after the change, with slot and driver details
+ */
+function publishBookingChange($eventManager, $bookingManager, $bookingId, $action) {
+    $eventManager->publish('booking', $bookingId, $action, $bookingManager->getBookingById($bookingId));
+}
+
+/**
+ * Notify the booking's driver and, for company-wide events, the company staff
+ */
+function notifyBooking($notificationManager, $current_user, $booking, $title, $message = null, $companyWide = false) {
+    $notification = [
+        'company_id' => $booking['company_id'],
+        'type' => 'booking',
+        'title' => $title,
+        'message' => $message,
+        'entity_type' => 'booking',
+        'entity_id' => $booking['id']
+    ];
+    
+    if ($companyWide) {
+        $notificationManager->createNotification($notification);
+    }
+    
+    // Nobody needs to be told about their own change
+    if (!empty($booking['driver_id']) && $booking['driver_id'] != $current_user['user_id']) {
+        $notificationManager->createNotification($notification + ['user_id' => $booking['driver_id']]);
+    }
+}
+
+/**
+ * Notify about approval, cancellation or status change
+ */
+function notifyBookingAction($notificationManager, $current_user, $booking, $input) {
+    $statusLabels = [
+        'pending' => 'Čeká',
+        'approved' => 'Schváleno',
+        'confirmed' => 'Potvrzeno',
+        'checked_in' => 'Přijel',
+        'checked_out' => 'Odjel',
+        'completed' => 'Dokončeno',
+        'cancelled' => 'Zrušeno',
+        'delayed' => 'Zpožděno',
+        'rescheduled' => 'Přeplánováno'
+    ];
+    
+    switch ($input['action']) {
+        case 'approve':
+            notifyBooking($notificationManager, $current_user, $booking, 'Rezervace ' . $booking['booking_number'] . ' byla schválena');
+            break;
+            
+        case 'cancel':
+            notifyBooking($notificationManager, $current_user, $booking, 'Rezervace ' . $booking['booking_number'] . ' byla zrušena', $input['reason'] ?? null, true);
+            break;
+            
+        case 'cancel_series':
+            notifyBooking($notificationManager, $current_user, $booking, 'Série rezervací ' . $booking['booking_number'] . ' byla zrušena', $input['reason'] ?? null, true);
+            break;
+            
+        case 'change_status':
+            $status = $statusLabels[$input['status']] ?? $input['status'];
+            notifyBooking($notificationManager, $current_user, $booking, 'Rezervace ' . $booking['booking_number'] . ' změnila stav', 'Nový stav: ' . $status);
+            break;
+    }
+}
@@ -0,0 +1,215 @@
+<?php
+/**
+ * Calendar Feed API Endpoint
+ * Logistic CRM System
+ *
+ * iCalendar subscription of slots and bookings for Outlook, Google Calendar
+ * and other calendar apps. The feed itself authenticates by the personal
+ * token in its URL, the token is managed by the signed in user
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, POST, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/CalendarFeedManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $feedManager = new CalendarFeedManager($db);
+    
+    // Calendar apps fetch the feed without a session
+    if ($_SERVER['REQUEST_METHOD'] === 'GET' && isset($_GET['token'])) {
+        handleGetFeed($feedManager);
+        exit;
+    }
+    
+    // Authenticate user
+    $current_user = authenticate();
+    
+    // The feed shows slots and bookings
+    requirePermission($current_user['user_type'], 'slots', 'read');
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    switch ($_SERVER['REQUEST_METHOD']) {
+        case 'GET':
+            handleGetSubscription($feedManager, $current_user);
+            break;
+        
+        case 'POST':
+            handleRegenerateSubscription($feedManager, $current_user);
+            break;
+        
+        case 'DELETE':
+            handleRevokeSubscription($feedManager, $current_user);
+            break;
+        
+        default:
+            http_response_code(405);
+            echo json_encode([
+                'error' => 'Method not allowed',
+                'code' => 'METHOD_NOT_ALLOWED'
+            ]);
+            break;
+    }
+
+} catch (Exception $e) {
+    error_log("Calendar feed API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Server error',
+        'code' => 'SERVER_ERROR',
+        'message' => $e->getMessage()
+    ]);
+}
+
+/**
+ * Handle GET requests with a token - the iCalendar feed
+ */
+function handleGetFeed($feedManager) {
+    $user = $feedManager->getUserByToken($_GET['token']);
+    
+    if (!$user) {
+        http_response_code(404);
+        echo json_encode([
+            'error' => 'Calendar feed not found',
+            'code' => 'CALENDAR_FEED_NOT_FOUND',
+            'message' => 'Odkaz na kalendář je neplatný nebo byl zrušen'
+        ]);
+        return;
+    }
+    
+    if ($user['company_id']) {
+        licenseRequiredMiddleware($user['company_id']);
+    }
+    
+    $warehouseId = isset($_GET['warehouse_id']) ? intval($_GET['warehouse_id']) : null;
+    list($startDate, $endDate) = $feedManager->getFeedRange();
+    
+    $calendar = $feedManager->buildCalendar($user, $startDate, $endDate, $warehouseId, ['refresh' => true]);
+    
+    header('Content-Type: text/calendar; charset=utf-8');
+    header('Content-Disposition: inline; filename="kalendar.ics"');
+    header('Cache-Control: no-cache, must-revalidate');
+    echo $calendar;
+}
+
+/**
+ * Handle GET requests - subscription of the current user
+ */
+function handleGetSubscription($feedManager, $current_user) {
+    try {
+        $token = $feedManager->getToken($current_user['user_id']);
+        
+        echo json_encode([
+            'success' => true,
+            'subscription' => $token ? formatSubscription($token) : null
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Get calendar subscription error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to retrieve calendar subscription',
+            'code' => 'GET_CALENDAR_SUBSCRIPTION_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle POST requests - create subscription or replace its URL
+ */
+function handleRegenerateSubscription($feedManager, $current_user) {
+    try {
+        $replaced = $feedManager->getToken($current_user['user_id']) !== null;
+        $token = $feedManager->regenerateToken($current_user['user_id']);
+        
+        logUserActivity($current_user['user_id'], $replaced ? 'calendar_feed_regenerated' : 'calendar_feed_created');
+        
+        echo json_encode([
+            'success' => true,
+            'subscription' => formatSubscription($token),
+            'message' => $replaced ? 'Calendar subscription URL was replaced' : 'Calendar subscription was created'
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Regenerate calendar subscription error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to create calendar subscription',
+            'code' => 'CREATE_CALENDAR_SUBSCRIPTION_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle DELETE requests - cancel subscription
+ */
+function handleRevokeSubscription($feedManager, $current_user) {
+    try {
+        if (!$feedManager->revokeToken($current_user['user_id'])) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Calendar subscription not found',
+                'code' => 'CALENDAR_SUBSCRIPTION_NOT_FOUND'
+            ]);
+            return;
+        }
+        
+        logUserActivity($current_user['user_id'], 'calendar_feed_revoked');
+        
+        echo json_encode([
+            'success' => true,
+            'message' => 'Calendar subscription was cancelled'
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Revoke calendar subscription error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to cancel calendar subscription',
+            'code' => 'REVOKE_CALENDAR_SUBSCRIPTION_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Feed URL of a token with its dates
+ */
+function formatSubscription($token) {
+    $scheme = (!empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off') ? 'https' : 'http';
+    
+    return [
+        'url' => $scheme . '://' . $_SERVER['HTTP_HOST'] . $_SERVER['SCRIPT_NAME'] . '?token=' . $token['token'],
+        'created_at' => $token['created_at'],
+        'last_used_at' => $token['last_used_at'],
+        'days_back' => CalendarFeedManager::FEED_DAYS_BACK,
+        'days_ahead' => CalendarFeedManager::FEED_DAYS_AHEAD
+    ];
+}
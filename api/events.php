@@ -0,0 +1,160 @@
+<?php
+/**
+ * Change Events API Endpoint
+ * Logistic CRM System
+ *
+ * Streams booking and slot changes as Server-Sent Events. With mode=poll
+ * returns the same events as JSON for clients that cannot stream
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token, Last-Event-ID');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// Stream is closed after this many seconds, the browser reconnects on its own
+const STREAM_DURATION = 55;
+const STREAM_POLL_INTERVAL = 2;
+const STREAM_HEARTBEAT_INTERVAL = 15;
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/EventManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Authenticate user
+    header('Content-Type: application/json; charset=utf-8');
+    $current_user = authenticate();
+    
+    // Long-running stream must not block other requests of the same session
+    session_write_close();
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $eventManager = new EventManager($db);
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+        http_response_code(405);
+        echo json_encode([
+            'error' => 'Method not allowed',
+            'code' => 'METHOD_NOT_ALLOWED'
+        ]);
+        exit;
+    }
+    
+    // EventSource sends the header when it reconnects, no id means start from now
+    $lastEventId = $_SERVER['HTTP_LAST_EVENT_ID'] ?? $_GET['last_event_id'] ?? null;
+    if ($lastEventId !== null) {
+        $lastEventId = intval($lastEventId);
+    }
+    
+    if (($_GET['mode'] ?? '') === 'poll') {
+        handlePollEvents($eventManager, $current_user, $lastEventId);
+    } else {
+        handleStreamEvents($eventManager, $current_user, $lastEventId);
+    }
+
+} catch (Exception $e) {
+    error_log("Events API error: " . $e->getMessage());
+    
+    if (!headers_sent()) {
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Server error',
+            'code' => 'SERVER_ERROR',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle polling - events since last_event_id as JSON
+ */
+function handlePollEvents($eventManager, $current_user, $lastEventId) {
+    // First request only learns where the feed ends
+    if ($lastEventId === null) {
+        $events = [];
+        $lastEventId = $eventManager->getLastEventId();
+    } else {
+        $events = $eventManager->getEventsSince($lastEventId, $current_user);
+        if (!empty($events)) {
+            $lastEventId = end($events)['id'];
+        }
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'events' => $events,
+        'last_event_id' => $lastEventId
+    ]);
+}
+
+/**
+ * Handle streaming - Server-Sent Events until STREAM_DURATION passes
+ */
+function handleStreamEvents($eventManager, $current_user, $lastEventId) {
+    header('Content-Type: text/event-stream; charset=utf-8');
+    header('Cache-Control: no-cache');
+    // Proxies must not buffer the stream
+    header('X-Accel-Buffering: no');
+    
+    set_time_limit(STREAM_DURATION + 10);
+    while (ob_get_level() > 0) {
+        ob_end_flush();
+    }
+    
+    if ($lastEventId === null) {
+        $lastEventId = $eventManager->getLastEventId();
+    }
+    
+    echo "retry: 3000\n";
+    sendStreamEvent('ready', $lastEventId, ['last_event_id' => $lastEventId]);
+    
+    $started = time();
+    $lastWrite = time();
+    
+    while (time() - $started < STREAM_DURATION && !connection_aborted()) {
+        $events = $eventManager->getEventsSince($lastEventId, $current_user);
+        
+        foreach ($events as $event) {
+            sendStreamEvent($event['entity_type'], $event['id'], $event);
+            $lastEventId = $event['id'];
+            $lastWrite = time();
+        }
+        
+        // Comment line keeps idle connections open and detects closed ones
+        if (time() - $lastWrite >= STREAM_HEARTBEAT_INTERVAL) {
+            echo ": heartbeat\n\n";
+            flush();
+            $lastWrite = time();
+        }
+        
+        sleep(STREAM_POLL_INTERVAL);
+    }
+}
+
+function sendStreamEvent($type, $id, $data) {
+    echo "event: {$type}\n";
+    echo "id: {$id}\n";
+    echo "data: " . json_encode($data) . "\n\n";
+    flush();
+}
@@ -0,0 +1,260 @@
+<?php
+/**
+ * Filter Presets API Endpoint
+ * Logistic CRM System
+ *
+ * Saved bookings filters of the current user and presets shared in the company
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/FilterPresetManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Authenticate user
+    $current_user = authenticate();
+    
+    // Presets filter the bookings list
+    requirePermission($current_user['user_type'], 'bookings', 'read');
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $presetManager = new FilterPresetManager($db);
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    switch ($_SERVER['REQUEST_METHOD']) {
+        case 'GET':
+            handleGetPresets($presetManager, $current_user);
+            break;
+        
+        case 'POST':
+            handleCreatePreset($presetManager, $current_user);
+            break;
+        
+        case 'PUT':
+            handleUpdatePreset($presetManager, $current_user);
+            break;
+        
+        case 'DELETE':
+            handleDeletePreset($presetManager, $current_user);
+            break;
+        
+        default:
+            http_response_code(405);
+            echo json_encode([
+                'error' => 'Method not allowed',
+                'code' => 'METHOD_NOT_ALLOWED'
+            ]);
+            break;
+    }
+
+} catch (Exception $e) {
+    error_log("Filter presets API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Server error',
+        'code' => 'SERVER_ERROR',
+        'message' => $e->getMessage()
+    ]);
+}
+
+/**
+ * Handle GET requests - list presets
+ */
+function handleGetPresets($presetManager, $current_user) {
+    try {
+        $presets = $presetManager->getPresets($current_user);
+        
+        $defaultPresetId = null;
+        foreach ($presets as $preset) {
+            if ($preset['is_default']) {
+                $defaultPresetId = $preset['id'];
+            }
+        }
+        
+        echo json_encode([
+            'success' => true,
+            'presets' => $presets,
+            'default_preset_id' => $defaultPresetId,
+            'date_ranges' => FilterPresetManager::DATE_RANGES
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Get filter presets error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to retrieve filter presets',
+            'code' => 'GET_FILTER_PRESETS_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle POST requests - create preset
+ */
+function handleCreatePreset($presetManager, $current_user) {
+    try {
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input) {
+            throw new Exception('Invalid JSON input');
+        }
+        
+        $result = $presetManager->createPreset($input, $current_user);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'filter_preset_created', [
+                'preset_id' => $result['preset_id'],
+                'name' => $input['name'] ?? null,
+                'is_shared' => !empty($input['is_shared'])
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'preset_id' => $result['preset_id'],
+                'message' => 'Filter preset was created successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Filter preset creation failed',
+                'code' => 'FILTER_PRESET_CREATION_FAILED',
+                'errors' => $result['errors'],
+                'field_errors' => $result['field_errors'] ?? []
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Create filter preset error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to create filter preset',
+            'code' => 'CREATE_FILTER_PRESET_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle PUT requests - update preset or set the default preset
+ */
+function handleUpdatePreset($presetManager, $current_user) {
+    try {
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input) {
+            throw new Exception('Invalid JSON input');
+        }
+        
+        if (($input['action'] ?? null) === 'set_default') {
+            $result = $presetManager->setDefault($input['preset_id'] ?? null, $current_user);
+        } elseif (isset($input['preset_id'])) {
+            $update_data = array_intersect_key($input, array_flip(['name', 'filters', 'is_shared']));
+            $result = $presetManager->updatePreset(intval($input['preset_id']), $update_data, $current_user);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Preset ID is required',
+                'code' => 'MISSING_PRESET_ID'
+            ]);
+            return;
+        }
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], ($input['action'] ?? null) === 'set_default' ? 'filter_preset_default_set' : 'filter_preset_updated', [
+                'preset_id' => $input['preset_id'] ?? null
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'message' => 'Filter preset was updated successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Filter preset update failed',
+                'code' => 'FILTER_PRESET_UPDATE_FAILED',
+                'errors' => $result['errors'],
+                'field_errors' => $result['field_errors'] ?? []
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Update filter preset error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to update filter preset',
+            'code' => 'UPDATE_FILTER_PRESET_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle DELETE requests - delete preset
+ */
+function handleDeletePreset($presetManager, $current_user) {
+    try {
+        $presetId = intval($_GET['preset_id'] ?? 0);
+        if (!$presetId) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Preset ID is required',
+                'code' => 'MISSING_PRESET_ID'
+            ]);
+            return;
+        }
+        
+        $result = $presetManager->deletePreset($presetId, $current_user);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'filter_preset_deleted', [
+                'preset_id' => $presetId
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'message' => 'Filter preset was deleted successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Filter preset deletion failed',
+                'code' => 'FILTER_PRESET_DELETION_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Delete filter preset error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to delete filter preset',
+            'code' => 'DELETE_FILTER_PRESET_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
@@ -0,0 +1,159 @@
+<?php
+/**
+ * Notifications API Endpoint
+ * Logistic CRM System
+ *
+ * Lists notifications of the current user and manages their read state
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, PUT, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/NotificationManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Authenticate user
+    $current_user = authenticate();
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $notificationManager = new NotificationManager($db);
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    switch ($_SERVER['REQUEST_METHOD']) {
+        case 'GET':
+            handleGetNotifications($notificationManager, $current_user);
+            break;
+        
+        case 'PUT':
+            handleUpdateNotifications($notificationManager, $current_user);
+            break;
+        
+        default:
+            http_response_code(405);
+            echo json_encode([
+                'error' => 'Method not allowed',
+                'code' => 'METHOD_NOT_ALLOWED'
+            ]);
+            break;
+    }
+
+} catch (Exception $e) {
+    error_log("Notifications API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Server error',
+        'code' => 'SERVER_ERROR',
+        'message' => $e->getMessage()
+    ]);
+}
+
+/**
+ * Handle GET requests - list notifications
+ */
+function handleGetNotifications($notificationManager, $current_user) {
+    try {
+        $filters = [
+            'type' => $_GET['type'] ?? null,
+            'unread_only' => !empty($_GET['unread_only']),
+            'limit' => $_GET['limit'] ?? 50
+        ];
+        
+        echo json_encode([
+            'success' => true,
+            'notifications' => $notificationManager->getNotifications($current_user, $filters),
+            'unread_count' => $notificationManager->getUnreadCount($current_user)
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Get notifications error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to retrieve notifications',
+            'code' => 'GET_NOTIFICATIONS_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle PUT requests - mark notifications as read
+ */
+function handleUpdateNotifications($notificationManager, $current_user) {
+    try {
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input || !isset($input['action'])) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Action is required',
+                'code' => 'MISSING_ACTION'
+            ]);
+            return;
+        }
+        
+        switch ($input['action']) {
+            case 'mark_read':
+                $result = $notificationManager->markAsRead($input['notification_ids'] ?? [], $current_user);
+                break;
+            
+            case 'mark_all_read':
+                $result = $notificationManager->markAllAsRead($current_user);
+                break;
+            
+            default:
+                http_response_code(400);
+                echo json_encode([
+                    'error' => 'Invalid action',
+                    'code' => 'INVALID_ACTION'
+                ]);
+                return;
+        }
+        
+        if ($result['success']) {
+            echo json_encode([
+                'success' => true,
+                'marked' => $result['marked'],
+                'unread_count' => $notificationManager->getUnreadCount($current_user)
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Notification update failed',
+                'code' => 'NOTIFICATION_UPDATE_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Update notifications error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to update notifications',
+            'code' => 'UPDATE_NOTIFICATIONS_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
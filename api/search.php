@@ -0,0 +1,72 @@
+<?php
+/**
+ * Search API Endpoint
+ * Logistic CRM System
+ *
+ * Global search across bookings, drivers, vehicles, warehouses and slots
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/SearchManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Authenticate user
+    $current_user = authenticate();
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $searchManager = new SearchManager($db);
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+        http_response_code(405);
+        echo json_encode([
+            'error' => 'Method not allowed',
+            'code' => 'METHOD_NOT_ALLOWED'
+        ]);
+        exit;
+    }
+    
+    $query = $_GET['q'] ?? '';
+    $limit = min(10, max(1, intval($_GET['limit'] ?? 5)));
+    
+    echo json_encode([
+        'success' => true,
+        'query' => $query,
+        'results' => $searchManager->search($query, $current_user, $limit)
+    ]);
+
+} catch (Exception $e) {
+    error_log("Search API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Search failed',
+        'code' => 'SEARCH_FAILED',
+        'message' => $e->getMessage()
+    ]);
+}
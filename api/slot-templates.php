@@ -0,0 +1,374 @@
+<?php
+/**
+ * Slot Templates API Endpoint
+ * Logistic CRM System
+ *
+ * Weekly slot patterns of warehouses and zones, and generating slots of a
+ * date range from them. The preview shows the slots without creating them
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/SlotManager.php';
+    require_once __DIR__ . '/../classes/SlotTemplateManager.php';
+    require_once __DIR__ . '/../classes/EventManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Authenticate user
+    $current_user = authenticate();
+    
+    // Templates are managed by those who create slots
+    requirePermission($current_user['user_type'], 'slots', 'create');
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $slotManager = new SlotManager($db);
+    $templateManager = new SlotTemplateManager($db);
+    $eventManager = new EventManager($db);
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    switch ($_SERVER['REQUEST_METHOD']) {
+        case 'GET':
+            handleGetTemplates($templateManager, $current_user);
+            break;
+        
+        case 'POST':
+            handleCreateTemplate($templateManager, $slotManager, $eventManager, $current_user);
+            break;
+        
+        case 'PUT':
+            handleUpdateTemplate($templateManager, $slotManager, $current_user);
+            break;
+        
+        case 'DELETE':
+            handleDeleteTemplate($templateManager, $current_user);
+            break;
+        
+        default:
+            http_response_code(405);
+            echo json_encode([
+                'error' => 'Method not allowed',
+                'code' => 'METHOD_NOT_ALLOWED'
+            ]);
+            break;
+    }
+
+} catch (Exception $e) {
+    error_log("Slot templates API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Server error',
+        'code' => 'SERVER_ERROR',
+        'message' => $e->getMessage()
+    ]);
+}
+
+/**
+ * Handle GET requests - list templates
+ */
+function handleGetTemplates($templateManager, $current_user) {
+    try {
+        $warehouseId = !empty($_GET['warehouse_id']) ? intval($_GET['warehouse_id']) : null;
+        
+        echo json_encode([
+            'success' => true,
+            'templates' => $templateManager->getTemplates($current_user, $warehouseId),
+            'max_generate_days' => SlotTemplateManager::MAX_GENERATE_DAYS
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Get slot templates error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to retrieve slot templates',
+            'code' => 'GET_SLOT_TEMPLATES_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle POST requests - create template, or preview and generate slots
+ */
+function handleCreateTemplate($templateManager, $slotManager, $eventManager, $current_user) {
+    try {
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input) {
+            throw new Exception('Invalid JSON input');
+        }
+        
+        if (in_array($input['action'] ?? null, ['preview', 'generate'])) {
+            handleGenerateSlots($templateManager, $slotManager, $eventManager, $current_user, $input);
+            return;
+        }
+        
+        $warehouse = $slotManager->getWarehouse($input['warehouse_id'] ?? null);
+        if (!$warehouse || !canManageSlots($current_user, $warehouse)) {
+            http_response_code(403);
+            echo json_encode([
+                'error' => 'You cannot create slot templates in this warehouse',
+                'code' => 'CREATE_SLOT_TEMPLATE_FORBIDDEN',
+                'field_errors' => ['warehouse_id' => 'Ve vybraném skladu nemůžete spravovat sloty']
+            ]);
+            return;
+        }
+        
+        $result = $templateManager->createTemplate($input, $current_user);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'slot_template_created', [
+                'template_id' => $result['template_id'],
+                'warehouse_id' => $warehouse['id'],
+                'name' => $input['name'] ?? null
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'template_id' => $result['template_id'],
+                'message' => 'Slot template was created successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Slot template creation failed',
+                'code' => 'SLOT_TEMPLATE_CREATION_FAILED',
+                'errors' => $result['errors'],
+                'field_errors' => $result['field_errors'] ?? []
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Create slot template error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to create slot template',
+            'code' => 'CREATE_SLOT_TEMPLATE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle slot generation from templates, the preview creates nothing
+ *
+ * Regeneration replaces the unbooked slots created from the templates
+ * in the range, so it needs the right to delete slots
+ */
+function handleGenerateSlots($templateManager, $slotManager, $eventManager, $current_user, $input) {
+    $templateIds = array_values(array_unique(array_map('intval', (array) ($input['template_ids'] ?? []))));
+    if (empty($templateIds)) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Select at least one template',
+            'code' => 'MISSING_TEMPLATES',
+            'errors' => ['Vyberte alespoň jednu šablonu']
+        ]);
+        return;
+    }
+    
+    $regenerate = !empty($input['regenerate']);
+    if ($regenerate) {
+        requirePermission($current_user['user_type'], 'slots', 'delete');
+    }
+    
+    $templates = [];
+    $dailyLimits = [];
+    foreach ($templateIds as $templateId) {
+        $template = $templateManager->getTemplate($templateId);
+        if (!$template || !canManageSlots($current_user, $template)) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Slot template not found',
+                'code' => 'SLOT_TEMPLATE_NOT_FOUND'
+            ]);
+            return;
+        }
+        $templates[] = $template;
+        
+        // The license limits slots per day of each company, shared warehouses have no limit
+        if ($template['company_id'] && !isset($dailyLimits[$template['company_id']])) {
+            $dailyLimits[$template['company_id']] = getDailySlotLimit($template['company_id']);
+        }
+    }
+    
+    $startDate = $input['start_date'] ?? null;
+    $endDate = $input['end_date'] ?? null;
+    
+    if ($input['action'] === 'preview') {
+        $result = $templateManager->planSlots($templates, $startDate, $endDate, $regenerate, $dailyLimits);
+    } else {
+        $result = $templateManager->generateSlots($templates, $startDate, $endDate, $regenerate, $dailyLimits, $current_user);
+    }
+    
+    if (!$result['success']) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Slot generation failed',
+            'code' => 'SLOT_GENERATION_FAILED',
+            'errors' => $result['errors'],
+            'field_errors' => $result['field_errors'] ?? []
+        ]);
+        return;
+    }
+    
+    if ($input['action'] === 'generate') {
+        foreach ($result['removed'] as $slot) {
+            $eventManager->publish('slot', $slot['id'], 'deleted', $slot);
+        }
+        foreach ($result['slot_ids'] as $slotId) {
+            $eventManager->publish('slot', $slotId, 'created', $slotManager->getSlotById($slotId));
+        }
+        
+        logUserActivity($current_user['user_id'], 'slots_generated', [
+            'template_ids' => $templateIds,
+            'start_date' => $startDate,
+            'end_date' => $endDate,
+            'created' => count($result['slot_ids']),
+            'removed' => count($result['removed'])
+        ]);
+    }
+    
+    echo json_encode($result);
+}
+
+/**
+ * Handle PUT requests - update template
+ */
+function handleUpdateTemplate($templateManager, $slotManager, $current_user) {
+    try {
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input || !isset($input['template_id'])) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Template ID is required',
+                'code' => 'MISSING_TEMPLATE_ID'
+            ]);
+            return;
+        }
+        
+        $template = $templateManager->getTemplate($input['template_id']);
+        if (!$template || !canManageSlots($current_user, $template)) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Slot template not found',
+                'code' => 'SLOT_TEMPLATE_NOT_FOUND'
+            ]);
+            return;
+        }
+        
+        // Moving the template needs rights in the new warehouse too
+        if (isset($input['warehouse_id']) && $input['warehouse_id'] != $template['warehouse_id']) {
+            $warehouse = $slotManager->getWarehouse($input['warehouse_id']);
+            if (!$warehouse || !canManageSlots($current_user, $warehouse)) {
+                http_response_code(403);
+                echo json_encode([
+                    'error' => 'You cannot move the slot template to this warehouse',
+                    'code' => 'UPDATE_SLOT_TEMPLATE_FORBIDDEN',
+                    'field_errors' => ['warehouse_id' => 'Ve vybraném skladu nemůžete spravovat sloty']
+                ]);
+                return;
+            }
+        }
+        
+        $result = $templateManager->updateTemplate($template['id'], $input);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'slot_template_updated', [
+                'template_id' => $template['id']
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'message' => 'Slot template was updated successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Slot template update failed',
+                'code' => 'SLOT_TEMPLATE_UPDATE_FAILED',
+                'errors' => $result['errors'],
+                'field_errors' => $result['field_errors'] ?? []
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Update slot template error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to update slot template',
+            'code' => 'UPDATE_SLOT_TEMPLATE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle DELETE requests - delete template, its slots stay
+ */
+function handleDeleteTemplate($templateManager, $current_user) {
+    try {
+        $template = $templateManager->getTemplate(intval($_GET['template_id'] ?? 0));
+        if (!$template || !canManageSlots($current_user, $template)) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Slot template not found',
+                'code' => 'SLOT_TEMPLATE_NOT_FOUND'
+            ]);
+            return;
+        }
+        
+        $result = $templateManager->deleteTemplate($template['id']);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'slot_template_deleted', [
+                'template_id' => $template['id'],
+                'name' => $template['name']
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'message' => 'Slot template was deleted successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Slot template deletion failed',
+                'code' => 'SLOT_TEMPLATE_DELETION_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Delete slot template error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to delete slot template',
+            'code' => 'DELETE_SLOT_TEMPLATE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
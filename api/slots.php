@@ -27,6 +27,9 @@ try {
     // Include required files
     require_once __DIR__ . '/../config/database.php';
     require_once __DIR__ . '/../classes/SlotManager.php';
+    require_once __DIR__ . '/../classes/ImportManager.php';
+    require_once __DIR__ . '/../classes/CalendarFeedManager.php';
+    require_once __DIR__ . '/../classes/EventManager.php';
     require_once __DIR__ . '/../middleware/auth.php';
     require_once __DIR__ . '/../middleware/license_check.php';
     
@@ -37,6 +40,9 @@ try {
     $database = new Database();
     $db = $database->connect();
     $slotManager = new SlotManager($db);
+    $eventManager = new EventManager($db);
+    $importManager = new ImportManager($db);
+    $feedManager = new CalendarFeedManager($db);
     
     // Check license for company users
     if ($current_user['company_id']) {
@@ -45,19 +51,19 @@ try {
     
     switch ($_SERVER['REQUEST_METHOD']) {
         case 'GET':
-            handleGetSlots($slotManager, $current_user);
+            handleGetSlots($slotManager, $feedManager, $current_user);
             break;
             
         case 'POST':
-            handleCreateSlot($slotManager, $current_user);
+            handleCreateSlot($slotManager, $eventManager, $importManager, $current_user);
             break;
             
         case 'PUT':
-            handleUpdateSlot($slotManager, $current_user);
+            handleUpdateSlot($slotManager, $eventManager, $current_user);
             break;
             
         case 'DELETE':
-            handleDeleteSlot($slotManager, $current_user);
+            handleDeleteSlot($slotManager, $eventManager, $current_user);
             break;
             
         default:
@@ -82,7 +88,7 @@ try {
 /**
  * Handle GET requests - list slots
  */
-function handleGetSlots($slotManager, $current_user) {
+function handleGetSlots($slotManager, $feedManager, $current_user) {
     try {
         // Check permissions
         requirePermission($current_user['user_type'], 'slots', 'read');
@@ -99,9 +105,17 @@ function handleGetSlots($slotManager, $current_user) {
                 case 'statistics':
                     handleSlotStatistics($slotManager, $current_user);
                     return;
+                case 'check':
+                    handleCheckSlot($slotManager, $current_user);
+                    return;
             }
         }
         
+        if (isset($_GET['export'])) {
+            handleExportSlots($feedManager, $current_user);
+            return;
+        }
+        
         // Get query parameters
         $startDate = $_GET['start_date'] ?? date('Y-m-d');
         $endDate = $_GET['end_date'] ?? date('Y-m-d', strtotime('+7 days'));
@@ -142,6 +156,98 @@ function handleGetSlots($slotManager, $current_user) {
     }
 }
 
+/**
+ * Handle export of the slots in a date range, iCalendar only
+ */
+function handleExportSlots($feedManager, $current_user) {
+    if ($_GET['export'] !== 'ics') {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Unsupported export format',
+            'code' => 'UNSUPPORTED_EXPORT_FORMAT',
+            'supported_formats' => ['ics']
+        ]);
+        return;
+    }
+    
+    $startDate = $_GET['start_date'] ?? date('Y-m-d');
+    $endDate = $_GET['end_date'] ?? date('Y-m-d', strtotime('+7 days'));
+    $warehouseId = !empty($_GET['warehouse_id']) ? intval($_GET['warehouse_id']) : null;
+    
+    $start = DateTime::createFromFormat('!Y-m-d', $startDate);
+    $end = DateTime::createFromFormat('!Y-m-d', $endDate);
+    if (!$start || !$end || $start > $end || $start->diff($end)->days > CalendarFeedManager::MAX_EXPORT_DAYS) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Invalid date range',
+            'code' => 'INVALID_DATE_RANGE',
+            'message' => 'Export může obsahovat nejvýše ' . CalendarFeedManager::MAX_EXPORT_DAYS . ' dní'
+        ]);
+        return;
+    }
+    
+    $calendar = $feedManager->buildCalendar($current_user, $startDate, $endDate, $warehouseId);
+    
+    header('Content-Type: text/calendar; charset=utf-8');
+    header('Content-Disposition: attachment; filename="kalendar_' . $startDate . '_' . $endDate . '.ics"');
+    echo $calendar;
+}
+
+/**
+ * Handle check of a slot before it is saved - overlapping slots and the daily license limit
+ */
+function handleCheckSlot($slotManager, $current_user) {
+    $slotId = !empty($_GET['slot_id']) ? intval($_GET['slot_id']) : null;
+    $data = [
+        'warehouse_id' => $_GET['warehouse_id'] ?? null,
+        'zone_id' => !empty($_GET['zone_id']) ? intval($_GET['zone_id']) : null,
+        'slot_date' => $_GET['slot_date'] ?? null,
+        'slot_time_start' => $_GET['slot_time_start'] ?? null,
+        'slot_time_end' => $_GET['slot_time_end'] ?? null
+    ];
+    
+    $validation = $slotManager->validateSlotData($data);
+    if (!$validation['valid']) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Invalid slot data',
+            'code' => 'INVALID_SLOT_DATA',
+            'errors' => $validation['errors']
+        ]);
+        return;
+    }
+    
+    $warehouse = $slotManager->getWarehouse($data['warehouse_id']);
+    if (!$warehouse || !canManageSlots($current_user, $warehouse)) {
+        http_response_code(404);
+        echo json_encode([
+            'error' => 'Warehouse not found',
+            'code' => 'WAREHOUSE_NOT_FOUND'
+        ]);
+        return;
+    }
+    
+    $errors = $slotManager->checkSlotConflicts($data, $slotId);
+    
+    // A slot staying on its day does not count again
+    $dailyUsage = null;
+    $targetSlot = $slotId ? $slotManager->getSlotById($slotId) : null;
+    if (!$targetSlot || $targetSlot['slot_date'] !== $data['slot_date'] || $targetSlot['warehouse_id'] != $data['warehouse_id']) {
+        $dailyUsage = getDailySlotUsage($slotManager, $warehouse, $data['slot_date'], $slotId);
+        if ($dailyUsage && !$dailyUsage['allowed']) {
+            $errors[] = formatDailySlotLimit($dailyUsage, $data['slot_date']);
+        }
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'valid' => empty($errors),
+        'errors' => $errors,
+        'overlapping' => $slotManager->getOverlappingSlots($data, $slotId),
+        'daily_usage' => $dailyUsage
+    ]);
+}
+
 /**
  * Handle today's slots
  */
@@ -251,22 +357,24 @@ function handleSlotStatistics($slotManager, $current_user) {
 /**
  * Handle POST requests - create slot
  */
-function handleCreateSlot($slotManager, $current_user) {
+function handleCreateSlot($slotManager, $eventManager, $importManager, $current_user) {
     try {
         // Check permissions
         requirePermission($current_user['user_type'], 'slots', 'create');
         
-        // Check usage limits
-        if ($current_user['company_id']) {
-            usageLimitMiddleware($current_user['company_id'], 'slots_today');
-        }
-        
         // Get and validate input
         $input = json_decode(file_get_contents('php://input'), true);
         if (!$input) {
             throw new Exception('Invalid JSON input');
         }
         
+        // File import sends rows instead of a single slot, the daily
+        // license limit is checked for each row
+        if (in_array($input['action'] ?? null, ['preview_import', 'import'])) {
+            handleImportSlots($importManager, $slotManager, $eventManager, $current_user, $input);
+            return;
+        }
+        
         // Validate required fields
         $required_fields = ['warehouse_id', 'slot_date', 'slot_time_start', 'slot_time_end'];
         foreach ($required_fields as $field) {
@@ -280,6 +388,29 @@ function handleCreateSlot($slotManager, $current_user) {
             }
         }
         
+        $warehouse = $slotManager->getWarehouse($input['warehouse_id']);
+        if (!$warehouse || !canManageSlots($current_user, $warehouse)) {
+            http_response_code(403);
+            echo json_encode([
+                'error' => 'You cannot create slots in this warehouse',
+                'code' => 'CREATE_SLOT_FORBIDDEN'
+            ]);
+            return;
+        }
+        
+        // The license limits slots of a day, not of today
+        $dailyUsage = getDailySlotUsage($slotManager, $warehouse, $input['slot_date']);
+        if ($dailyUsage && !$dailyUsage['allowed']) {
+            http_response_code(403);
+            echo json_encode([
+                'error' => 'Usage limit exceeded',
+                'code' => 'USAGE_LIMIT_EXCEEDED',
+                'limit_type' => 'slots_per_day',
+                'errors' => [formatDailySlotLimit($dailyUsage, $input['slot_date'])]
+            ]);
+            return;
+        }
+        
         // Add created_by
         $input['created_by'] = $current_user['user_id'];
         
@@ -295,6 +426,8 @@ function handleCreateSlot($slotManager, $current_user) {
                 'slot_time' => $input['slot_time_start'] . '-' . $input['slot_time_end']
             ]);
             
+            $eventManager->publish('slot', $result['slot_id'], 'created', $slotManager->getSlotById($result['slot_id']));
+            
             echo json_encode([
                 'success' => true,
                 'slot_id' => $result['slot_id'],
@@ -320,10 +453,76 @@ function handleCreateSlot($slotManager, $current_user) {
     }
 }
 
+/**
+ * Handle slots file import, the preview checks the rows without creating anything
+ *
+ * Import creates the valid rows of a batch, rows that fail are returned with their errors
+ */
+function handleImportSlots($importManager, $slotManager, $eventManager, $current_user, $input) {
+    $rows = $input['rows'] ?? null;
+    if (!is_array($rows) || empty($rows) || count($rows) > ImportManager::MAX_ROWS) {
+        http_response_code(400);
+        echo json_encode([
+            'error' => 'Import needs 1 to ' . ImportManager::MAX_ROWS . ' rows',
+            'code' => 'INVALID_IMPORT_ROWS'
+        ]);
+        return;
+    }
+    
+    // Super admin may import into warehouses of any company
+    if ($current_user['user_type'] === 'super_admin') {
+        $companyId = $input['company_id'] ?? null;
+    } else {
+        $companyId = $current_user['company_id'];
+    }
+    
+    // The license limits slots per day of each company, shared warehouses have no limit
+    $dailyLimits = [];
+    foreach ($importManager->getSlotRowCompanies($rows, $companyId) as $rowCompanyId) {
+        $dailyLimits[$rowCompanyId] = getDailySlotLimit($rowCompanyId);
+    }
+    
+    if ($input['action'] === 'preview_import') {
+        $results = $importManager->checkSlotRows($rows, $companyId, $current_user, $dailyLimits);
+        
+        echo json_encode([
+            'success' => true,
+            'rows' => $results,
+            'summary' => $importManager->summarize($results)
+        ]);
+        return;
+    }
+    
+    $results = $importManager->importSlots($rows, $companyId, $current_user, $dailyLimits);
+    $created = [];
+    
+    foreach ($results as $result) {
+        if ($result['created']) {
+            $created[] = $result['slot_id'];
+            $eventManager->publish('slot', $result['slot_id'], 'created', $slotManager->getSlotById($result['slot_id']));
+        }
+    }
+    
+    if (!empty($created)) {
+        logUserActivity($current_user['user_id'], 'slots_imported', [
+            'count' => count($created),
+            'slot_ids' => $created
+        ]);
+    }
+    
+    echo json_encode([
+        'success' => true,
+        'rows' => $results,
+        'summary' => $importManager->summarize($results),
+        'created' => count($created),
+        'message' => 'Slots imported'
+    ]);
+}
+
 /**
  * Handle PUT requests - update slot
  */
-function handleUpdateSlot($slotManager, $current_user) {
+function handleUpdateSlot($slotManager, $eventManager, $current_user) {
     try {
         // Get and validate input
         $input = json_decode(file_get_contents('php://input'), true);
@@ -350,24 +549,9 @@ function handleUpdateSlot($slotManager, $current_user) {
         }
         
         // Check permissions
-        $can_update = false;
-        
-        if ($current_user['user_type'] === 'super_admin') {
-            $can_update = true;
-        } elseif (in_array($current_user['user_type'], ['admin', 'logistics'])) {
-            // Check if slot belongs to user's company warehouse
-            $warehouse_query = "SELECT company_id FROM warehouses WHERE id = :warehouse_id";
-            $warehouse_stmt = $slotManager->db->prepare($warehouse_query);
-            $warehouse_stmt->bindParam(':warehouse_id', $targetSlot['warehouse_id']);
-            $warehouse_stmt->execute();
-            $warehouse = $warehouse_stmt->fetch();
-            
-            if ($warehouse && $warehouse['company_id'] == $current_user['company_id']) {
-                $can_update = true;
-            }
-        }
+        $warehouse = $slotManager->getWarehouse($targetSlot['warehouse_id']);
         
-        if (!$can_update) {
+        if (!$warehouse || !canManageSlots($current_user, $warehouse)) {
             http_response_code(403);
             echo json_encode([
                 'error' => 'You cannot update this slot',
@@ -394,6 +578,38 @@ function handleUpdateSlot($slotManager, $current_user) {
                     return;
             }
         } else {
+            // Moving to another warehouse needs the right to that one too
+            $newWarehouse = $warehouse;
+            if (!empty($input['warehouse_id']) && $input['warehouse_id'] != $targetSlot['warehouse_id']) {
+                $newWarehouse = $slotManager->getWarehouse($input['warehouse_id']);
+                
+                if (!$newWarehouse || !canManageSlots($current_user, $newWarehouse)) {
+                    http_response_code(403);
+                    echo json_encode([
+                        'error' => 'You cannot move slots to this warehouse',
+                        'code' => 'UPDATE_SLOT_FORBIDDEN'
+                    ]);
+                    return;
+                }
+            }
+            
+            // A slot moved to another day counts against that day's limit
+            $newDate = $input['slot_date'] ?? $targetSlot['slot_date'];
+            if ($newDate !== $targetSlot['slot_date'] || $newWarehouse['company_id'] != $warehouse['company_id']) {
+                $dailyUsage = getDailySlotUsage($slotManager, $newWarehouse, $newDate, $slotId);
+                
+                if ($dailyUsage && !$dailyUsage['allowed']) {
+                    http_response_code(403);
+                    echo json_encode([
+                        'error' => 'Usage limit exceeded',
+                        'code' => 'USAGE_LIMIT_EXCEEDED',
+                        'limit_type' => 'slots_per_day',
+                        'errors' => [formatDailySlotLimit($dailyUsage, $newDate)]
+                    ]);
+                    return;
+                }
+            }
+            
             // Regular update
             $result = $slotManager->updateSlot($slotId, $input);
         }
@@ -406,6 +622,9 @@ function handleUpdateSlot($slotManager, $current_user) {
                 'changes' => $input
             ]);
             
+            $eventActions = ['block' => 'blocked', 'unblock' => 'unblocked'];
+            $eventManager->publish('slot', $slotId, $eventActions[$input['action'] ?? ''] ?? 'updated', $slotManager->getSlotById($slotId));
+            
             echo json_encode([
                 'success' => true,
                 'message' => 'Slot was updated successfully'
@@ -433,7 +652,7 @@ function handleUpdateSlot($slotManager, $current_user) {
 /**
  * Handle DELETE requests - delete slot
  */
-function handleDeleteSlot($slotManager, $current_user) {
+function handleDeleteSlot($slotManager, $eventManager, $current_user) {
     try {
         // Check permissions
         requirePermission($current_user['user_type'], 'slots', 'delete');
@@ -462,11 +681,7 @@ function handleDeleteSlot($slotManager, $current_user) {
         
         // Check company access for non-super-admin users
         if ($current_user['user_type'] !== 'super_admin') {
-            $warehouse_query = "SELECT company_id FROM warehouses WHERE id = :warehouse_id";
-            $warehouse_stmt = $slotManager->db->prepare($warehouse_query);
-            $warehouse_stmt->bindParam(':warehouse_id', $targetSlot['warehouse_id']);
-            $warehouse_stmt->execute();
-            $warehouse = $warehouse_stmt->fetch();
+            $warehouse = $slotManager->getWarehouse($targetSlot['warehouse_id']);
             
             if (!$warehouse || $warehouse['company_id'] != $current_user['company_id']) {
                 http_response_code(403);
@@ -489,6 +704,8 @@ function handleDeleteSlot($slotManager, $current_user) {
                 'slot_date' => $targetSlot['slot_date']
             ]);
             
+            $eventManager->publish('slot', $slotId, 'deleted', $targetSlot);
+            
             echo json_encode([
                 'success' => true,
                 'message' => 'Slot was deleted successfully'
@@ -511,4 +728,30 @@ function handleDeleteSlot($slotManager, $current_user) {
             'message' => $e->getMessage()
         ]);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Slots of the warehouse company on the date against its license,
+ * null for shared warehouses which no license limits
+ */
+function getDailySlotUsage($slotManager, $warehouse, $date, $excludeSlotId = null) {
+    if (empty($warehouse['company_id'])) {
+        return null;
+    }
+    
+    $count = $slotManager->countSlotsOnDate($warehouse['company_id'], $date, $excludeSlotId);
+    $limit = getDailySlotLimit($warehouse['company_id']);
+    
+    return [
+        'count' => $count,
+        'limit' => $limit,
+        'allowed' => $count < $limit
+    ];
+}
+
+/**
+ * Message of a reached daily slot limit
+ */
+function formatDailySlotLimit($usage, $date) {
+    return 'Licence povoluje nejvýše ' . $usage['limit'] . ' slotů denně, ' . date('j. n. Y', strtotime($date)) . ' jich je již ' . $usage['count'];
+}
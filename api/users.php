@@ -93,6 +93,7 @@ function handleGetUsers($user, $current_user) {
         $page = max(1, intval($_GET['page'] ?? 1));
         $limit = min(100, max(1, intval($_GET['limit'] ?? 20)));
         $search = $_GET['search'] ?? '';
+        $is_active = $_GET['is_active'] ?? '';
         
         // Determine which company's users to show
         if ($current_user['user_type'] === 'super_admin') {
@@ -101,57 +102,20 @@ function handleGetUsers($user, $current_user) {
             $target_company_id = $current_user['company_id']; // Only own company
         }
         
-        // Build query
-        $where_conditions = [];
-        $params = [];
-        
-        if ($target_company_id) {
-            $where_conditions[] = "u.company_id = :company_id";
-            $params[':company_id'] = $target_company_id;
-        }
-        
-        if ($user_type) {
-            $where_conditions[] = "u.user_type = :user_type";
-            $params[':user_type'] = $user_type;
-        }
-        
-        if ($search) {
-            $where_conditions[] = "(u.full_name LIKE :search OR u.email LIKE :search)";
-            $params[':search'] = "%{$search}%";
-        }
-        
-        $where_clause = !empty($where_conditions) ? 'WHERE ' . implode(' AND ', $where_conditions) : '';
-        
-        // Get total count
-        $count_query = "SELECT COUNT(*) FROM users u $where_clause";
-        $stmt = $user->db->prepare($count_query);
-        foreach ($params as $key => $value) {
-            $stmt->bindValue($key, $value);
-        }
-        $stmt->execute();
-        $total_count = $stmt->fetchColumn();
-        
         // Get users
-        $offset = ($page - 1) * $limit;
-        $query = "SELECT u.id, u.company_id, u.email, u.full_name, u.phone, u.user_type, 
-                        u.is_active, u.avatar_url, u.language, u.timezone, u.last_login,
-                        u.driver_license_number, u.driver_license_expires, u.notes,
-                        u.created_at, u.updated_at, c.name as company_name
-                 FROM users u 
-                 LEFT JOIN companies c ON u.company_id = c.id
-                 $where_clause
-                 ORDER BY u.created_at DESC
-                 LIMIT :limit OFFSET :offset";
-        
-        $stmt = $user->db->prepare($query);
-        foreach ($params as $key => $value) {
-            $stmt->bindValue($key, $value);
+        $result = $user->getUsers([
+            'company_id' => $target_company_id,
+            'user_type' => $user_type,
+            'search' => $search,
+            'is_active' => $is_active
+        ], $page, $limit);
+        
+        if ($result === false) {
+            throw new Exception('Failed to load users');
         }
-        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
-        $stmt->bindValue(':offset', $offset, PDO::PARAM_INT);
-        $stmt->execute();
         
-        $users = $stmt->fetchAll();
+        $users = $result['users'];
+        $total_count = $result['total'];
         
         // Add user statistics
         foreach ($users as &$user_data) {
@@ -170,7 +134,8 @@ function handleGetUsers($user, $current_user) {
             'filters' => [
                 'user_type' => $user_type,
                 'company_id' => $target_company_id,
-                'search' => $search
+                'search' => $search,
+                'is_active' => $is_active
             ]
         ]);
         
@@ -380,8 +345,30 @@ function handleUpdateUser($user, $current_user) {
             }
         }
         
+        // Profile update replaces all profile fields, keep the ones that were not sent
+        $profile_fields = ['full_name', 'phone', 'language', 'timezone', 'driver_license_number', 'driver_license_expires', 'notes'];
+        $profile_data = array_intersect_key($update_data, array_flip($profile_fields));
+        $account_data = array_intersect_key($update_data, array_flip(['user_type', 'is_active']));
+        
+        // Cannot deactivate self
+        if (isset($account_data['is_active']) && !$account_data['is_active'] && $current_user['user_id'] == $user_id) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'You cannot deactivate your own account',
+                'code' => 'CANNOT_DEACTIVATE_SELF'
+            ]);
+            return;
+        }
+        
         // Update user
-        $result = $user->updateProfile($user_id, $update_data);
+        $result = ['success' => true];
+        if (!empty($profile_data)) {
+            $current_profile = array_intersect_key($target_user, array_flip($profile_fields));
+            $result = $user->updateProfile($user_id, array_merge($current_profile, $profile_data));
+        }
+        if ($result['success'] && !empty($account_data)) {
+            $result = $user->updateAccount($user_id, $account_data);
+        }
         
         if ($result['success']) {
             // Log user update
@@ -460,11 +447,9 @@ function handleDeleteUser($user, $current_user) {
         }
         
         // Soft delete user (deactivate)
-        $query = "UPDATE users SET is_active = 0, updated_at = NOW() WHERE id = :user_id";
-        $stmt = $user->db->prepare($query);
-        $stmt->bindParam(':user_id', $user_id);
+        $result = $user->updateAccount($user_id, ['is_active' => 0]);
         
-        if ($stmt->execute()) {
+        if ($result['success']) {
             // Log user deletion
             logUserActivity($current_user['user_id'], 'user_deleted', [
                 'deleted_user_id' => $user_id,
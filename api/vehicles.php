@@ -0,0 +1,325 @@
+<?php
+/**
+ * Vehicles API Endpoint
+ * Logistic CRM System
+ *
+ * Handles vehicle management operations
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/VehicleManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Authenticate user
+    $current_user = authenticate();
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $vehicleManager = new VehicleManager($db);
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    switch ($_SERVER['REQUEST_METHOD']) {
+        case 'GET':
+            handleGetVehicles($vehicleManager, $current_user);
+            break;
+        
+        case 'POST':
+            handleCreateVehicle($vehicleManager, $current_user);
+            break;
+        
+        case 'PUT':
+            handleUpdateVehicle($vehicleManager, $current_user);
+            break;
+        
+        case 'DELETE':
+            handleDeactivateVehicle($vehicleManager, $current_user);
+            break;
+        
+        default:
+            http_response_code(405);
+            echo json_encode([
+                'error' => 'Method not allowed',
+                'code' => 'METHOD_NOT_ALLOWED'
+            ]);
+            break;
+    }
+
+} catch (Exception $e) {
+    error_log("Vehicles API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Server error',
+        'code' => 'SERVER_ERROR',
+        'message' => $e->getMessage()
+    ]);
+}
+
+/**
+ * Handle GET requests - list vehicles
+ */
+function handleGetVehicles($vehicleManager, $current_user) {
+    try {
+        // Check permissions
+        requirePermission($current_user['user_type'], 'vehicles', 'read');
+        
+        // Get query parameters
+        $page = max(1, intval($_GET['page'] ?? 1));
+        $limit = min(100, max(1, intval($_GET['limit'] ?? 20)));
+        
+        $filters = [];
+        if (isset($_GET['is_active']) && $_GET['is_active'] !== '') {
+            $filters['is_active'] = $_GET['is_active'] === '1';
+        }
+        if (!empty($_GET['type'])) {
+            $filters['type'] = $_GET['type'];
+        }
+        if (!empty($_GET['search'])) {
+            $filters['search'] = $_GET['search'];
+        }
+        
+        // Determine which company's vehicles to show
+        if ($current_user['user_type'] === 'super_admin') {
+            $companyId = $_GET['company_id'] ?? null;
+        } else {
+            $companyId = $current_user['company_id'];
+        }
+        
+        $result = $vehicleManager->getVehicles($companyId, $filters, $page, $limit);
+        
+        echo json_encode([
+            'success' => true,
+            'vehicles' => $result['vehicles'],
+            'pagination' => $result['pagination'],
+            'filters' => array_merge($filters, ['company_id' => $companyId])
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Get vehicles error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to get vehicles',
+            'code' => 'GET_VEHICLES_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle POST requests - create vehicle
+ */
+function handleCreateVehicle($vehicleManager, $current_user) {
+    try {
+        // Check permissions
+        requirePermission($current_user['user_type'], 'vehicles', 'create');
+        
+        // Get and validate input
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input) {
+            throw new Exception('Invalid JSON input');
+        }
+        
+        if (empty($input['license_plate'])) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => "Field 'license_plate' is required",
+                'code' => 'MISSING_REQUIRED_FIELD'
+            ]);
+            return;
+        }
+        
+        // Set company_id, super admin may create vehicles for any company
+        if ($current_user['user_type'] !== 'super_admin' || !isset($input['company_id'])) {
+            $input['company_id'] = $current_user['company_id'];
+        }
+        
+        $result = $vehicleManager->createVehicle($input);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'vehicle_created', [
+                'vehicle_id' => $result['vehicle_id'],
+                'license_plate' => $input['license_plate']
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'vehicle_id' => $result['vehicle_id'],
+                'message' => 'Vehicle was created successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Vehicle creation failed',
+                'code' => 'VEHICLE_CREATION_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Create vehicle error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to create vehicle',
+            'code' => 'CREATE_VEHICLE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle PUT requests - update vehicle
+ */
+function handleUpdateVehicle($vehicleManager, $current_user) {
+    try {
+        // Check permissions
+        requirePermission($current_user['user_type'], 'vehicles', 'update');
+        
+        // Get and validate input
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input || !isset($input['vehicle_id'])) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Vehicle ID is required',
+                'code' => 'MISSING_VEHICLE_ID'
+            ]);
+            return;
+        }
+        
+        $vehicleId = intval($input['vehicle_id']);
+        
+        $vehicle = $vehicleManager->getVehicleById($vehicleId);
+        if (!$vehicle) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Vehicle not found',
+                'code' => 'VEHICLE_NOT_FOUND'
+            ]);
+            return;
+        }
+        
+        // Check company access
+        if ($current_user['user_type'] !== 'super_admin') {
+            requireCompanyAccess($current_user, $vehicle['company_id']);
+        }
+        
+        $update_data = array_intersect_key($input, array_flip(['license_plate', 'type', 'capacity', 'is_active']));
+        $result = $vehicleManager->updateVehicle($vehicleId, $update_data);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'vehicle_updated', [
+                'vehicle_id' => $vehicleId,
+                'changes' => $update_data
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'message' => 'Vehicle was updated successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Vehicle update failed',
+                'code' => 'VEHICLE_UPDATE_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Update vehicle error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to update vehicle',
+            'code' => 'UPDATE_VEHICLE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle DELETE requests - deactivate vehicle
+ */
+function handleDeactivateVehicle($vehicleManager, $current_user) {
+    try {
+        // Check permissions
+        requirePermission($current_user['user_type'], 'vehicles', 'update');
+        
+        $vehicleId = intval($_GET['vehicle_id'] ?? 0);
+        if (!$vehicleId) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Vehicle ID is required',
+                'code' => 'MISSING_VEHICLE_ID'
+            ]);
+            return;
+        }
+        
+        $vehicle = $vehicleManager->getVehicleById($vehicleId);
+        if (!$vehicle) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => 'Vehicle not found',
+                'code' => 'VEHICLE_NOT_FOUND'
+            ]);
+            return;
+        }
+        
+        // Check company access
+        if ($current_user['user_type'] !== 'super_admin') {
+            requireCompanyAccess($current_user, $vehicle['company_id']);
+        }
+        
+        $result = $vehicleManager->deactivateVehicle($vehicleId);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'vehicle_deactivated', [
+                'vehicle_id' => $vehicleId,
+                'license_plate' => $vehicle['license_plate']
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'message' => 'Vehicle was deactivated successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Vehicle deactivation failed',
+                'code' => 'VEHICLE_DEACTIVATION_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Deactivate vehicle error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to deactivate vehicle',
+            'code' => 'DEACTIVATE_VEHICLE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
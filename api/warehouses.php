@@ -0,0 +1,445 @@
+<?php
+/**
+ * Warehouses API Endpoint
+ * Logistic CRM System
+ *
+ * Handles warehouse and warehouse zone management operations
+ */
+
+// Session and headers
+if (session_status() === PHP_SESSION_NONE) {
+    session_start();
+}
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: ' . ($_SERVER['HTTP_ORIGIN'] ?? '*'));
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, X-CSRF-Token');
+header('Access-Control-Allow-Credentials: true');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+try {
+    // Include required files
+    require_once __DIR__ . '/../config/database.php';
+    require_once __DIR__ . '/../classes/WarehouseManager.php';
+    require_once __DIR__ . '/../middleware/auth.php';
+    require_once __DIR__ . '/../middleware/license_check.php';
+    
+    // Authenticate user
+    $current_user = authenticate();
+    
+    // Database connection
+    $database = new Database();
+    $db = $database->connect();
+    $warehouseManager = new WarehouseManager($db);
+    
+    // Check license for company users
+    if ($current_user['company_id']) {
+        licenseRequiredMiddleware($current_user['company_id']);
+    }
+    
+    switch ($_SERVER['REQUEST_METHOD']) {
+        case 'GET':
+            handleGetWarehouses($warehouseManager, $current_user);
+            break;
+        
+        case 'POST':
+            handleCreateWarehouse($warehouseManager, $current_user);
+            break;
+        
+        case 'PUT':
+            handleUpdateWarehouse($warehouseManager, $current_user);
+            break;
+        
+        case 'DELETE':
+            handleDeactivateWarehouse($warehouseManager, $current_user);
+            break;
+        
+        default:
+            http_response_code(405);
+            echo json_encode([
+                'error' => 'Method not allowed',
+                'code' => 'METHOD_NOT_ALLOWED'
+            ]);
+            break;
+    }
+
+} catch (Exception $e) {
+    error_log("Warehouses API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'error' => 'Server error',
+        'code' => 'SERVER_ERROR',
+        'message' => $e->getMessage()
+    ]);
+}
+
+/**
+ * Handle GET requests - list warehouses or get single warehouse
+ */
+function handleGetWarehouses($warehouseManager, $current_user) {
+    try {
+        // Check permissions
+        requirePermission($current_user['user_type'], 'warehouses', 'read');
+        
+        // Super admin sees all warehouses, others their company's and shared ones
+        $companyId = $current_user['user_type'] === 'super_admin' ? ($_GET['company_id'] ?? null) : $current_user['company_id'];
+        
+        // Utilization for dashboard
+        if (($_GET['action'] ?? null) === 'utilization') {
+            $date = $_GET['date'] ?? date('Y-m-d');
+            
+            echo json_encode([
+                'success' => true,
+                'date' => $date,
+                'warehouses' => $warehouseManager->getUtilization($companyId, $date)
+            ]);
+            return;
+        }
+        
+        // Single warehouse
+        if (isset($_GET['warehouse_id'])) {
+            $warehouse = $warehouseManager->getWarehouseById(intval($_GET['warehouse_id']));
+            
+            if (!$warehouse || !canAccessWarehouse($current_user, $warehouse)) {
+                http_response_code(404);
+                echo json_encode([
+                    'error' => 'Warehouse not found',
+                    'code' => 'WAREHOUSE_NOT_FOUND'
+                ]);
+                return;
+            }
+            
+            echo json_encode([
+                'success' => true,
+                'warehouse' => $warehouse
+            ]);
+            return;
+        }
+        
+        // Filters
+        $filters = [];
+        if (isset($_GET['is_active']) && $_GET['is_active'] !== '') {
+            $filters['is_active'] = $_GET['is_active'] === '1';
+        } elseif (!isset($_GET['include_inactive'])) {
+            // Selectors only offer active warehouses
+            $filters['is_active'] = true;
+        }
+        if (!empty($_GET['search'])) {
+            $filters['search'] = $_GET['search'];
+        }
+        if (isset($_GET['include_inactive'])) {
+            $filters['include_inactive_zones'] = true;
+        }
+        
+        $warehouses = $warehouseManager->getWarehouses($companyId, $filters);
+        
+        echo json_encode([
+            'success' => true,
+            'warehouses' => $warehouses,
+            'filters' => [
+                'is_active' => $filters['is_active'] ?? null,
+                'search' => $filters['search'] ?? '',
+                'company_id' => $companyId
+            ]
+        ]);
+    
+    } catch (Exception $e) {
+        error_log("Get warehouses error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to get warehouses',
+            'code' => 'GET_WAREHOUSES_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle POST requests - create warehouse or zone
+ */
+function handleCreateWarehouse($warehouseManager, $current_user) {
+    try {
+        // Get and validate input
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input) {
+            throw new Exception('Invalid JSON input');
+        }
+        
+        // Create zone in existing warehouse
+        if (($input['action'] ?? null) === 'create_zone') {
+            requirePermission($current_user['user_type'], 'warehouses', 'update');
+            
+            $warehouse = $warehouseManager->getWarehouseById(intval($input['warehouse_id'] ?? 0));
+            if (!$warehouse) {
+                http_response_code(404);
+                echo json_encode([
+                    'error' => 'Warehouse not found',
+                    'code' => 'WAREHOUSE_NOT_FOUND'
+                ]);
+                return;
+            }
+            requireWarehouseAccess($current_user, $warehouse);
+            
+            $result = $warehouseManager->createZone($warehouse['id'], $input);
+            
+            if ($result['success']) {
+                logUserActivity($current_user['user_id'], 'zone_created', [
+                    'zone_id' => $result['zone_id'],
+                    'warehouse_id' => $warehouse['id']
+                ]);
+                
+                echo json_encode([
+                    'success' => true,
+                    'zone_id' => $result['zone_id'],
+                    'message' => 'Zone was created successfully'
+                ]);
+            } else {
+                http_response_code(400);
+                echo json_encode([
+                    'error' => 'Zone creation failed',
+                    'code' => 'ZONE_CREATION_FAILED',
+                    'errors' => $result['errors']
+                ]);
+            }
+            return;
+        }
+        
+        // Check permissions
+        requirePermission($current_user['user_type'], 'warehouses', 'create');
+        
+        // Validate required fields
+        if (empty($input['name'])) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => "Field 'name' is required",
+                'code' => 'MISSING_REQUIRED_FIELD'
+            ]);
+            return;
+        }
+        
+        // Set company_id
+        if ($current_user['user_type'] === 'super_admin') {
+            $input['company_id'] = $input['company_id'] ?? null;
+        } else {
+            $input['company_id'] = $current_user['company_id'];
+        }
+        
+        $result = $warehouseManager->createWarehouse($input);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], 'warehouse_created', [
+                'warehouse_id' => $result['warehouse_id'],
+                'name' => $input['name']
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'warehouse_id' => $result['warehouse_id'],
+                'message' => 'Warehouse was created successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Warehouse creation failed',
+                'code' => 'WAREHOUSE_CREATION_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Create warehouse error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to create warehouse',
+            'code' => 'CREATE_WAREHOUSE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle PUT requests - update warehouse or zone
+ */
+function handleUpdateWarehouse($warehouseManager, $current_user) {
+    try {
+        // Check permissions
+        requirePermission($current_user['user_type'], 'warehouses', 'update');
+        
+        // Get and validate input
+        $input = json_decode(file_get_contents('php://input'), true);
+        if (!$input || (!isset($input['warehouse_id']) && !isset($input['zone_id']))) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Warehouse ID or zone ID is required',
+                'code' => 'MISSING_WAREHOUSE_ID'
+            ]);
+            return;
+        }
+        
+        // Zone update
+        if (isset($input['zone_id'])) {
+            $zoneId = intval($input['zone_id']);
+            $zone = $warehouseManager->getZoneById($zoneId);
+            $warehouse = $zone ? $warehouseManager->getWarehouseById($zone['warehouse_id']) : null;
+            
+            if (!$zone || !$warehouse) {
+                http_response_code(404);
+                echo json_encode([
+                    'error' => 'Zone not found',
+                    'code' => 'ZONE_NOT_FOUND'
+                ]);
+                return;
+            }
+            requireWarehouseAccess($current_user, $warehouse);
+            
+            $result = $warehouseManager->updateZone($zoneId, array_intersect_key($input, array_flip(['name', 'capacity', 'is_active'])));
+            $entity = ['zone_id' => $zoneId, 'warehouse_id' => $warehouse['id']];
+        } else {
+            $warehouseId = intval($input['warehouse_id']);
+            $warehouse = $warehouseManager->getWarehouseById($warehouseId);
+            
+            if (!$warehouse) {
+                http_response_code(404);
+                echo json_encode([
+                    'error' => 'Warehouse not found',
+                    'code' => 'WAREHOUSE_NOT_FOUND'
+                ]);
+                return;
+            }
+            requireWarehouseAccess($current_user, $warehouse);
+            
+            $result = $warehouseManager->updateWarehouse($warehouseId, array_intersect_key($input, array_flip(['name', 'address', 'capacity', 'is_active'])));
+            $entity = ['warehouse_id' => $warehouseId];
+        }
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], isset($input['zone_id']) ? 'zone_updated' : 'warehouse_updated', array_merge($entity, [
+                'changes' => $input
+            ]));
+            
+            echo json_encode([
+                'success' => true,
+                'message' => isset($input['zone_id']) ? 'Zone was updated successfully' : 'Warehouse was updated successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Warehouse update failed',
+                'code' => 'WAREHOUSE_UPDATE_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Update warehouse error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to update warehouse',
+            'code' => 'UPDATE_WAREHOUSE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handle DELETE requests - deactivate warehouse or zone
+ */
+function handleDeactivateWarehouse($warehouseManager, $current_user) {
+    try {
+        // Deactivation keeps history, so update permission is enough
+        requirePermission($current_user['user_type'], 'warehouses', 'update');
+        
+        $warehouseId = intval($_GET['warehouse_id'] ?? 0);
+        $zoneId = intval($_GET['zone_id'] ?? 0);
+        
+        if (!$warehouseId && !$zoneId) {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Warehouse ID or zone ID is required',
+                'code' => 'MISSING_WAREHOUSE_ID'
+            ]);
+            return;
+        }
+        
+        if ($zoneId) {
+            $zone = $warehouseManager->getZoneById($zoneId);
+            $warehouseId = $zone ? $zone['warehouse_id'] : 0;
+        }
+        
+        $warehouse = $warehouseManager->getWarehouseById($warehouseId);
+        if (!$warehouse) {
+            http_response_code(404);
+            echo json_encode([
+                'error' => $zoneId ? 'Zone not found' : 'Warehouse not found',
+                'code' => $zoneId ? 'ZONE_NOT_FOUND' : 'WAREHOUSE_NOT_FOUND'
+            ]);
+            return;
+        }
+        requireWarehouseAccess($current_user, $warehouse);
+        
+        $result = $zoneId
+            ? $warehouseManager->deactivateZone($zoneId)
+            : $warehouseManager->deactivateWarehouse($warehouseId);
+        
+        if ($result['success']) {
+            logUserActivity($current_user['user_id'], $zoneId ? 'zone_deactivated' : 'warehouse_deactivated', [
+                'warehouse_id' => $warehouseId,
+                'zone_id' => $zoneId ?: null
+            ]);
+            
+            echo json_encode([
+                'success' => true,
+                'message' => $zoneId ? 'Zone was deactivated successfully' : 'Warehouse was deactivated successfully'
+            ]);
+        } else {
+            http_response_code(400);
+            echo json_encode([
+                'error' => 'Warehouse deactivation failed',
+                'code' => 'WAREHOUSE_DEACTIVATION_FAILED',
+                'errors' => $result['errors']
+            ]);
+        }
+    
+    } catch (Exception $e) {
+        error_log("Deactivate warehouse error: " . $e->getMessage());
+        http_response_code(500);
+        echo json_encode([
+            'error' => 'Failed to deactivate warehouse',
+            'code' => 'DEACTIVATE_WAREHOUSE_FAILED',
+            'message' => $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Check if user can see warehouse, shared warehouses have no company
+ */
+function canAccessWarehouse($current_user, $warehouse) {
+    return $current_user['user_type'] === 'super_admin'
+        || empty($warehouse['company_id'])
+        || $warehouse['company_id'] == $current_user['company_id'];
+}
+
+/**
+ * Require right to modify warehouse or respond 403, shared warehouses are managed by super admin
+ */
+function requireWarehouseAccess($current_user, $warehouse) {
+    if ($current_user['user_type'] === 'super_admin') {
+        return;
+    }
+    
+    if (empty($warehouse['company_id']) || $warehouse['company_id'] != $current_user['company_id']) {
+        http_response_code(403);
+        echo json_encode([
+            'error' => 'You cannot modify this warehouse',
+            'code' => 'WAREHOUSE_ACCESS_DENIED'
+        ]);
+        exit;
+    }
+}
@@ -0,0 +1,597 @@
+/**
+ * API Client
+ * Logistic CRM System
+ *
+ * Shared HTTP client with CSRF headers, retries, timeouts, session handling
+ * and a GET response cache
+ */
+
+class ApiError extends Error {
+    constructor(message, { status = 0, code = null, errors = [], fieldErrors = {}, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.errors = errors;
+        // Messages keyed by the input field they belong to
+        this.fieldErrors = fieldErrors;
+        this.data = data;
+    }
+
+    /**
+     * Network failures and timeouts are worth retrying, server answers are not
+     */
+    get isRetryable() {
+        return this.status === 0 && this.code !== 'ABORTED';
+    }
+    
+    /**
+     * Request did not reach the server. A timed out mutation may have been
+     * applied already, so only these are sent again
+     */
+    get isNetworkError() {
+        return this.code === 'NETWORK_ERROR';
+    }
+}
+
+class ApiClient {
+    constructor(options = {}) {
+        this.config = {
+            apiBase: 'api',
+            timeout: 30 * 1000, // 30 seconds
+            maxRetries: 3,
+            retryDelay: 1000,
+            // Cache lifetime per endpoint, endpoints not listed are not cached
+            cacheTtl: {
+                'dashboard/stats': 60 * 1000,
+                'notifications.php': 60 * 1000,
+                'warehouses.php': 5 * 60 * 1000,
+                'users.php': 60 * 1000
+            },
+            // How long an expired entry may still be served while it is refreshed
+            cacheMaxStale: 5 * 60 * 1000,
+            // Resources whose cached data changes together with the mutated resource
+            cacheDependencies: {
+                bookings: ['dashboard', 'slots', 'warehouses'],
+                slots: ['dashboard', 'warehouses', 'bookings'],
+                users: ['dashboard'],
+                warehouses: ['dashboard', 'slots'],
+                vehicles: ['bookings'],
+                'slot-templates': ['dashboard', 'slots', 'warehouses']
+            },
+            ...options
+        };
+
+        // Cached GET responses keyed by URL
+        this.cache = new Map();
+        this.pendingRequests = new Map();
+        this.cacheGenerations = new Map();
+        
+        // Hooks set by the application
+        this.onUnauthorized = null;
+        this.onRateLimit = null;
+        this.offlineQueue = null;
+
+        this.bookings = this.createBookingsResource();
+        this.slots = this.createSlotsResource();
+        this.users = this.createUsersResource();
+        this.warehouses = this.createWarehousesResource();
+        this.vehicles = this.createVehiclesResource();
+        this.notifications = this.createNotificationsResource();
+        this.filterPresets = this.createFilterPresetsResource();
+        this.calendarFeed = this.createCalendarFeedResource();
+        this.slotTemplates = this.createSlotTemplatesResource();
+    }
+
+    /**
+     * Perform API request
+     *
+     * Options: params (query string object), signal (AbortSignal), timeout,
+     * responseType ('json' | 'blob'), skipAuthHandling, cache (false to bypass,
+     * number to override TTL), mutation (GET request that changes data),
+     * queueable (mutation may be stored in the offline queue), keepalive
+     * (request outlives the page, for requests sent while it unloads)
+     */
+    async request(method, endpoint, data = null, options = {}) {
+        const { params = null, cache = null, mutation = false, queueable = false, responseType = 'json' } = options;
+        const url = this.buildUrl(endpoint, params);
+        const isMutation = method !== 'GET' || mutation;
+        
+        if (!isMutation && responseType === 'json') {
+            const ttl = this.getCacheTtl(endpoint, cache);
+            if (ttl > 0) {
+                return this.cachedRequest(url, endpoint, ttl, options);
+            }
+        }
+        
+        const queue = isMutation && queueable ? this.offlineQueue : null;
+        
+        // Keep mutations in order while older ones are still waiting
+        if (queue && (queue.hasPending() || !navigator.onLine)) {
+            return this.enqueueMutation(method, endpoint, data, params, mutation);
+        }
+        
+        let result;
+        try {
+            result = await this.send(method, url, data, options);
+        } catch (error) {
+            if (queue && error instanceof ApiError && error.isNetworkError) {
+                return this.enqueueMutation(method, endpoint, data, params, mutation);
+            }
+            throw error;
+        }
+        
+        if (isMutation) {
+            this.invalidate(this.getResource(endpoint));
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Store mutation in the offline queue and answer like a successful request
+     */
+    async enqueueMutation(method, endpoint, data, params, mutation) {
+        await this.offlineQueue.enqueue(method, endpoint, data, params, mutation);
+        
+        return {
+            success: true,
+            queued: true,
+            message: 'Jste offline, změna bude odeslána po obnovení připojení'
+        };
+    }
+    
+    /**
+     * Send request over the network
+     */
+    async send(method, url, data = null, options = {}) {
+        const {
+            signal = null,
+            timeout = this.config.timeout,
+            responseType = 'json',
+            skipAuthHandling = false,
+            keepalive = false,
+            retries = 0
+        } = options;
+
+        const requestOptions = {
+            method: method,
+            headers: {
+                'Accept': responseType === 'json' ? 'application/json' : '*/*'
+            },
+            credentials: 'include',
+            keepalive
+        };
+
+        // Add CSRF token for non-GET requests
+        const csrfToken = localStorage.getItem('csrf_token');
+        if (csrfToken && method !== 'GET') {
+            requestOptions.headers['X-CSRF-Token'] = csrfToken;
+        }
+
+        // Add request body for POST/PUT requests
+        if (data && (method === 'POST' || method === 'PUT')) {
+            requestOptions.headers['Content-Type'] = 'application/json';
+            requestOptions.body = JSON.stringify(data);
+        }
+
+        // Timeout and caller cancellation share one controller
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const abortFromCaller = () => controller.abort();
+
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', abortFromCaller, { once: true });
+            }
+        }
+        requestOptions.signal = controller.signal;
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, requestOptions);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw timedOut
+                        ? new ApiError('Požadavek vypršel', { code: 'TIMEOUT' })
+                        : new ApiError('Požadavek byl zrušen', { code: 'ABORTED' });
+                }
+                throw new ApiError('Chyba síťového připojení', { code: 'NETWORK_ERROR' });
+            }
+
+            // Handle authentication errors
+            if (response.status === 401) {
+                const result = await this.parseJson(response);
+                if (!skipAuthHandling && typeof this.onUnauthorized === 'function') {
+                    this.onUnauthorized(result);
+                }
+                throw new ApiError(result?.message || 'Relace vypršela', {
+                    status: 401,
+                    code: result?.code || 'UNAUTHORIZED',
+                    data: result
+                });
+            }
+
+            // Handle rate limiting
+            if (response.status === 429) {
+                const result = await this.parseJson(response);
+                const retryAfter = response.headers.get('Retry-After') || result?.retry_after || 60;
+                if (typeof this.onRateLimit === 'function') {
+                    this.onRateLimit(retryAfter);
+                }
+                throw new ApiError(`Příliš mnoho požadavků. Zkuste to znovu za ${retryAfter} sekund.`, {
+                    status: 429,
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    data: result
+                });
+            }
+
+            if (responseType === 'blob') {
+                if (!response.ok) {
+                    const result = await this.parseJson(response);
+                    throw this.createResponseError(response, result);
+                }
+                return await response.blob();
+            }
+
+            const result = await this.parseJson(response);
+
+            // Handle API errors
+            if (!response.ok) {
+                throw this.createResponseError(response, result);
+            }
+
+            return result;
+
+        } catch (error) {
+            // Retry logic for network errors, mutations only when they did not reach the server
+            const isMutation = method !== 'GET' || options.mutation;
+            const canRetry = error instanceof ApiError && (isMutation ? error.isNetworkError : error.isRetryable);
+            if (canRetry && retries < this.config.maxRetries && !signal?.aborted) {
+                await this.delay(this.config.retryDelay * Math.pow(2, retries));
+                return this.send(method, url, data, { ...options, retries: retries + 1 });
+            }
+
+            throw error;
+
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abortFromCaller);
+            }
+        }
+    }
+
+    /**
+     * Serve GET response from cache, refreshing expired entries
+     */
+    async cachedRequest(url, endpoint, ttl, options) {
+        const entry = this.cache.get(url);
+        const age = entry ? Date.now() - entry.time : Infinity;
+        
+        if (entry && age < ttl) {
+            return entry.data;
+        }
+        
+        // Stale-while-revalidate: answer immediately, refresh in background
+        if (entry && age < ttl + this.config.cacheMaxStale) {
+            this.revalidate(url, endpoint, { ...options, signal: null }).catch(error => {
+                console.warn('Cache revalidation failed:', url, error.message);
+            });
+            return entry.data;
+        }
+        
+        return this.revalidate(url, endpoint, options);
+    }
+    
+    /**
+     * Load fresh data into the cache, sharing one request per URL
+     */
+    revalidate(url, endpoint, options) {
+        // A caller with its own signal must not cancel requests of others
+        const shared = !options.signal;
+        if (shared && this.pendingRequests.has(url)) {
+            return this.pendingRequests.get(url);
+        }
+        
+        const resource = this.getResource(endpoint);
+        const generation = this.cacheGenerations.get(resource) || 0;
+        
+        const promise = this.send('GET', url, null, options)
+            .then(result => {
+                // Skip storing if a mutation invalidated the resource meanwhile
+                const isCurrent = (this.cacheGenerations.get(resource) || 0) === generation;
+                if (isCurrent && result && result.success !== false) {
+                    this.cache.set(url, { data: result, time: Date.now(), resource });
+                }
+                return result;
+            })
+            .finally(() => {
+                if (shared) {
+                    this.pendingRequests.delete(url);
+                }
+            });
+        
+        if (shared) {
+            this.pendingRequests.set(url, promise);
+        }
+        
+        return promise;
+    }
+    
+    /**
+     * Drop cached data of a resource and the resources depending on it
+     */
+    invalidate(resource) {
+        const affected = [resource, ...(this.config.cacheDependencies[resource] || [])];
+        
+        affected.forEach(name => {
+            this.cacheGenerations.set(name, (this.cacheGenerations.get(name) || 0) + 1);
+        });
+        
+        for (const [url, entry] of this.cache) {
+            if (affected.includes(entry.resource)) {
+                this.cache.delete(url);
+            }
+        }
+    }
+    
+    clearCache() {
+        this.cache.clear();
+        this.pendingRequests.clear();
+    }
+    
+    getCacheTtl(endpoint, cacheOption) {
+        if (cacheOption === false) return 0;
+        if (typeof cacheOption === 'number') return cacheOption;
+        
+        return this.config.cacheTtl[endpoint.split('?')[0]] || 0;
+    }
+    
+    /**
+     * Resource name of an endpoint, e.g. 'bookings/upcoming' and 'bookings.php' are 'bookings'
+     */
+    getResource(endpoint) {
+        return endpoint.split(/[/?.]/)[0];
+    }
+    
+    get(endpoint, params = null, options = {}) {
+        return this.request('GET', endpoint, null, { ...options, params });
+    }
+
+    post(endpoint, data, options = {}) {
+        return this.request('POST', endpoint, data, options);
+    }
+
+    put(endpoint, data, options = {}) {
+        return this.request('PUT', endpoint, data, options);
+    }
+
+    delete(endpoint, params = null, options = {}) {
+        return this.request('DELETE', endpoint, null, { ...options, params });
+    }
+
+    /**
+     * Search bookings, drivers, vehicles, warehouses and slots at once
+     */
+    search(query, options = {}) {
+        return this.get('search.php', { q: query }, options);
+    }
+    
+    /**
+     * Build request URL, skipping empty query parameters
+     */
+    buildUrl(endpoint, params) {
+        let url = `${this.config.apiBase}/${endpoint}`;
+
+        if (params) {
+            const query = new URLSearchParams();
+            Object.entries(params).forEach(([key, value]) => {
+                if (value !== null && value !== undefined && value !== '') {
+                    query.append(key, Array.isArray(value) ? value.join(',') : value);
+                }
+            });
+
+            const queryString = query.toString();
+            if (queryString) {
+                url += (url.includes('?') ? '&' : '?') + queryString;
+            }
+        }
+
+        return url;
+    }
+
+    /**
+     * Parse JSON body, tolerating empty or non-JSON responses
+     */
+    async parseJson(response) {
+        const text = await response.text();
+        if (!text) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            if (!response.ok) return null;
+            throw new ApiError('Neplatná odpověď serveru', {
+                status: response.status,
+                code: 'INVALID_RESPONSE'
+            });
+        }
+    }
+
+    createResponseError(response, result) {
+        const errors = Array.isArray(result?.errors) ? result.errors : [];
+        const message = errors[0] || result?.message || result?.error || `API Error: ${response.status}`;
+
+        return new ApiError(message, {
+            status: response.status,
+            code: result?.code || null,
+            errors: errors,
+            fieldErrors: result?.field_errors && !Array.isArray(result.field_errors) ? result.field_errors : {},
+            data: result
+        });
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Resources
+
+    createBookingsResource() {
+        const endpoint = 'bookings.php';
+
+        return {
+            list: (params = {}, options = {}) => this.get(endpoint, params, options),
+            get: (bookingId, options = {}) => this.get(endpoint, { booking_id: bookingId }, options),
+            bySlots: (slotIds, options = {}) => this.get(endpoint, { slot_ids: slotIds }, options),
+            upcoming: (limit = 10, options = {}) => this.get(endpoint, { action: 'upcoming', limit }, options),
+            today: (options = {}) => this.get(endpoint, { action: 'today' }, options),
+            statistics: (params = {}, options = {}) => this.get(endpoint, { action: 'statistics', ...params }, options),
+            create: (data, options = {}) => this.post(endpoint, data, { ...options, queueable: true }),
+            update: (bookingId, data, options = {}) => this.put(endpoint, { ...data, booking_id: bookingId }, { ...options, queueable: true }),
+            approve: (bookingId, options = {}) => this.put(endpoint, { booking_id: bookingId, action: 'approve' }, { ...options, queueable: true }),
+            cancel: (bookingId, reason = null, options = {}) => this.put(endpoint, { booking_id: bookingId, action: 'cancel', reason }, { ...options, queueable: true }),
+            changeStatus: (bookingId, status, note = null, options = {}) => this.put(endpoint, { booking_id: bookingId, action: 'change_status', status, note }, { ...options, queueable: true }),
+            // Series is created online only, its conflicts are previewed first
+            previewSeries: (data, recurrence, options = {}) => this.post(endpoint, { ...data, recurrence, action: 'preview_series' }, options),
+            createSeries: (data, recurrence, options = {}) => this.post(endpoint, { ...data, recurrence, action: 'create_series' }, options),
+            // File import is online only, the whole file is checked before rows are created
+            previewImport: (rows, options = {}) => this.post(endpoint, { rows, action: 'preview_import' }, options),
+            import: (rows, options = {}) => this.post(endpoint, { rows, action: 'import' }, options),
+            updateSeries: (bookingId, data, options = {}) => this.put(endpoint, { ...data, booking_id: bookingId, action: 'update_series' }, { ...options, queueable: true }),
+            cancelSeries: (bookingId, reason = null, options = {}) => this.put(endpoint, { booking_id: bookingId, action: 'cancel_series', reason }, { ...options, queueable: true }),
+            remove: (bookingId, options = {}) => this.delete(endpoint, { booking_id: bookingId }, { ...options, queueable: true }),
+            checkIn: (bookingId, qrCode = null, options = {}) => this.get(endpoint, { action: 'checkin', booking_id: bookingId, qr_code: qrCode }, { ...options, mutation: true, queueable: true }),
+            checkOut: (bookingId, qrCode = null, options = {}) => this.get(endpoint, { action: 'checkout', booking_id: bookingId, qr_code: qrCode }, { ...options, mutation: true, queueable: true }),
+            lookup: (code, options = {}) => this.get(endpoint, { action: 'lookup', code }, { ...options, cache: false }),
+            document: (documentId, options = {}) => this.get(endpoint, { action: 'document', document_id: documentId }, { ...options, responseType: 'blob' }),
+            export: (params = {}, format = 'csv', options = {}) => this.get(endpoint, { export: format, ...params }, { ...options, responseType: 'blob' })
+        };
+    }
+
+    createSlotsResource() {
+        const endpoint = 'slots.php';
+
+        return {
+            list: (params = {}, options = {}) => this.get(endpoint, params, options),
+            today: (warehouseId = null, options = {}) => this.get(endpoint, { action: 'today', warehouse_id: warehouseId }, options),
+            available: (warehouseId, date, slotType = null, options = {}) => this.get(endpoint, { action: 'available', warehouse_id: warehouseId, date, slot_type: slotType }, options),
+            statistics: (params = {}, options = {}) => this.get(endpoint, { action: 'statistics', ...params }, options),
+            check: (data, slotId = null, options = {}) => this.get(endpoint, { action: 'check', ...data, slot_id: slotId }, options),
+            create: (data, options = {}) => this.post(endpoint, data, { ...options, queueable: true }),
+            update: (slotId, data, options = {}) => this.put(endpoint, { ...data, slot_id: slotId }, { ...options, queueable: true }),
+            block: (slotId, reason = null, options = {}) => this.put(endpoint, { slot_id: slotId, action: 'block', reason }, { ...options, queueable: true }),
+            unblock: (slotId, options = {}) => this.put(endpoint, { slot_id: slotId, action: 'unblock' }, { ...options, queueable: true }),
+            previewImport: (rows, options = {}) => this.post(endpoint, { rows, action: 'preview_import' }, options),
+            import: (rows, options = {}) => this.post(endpoint, { rows, action: 'import' }, options),
+            remove: (slotId, options = {}) => this.delete(endpoint, { slot_id: slotId }, { ...options, queueable: true }),
+            export: (params = {}, format = 'csv', options = {}) => this.get(endpoint, { export: format, ...params }, { ...options, responseType: 'blob' })
+        };
+    }
+
+    createUsersResource() {
+        const endpoint = 'users.php';
+
+        return {
+            list: (params = {}, options = {}) => this.get(endpoint, params, options),
+            // Not queueable, the offline queue would keep passwords in IndexedDB
+            create: (data, options = {}) => this.post(endpoint, data, options),
+            update: (userId, data, options = {}) => this.put(endpoint, { ...data, user_id: userId }, options),
+            // Admins may only deactivate, deleting is left to super admin
+            deactivate: (userId, options = {}) => this.put(endpoint, { user_id: userId, is_active: false }, options),
+            activate: (userId, options = {}) => this.put(endpoint, { user_id: userId, is_active: true }, options),
+            remove: (userId, options = {}) => this.delete(endpoint, { user_id: userId }, options)
+        };
+    }
+
+    createWarehousesResource() {
+        const endpoint = 'warehouses.php';
+
+        return {
+            list: (params = {}, options = {}) => this.get(endpoint, params, options),
+            get: (warehouseId, options = {}) => this.get(endpoint, { warehouse_id: warehouseId }, options),
+            utilization: (date = null, options = {}) => this.get(endpoint, { action: 'utilization', date }, options),
+            create: (data, options = {}) => this.post(endpoint, data, { ...options, queueable: true }),
+            update: (warehouseId, data, options = {}) => this.put(endpoint, { ...data, warehouse_id: warehouseId }, { ...options, queueable: true }),
+            deactivate: (warehouseId, options = {}) => this.delete(endpoint, { warehouse_id: warehouseId }, { ...options, queueable: true }),
+            createZone: (warehouseId, data, options = {}) => this.post(endpoint, { ...data, warehouse_id: warehouseId, action: 'create_zone' }, { ...options, queueable: true }),
+            updateZone: (zoneId, data, options = {}) => this.put(endpoint, { ...data, zone_id: zoneId }, { ...options, queueable: true }),
+            deactivateZone: (zoneId, options = {}) => this.delete(endpoint, { zone_id: zoneId }, { ...options, queueable: true })
+        };
+    }
+    
+    createVehiclesResource() {
+        const endpoint = 'vehicles.php';
+        
+        return {
+            list: (params = {}, options = {}) => this.get(endpoint, params, options),
+            create: (data, options = {}) => this.post(endpoint, data, { ...options, queueable: true }),
+            update: (vehicleId, data, options = {}) => this.put(endpoint, { ...data, vehicle_id: vehicleId }, { ...options, queueable: true }),
+            deactivate: (vehicleId, options = {}) => this.delete(endpoint, { vehicle_id: vehicleId }, { ...options, queueable: true })
+        };
+    }
+    
+    createNotificationsResource() {
+        const endpoint = 'notifications.php';
+        
+        return {
+            list: (params = {}, options = {}) => this.get(endpoint, params, options),
+            markRead: (notificationIds, options = {}) => this.put(endpoint, { action: 'mark_read', notification_ids: notificationIds }, { ...options, queueable: true }),
+            markAllRead: (options = {}) => this.put(endpoint, { action: 'mark_all_read' }, { ...options, queueable: true })
+        };
+    }
+    
+    createFilterPresetsResource() {
+        const endpoint = 'filter-presets.php';
+        
+        return {
+            list: (options = {}) => this.get(endpoint, {}, options),
+            create: (data, options = {}) => this.post(endpoint, data, options),
+            update: (presetId, data, options = {}) => this.put(endpoint, { ...data, preset_id: presetId }, options),
+            setDefault: (presetId, options = {}) => this.put(endpoint, { action: 'set_default', preset_id: presetId }, options),
+            remove: (presetId, options = {}) => this.delete(endpoint, { preset_id: presetId }, options)
+        };
+    }
+    
+    createCalendarFeedResource() {
+        const endpoint = 'calendar-feed.php';
+        
+        return {
+            get: (options = {}) => this.get(endpoint, {}, options),
+            // Replaces the URL of an existing subscription
+            regenerate: (options = {}) => this.post(endpoint, {}, options),
+            revoke: (options = {}) => this.delete(endpoint, {}, options)
+        };
+    }
+    
+    createSlotTemplatesResource() {
+        const endpoint = 'slot-templates.php';
+        
+        return {
+            list: (params = {}, options = {}) => this.get(endpoint, params, options),
+            create: (data, options = {}) => this.post(endpoint, data, options),
+            update: (templateId, data, options = {}) => this.put(endpoint, { ...data, template_id: templateId }, options),
+            remove: (templateId, options = {}) => this.delete(endpoint, { template_id: templateId }, options),
+            // Slots the templates would create in the range, nothing is saved
+            preview: (data, options = {}) => this.post(endpoint, { ...data, action: 'preview' }, options),
+            generate: (data, options = {}) => this.post(endpoint, { ...data, action: 'generate' }, options)
+        };
+    }
+}
+
+// Shared client instance, configured by the application on startup
+window.ApiError = ApiError;
+window.api = new ApiClient();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiClient, ApiError };
+}
@@ -10,7 +10,8 @@ class LogisticCRM {
             apiBase: 'api',
             version: '1.0.0',
             sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
-            refreshInterval: 30 * 1000, // 30 seconds
+            refreshInterval: 30 * 1000, // 30 seconds, only while live updates are down
+            notificationsInterval: 5 * 60 * 1000,
             maxRetries: 3,
             retryDelay: 1000
         };
@@ -27,6 +28,72 @@ class LogisticCRM {
             requestQueue: []
         };
         
+        // Shared API client
+        this.api = window.api || new ApiClient({
+            apiBase: this.config.apiBase,
+            maxRetries: this.config.maxRetries,
+            retryDelay: this.config.retryDelay
+        });
+        this.api.onUnauthorized = () => this.handleAuthenticationError();
+        this.api.cache = this.state.cache;
+        
+        // Mutations made while offline are replayed once the connection is back
+        this.offlineQueue = new OfflineQueue(this.api);
+        this.offlineQueue.onChange = (items, isReplaying, sent) => this.updateSyncStatus(items, isReplaying, sent);
+        this.offlineQueue.onConflict = (item, error) => this.resolveQueueConflict(item, error);
+        this.api.offlineQueue = this.offlineQueue;
+        
+        // Page and page state are kept in the URL hash
+        this.router = new Router();
+        this.router.onRouteChange = (route) => this.applyRoute(route);
+        
+        // Notification drawer
+        this.notificationCenter = new NotificationCenter(this.api, this.router);
+        this.notificationCenter.onChange = (notifications, unreadCount) => {
+            this.state.notifications = notifications;
+            this.updateNotificationCount(unreadCount);
+        };
+        this.notificationCenter.onOpenBooking = (bookingId, bookingNumber) => this.openBooking(bookingId, bookingNumber);
+        
+        // In-app confirmations, replace the blocking confirm() and prompt()
+        this.confirmDialog = new ConfirmDialog();
+        
+        // Booking and slot changes pushed by the server
+        this.liveUpdates = new LiveUpdates(this.api, { url: this.config.apiBase + '/events.php' });
+        this.liveUpdates.onStatusChange = (status) => this.updateLiveIndicator(status);
+        this.liveUpdates.on('*', (event) => this.handleLiveEvent(event));
+        this.liveRefreshTimer = null;
+        
+        // Global search panel
+        this.searchState = {
+            query: '',
+            items: [],
+            activeIndex: -1,
+            controller: null
+        };
+        
+        // Dashboard widgets load and refresh independently of each other
+        this.dashboardWidgets = {
+            todaySlots: {
+                element: 'today-slots',
+                interval: 60 * 1000,
+                load: (options) => this.api.slots.today(null, options),
+                render: (data) => this.updateTodaySlots(data)
+            },
+            upcomingBookings: {
+                element: 'upcoming-bookings',
+                interval: 60 * 1000,
+                load: (options) => this.api.bookings.upcoming(8, options),
+                render: (data) => this.updateUpcomingBookings(data)
+            },
+            warehouseUtilization: {
+                element: 'warehouse-utilization',
+                interval: 5 * 60 * 1000,
+                load: (options) => this.api.warehouses.utilization(null, options),
+                render: (data) => this.updateWarehouseUtilization(data)
+            }
+        };
+        
         this.init();
     }
     
@@ -172,7 +239,7 @@ class LogisticCRM {
             this.state.user = JSON.parse(user);
             
             // Validate session with server
-            const response = await this.apiCall('GET', 'auth/validate');
+            const response = await this.apiCall('GET', 'auth/validate', null, { skipAuthHandling: true });
             
             if (response.success) {
                 this.state.isAuthenticated = true;
@@ -202,11 +269,13 @@ class LogisticCRM {
             this.initializeUserMenu();
             this.initializeNotifications();
             this.initializeSearch();
+            this.initializeSyncStatus();
             
-            // Load initial data
-            await this.loadDashboardData();
+            // Show page from the URL, dashboard by default
+            this.router.start();
             
             // Start periodic updates
+            this.liveUpdates.start();
             this.startPeriodicUpdates();
             
             // Update license status
@@ -314,7 +383,7 @@ class LogisticCRM {
         const notificationBtn = document.querySelector('.notification-btn');
         if (notificationBtn) {
             notificationBtn.addEventListener('click', () => {
-                this.showNotificationDropdown();
+                this.notificationCenter.toggle();
             });
         }
     }
@@ -324,22 +393,339 @@ class LogisticCRM {
      */
     initializeSearch() {
         const searchInput = document.getElementById('global-search');
-        if (searchInput) {
-            let searchTimeout;
-            
-            searchInput.addEventListener('input', (e) => {
-                clearTimeout(searchTimeout);
-                searchTimeout = setTimeout(() => {
-                    this.performSearch(e.target.value);
-                }, 300);
+        const panel = document.getElementById('search-results');
+        if (!searchInput || !panel) return;
+        
+        let searchTimeout;
+        
+        searchInput.addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.performSearch(e.target.value);
+            }, 300);
+        });
+        
+        searchInput.addEventListener('focus', () => {
+            if (!searchInput.value.trim()) {
+                this.showRecentSearches();
+            } else if (this.searchState.items.length > 0) {
+                this.openSearchPanel();
+            }
+        });
+        
+        searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+        
+        // Keep focus in the input while clicking results
+        panel.addEventListener('mousedown', (e) => e.preventDefault());
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="clear-recent"]')) {
+                localStorage.removeItem('recent_searches');
+                this.closeSearchPanel();
+                return;
+            }
+            
+            const item = e.target.closest('[data-search-index]');
+            if (item) {
+                this.openSearchResult(Number(item.dataset.searchIndex));
+            }
+        });
+        
+        // Close when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-container')) {
+                this.closeSearchPanel();
+            }
+        });
+    }
+    
+    /**
+     * Initialize offline sync indicator
+     */
+    initializeSyncStatus() {
+        const syncStatus = document.getElementById('sync-status');
+        if (syncStatus) {
+            syncStatus.addEventListener('click', () => {
+                this.offlineQueue.replay();
+            });
+        }
+        
+        window.addEventListener('offline', () => {
+            this.updateSyncStatus(this.offlineQueue.items, false);
+        });
+        
+        // Send mutations left over from a previous session of the same user
+        this.offlineQueue.setUser(this.state.user.id).then(() => {
+            if (navigator.onLine) {
+                this.offlineQueue.replay();
+            }
+        });
+    }
+    
+    /**
+     * Update offline sync indicator
+     */
+    updateSyncStatus(items, isReplaying, sent = 0) {
+        this.state.requestQueue = items.slice();
+        
+        const syncStatus = document.getElementById('sync-status');
+        if (syncStatus) {
+            const count = items.length;
+            syncStatus.classList.toggle('hidden', count === 0 && navigator.onLine);
+            syncStatus.classList.toggle('offline', !navigator.onLine);
+            syncStatus.classList.toggle('syncing', isReplaying);
+            syncStatus.querySelector('.sync-count').textContent = count;
+            syncStatus.title = isReplaying
+                ? 'Probíhá synchronizace změn...'
+                : `Změny čekající na odeslání: ${count}` + (navigator.onLine ? ' (kliknutím odešlete)' : ' (offline)');
+        }
+        
+        if (sent > 0) {
+            this.showSuccess(`Odesláno ${sent} změn provedených offline`);
+            this.refreshCurrentPageData();
+        }
+    }
+    
+    /**
+     * Ask what to do with a queued change the server rejected
+     */
+    resolveQueueConflict(item, error) {
+        return new Promise(resolve => {
+            const description = this.offlineQueue.describe(item);
+            const content = `
+                <p>Změnu <strong>${this.escapeHtml(description)}</strong> provedenou offline (${this.formatDate(item.createdAt)}) ${error.code === 'TIMEOUT' ? 'server včas nepotvrdil, už mohla být provedena' : 'server odmítl'}:</p>
+                <p class="form-error">${this.escapeHtml(error.message)}</p>
+                <p>Data se mezitím pravděpodobně změnila. Změnu můžete zahodit, odeslat znovu, nebo ji ponechat ve frontě a vyřešit později.</p>
+            `;
+            
+            this.showModal('Konflikt při synchronizaci', content, [
+                { text: 'Zahodit změnu', className: 'btn-error', action: () => resolve('discard') },
+                { text: 'Ponechat ve frontě', className: 'btn-outline', action: () => resolve('keep') },
+                { text: 'Zkusit znovu', className: 'btn-primary', action: () => resolve('retry') }
+            ], { onClose: () => resolve('keep') });
+        });
+    }
+    
+    /**
+     * Show modal dialog
+     *
+     * Buttons: { text, className, action }, the modal closes after the action
+     * unless it returns false
+     */
+    showModal(title, content, buttons = [], options = {}) {
+        const overlay = document.getElementById('modal-overlay');
+        const container = document.getElementById('modal-container');
+        if (!overlay || !container) return;
+        
+        // Settle a modal that is still open
+        if (this.modalCloseHandler) {
+            this.closeModal();
+        }
+        
+        container.className = `modal ${options.className || ''}`.trim();
+        container.innerHTML = `
+            <div class="modal-header">
+                <h3 class="modal-title">${title}</h3>
+                <button class="modal-close" aria-label="Zavřít">&times;</button>
+            </div>
+            <div class="modal-body">${content}</div>
+            ${buttons.length ? '<div class="modal-footer"></div>' : ''}
+        `;
+        
+        const footer = container.querySelector('.modal-footer');
+        buttons.forEach(button => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = `btn ${button.className || 'btn-outline'}`;
+            element.textContent = button.text;
+            element.addEventListener('click', async () => {
+                const result = button.action ? await button.action() : undefined;
+                if (result !== false) {
+                    this.closeModal(false);
+                }
             });
+            footer.appendChild(element);
+        });
+        
+        this.modalCloseHandler = options.onClose || (() => {});
+        
+        container.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
+        overlay.onclick = (e) => {
+            if (e.target === overlay) this.closeModal();
+        };
+        
+        overlay.classList.add('show');
+        
+        return container;
+    }
+    
+    /**
+     * Close modal dialog
+     */
+    closeModal(notify = true) {
+        const overlay = document.getElementById('modal-overlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+            overlay.onclick = null;
+        }
+        
+        const handler = this.modalCloseHandler;
+        this.modalCloseHandler = null;
+        
+        if (notify && handler) {
+            handler();
+        }
+    }
+    
+    /**
+     * Show form in modal dialog
+     *
+     * onSubmit receives the form data, errors it throws are shown in the form
+     * and keep the modal open. Errors with fieldErrors are shown at their fields
+     */
+    showFormModal(title, formHtml, onSubmit, options = {}) {
+        const submit = async () => {
+            this.clearFormErrors(form);
+            
+            if (!form.checkValidity()) {
+                form.reportValidity();
+                return false;
+            }
+            
+            try {
+                await onSubmit(this.getFormData(form), form);
+            } catch (error) {
+                const errors = error.errors && error.errors.length ? error.errors : [error.message];
+                this.showFormErrors(form, errors, error.fieldErrors);
+                return false;
+            }
+        };
+        
+        const container = this.showModal(title, `
+            <form class="modal-form" novalidate>
+                <div class="form-errors hidden"></div>
+                ${formHtml}
+                <button type="submit" class="hidden"></button>
+            </form>
+        `, [
+            { text: 'Zrušit', className: 'btn-outline' },
+            { text: options.submitText || 'Uložit', className: 'btn-primary', action: submit }
+        ], { className: 'modal-md', ...options });
+        
+        const form = container.querySelector('form');
+        
+        // Enter in a field submits like the save button
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (await submit() !== false) {
+                this.closeModal(false);
+            }
+        });
+        
+        // Error of a field goes away once the field is changed
+        form.addEventListener('input', (e) => this.clearFieldError(e.target));
+        form.addEventListener('change', (e) => this.clearFieldError(e.target));
+        
+        const firstField = form.querySelector('input, select, textarea');
+        if (firstField) {
+            firstField.focus();
+        }
+        
+        return form;
+    }
+    
+    /**
+     * Read form fields into object, checkboxes as booleans
+     */
+    getFormData(form) {
+        const data = {};
+        
+        Array.from(form.elements).forEach(field => {
+            if (!field.name || field.disabled) return;
+            
+            if (field.type === 'checkbox') {
+                data[field.name] = field.checked;
+            } else if (field.type === 'radio') {
+                if (field.checked) data[field.name] = field.value;
+            } else {
+                data[field.name] = field.value.trim();
+            }
+        });
+        
+        return data;
+    }
+    
+    /**
+     * Show validation errors at their fields, the rest at the top of form
+     */
+    showFormErrors(form, errors, fieldErrors = {}) {
+        const shown = [];
+        
+        Object.entries(fieldErrors || {}).forEach(([name, message]) => {
+            const field = form.elements.namedItem(name);
+            if (!field || !field.classList || field.type === 'hidden') return;
+            
+            field.classList.add('error');
+            field.setAttribute('aria-invalid', 'true');
+            
+            const error = document.createElement('div');
+            error.className = 'form-error field-error';
+            error.textContent = message;
+            (field.closest('.form-group') || field.parentNode).appendChild(error);
+            
+            shown.push(message);
+        });
+        
+        const firstInvalid = form.querySelector('.form-control.error');
+        if (firstInvalid) {
+            firstInvalid.focus();
         }
+        
+        const container = form.querySelector('.form-errors');
+        const remaining = errors.filter(error => !shown.includes(error));
+        if (!container || remaining.length === 0) return;
+        
+        container.innerHTML = remaining.map(error => `<div class="form-error">${this.escapeHtml(error)}</div>`).join('');
+        container.classList.remove('hidden');
+    }
+    
+    clearFormErrors(form) {
+        const container = form.querySelector('.form-errors');
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+        }
+        
+        form.querySelectorAll('.form-control.error').forEach(field => this.clearFieldError(field));
+    }
+    
+    clearFieldError(field) {
+        if (!field.classList || !field.classList.contains('error')) return;
+        
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        
+        const group = field.closest('.form-group') || field.parentNode;
+        group.querySelectorAll('.field-error').forEach(error => error.remove());
+    }
+    
+    /**
+     * Escape text for use in HTML
+     */
+    escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
     /**
      * Show page
      */
-    showPage(pageName) {
+    showPage(pageName, options = {}) {
         // Hide all pages
         const pages = document.querySelectorAll('.page');
         pages.forEach(page => page.classList.remove('active'));
@@ -359,9 +745,56 @@ class LogisticCRM {
                 }
             });
             
+            this.updateRoute(pageName);
+            
             // Load page data
-            this.loadPageData(pageName);
+            if (options.loadData !== false) {
+                this.loadPageData(pageName);
+            }
+        }
+    }
+    
+    /**
+     * Show page and restore its state from the route
+     */
+    applyRoute(route) {
+        if (!this.state.isAuthenticated) return;
+        
+        if (!document.getElementById(route.page + '-page')) {
+            route = this.router.parse('');
         }
+        
+        // Pages with own state load their data while restoring it
+        const component = this.getRouteComponent(route.page);
+        if (component) {
+            component.applyRouteState(route);
+        }
+        
+        this.showPage(route.page, { loadData: !component });
+    }
+    
+    /**
+     * Write state of the current page to the URL
+     */
+    updateRoute(pageName) {
+        if (pageName !== this.state.currentPage) return;
+        
+        const component = this.getRouteComponent(pageName);
+        const { segments = [], params = {} } = component ? component.getRouteState() : {};
+        
+        this.router.update(pageName, segments, params);
+    }
+    
+    /**
+     * Get page component that keeps its state in the route
+     */
+    getRouteComponent(pageName) {
+        const components = {
+            calendar: window.calendar,
+            bookings: window.bookingsManager
+        };
+        
+        return components[pageName] || null;
     }
     
     /**
@@ -407,25 +840,196 @@ class LogisticCRM {
      * Load dashboard data
      */
     async loadDashboardData() {
+        // A failing widget must not keep the others from loading
+        await Promise.all([
+            this.loadDashboardStats(),
+            ...Object.keys(this.dashboardWidgets).map(name => this.refreshWidget(name, { useCache: true }))
+        ]);
+    }
+    
+    /**
+     * Load dashboard statistics
+     */
+    async loadDashboardStats() {
+        try {
+            const stats = await this.apiCall('GET', 'dashboard/stats');
+            this.updateDashboardStats(stats);
+        } catch (error) {
+            console.error('Dashboard stats loading error:', error);
+        }
+    }
+    
+    /**
+     * Load and render single dashboard widget
+     *
+     * Cached data is used only when the dashboard is opened, timers and
+     * refresh buttons always ask the server
+     */
+    async refreshWidget(name, options = {}) {
+        const widget = this.dashboardWidgets[name];
+        const element = widget ? document.getElementById(widget.element) : null;
+        if (!element) return;
+        
+        const card = element.closest('.dashboard-card');
+        if (card) card.classList.add('refreshing');
+        
+        try {
+            const data = await widget.load({ cache: options.useCache ? widget.interval : false });
+            widget.render(data);
+            element.dataset.loaded = 'true';
+            
+        } catch (error) {
+            console.error(`Dashboard widget ${name} error:`, error);
+            
+            // Keep last data on failed refresh
+            if (!element.dataset.loaded) {
+                element.innerHTML = `
+                    <div class="widget-error">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <span>Nepodařilo se načíst data</span>
+                        <button class="btn btn-sm btn-outline" onclick="refreshWidget('${name}')">Zkusit znovu</button>
+                    </div>
+                `;
+            }
+            
+        } finally {
+            if (card) card.classList.remove('refreshing');
+        }
+    }
+    
+    /**
+     * Load calendar data
+     */
+    async loadCalendarData() {
+        if (window.calendar) {
+            await window.calendar.renderCalendar();
+        }
+    }
+    
+    /**
+     * Load bookings data
+     */
+    async loadBookingsData() {
+        if (window.bookingsManager) {
+            await window.bookingsManager.loadBookings();
+        }
+    }
+    
+    /**
+     * Load warehouses data
+     */
+    async loadWarehousesData() {
+        if (window.warehousesManager) {
+            await window.warehousesManager.loadWarehouses();
+        }
+    }
+    
+    /**
+     * Load vehicles data
+     */
+    async loadVehiclesData() {
+        if (window.vehiclesManager) {
+            await window.vehiclesManager.loadVehicles();
+        }
+    }
+    
+    /**
+     * Load users data, drivers have their own page
+     */
+    async loadUsersData(userType = null) {
+        const manager = userType === 'driver' ? window.driversManager : window.usersManager;
+        if (manager) {
+            await manager.loadUsers();
+        }
+    }
+    
+    /**
+     * Load reports data for selected period
+     */
+    async loadReportsData() {
+        const dateFromInput = document.getElementById('reports-date-from');
+        const dateToInput = document.getElementById('reports-date-to');
+        
+        // Last 30 days by default
+        if (dateFromInput && !dateFromInput.value) {
+            const dateFrom = new Date();
+            dateFrom.setDate(dateFrom.getDate() - 30);
+            dateFromInput.value = this.toDateValue(dateFrom);
+        }
+        if (dateToInput && !dateToInput.value) {
+            dateToInput.value = this.toDateValue(new Date());
+        }
+        
+        const params = {
+            date_from: dateFromInput ? dateFromInput.value : '',
+            date_to: dateToInput ? dateToInput.value : ''
+        };
+        
         try {
-            const [stats, todaySlots, upcomingBookings, warehouseUtilization] = await Promise.all([
-                this.apiCall('GET', 'dashboard/stats'),
-                this.apiCall('GET', 'slots/today'),
-                this.apiCall('GET', 'bookings/upcoming'),
-                this.apiCall('GET', 'warehouses/utilization')
+            const [bookingStats, slotStats] = await Promise.all([
+                this.api.bookings.statistics(params),
+                this.api.slots.statistics(params)
             ]);
             
-            this.updateDashboardStats(stats);
-            this.updateTodaySlots(todaySlots);
-            this.updateUpcomingBookings(upcomingBookings);
-            this.updateWarehouseUtilization(warehouseUtilization);
+            this.renderReports(bookingStats.statistics || {}, slotStats.statistics || {});
             
         } catch (error) {
-            console.error('Dashboard data loading error:', error);
-            this.showError('Chyba při načítání dashboard dat');
+            console.error('Reports loading error:', error);
+            this.showError('Chyba při načítání reportů: ' + error.message);
         }
     }
     
+    /**
+     * Render report statistics and daily utilization
+     */
+    renderReports(bookingStats, slotStats) {
+        const elements = {
+            'report-total-bookings': bookingStats.total_bookings || 0,
+            'report-completed-bookings': bookingStats.completed_bookings || 0,
+            'report-cancelled-bookings': bookingStats.cancelled_bookings || 0,
+            'report-utilization': Math.round(slotStats.utilization_rate || 0)
+        };
+        
+        Object.entries(elements).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                this.animateNumber(element, Number(value));
+            }
+        });
+        
+        const tbody = document.getElementById('reports-daily-body');
+        if (!tbody) return;
+        
+        const days = slotStats.daily_utilization || [];
+        
+        if (days.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="text-center text-muted">Ve zvoleném období nejsou žádné sloty</td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = days.map(day => `
+            <tr>
+                <td>${this.formatDate(day.slot_date, 'date')}</td>
+                <td>${day.slots_count}</td>
+                <td>${day.bookings_count}</td>
+                <td>${Math.round(day.daily_utilization || 0)} %</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Format date as YYYY-MM-DD in local time for date inputs
+     */
+    toDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
     /**
      * Update dashboard statistics
      */
@@ -449,6 +1053,207 @@ class LogisticCRM {
         }
     }
     
+    /**
+     * Render today's slots as timeline, slots running now are highlighted
+     */
+    updateTodaySlots(data) {
+        const container = document.getElementById('today-slots');
+        if (!container || !data || !data.success) return;
+        
+        const slots = data.slots || [];
+        
+        if (slots.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-calendar-day"></i>
+                    <p>Na dnešek nejsou naplánované žádné sloty</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const now = new Date();
+        const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+        const colors = window.calendar ? window.calendar.statusColors : {};
+        let nowMarkerShown = false;
+        
+        const items = slots.map(slot => {
+            const start = slot.slot_time_start.substring(0, 5);
+            const end = slot.slot_time_end.substring(0, 5);
+            const status = this.getLiveSlotStatus(slot, start, end, currentTime);
+            
+            // Current time goes before the first slot that has not ended yet
+            let marker = '';
+            if (!nowMarkerShown && end > currentTime) {
+                nowMarkerShown = true;
+                marker = `<div class="timeline-now"><span>${currentTime}</span></div>`;
+            }
+            
+            const href = this.router.build('calendar', ['day', data.date], { warehouse: slot.warehouse_id });
+            
+            return `${marker}
+                <a href="${href}" class="timeline-slot ${end <= currentTime ? 'past' : ''}" style="border-left-color: ${colors[status] || 'var(--gray-400)'}">
+                    <span class="timeline-time">${start} - ${end}</span>
+                    <span class="timeline-warehouse">
+                        ${this.escapeHtml(slot.warehouse_name)}
+                        ${slot.zone_name ? `<small>${this.escapeHtml(slot.zone_name)}</small>` : ''}
+                    </span>
+                    <span class="timeline-capacity" title="${this.getSlotStatusText(status)}">${slot.booking_count}/${slot.capacity}</span>
+                </a>
+            `;
+        }).join('');
+        
+        container.innerHTML = items + (nowMarkerShown ? '' : `<div class="timeline-now"><span>${currentTime}</span></div>`);
+    }
+    
+    /**
+     * Slot status for the timeline, booked slots become in progress and completed with time
+     */
+    getLiveSlotStatus(slot, start, end, currentTime) {
+        if (slot.status === 'blocked' || Number(slot.booking_count) === 0) {
+            return slot.status;
+        }
+        
+        if (end <= currentTime) return 'completed';
+        if (start <= currentTime) return 'in_progress';
+        
+        return slot.status;
+    }
+    
+    getSlotStatusText(status) {
+        const texts = {
+            available: 'Volný',
+            partial: 'Částečně obsazený',
+            full: 'Obsazený',
+            blocked: 'Blokovaný',
+            in_progress: 'Probíhá',
+            completed: 'Dokončený'
+        };
+        
+        return texts[status] || status;
+    }
+    
+    /**
+     * Render upcoming bookings with quick check-in for today's bookings
+     */
+    updateUpcomingBookings(data) {
+        const container = document.getElementById('upcoming-bookings');
+        if (!container || !data || !data.success) return;
+        
+        const bookings = data.upcoming_bookings || [];
+        
+        if (bookings.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-clipboard-check"></i>
+                    <p>Žádné nadcházející rezervace</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const today = this.toDateValue(new Date());
+        
+        container.innerHTML = bookings.map(booking => {
+            const canCheckIn = booking.slot_date === today && !booking.check_in_time;
+            const href = this.router.build('bookings', [], { search: booking.booking_number });
+            
+            return `
+                <div class="booking-list-item" data-booking-id="${booking.id}">
+                    <div class="booking-list-time">
+                        <strong>${booking.slot_time_start.substring(0, 5)}</strong>
+                        <small>${booking.slot_date === today ? 'Dnes' : this.formatDate(booking.slot_date, 'date')}</small>
+                    </div>
+                    <a href="${href}" class="booking-list-info">
+                        <strong>${this.escapeHtml(booking.booking_number)}</strong>
+                        <small>${this.escapeHtml(booking.warehouse_name)} · ${this.escapeHtml(booking.driver_name || 'Řidič nepřiřazen')}</small>
+                    </a>
+                    ${canCheckIn ? `
+                        <button class="btn btn-sm btn-success" onclick="app.quickCheckIn(${booking.id}, this)">
+                            <i class="fas fa-sign-in-alt"></i> Check-in
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Check in booking from dashboard
+     */
+    async quickCheckIn(bookingId, button = null) {
+        if (button) button.disabled = true;
+        
+        try {
+            const data = await this.api.bookings.checkIn(bookingId);
+            
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            this.showSuccess('Check-in byl úspěšný');
+            this.refreshWidget('upcomingBookings');
+            this.refreshWidget('todaySlots');
+            
+        } catch (error) {
+            console.error('Quick check-in error:', error);
+            this.showError('Chyba při check-in: ' + error.message);
+            if (button) button.disabled = false;
+        }
+    }
+    
+    /**
+     * Render utilization gauge per warehouse
+     */
+    updateWarehouseUtilization(data) {
+        const container = document.getElementById('warehouse-utilization');
+        if (!container || !data || !data.success) return;
+        
+        const warehouses = data.warehouses || [];
+        
+        if (warehouses.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-warehouse"></i>
+                    <p>Žádné aktivní sklady</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = warehouses.map(warehouse => `
+            <div class="utilization-gauge" title="${warehouse.booking_count} rezervací, kapacita ${warehouse.total_capacity}">
+                ${this.renderGauge(Number(warehouse.utilization) || 0)}
+                <strong>${this.escapeHtml(warehouse.name)}</strong>
+                <small>${warehouse.slots_count} slotů dnes</small>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Half circle gauge, coloured like slot occupancy in calendar
+     */
+    renderGauge(percent) {
+        const value = Math.min(100, Math.max(0, Math.round(percent)));
+        const colors = window.calendar ? window.calendar.statusColors : {};
+        const status = value >= 90 ? 'full' : value > 0 ? 'partial' : 'available';
+        const arc = 'M 10 50 A 40 40 0 0 1 90 50';
+        
+        return `
+            <svg class="gauge" viewBox="0 0 100 56" role="img" aria-label="Vytížení ${value} %">
+                <path d="${arc}" class="gauge-track" pathLength="100"></path>
+                <path d="${arc}" class="gauge-value" pathLength="100"
+                      stroke="${colors[status] || 'var(--primary-color)'}" stroke-dasharray="${value} 100"></path>
+                <text x="50" y="48" class="gauge-text">${value} %</text>
+            </svg>
+        `;
+    }
+    
     /**
      * Animate number counter
      */
@@ -500,68 +1305,8 @@ class LogisticCRM {
     /**
      * API call helper
      */
-    async apiCall(method, endpoint, data = null, retries = 0) {
-        try {
-            const url = `${this.config.apiBase}/${endpoint}`;
-            const options = {
-                method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                credentials: 'include'
-            };
-            
-            // Add CSRF token for non-GET requests
-            const csrfToken = localStorage.getItem('csrf_token');
-            if (csrfToken && method !== 'GET') {
-                options.headers['X-CSRF-Token'] = csrfToken;
-            }
-            
-            // Add request body for POST/PUT requests
-            if (data && (method === 'POST' || method === 'PUT')) {
-                options.body = JSON.stringify(data);
-            }
-            
-            const response = await fetch(url, options);
-            
-            // Handle authentication errors
-            if (response.status === 401) {
-                this.handleAuthenticationError();
-                return;
-            }
-            
-            // Handle rate limiting
-            if (response.status === 429) {
-                const retryAfter = response.headers.get('Retry-After') || 60;
-                throw new Error(`Rate limit exceeded. Try again in ${retryAfter} seconds.`);
-            }
-            
-            const result = await response.json();
-            
-            // Handle API errors
-            if (!response.ok) {
-                throw new Error(result.message || `API Error: ${response.status}`);
-            }
-            
-            return result;
-            
-        } catch (error) {
-            // Retry logic for network errors
-            if (retries < this.config.maxRetries && this.isNetworkError(error)) {
-                await this.delay(this.config.retryDelay * Math.pow(2, retries));
-                return this.apiCall(method, endpoint, data, retries + 1);
-            }
-            
-            throw error;
-        }
-    }
-    
-    /**
-     * Check if error is network-related
-     */
-    isNetworkError(error) {
-        return error.name === 'TypeError' || error.message.includes('fetch');
+    async apiCall(method, endpoint, data = null, options = {}) {
+        return this.api.request(method, endpoint, data, options);
     }
     
     /**
@@ -575,6 +1320,9 @@ class LogisticCRM {
      * Handle authentication error
      */
     handleAuthenticationError() {
+        // Several requests may fail at once, log out only once
+        if (!this.state.isAuthenticated) return;
+        
         this.showError('Relace vypršela. Budete přesměrováni na přihlášení.');
         this.logout();
     }
@@ -584,7 +1332,7 @@ class LogisticCRM {
      */
     async logout() {
         try {
-            await this.apiCall('POST', 'logout');
+            await this.apiCall('POST', 'logout', null, { skipAuthHandling: true });
         } catch (error) {
             console.error('Logout error:', error);
         } finally {
@@ -597,8 +1345,11 @@ class LogisticCRM {
      * Clear session data
      */
     clearSession() {
+        this.liveUpdates.stop();
+        this.offlineQueue.setUser(null);
         localStorage.removeItem('user');
         localStorage.removeItem('csrf_token');
+        this.api.clearCache();
         this.state.user = null;
         this.state.isAuthenticated = false;
         this.state.license = null;
@@ -689,19 +1440,79 @@ class LogisticCRM {
      * Start periodic updates
      */
     startPeriodicUpdates() {
+        // Pushed changes keep pages current, whole pages are reloaded only without them
         setInterval(() => {
-            if (this.state.isAuthenticated) {
+            if (this.state.isAuthenticated && !this.liveUpdates.isConnected()) {
                 this.refreshCurrentPageData();
                 this.loadNotifications();
             }
         }, this.config.refreshInterval);
+        
+        // Not every notification comes from a booking or slot change
+        setInterval(() => {
+            if (this.state.isAuthenticated && this.liveUpdates.isConnected()) {
+                this.loadNotifications();
+            }
+        }, this.config.notificationsInterval);
+        
+        // Dashboard widgets follow their own schedule while the dashboard is visible
+        Object.entries(this.dashboardWidgets).forEach(([name, widget]) => {
+            setInterval(() => {
+                if (this.state.isAuthenticated && this.state.currentPage === 'dashboard' && !document.hidden) {
+                    this.refreshWidget(name);
+                }
+            }, widget.interval);
+        });
+    }
+    
+    /**
+     * Refresh dashboard and notifications after pushed changes,
+     * calendar and bookings pages apply the changes themselves
+     */
+    handleLiveEvent(event) {
+        // Bulk changes arrive as many events at once
+        clearTimeout(this.liveRefreshTimer);
+        this.liveRefreshTimer = setTimeout(() => {
+            if (!this.state.isAuthenticated) return;
+            
+            if (this.state.currentPage === 'dashboard') {
+                this.loadDashboardStats();
+                Object.keys(this.dashboardWidgets).forEach(name => this.refreshWidget(name));
+            }
+            
+            this.notificationCenter.load({ cache: false });
+        }, 500);
+    }
+    
+    /**
+     * Show connection state of live updates in the header
+     */
+    updateLiveIndicator(status) {
+        const indicator = document.getElementById('live-indicator');
+        if (!indicator) return;
+        
+        const labels = {
+            live: ['Živě', 'Změny se zobrazují okamžitě'],
+            connecting: ['Připojování', 'Připojování k živým aktualizacím'],
+            polling: ['Pravidelná obnova', 'Živé spojení není k dispozici, změny se načítají každých pár sekund'],
+            offline: ['Offline', 'Bez připojení k internetu'],
+            disconnected: ['Odpojeno', 'Změny se nenačítají, obnovte stránku']
+        };
+        const [text, title] = labels[status] || labels.disconnected;
+        
+        indicator.className = `live-indicator ${status}`;
+        indicator.title = title;
+        indicator.querySelector('.live-text').textContent = text;
     }
     
     /**
      * Refresh current page data
      */
     refreshCurrentPageData() {
-        if (this.state.currentPage) {
+        if (this.state.currentPage === 'dashboard') {
+            // Widgets have their own timers
+            this.loadDashboardStats();
+        } else if (this.state.currentPage) {
             this.loadPageData(this.state.currentPage);
         }
     }
@@ -710,25 +1521,16 @@ class LogisticCRM {
      * Load notifications
      */
     async loadNotifications() {
-        try {
-            const response = await this.apiCall('GET', 'notifications');
-            if (response.success) {
-                this.state.notifications = response.notifications;
-                this.updateNotificationCount();
-            }
-        } catch (error) {
-            console.error('Notifications loading error:', error);
-        }
+        await this.notificationCenter.load();
     }
     
     /**
      * Update notification count
      */
-    updateNotificationCount() {
+    updateNotificationCount(unreadCount = this.state.notifications.filter(n => !n.is_read).length) {
         const notificationCount = document.querySelector('.notification-count');
         if (notificationCount) {
-            const unreadCount = this.state.notifications.filter(n => !n.is_read).length;
-            notificationCount.textContent = unreadCount;
+            notificationCount.textContent = unreadCount > 99 ? '99+' : unreadCount;
             notificationCount.style.display = unreadCount > 0 ? 'flex' : 'none';
         }
     }
@@ -737,24 +1539,333 @@ class LogisticCRM {
      * Perform search
      */
     async performSearch(query) {
-        if (!query.trim()) return;
+        query = query.trim();
+        
+        // Newer query replaces the running one
+        if (this.searchState.controller) {
+            this.searchState.controller.abort();
+            this.searchState.controller = null;
+        }
+        
+        this.searchState.query = query;
+        
+        if (query.length < 2) {
+            if (query) {
+                this.closeSearchPanel();
+            } else {
+                this.showRecentSearches();
+            }
+            return;
+        }
+        
+        const controller = new AbortController();
+        this.searchState.controller = controller;
+        
+        const panel = document.getElementById('search-results');
+        if (panel) panel.classList.add('loading');
         
         try {
-            const response = await this.apiCall('GET', `search?q=${encodeURIComponent(query)}`);
-            if (response.success) {
-                this.displaySearchResults(response.results);
+            const response = await this.api.search(query, { signal: controller.signal });
+            if (response.success && this.searchState.query === query) {
+                this.displaySearchResults(response.results, query);
             }
         } catch (error) {
+            if (error.code === 'ABORTED') return;
+            
             console.error('Search error:', error);
+            this.setSearchItems([], '<div class="search-empty">Vyhledávání se nezdařilo</div>');
+        } finally {
+            if (this.searchState.controller === controller) {
+                this.searchState.controller = null;
+                if (panel) panel.classList.remove('loading');
+            }
+        }
+    }
+    
+    /**
+     * Result groups in display order
+     */
+    getSearchGroups() {
+        return {
+            bookings: {
+                title: 'Rezervace',
+                icon: 'fa-clipboard-list',
+                label: (item) => item.booking_number,
+                detail: (item) => [item.reference_number, item.warehouse_name, this.formatDate(item.slot_date, 'date')].filter(Boolean).join(' · ')
+            },
+            drivers: {
+                title: 'Řidiči',
+                icon: 'fa-id-card',
+                label: (item) => item.full_name,
+                detail: (item) => [item.email, item.phone].filter(Boolean).join(' · ')
+            },
+            vehicles: {
+                title: 'Vozidla',
+                icon: 'fa-truck',
+                label: (item) => item.license_plate,
+                detail: (item) => item.type || ''
+            },
+            warehouses: {
+                title: 'Sklady',
+                icon: 'fa-warehouse',
+                label: (item) => item.name,
+                detail: (item) => item.address || ''
+            },
+            slots: {
+                title: 'Sloty',
+                icon: 'fa-clock',
+                label: (item) => `${this.formatDate(item.slot_date, 'date')} ${item.slot_time_start.substring(0, 5)} - ${item.slot_time_end.substring(0, 5)}`,
+                detail: (item) => [item.warehouse_name, item.zone_name].filter(Boolean).join(' · ')
+            }
+        };
+    }
+    
+    /**
+     * Display search results grouped by type
+     */
+    displaySearchResults(results, query) {
+        const items = [];
+        let html = '';
+        
+        Object.entries(this.getSearchGroups()).forEach(([type, group]) => {
+            const hits = results[type] || [];
+            if (hits.length === 0) return;
+            
+            html += `<div class="search-group"><div class="search-group-title">${group.title}</div>`;
+            hits.forEach(hit => {
+                const index = items.push({ type, data: hit }) - 1;
+                html += this.renderSearchItem(index, group.icon, this.highlightMatch(group.label(hit), query), this.highlightMatch(group.detail(hit), query));
+            });
+            html += '</div>';
+        });
+        
+        if (items.length === 0) {
+            html = `<div class="search-empty">Pro „${this.escapeHtml(query)}“ nebylo nic nalezeno</div>`;
+        }
+        
+        this.setSearchItems(items, html);
+    }
+    
+    renderSearchItem(index, icon, label, detail = '') {
+        return `
+            <div class="search-result-item" id="search-result-${index}" role="option" data-search-index="${index}">
+                <i class="fas ${icon}"></i>
+                <div class="search-result-text">
+                    <strong>${label}</strong>
+                    ${detail ? `<small>${detail}</small>` : ''}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Escape text and mark all occurrences of query
+     */
+    highlightMatch(text, query) {
+        const value = String(text ?? '');
+        const index = query ? value.toLowerCase().indexOf(query.toLowerCase()) : -1;
+        
+        if (index === -1) {
+            return this.escapeHtml(value);
+        }
+        
+        return this.escapeHtml(value.slice(0, index))
+            + `<mark>${this.escapeHtml(value.slice(index, index + query.length))}</mark>`
+            + this.highlightMatch(value.slice(index + query.length), query);
+    }
+    
+    /**
+     * Show recent searches in the panel
+     */
+    showRecentSearches() {
+        const recent = this.getRecentSearches();
+        if (recent.length === 0) {
+            this.closeSearchPanel();
+            return;
+        }
+        
+        const items = recent.map(query => ({ type: 'recent', query }));
+        const html = `
+            <div class="search-group">
+                <div class="search-group-title">
+                    Poslední hledání
+                    <button type="button" class="search-clear-recent" data-action="clear-recent">Vymazat</button>
+                </div>
+                ${items.map((item, index) => this.renderSearchItem(index, 'fa-history', this.escapeHtml(item.query))).join('')}
+            </div>
+        `;
+        
+        this.setSearchItems(items, html);
+    }
+    
+    getRecentSearches() {
+        try {
+            return JSON.parse(localStorage.getItem('recent_searches')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    saveRecentSearch(query) {
+        if (!query) return;
+        
+        const recent = this.getRecentSearches().filter(item => item.toLowerCase() !== query.toLowerCase());
+        recent.unshift(query);
+        localStorage.setItem('recent_searches', JSON.stringify(recent.slice(0, 5)));
+    }
+    
+    setSearchItems(items, html) {
+        const panel = document.getElementById('search-results');
+        if (!panel) return;
+        
+        this.searchState.items = items;
+        this.searchState.activeIndex = -1;
+        panel.innerHTML = html;
+        this.openSearchPanel();
+    }
+    
+    openSearchPanel() {
+        const panel = document.getElementById('search-results');
+        const searchInput = document.getElementById('global-search');
+        if (!panel || !searchInput) return;
+        
+        panel.classList.remove('hidden');
+        searchInput.setAttribute('aria-expanded', 'true');
+    }
+    
+    closeSearchPanel() {
+        const panel = document.getElementById('search-results');
+        const searchInput = document.getElementById('global-search');
+        if (!panel || !searchInput) return;
+        
+        panel.classList.add('hidden');
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+        this.searchState.activeIndex = -1;
+    }
+    
+    /**
+     * Arrow keys move through results, Enter opens, Escape closes
+     */
+    handleSearchKeydown(e) {
+        const { items, activeIndex } = this.searchState;
+        const panel = document.getElementById('search-results');
+        const isOpen = panel && !panel.classList.contains('hidden');
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                
+                if (!isOpen) {
+                    if (e.target.value.trim()) {
+                        this.openSearchPanel();
+                    } else {
+                        this.showRecentSearches();
+                    }
+                    return;
+                }
+                if (items.length === 0) return;
+                
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const next = activeIndex < 0
+                    ? (step > 0 ? 0 : items.length - 1)
+                    : (activeIndex + step + items.length) % items.length;
+                this.setActiveSearchItem(next);
+                break;
+            }
+                
+            case 'Enter':
+                e.preventDefault();
+                if (!isOpen) return;
+                
+                if (activeIndex >= 0) {
+                    this.openSearchResult(activeIndex);
+                } else if (items.length > 0 && items[0].type !== 'recent') {
+                    this.openSearchResult(0);
+                }
+                break;
+                
+            case 'Escape':
+                this.closeSearchPanel();
+                break;
         }
     }
     
+    setActiveSearchItem(index) {
+        const searchInput = document.getElementById('global-search');
+        this.searchState.activeIndex = index;
+        
+        document.querySelectorAll('#search-results .search-result-item').forEach(element => {
+            const isActive = Number(element.dataset.searchIndex) === index;
+            element.classList.toggle('active', isActive);
+            element.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            
+            if (isActive) {
+                element.scrollIntoView({ block: 'nearest' });
+                searchInput.setAttribute('aria-activedescendant', element.id);
+            }
+        });
+    }
+    
     /**
-     * Display search results
+     * Open page or record of selected result
      */
-    displaySearchResults(results) {
-        // TODO: Implement search results display
-        console.log('Search results:', results);
+    openSearchResult(index) {
+        const item = this.searchState.items[index];
+        if (!item) return;
+        
+        const searchInput = document.getElementById('global-search');
+        
+        // Recent search runs again
+        if (item.type === 'recent') {
+            searchInput.value = item.query;
+            this.performSearch(item.query);
+            return;
+        }
+        
+        this.saveRecentSearch(this.searchState.query);
+        this.closeSearchPanel();
+        searchInput.blur();
+        
+        const { data } = item;
+        
+        switch (item.type) {
+            case 'bookings':
+                this.openBooking(data.id, data.booking_number);
+                break;
+            case 'drivers':
+                this.openPageWithSearch('drivers', window.driversManager, data.full_name);
+                break;
+            case 'vehicles':
+                this.openPageWithSearch('vehicles', window.vehiclesManager, data.license_plate);
+                break;
+            case 'warehouses':
+                this.openPageWithSearch('warehouses', window.warehousesManager, data.name);
+                break;
+            case 'slots':
+                location.hash = this.router.build('calendar', ['day', data.slot_date], { warehouse: data.warehouse_id });
+                break;
+        }
+    }
+    
+    /**
+     * Show booking in the bookings list and open its detail
+     */
+    openBooking(bookingId, bookingNumber) {
+        location.hash = this.router.build('bookings', [], { search: bookingNumber });
+        
+        if (window.bookingsManager) {
+            window.bookingsManager.viewBooking(bookingId);
+        }
+    }
+    
+    openPageWithSearch(pageName, manager, query) {
+        this.showPage(pageName, { loadData: !manager });
+        
+        if (manager) {
+            manager.applySearch(query);
+        }
     }
     
     /**
@@ -832,6 +1943,12 @@ window.showPage = (pageName) => {
     }
 };
 
+window.refreshWidget = (name) => {
+    if (window.app) {
+        window.app.refreshWidget(name);
+    }
+};
+
 window.logout = () => {
     if (window.app) {
         window.app.logout();
@@ -0,0 +1,413 @@
+/**
+ * Booking Exporter
+ * Logistic CRM System
+ *
+ * Excel and PDF exports generated in the browser from the bookings the
+ * user sees: current filters, visible columns and the selection or all
+ * pages. The PDF weekly plan puts each warehouse on its own page
+ */
+
+class BookingExporter {
+    constructor(bookings, options = {}) {
+        // BookingsManager, provides the filters, columns and formatting
+        this.bookings = bookings;
+        this.config = {
+            // Largest page api/bookings.php returns
+            pageSize: 100,
+            // Export of all pages stops here
+            maxRows: 5000,
+            margin: 30,
+            rowHeight: 16,
+            ...options
+        };
+    }
+    
+    /**
+     * Export dialog of the bookings page
+     */
+    showExportModal() {
+        const bookings = this.bookings;
+        const selected = bookings.selectedBookings.length;
+        const columns = this.getColumns().map(column => column.label).join(', ');
+        
+        const form = window.app.showFormModal('Export rezervací', `
+            <div class="form-group export-options">
+                <label>Formát</label>
+                <label><input type="radio" name="format" value="xlsx" checked> Excel (XLSX)</label>
+                <label><input type="radio" name="format" value="pdf"> PDF – seznam rezervací</label>
+                <label><input type="radio" name="format" value="weekly"> PDF – týdenní plán skladů</label>
+                <label><input type="radio" name="format" value="csv"> CSV ze serveru</label>
+            </div>
+            
+            <div class="form-group export-options" data-export-for="xlsx pdf weekly">
+                <label>Rezervace</label>
+                <label>
+                    <input type="radio" name="scope" value="selection" ${selected > 0 ? 'checked' : 'disabled'}>
+                    Vybrané rezervace (${selected})
+                </label>
+                <label>
+                    <input type="radio" name="scope" value="all" ${selected > 0 ? '' : 'checked'}>
+                    Všechny stránky podle filtrů
+                </label>
+                <small class="form-help">Filtry: ${bookings.escapeHtml(bookings.filterPresets.describeFilters(bookings.currentFilters))}</small>
+            </div>
+            
+            <div class="form-group hidden" data-export-for="weekly">
+                <label for="export-week">Týden</label>
+                <input type="date" id="export-week" name="week" class="form-control" value="${bookings.toDateValue(new Date())}">
+                <small class="form-help">Plán začíná pondělím týdne, do kterého datum patří. Zrušené rezervace vynechá.</small>
+            </div>
+            
+            <div class="form-group" data-export-for="xlsx pdf">
+                <label>Sloupce</label>
+                <small class="form-help">Podle nastavení tabulky: ${bookings.escapeHtml(columns)}</small>
+            </div>
+        `, async (formData) => {
+            await this.run(formData);
+        }, { submitText: 'Exportovat' });
+        
+        // Only the options of the chosen format are shown
+        const update = () => {
+            const format = form.querySelector('input[name="format"]:checked').value;
+            form.querySelectorAll('[data-export-for]').forEach(group => {
+                group.classList.toggle('hidden', !group.dataset.exportFor.split(' ').includes(format));
+            });
+        };
+        form.addEventListener('change', update);
+        update();
+    }
+    
+    async run({ format, scope, week }) {
+        if (format === 'csv') {
+            await this.exportServerCsv();
+            return;
+        }
+        
+        if (format === 'weekly') {
+            await this.exportWeeklyPlan(week || this.bookings.toDateValue(new Date()), {
+                bookings: scope === 'selection' ? await this.collectSelection() : null
+            });
+            return;
+        }
+        
+        const { bookings, truncated } = scope === 'selection'
+            ? { bookings: await this.collectSelection(), truncated: false }
+            : await this.fetchAll((page, limit) => this.bookings.fetchBookings(page, limit));
+        
+        if (bookings.length === 0) {
+            throw new Error('Žádné rezervace k exportu');
+        }
+        if (truncated) {
+            window.app.showWarning(`Export obsahuje prvních ${this.config.maxRows} rezervací, zužte prosím filtry`);
+        }
+        
+        const columns = this.getColumns();
+        const fileName = `rezervace_${this.bookings.toDateValue(new Date())}`;
+        
+        if (format === 'pdf') {
+            this.exportPdf(bookings, columns, fileName);
+        } else {
+            this.exportXlsx(bookings, columns, fileName);
+        }
+        window.app.showSuccess(`Exportováno rezervací: ${bookings.length}`);
+    }
+    
+    /**
+     * CSV generated by the server from the current filters
+     */
+    async exportServerCsv() {
+        const bookings = this.bookings;
+        const blob = await bookings.api.bookings.export(bookings.filterPresets.resolveFilters(bookings.currentFilters), 'csv');
+        this.download(blob, `bookings_${bookings.toDateValue(new Date())}.csv`);
+    }
+    
+    /**
+     * Visible table columns with their plain text values
+     */
+    getColumns() {
+        return this.bookings.tableLayout.getVisibleColumns().map(({ key, label, width, value }) => ({ key, label, width, value }));
+    }
+    
+    /**
+     * Selected bookings, those of pages not loaded are fetched
+     */
+    async collectSelection() {
+        const bookings = this.bookings;
+        
+        return Promise.all(bookings.selectedBookings.map(async (bookingId) => {
+            const loaded = bookings.loadedBookings.get(Number(bookingId));
+            if (loaded) return loaded;
+            
+            const data = await bookings.api.bookings.get(bookingId);
+            if (!data.success) {
+                throw new Error(data.error || `Rezervaci ${bookingId} se nepodařilo načíst`);
+            }
+            return data.booking;
+        }));
+    }
+    
+    /**
+     * Load pages until all bookings or maxRows are there
+     */
+    async fetchAll(fetchPage) {
+        const bookings = [];
+        let page = 1;
+        let pages = 1;
+        
+        while (page <= pages && bookings.length < this.config.maxRows) {
+            const data = await fetchPage(page, this.config.pageSize);
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load bookings');
+            }
+            
+            bookings.push(...data.bookings);
+            pages = data.pagination.pages;
+            page++;
+        }
+        
+        return {
+            bookings: bookings.slice(0, this.config.maxRows),
+            truncated: page <= pages || bookings.length > this.config.maxRows
+        };
+    }
+    
+    exportXlsx(bookings, columns, fileName) {
+        const rows = [
+            columns.map(column => column.label),
+            ...bookings.map(booking => columns.map(column => column.value(booking)))
+        ];
+        
+        // Table widths are pixels, Excel counts characters
+        const writer = new XlsxWriter().addSheet('Rezervace', rows, {
+            widths: columns.map(column => Math.round(column.width / 7))
+        });
+        
+        this.download(writer.toBlob(), `${fileName}.xlsx`);
+    }
+    
+    exportPdf(bookings, columns, fileName) {
+        const pdf = new PdfWriter({ title: 'Rezervace' });
+        const { margin, rowHeight } = this.config;
+        const { width, height } = pdf.config;
+        
+        // Columns share the page width in the ratio of their table widths
+        const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+        const widths = columns.map(column => column.width * (width - 2 * margin) / totalWidth);
+        const subtitle = `${this.bookings.filterPresets.describeFilters(this.bookings.currentFilters)} · ${bookings.length} rezervací`;
+        
+        let y = 0;
+        const drawRow = (values, options = {}) => {
+            if (options.fill) {
+                pdf.rect(margin, y, width - 2 * margin, rowHeight, { fill: options.fill });
+            }
+            let x = margin;
+            values.forEach((value, index) => {
+                pdf.text(pdf.fitText(value, widths[index] - 6, 8, options.bold), x + 3, y + 11, { size: 8, bold: options.bold });
+                x += widths[index];
+            });
+            y += rowHeight;
+            pdf.line(margin, y, width - margin, y);
+        };
+        const startPage = () => {
+            pdf.addPage();
+            pdf.text('Rezervace', margin, margin + 10, { size: 14, bold: true });
+            pdf.text(pdf.fitText(subtitle, width - 2 * margin, 9), margin, margin + 26, { size: 9, color: [0.4, 0.4, 0.4] });
+            y = margin + 38;
+            drawRow(columns.map(column => column.label), { bold: true, fill: [0.9, 0.91, 0.92] });
+        };
+        
+        startPage();
+        bookings.forEach(booking => {
+            if (y + rowHeight > height - margin - 10) {
+                startPage();
+            }
+            drawRow(columns.map(column => column.value(booking)));
+        });
+        
+        this.drawFooters(pdf);
+        this.download(pdf.toBlob(), `${fileName}.pdf`);
+    }
+    
+    /**
+     * Weekly plan PDF, one page or more per warehouse
+     *
+     * options: { bookings } plans the given bookings instead of loading the
+     * week with the current filters, { filters } replaces the current filters
+     */
+    async exportWeeklyPlan(dateValue, options = {}) {
+        const days = this.getWeekDays(dateValue);
+        let bookings = options.bookings;
+        
+        if (bookings) {
+            bookings = bookings.filter(booking => days.includes(booking.slot_date));
+        } else {
+            const filters = options.filters || this.bookings.filterPresets.resolveFilters(this.bookings.currentFilters);
+            const result = await this.fetchAll((page, limit) => this.bookings.api.bookings.list({
+                ...filters,
+                page,
+                limit,
+                date_from: days[0],
+                date_to: days[6],
+                sort: 'slot',
+                order: 'asc'
+            }));
+            bookings = result.bookings;
+            
+            if (result.truncated) {
+                window.app.showWarning(`Plán obsahuje prvních ${this.config.maxRows} rezervací týdne`);
+            }
+        }
+        
+        bookings = bookings.filter(booking => booking.status !== 'cancelled');
+        if (bookings.length === 0) {
+            throw new Error('V týdnu nejsou žádné rezervace');
+        }
+        
+        const warehouses = new Map();
+        bookings.forEach(booking => {
+            const name = booking.warehouse_name || 'Bez skladu';
+            if (!warehouses.has(name)) {
+                warehouses.set(name, []);
+            }
+            warehouses.get(name).push(booking);
+        });
+        
+        const pdf = new PdfWriter({ title: `Týdenní plán ${this.formatDay(days[0])} – ${this.formatDay(days[6])}` });
+        Array.from(warehouses.keys())
+            .sort((a, b) => a.localeCompare(b, 'cs'))
+            .forEach(name => this.renderWeeklyPlan(pdf, name, warehouses.get(name), days));
+        
+        this.drawFooters(pdf);
+        this.download(pdf.toBlob(), `tydenni_plan_${days[0]}.pdf`);
+        window.app.showSuccess(`Týdenní plán byl vytvořen, sklady: ${warehouses.size}`);
+    }
+    
+    /**
+     * Seven day columns of a warehouse, days that do not fit continue on the next page
+     */
+    renderWeeklyPlan(pdf, warehouseName, bookings, days) {
+        const { margin } = this.config;
+        const { width, height } = pdf.config;
+        const columnWidth = (width - 2 * margin) / 7;
+        const top = margin + 58;
+        const bottom = height - margin - 14;
+        const lineHeight = 10;
+        
+        let queues = days.map(day => bookings
+            .filter(booking => booking.slot_date === day)
+            .sort((a, b) => String(a.slot_time_start).localeCompare(String(b.slot_time_start))));
+        let continued = false;
+        
+        do {
+            pdf.addPage();
+            pdf.text(`Týdenní plán – ${warehouseName}${continued ? ' (pokračování)' : ''}`, margin, margin + 10, { size: 14, bold: true });
+            pdf.text(`${this.formatDay(days[0])} – ${this.formatDay(days[6])} · ${bookings.length} rezervací`, margin, margin + 26, { size: 9, color: [0.4, 0.4, 0.4] });
+            
+            days.forEach((day, index) => {
+                const x = margin + index * columnWidth;
+                pdf.rect(x, margin + 36, columnWidth, 18, { fill: [0.9, 0.91, 0.92] });
+                pdf.text(`${this.bookings.getWeekdayText(index + 1)} ${this.formatDay(day, false)}`, x + 4, margin + 48, { size: 9, bold: true });
+                pdf.line(x, margin + 36, x, bottom);
+            });
+            pdf.line(width - margin, margin + 36, width - margin, bottom);
+            pdf.line(margin, bottom, width - margin, bottom);
+            
+            queues = queues.map((queue, index) => {
+                const x = margin + index * columnWidth + 4;
+                const textWidth = columnWidth - 10;
+                let y = top;
+                let placed = 0;
+                
+                if (queue.length === 0 && !continued) {
+                    pdf.text('Bez rezervací', x, y, { size: 8, color: [0.6, 0.6, 0.6] });
+                }
+                
+                for (const booking of queue) {
+                    const lines = this.getPlanLines(booking);
+                    const entryHeight = lines.length * lineHeight + 6;
+                    // A page takes at least one booking so that the plan always moves on
+                    if (y + entryHeight > bottom && placed > 0) break;
+                    
+                    pdf.rect(x - 2, y - 8, 2, lines.length * lineHeight, { fill: [0.15, 0.39, 0.92] });
+                    lines.forEach((line, lineIndex) => {
+                        pdf.text(pdf.fitText(line, textWidth, 8, lineIndex === 0), x + 3, y + lineIndex * lineHeight, { size: 8, bold: lineIndex === 0 });
+                    });
+                    y += entryHeight;
+                    placed++;
+                }
+                
+                return queue.slice(placed);
+            });
+            continued = true;
+        } while (queues.some(queue => queue.length > 0));
+    }
+    
+    getPlanLines(booking) {
+        const bookings = this.bookings;
+        const lines = [
+            `${bookings.formatTime(booking.slot_time_start)}–${bookings.formatTime(booking.slot_time_end)} ${booking.booking_number}`,
+            `${bookings.getStatusText(booking.status)} · ${bookings.getBookingTypeText(booking.booking_type)}`
+        ];
+        
+        const driver = [booking.driver_name, booking.vehicle_license].filter(Boolean).join(', ');
+        if (driver) {
+            lines.push(driver);
+        }
+        if (booking.zone_name) {
+            lines.push(booking.zone_name);
+        }
+        return lines;
+    }
+    
+    /**
+     * Monday to Sunday of the week of the date, as YYYY-MM-DD
+     */
+    getWeekDays(dateValue) {
+        const monday = new Date(`${dateValue}T00:00:00`);
+        monday.setDate(monday.getDate() - this.bookings.getWeekday(dateValue) + 1);
+        
+        return Array.from({ length: 7 }, (_, index) => {
+            const day = new Date(monday);
+            day.setDate(monday.getDate() + index);
+            return this.bookings.toDateValue(day);
+        });
+    }
+    
+    /**
+     * YYYY-MM-DD as 20. 10. 2026, or 20. 10. without the year
+     */
+    formatDay(dateValue, withYear = true) {
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return withYear ? `${day}. ${month}. ${year}` : `${day}. ${month}.`;
+    }
+    
+    /**
+     * Creation time and page numbers at the bottom of every page
+     */
+    drawFooters(pdf) {
+        const { margin } = this.config;
+        const { width, height } = pdf.config;
+        const created = `Vytvořeno ${new Date().toLocaleString('cs-CZ')}`;
+        
+        pdf.pages.forEach((page, index) => {
+            const pageText = `Strana ${index + 1} / ${pdf.pages.length}`;
+            pdf.setPage(index);
+            pdf.text(created, margin, height - margin + 10, { size: 7, color: [0.5, 0.5, 0.5] });
+            pdf.text(pageText, width - margin - pdf.textWidth(pageText, 7), height - margin + 10, { size: 7, color: [0.5, 0.5, 0.5] });
+        });
+    }
+    
+    download(blob, fileName) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingExporter;
+}
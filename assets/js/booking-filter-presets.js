@@ -0,0 +1,397 @@
+/**
+ * Booking Filter Presets
+ * Logistic CRM System
+ *
+ * Named bookings filters saved by api/filter-presets.php. Presets keep
+ * relative date ranges, which are turned into dates each time the list loads,
+ * so "this week" always means the current week
+ */
+
+class BookingFilterPresets {
+    constructor(api, bookings, options = {}) {
+        this.api = api;
+        // BookingsManager, provides filter controls and value formatting
+        this.bookings = bookings;
+        this.config = {
+            selectId: 'filter-preset-select',
+            // Same ranges as FilterPresetManager::DATE_RANGES
+            dateRanges: {
+                today: 'Dnes',
+                tomorrow: 'Zítra',
+                this_week: 'Tento týden',
+                next_week: 'Příští týden',
+                next_7_days: 'Příštích 7 dní',
+                last_7_days: 'Posledních 7 dní',
+                this_month: 'Tento měsíc'
+            },
+            ...options
+        };
+        
+        this.presets = [];
+        // User the presets were loaded for
+        this.userKey = null;
+        // Default preset is applied once after the presets of a user load
+        this.defaultUsed = false;
+        
+        // Hooks set by the application
+        this.onApply = null;
+    }
+    
+    getUserKey() {
+        const user = window.app && window.app.state.user;
+        return user ? String(user.id) : null;
+    }
+    
+    /**
+     * Load presets of the current user, cached until the user changes
+     */
+    async load(force = false) {
+        const userKey = this.getUserKey();
+        if (!force && this.userKey === userKey && userKey !== null) {
+            return this.presets;
+        }
+        
+        try {
+            const data = await this.api.filterPresets.list();
+            if (this.userKey !== userKey) {
+                this.defaultUsed = false;
+            }
+            this.presets = data.presets || [];
+            this.userKey = userKey;
+        } catch (error) {
+            console.error('Filter presets loading error:', error);
+        }
+        
+        this.render();
+        return this.presets;
+    }
+    
+    getPreset(presetId) {
+        return this.presets.find(preset => String(preset.id) === String(presetId)) || null;
+    }
+    
+    /**
+     * Default preset of the user, only the first time it is asked for
+     */
+    takeDefault() {
+        if (this.defaultUsed) return null;
+        
+        this.defaultUsed = true;
+        return this.presets.find(preset => preset.is_default) || null;
+    }
+    
+    /**
+     * Date range as { date_from, date_to } relative to today
+     */
+    resolveDateRange(range, today = new Date()) {
+        const day = (offset) => {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+            return this.bookings.toDateValue(date);
+        };
+        // Days since Monday
+        const weekday = (today.getDay() + 6) % 7;
+        
+        switch (range) {
+            case 'today':
+                return { date_from: day(0), date_to: day(0) };
+            case 'tomorrow':
+                return { date_from: day(1), date_to: day(1) };
+            case 'this_week':
+                return { date_from: day(-weekday), date_to: day(6 - weekday) };
+            case 'next_week':
+                return { date_from: day(7 - weekday), date_to: day(13 - weekday) };
+            case 'next_7_days':
+                return { date_from: day(0), date_to: day(6) };
+            case 'last_7_days':
+                return { date_from: day(-6), date_to: day(0) };
+            case 'this_month':
+                return {
+                    date_from: day(1 - today.getDate()),
+                    date_to: this.bookings.toDateValue(new Date(today.getFullYear(), today.getMonth() + 1, 0))
+                };
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Filters for the API, relative date range replaced by its dates
+     */
+    resolveFilters(filters) {
+        const { date_range: range, ...resolved } = filters;
+        const dates = range ? this.resolveDateRange(range) : null;
+        
+        return dates ? { ...resolved, ...dates } : resolved;
+    }
+    
+    /**
+     * Preset with exactly the given filters
+     */
+    findMatching(filters) {
+        const key = this.getFiltersKey(filters);
+        return this.presets.find(preset => this.getFiltersKey(preset.filters) === key) || null;
+    }
+    
+    getFiltersKey(filters) {
+        return JSON.stringify(Object.keys(filters || {})
+            .filter(key => filters[key])
+            .sort()
+            .map(key => [key, String(filters[key])]));
+    }
+    
+    /**
+     * Readable summary, e.g. "Čeká · Vykládka · Tento týden"
+     */
+    describeFilters(filters) {
+        const bookings = this.bookings;
+        const parts = [];
+        
+        if (filters.status) parts.push(bookings.getStatusText(filters.status));
+        if (filters.booking_type) parts.push(bookings.getBookingTypeText(filters.booking_type));
+        if (filters.warehouse_id) parts.push(this.getWarehouseName(filters.warehouse_id));
+        if (filters.date_range) {
+            parts.push(this.config.dateRanges[filters.date_range] || filters.date_range);
+        } else if (filters.date_from || filters.date_to) {
+            parts.push(`${bookings.formatDate(filters.date_from) || '…'} – ${bookings.formatDate(filters.date_to) || '…'}`);
+        }
+        if (filters.search) parts.push(`„${filters.search}“`);
+        
+        return parts.join(' · ') || 'Bez filtrů';
+    }
+    
+    getWarehouseName(warehouseId) {
+        const select = document.getElementById(this.bookings.filterControls.warehouse_id);
+        const option = select && Array.from(select.options).find(item => item.value === String(warehouseId));
+        
+        return option ? option.textContent : `Sklad #${warehouseId}`;
+    }
+    
+    /**
+     * Fill the preset select, own presets first, then shared ones of colleagues
+     */
+    render(filters = this.bookings.currentFilters) {
+        const select = document.getElementById(this.config.selectId);
+        if (!select) return;
+        
+        const escape = (value) => this.bookings.escapeHtml(value);
+        const option = (preset) => `
+            <option value="${preset.id}">${escape(preset.name)}${preset.is_default ? ' ★' : ''}</option>
+        `;
+        const own = this.presets.filter(preset => preset.is_own);
+        const shared = this.presets.filter(preset => !preset.is_own);
+        
+        select.innerHTML = `
+            <option value="">${this.presets.length > 0 ? 'Vyberte filtr' : 'Žádné uložené filtry'}</option>
+            ${own.length > 0 ? `<optgroup label="Moje filtry">${own.map(option).join('')}</optgroup>` : ''}
+            ${shared.length > 0 ? `<optgroup label="Sdílené filtry">${shared.map(option).join('')}</optgroup>` : ''}
+        `;
+        
+        const active = this.findMatching(filters);
+        select.value = active ? String(active.id) : '';
+        
+        if (!select.dataset.presetsBound) {
+            select.dataset.presetsBound = 'true';
+            select.addEventListener('change', () => this.apply(select.value));
+        }
+    }
+    
+    apply(presetId) {
+        const preset = this.getPreset(presetId);
+        if (!preset || !this.onApply) return;
+        
+        this.onApply({ ...preset.filters });
+    }
+    
+    /**
+     * Save current filters as a new preset
+     */
+    showSaveModal(filters) {
+        const saved = Object.keys(filters).filter(key => filters[key]);
+        if (saved.length === 0) {
+            window.app.showWarning('Nejprve nastavte filtry, které chcete uložit');
+            return;
+        }
+        
+        const user = window.app.state.user || {};
+        const canShare = Boolean(user.company_id) && user.user_type !== 'driver';
+        
+        window.app.showFormModal('Uložit filtr', `
+            <div class="form-group">
+                <label for="preset-name">Název *</label>
+                <input type="text" id="preset-name" name="name" class="form-control" maxlength="100" required
+                       placeholder="Např. Vykládky tento týden">
+            </div>
+            
+            <div class="form-group">
+                <label>Filtry</label>
+                <p class="preset-summary">${this.bookings.escapeHtml(this.describeFilters(filters))}</p>
+                ${filters.date_range ? '<small class="form-help">Datum se počítá vždy od aktuálního dne.</small>' : ''}
+            </div>
+            
+            <div class="form-group preset-options">
+                <label>
+                    <input type="checkbox" name="is_default">
+                    Použít jako výchozí při otevření rezervací
+                </label>
+                ${canShare ? `
+                    <label>
+                        <input type="checkbox" name="is_shared">
+                        Sdílet s celou firmou
+                    </label>
+                ` : ''}
+            </div>
+        `, async (formData) => {
+            const data = await this.api.filterPresets.create({
+                name: formData.name,
+                filters,
+                is_default: formData.is_default,
+                is_shared: Boolean(formData.is_shared)
+            });
+            
+            window.app.showSuccess('Filtr byl uložen');
+            await this.load(true);
+            return data;
+        }, { submitText: 'Uložit' });
+    }
+    
+    /**
+     * List of presets with default, sharing, rename and delete
+     */
+    showManageModal() {
+        const container = window.app.showModal('Uložené filtry', `
+            <div class="preset-manager"></div>
+        `, [
+            { text: 'Zavřít', className: 'btn-outline' }
+        ], { className: 'modal-md' });
+        
+        if (!container) return;
+        
+        const list = container.querySelector('.preset-manager');
+        this.renderManageList(list);
+        
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-preset-action]');
+            if (!button || button.disabled) return;
+            
+            const preset = this.getPreset(button.closest('[data-preset-id]').dataset.presetId);
+            if (!preset) return;
+            
+            button.disabled = true;
+            try {
+                await this.runManageAction(button.dataset.presetAction, preset);
+                await this.load(true);
+            } catch (error) {
+                console.error('Filter preset action error:', error);
+                window.app.showError('Chyba při úpravě filtru: ' + error.message);
+            } finally {
+                this.renderManageList(list);
+            }
+        });
+    }
+    
+    async runManageAction(action, preset) {
+        switch (action) {
+            case 'apply':
+                this.apply(preset.id);
+                break;
+            case 'default':
+                await this.api.filterPresets.setDefault(preset.is_default ? null : preset.id);
+                break;
+            case 'share':
+                await this.api.filterPresets.update(preset.id, { is_shared: !preset.is_shared });
+                break;
+            case 'update':
+                await this.api.filterPresets.update(preset.id, { filters: this.bookings.currentFilters });
+                window.app.showSuccess('Filtr byl přepsán aktuálními filtry');
+                break;
+            case 'rename': {
+                const answer = await this.bookings.confirmDialog.ask({
+                    title: 'Přejmenovat filtr',
+                    message: `Zadejte nový název filtru „${preset.name}“.`,
+                    confirmText: 'Přejmenovat',
+                    input: { label: 'Název filtru', value: preset.name, required: true }
+                });
+                if (answer && answer.value !== preset.name) {
+                    await this.api.filterPresets.update(preset.id, { name: answer.value });
+                }
+                break;
+            }
+            case 'delete': {
+                const answer = await this.bookings.confirmDialog.ask({
+                    title: 'Smazat filtr',
+                    message: `Filtr „${preset.name}“ bude smazán${preset.is_shared ? ' i ostatním uživatelům firmy' : ''}.`,
+                    confirmText: 'Smazat',
+                    cancelText: 'Ponechat',
+                    danger: true
+                });
+                if (answer) {
+                    await this.api.filterPresets.remove(preset.id);
+                }
+                break;
+            }
+        }
+    }
+    
+    renderManageList(list) {
+        const escape = (value) => this.bookings.escapeHtml(value);
+        const user = window.app.state.user || {};
+        const canShare = Boolean(user.company_id) && user.user_type !== 'driver';
+        
+        if (this.presets.length === 0) {
+            list.innerHTML = `
+                <p class="text-muted">Zatím nemáte žádné uložené filtry. Nastavte filtry rezervací a uložte je tlačítkem „Uložit filtr“.</p>
+            `;
+            return;
+        }
+        
+        list.innerHTML = `
+            <ul class="preset-list">
+                ${this.presets.map(preset => `
+                    <li data-preset-id="${preset.id}" class="${preset.is_default ? 'is-default' : ''}">
+                        <div class="preset-info">
+                            <button type="button" class="preset-name" data-preset-action="apply" title="Použít filtr">
+                                ${escape(preset.name)}
+                            </button>
+                            ${preset.is_default ? '<span class="preset-tag default">Výchozí</span>' : ''}
+                            ${preset.is_shared ? `<span class="preset-tag">${preset.is_own ? 'Sdílený' : `Sdílí ${escape(preset.owner_name || '')}`}</span>` : ''}
+                            <div class="preset-summary">${escape(this.describeFilters(preset.filters))}</div>
+                        </div>
+                        <div class="preset-actions">
+                            <button type="button" class="btn btn-sm btn-outline" data-preset-action="default"
+                                    title="${preset.is_default ? 'Zrušit výchozí' : 'Nastavit jako výchozí'}"
+                                    aria-label="${preset.is_default ? 'Zrušit výchozí' : 'Nastavit jako výchozí'}">
+                                <i class="${preset.is_default ? 'fas' : 'far'} fa-star"></i>
+                            </button>
+                            ${preset.can_manage ? `
+                                ${canShare && preset.is_own ? `
+                                    <button type="button" class="btn btn-sm btn-outline" data-preset-action="share"
+                                            title="${preset.is_shared ? 'Přestat sdílet' : 'Sdílet s firmou'}"
+                                            aria-label="${preset.is_shared ? 'Přestat sdílet' : 'Sdílet s firmou'}">
+                                        <i class="fas ${preset.is_shared ? 'fa-user' : 'fa-users'}"></i>
+                                    </button>
+                                ` : ''}
+                                <button type="button" class="btn btn-sm btn-outline" data-preset-action="update"
+                                        title="Uložit aktuální filtry" aria-label="Uložit aktuální filtry">
+                                    <i class="fas fa-save"></i>
+                                </button>
+                                <button type="button" class="btn btn-sm btn-outline" data-preset-action="rename"
+                                        title="Přejmenovat" aria-label="Přejmenovat">
+                                    <i class="fas fa-pen"></i>
+                                </button>
+                                <button type="button" class="btn btn-sm btn-error" data-preset-action="delete"
+                                        title="Smazat" aria-label="Smazat">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingFilterPresets;
+}
@@ -0,0 +1,161 @@
+/**
+ * Booking Printer
+ * Logistic CRM System
+ *
+ * Booking sheets with QR code and signature lines, one page per booking.
+ * Sheets are previewed in a frame styled by assets/css/print.css and
+ * printed or saved as PDF from there
+ */
+
+class BookingPrinter {
+    constructor(bookings, options = {}) {
+        // BookingsManager, provides formatting of booking values
+        this.bookings = bookings;
+        this.config = {
+            stylesheet: 'assets/css/print.css',
+            ...options
+        };
+    }
+    
+    /**
+     * Show print preview of bookings with print and PDF buttons
+     */
+    open(bookings) {
+        if (!bookings || bookings.length === 0) return;
+        
+        const title = bookings.length === 1
+            ? `propustka_${bookings[0].booking_number}`
+            : `propustky_${this.bookings.toDateValue(new Date())}`;
+        
+        const container = window.app.showModal(`Tisk rezervací (${bookings.length})`, `
+            <iframe class="print-preview-frame" title="Náhled tisku"></iframe>
+        `, [
+            { text: 'Zavřít', className: 'btn-outline' },
+            {
+                text: 'Uložit jako PDF',
+                className: 'btn-outline',
+                action: () => {
+                    this.print(frame, title, true);
+                    return false;
+                }
+            },
+            {
+                text: 'Tisknout',
+                className: 'btn-primary',
+                action: () => {
+                    this.print(frame, title, false);
+                    return false;
+                }
+            }
+        ], { className: 'modal-lg' });
+        
+        if (!container) return;
+        
+        const frame = container.querySelector('.print-preview-frame');
+        frame.srcdoc = this.renderDocument(bookings, title);
+    }
+    
+    /**
+     * Print the preview frame, the title becomes the PDF file name
+     */
+    print(frame, title, asPdf) {
+        const printWindow = frame.contentWindow;
+        if (!printWindow) return;
+        
+        const previousTitle = document.title;
+        document.title = title;
+        printWindow.addEventListener('afterprint', () => {
+            document.title = previousTitle;
+        }, { once: true });
+        
+        if (asPdf && window.app) {
+            window.app.showWarning('V dialogu tisku zvolte jako tiskárnu „Uložit jako PDF“');
+        }
+        
+        printWindow.focus();
+        printWindow.print();
+    }
+    
+    renderDocument(bookings, title) {
+        const escape = (value) => this.bookings.escapeHtml(value);
+        
+        return `<!DOCTYPE html>
+            <html lang="cs">
+                <head>
+                    <meta charset="UTF-8">
+                    <title>${escape(title)}</title>
+                    <link rel="stylesheet" href="${escape(this.config.stylesheet)}">
+                </head>
+                <body>
+                    ${bookings.map(booking => this.renderSheet(booking)).join('')}
+                </body>
+            </html>`;
+    }
+    
+    /**
+     * One booking sheet, also used as gate pass for the driver
+     */
+    renderSheet(booking) {
+        const bookings = this.bookings;
+        const escape = (value) => bookings.escapeHtml(value);
+        const field = (label, value) => `
+            <dt>${label}</dt>
+            <dd>${value ? escape(value) : '&nbsp;'}</dd>
+        `;
+        const qr = QrCode.encode(booking.qr_code || booking.booking_number);
+        
+        return `
+            <section class="sheet">
+                <header class="sheet-header">
+                    <div>
+                        <div class="sheet-title">Rezervace slotu · propustka</div>
+                        <div class="sheet-company">${escape(booking.company_name || '')}</div>
+                    </div>
+                    <div class="sheet-number">${escape(booking.booking_number)}</div>
+                </header>
+                
+                <div class="sheet-body">
+                    <div class="sheet-slot">
+                        <div class="sheet-slot-date">${bookings.formatDate(booking.slot_date)}</div>
+                        <div class="sheet-slot-time">${bookings.formatTime(booking.slot_time_start)} – ${bookings.formatTime(booking.slot_time_end)}</div>
+                        <div class="sheet-slot-type">${bookings.getBookingTypeText(booking.booking_type)}</div>
+                    </div>
+                    
+                    <dl class="sheet-fields">
+                        ${field('Sklad', booking.warehouse_name)}
+                        ${field('Zóna', booking.zone_name)}
+                        ${field('Řidič', booking.driver_name)}
+                        ${field('Telefon', booking.driver_phone)}
+                        ${field('Vozidlo', booking.vehicle_license ? booking.vehicle_license + (booking.vehicle_type ? ` (${booking.vehicle_type})` : '') : '')}
+                        ${field('Referenční číslo', booking.reference_number)}
+                        ${field('Stav', bookings.getStatusText(booking.status))}
+                    </dl>
+                    
+                    <div class="sheet-qr">
+                        ${qr.toSvg({ label: `QR kód rezervace ${escape(booking.booking_number)}` })}
+                        <small>Ukažte při příjezdu na bránu</small>
+                    </div>
+                </div>
+                
+                ${booking.notes ? `<div class="sheet-notes"><strong>Poznámky</strong><p>${escape(booking.notes)}</p></div>` : ''}
+                
+                <div class="sheet-times">
+                    <div>Příjezd: ${booking.check_in_time ? escape(bookings.formatDateTime(booking.check_in_time)) : '<span class="sheet-blank"></span>'}</div>
+                    <div>Odjezd: ${booking.check_out_time ? escape(bookings.formatDateTime(booking.check_out_time)) : '<span class="sheet-blank"></span>'}</div>
+                </div>
+                
+                <div class="sheet-signatures">
+                    <div class="sheet-signature">Za sklad (jméno, podpis, razítko)</div>
+                    <div class="sheet-signature">Řidič (jméno, podpis)</div>
+                </div>
+                
+                <footer class="sheet-footer">Vytištěno ${escape(bookings.formatDateTime(new Date()))}</footer>
+            </section>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingPrinter;
+}
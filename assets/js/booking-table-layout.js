@@ -0,0 +1,333 @@
+/**
+ * Booking Table Layout
+ * Logistic CRM System
+ *
+ * Column order, visibility, widths and sorting of the bookings table.
+ * Layout is kept in localStorage for each user, the sorting itself is done
+ * by api/bookings.php
+ */
+
+class BookingTableLayout {
+    constructor(columns, options = {}) {
+        // Column definitions by key: { label, sort, width, render }
+        this.columns = columns;
+        this.config = {
+            storageKey: 'bookings_table_layout',
+            defaultColumns: ['booking', 'slot', 'warehouse', 'driver', 'status', 'booking_type'],
+            defaultSort: { column: 'slot', direction: 'desc' },
+            minWidth: 60,
+            ...options
+        };
+        
+        this.state = null;
+        // User the state was loaded for, another login loads its own layout
+        this.userKey = null;
+        // Column being dragged to a new position
+        this.dragColumn = null;
+        
+        // Hooks set by the application
+        this.onSortChange = null;
+        this.onColumnsChange = null;
+    }
+    
+    getStorageKey() {
+        const user = window.app && window.app.state.user;
+        return `${this.config.storageKey}_${user ? user.id : 'guest'}`;
+    }
+    
+    getDefaultState() {
+        return {
+            columns: [...this.config.defaultColumns],
+            widths: {},
+            sort: { ...this.config.defaultSort }
+        };
+    }
+    
+    /**
+     * Layout of the current user, unknown columns of an older layout are dropped
+     */
+    getState() {
+        const key = this.getStorageKey();
+        if (this.state && this.userKey === key) {
+            return this.state;
+        }
+        
+        const state = this.getDefaultState();
+        try {
+            const saved = JSON.parse(localStorage.getItem(key));
+            if (saved) {
+                const columns = (saved.columns || []).filter(column => this.columns[column]);
+                if (columns.length > 0) {
+                    state.columns = columns;
+                }
+                state.widths = saved.widths || {};
+                if (saved.sort && this.columns[saved.sort.column]) {
+                    state.sort = {
+                        column: saved.sort.column,
+                        direction: saved.sort.direction === 'asc' ? 'asc' : 'desc'
+                    };
+                }
+            }
+        } catch (error) {
+            console.error('Table layout loading error:', error);
+        }
+        
+        this.state = state;
+        this.userKey = key;
+        return state;
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(this.getState()));
+        } catch (error) {
+            console.error('Table layout saving error:', error);
+        }
+    }
+    
+    getVisibleColumns() {
+        return this.getState().columns.map(key => ({ key, ...this.columns[key] }));
+    }
+    
+    /**
+     * Number of table columns including the checkbox and actions columns
+     */
+    getColumnCount() {
+        return this.getState().columns.length + 2;
+    }
+    
+    /**
+     * Sort parameters for api/bookings.php
+     */
+    getSortParams() {
+        const sort = this.getState().sort;
+        return { sort: this.columns[sort.column].sort, order: sort.direction };
+    }
+    
+    /**
+     * Sort by column, the sorted column switches direction
+     */
+    sortBy(column) {
+        const state = this.getState();
+        state.sort = {
+            column,
+            direction: state.sort.column === column && state.sort.direction === 'asc' ? 'desc' : 'asc'
+        };
+        this.save();
+        
+        if (this.onSortChange) {
+            this.onSortChange(state.sort);
+        }
+    }
+    
+    setColumns(columns) {
+        const state = this.getState();
+        state.columns = columns.filter(column => this.columns[column]);
+        this.save();
+        
+        if (this.onColumnsChange) {
+            this.onColumnsChange(state.columns);
+        }
+    }
+    
+    moveColumn(column, beforeColumn) {
+        const columns = this.getState().columns.filter(key => key !== column);
+        const index = beforeColumn ? columns.indexOf(beforeColumn) : -1;
+        columns.splice(index === -1 ? columns.length : index, 0, column);
+        this.setColumns(columns);
+    }
+    
+    reset() {
+        this.state = this.getDefaultState();
+        this.save();
+        
+        // Reloading with the default sort shows the default columns as well
+        if (this.onSortChange) {
+            this.onSortChange(this.state.sort);
+        }
+    }
+    
+    getWidth(column) {
+        return this.getState().widths[column] || this.columns[column].width;
+    }
+    
+    /**
+     * Render data column headers between the checkbox and actions headers
+     */
+    renderHeader(row) {
+        if (!row) return;
+        
+        const { sort } = this.getState();
+        const actionsHeader = row.querySelector('th:last-child');
+        row.querySelectorAll('th[data-column]').forEach(header => header.remove());
+        
+        this.getVisibleColumns().forEach(column => {
+            const sorted = sort.column === column.key;
+            const header = document.createElement('th');
+            header.dataset.column = column.key;
+            header.draggable = true;
+            header.style.width = `${this.getWidth(column.key)}px`;
+            header.setAttribute('aria-sort', sorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            header.innerHTML = `
+                <button type="button" class="th-sort" title="Seřadit">
+                    ${column.label}
+                    <i class="fas ${sorted ? (sort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'}"></i>
+                </button>
+                <span class="th-resize" title="Změnit šířku" aria-hidden="true"></span>
+            `;
+            row.insertBefore(header, actionsHeader);
+        });
+        
+        if (!row.dataset.layoutBound) {
+            row.dataset.layoutBound = 'true';
+            this.bindHeader(row);
+        }
+    }
+    
+    bindHeader(row) {
+        row.addEventListener('click', (e) => {
+            const button = e.target.closest('.th-sort');
+            if (button) {
+                this.sortBy(button.closest('th').dataset.column);
+            }
+        });
+        
+        row.addEventListener('pointerdown', (e) => {
+            if (e.target.classList.contains('th-resize')) {
+                this.startResize(e, e.target.closest('th'));
+            }
+        });
+        
+        // Dragging a header moves the column
+        row.addEventListener('dragstart', (e) => {
+            const header = e.target.closest && e.target.closest('th[data-column]');
+            if (!header) return;
+            
+            this.dragColumn = header.dataset.column;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.dragColumn);
+        });
+        
+        row.addEventListener('dragover', (e) => {
+            if (this.dragColumn && e.target.closest('th[data-column]')) {
+                e.preventDefault();
+            }
+        });
+        
+        row.addEventListener('drop', (e) => {
+            const header = e.target.closest('th[data-column]');
+            if (!this.dragColumn || !header) return;
+            
+            e.preventDefault();
+            const target = header.dataset.column;
+            if (target !== this.dragColumn) {
+                // Dropped on the right half means after the column
+                const rect = header.getBoundingClientRect();
+                const columns = this.getState().columns;
+                const after = e.clientX > rect.left + rect.width / 2;
+                this.moveColumn(this.dragColumn, after ? columns[columns.indexOf(target) + 1] : target);
+            }
+        });
+        
+        row.addEventListener('dragend', () => {
+            this.dragColumn = null;
+        });
+    }
+    
+    startResize(e, header) {
+        e.preventDefault();
+        
+        const column = header.dataset.column;
+        const startX = e.clientX;
+        const startWidth = header.offsetWidth;
+        header.draggable = false;
+        
+        const move = (event) => {
+            const width = Math.max(this.config.minWidth, Math.round(startWidth + event.clientX - startX));
+            header.style.width = `${width}px`;
+            this.getState().widths[column] = width;
+        };
+        
+        const stop = () => {
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', stop);
+            header.draggable = true;
+            this.save();
+        };
+        
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', stop);
+    }
+    
+    /**
+     * Column picker with visibility and order, changes apply on save
+     */
+    showColumnPicker() {
+        const visible = this.getState().columns;
+        // Visible columns first in their order, then the hidden ones
+        const order = [...visible, ...Object.keys(this.columns).filter(key => !visible.includes(key))];
+        
+        const container = window.app.showModal('Sloupce tabulky', `
+            <p class="text-muted">Zaškrtnuté sloupce se zobrazí v uvedeném pořadí. Šířku sloupce lze změnit tažením okraje záhlaví.</p>
+            <ul class="column-picker">
+                ${order.map(key => `
+                    <li data-column="${key}">
+                        <label>
+                            <input type="checkbox" ${visible.includes(key) ? 'checked' : ''}>
+                            ${this.columns[key].label}
+                        </label>
+                        <button type="button" class="btn btn-sm btn-outline" data-move="-1" title="Posunout nahoru" aria-label="Posunout nahoru">
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline" data-move="1" title="Posunout dolů" aria-label="Posunout dolů">
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `, [
+            {
+                text: 'Obnovit výchozí',
+                className: 'btn-outline',
+                action: () => this.reset()
+            },
+            { text: 'Zrušit', className: 'btn-outline' },
+            {
+                text: 'Uložit',
+                className: 'btn-primary',
+                action: () => {
+                    const columns = Array.from(list.querySelectorAll('li'))
+                        .filter(item => item.querySelector('input').checked)
+                        .map(item => item.dataset.column);
+                    
+                    if (columns.length === 0) {
+                        window.app.showWarning('Vyberte alespoň jeden sloupec');
+                        return false;
+                    }
+                    this.setColumns(columns);
+                }
+            }
+        ]);
+        
+        if (!container) return;
+        
+        const list = container.querySelector('.column-picker');
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-move]');
+            if (!button) return;
+            
+            const item = button.closest('li');
+            if (button.dataset.move === '-1' && item.previousElementSibling) {
+                list.insertBefore(item, item.previousElementSibling);
+            } else if (button.dataset.move === '1' && item.nextElementSibling) {
+                list.insertBefore(item.nextElementSibling, item);
+            }
+            button.focus();
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingTableLayout;
+}
@@ -0,0 +1,290 @@
+/**
+ * Booking Virtual List
+ * Logistic CRM System
+ *
+ * Infinite-scroll mode of the bookings table. Bookings are loaded page by
+ * page as the user scrolls and only the rows in view are kept in the DOM,
+ * spacer rows stand in for the rest, so lists of 10k+ bookings stay smooth
+ */
+
+class BookingVirtualList {
+    constructor(bookings, options = {}) {
+        // BookingsManager, loads and renders the rows
+        this.bookings = bookings;
+        this.config = {
+            storageKey: 'bookings_list_mode',
+            containerSelector: '#bookings-page .table-container',
+            bodyId: 'bookings-table-body',
+            // Largest page api/bookings.php returns
+            pageSize: 100,
+            // Estimate until the first row is measured
+            rowHeight: 56,
+            // Rows rendered above and below the visible ones
+            overscan: 15,
+            ...options
+        };
+        
+        this.enabled = null;
+        this.userKey = null;
+        // Loaded pages by page number
+        this.pages = new Map();
+        this.pendingPages = new Set();
+        this.total = null;
+        this.rowHeight = this.config.rowHeight;
+        this.range = null;
+        // Responses of a list replaced by reset() meanwhile are dropped
+        this.generation = 0;
+        this.frame = null;
+        this.container = null;
+        
+        // Hooks set by the application
+        this.onModeChange = null;
+        this.onLoad = null;
+    }
+    
+    getStorageKey() {
+        const user = window.app && window.app.state.user;
+        return `${this.config.storageKey}_${user ? user.id : 'guest'}`;
+    }
+    
+    isEnabled() {
+        const key = this.getStorageKey();
+        if (this.enabled === null || this.userKey !== key) {
+            this.enabled = localStorage.getItem(key) === 'scroll';
+            this.userKey = key;
+        }
+        return this.enabled;
+    }
+    
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.userKey = this.getStorageKey();
+        
+        try {
+            localStorage.setItem(this.userKey, enabled ? 'scroll' : 'pages');
+        } catch (error) {
+            console.error('List mode saving error:', error);
+        }
+        
+        if (this.onModeChange) {
+            this.onModeChange(enabled);
+        }
+    }
+    
+    toggle() {
+        this.setEnabled(!this.isEnabled());
+    }
+    
+    /**
+     * Scrolling table container, bound on first use
+     */
+    getContainer() {
+        const container = document.querySelector(this.config.containerSelector);
+        if (container && container !== this.container) {
+            this.container = container;
+            container.addEventListener('scroll', () => this.scheduleRender());
+            window.addEventListener('resize', () => this.scheduleRender());
+        }
+        return container;
+    }
+    
+    /**
+     * Start over with the current filters and sort, e.g. after they change
+     */
+    async reset() {
+        this.generation++;
+        this.pages.clear();
+        this.pendingPages.clear();
+        this.total = null;
+        this.range = null;
+        
+        const container = this.getContainer();
+        if (container) {
+            container.classList.add('virtual-scroll');
+            container.scrollTop = 0;
+        }
+        
+        await this.loadPage(1);
+    }
+    
+    /**
+     * Leave the mode, the paginated table takes over the container
+     */
+    detach() {
+        this.generation++;
+        this.pages.clear();
+        this.pendingPages.clear();
+        this.total = null;
+        this.range = null;
+        
+        const container = this.getContainer();
+        if (container) {
+            container.classList.remove('virtual-scroll');
+        }
+    }
+    
+    async loadPage(page) {
+        if (this.pages.has(page) || this.pendingPages.has(page)) return;
+        
+        const generation = this.generation;
+        this.pendingPages.add(page);
+        
+        try {
+            const data = await this.bookings.fetchBookings(page, this.config.pageSize);
+            if (generation !== this.generation) return;
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load bookings');
+            }
+            
+            this.pages.set(page, data.bookings);
+            this.total = data.pagination.total;
+            data.bookings.forEach(booking => this.bookings.loadedBookings.set(Number(booking.id), booking));
+            
+            if (this.onLoad) {
+                this.onLoad(data);
+            }
+            this.render(true);
+        
+        } catch (error) {
+            if (generation !== this.generation) return;
+            
+            console.error('Load bookings page error:', error);
+            this.bookings.showError('Chyba při načítání rezervací: ' + error.message);
+        
+        } finally {
+            if (generation === this.generation) {
+                this.pendingPages.delete(page);
+            }
+        }
+    }
+    
+    getBooking(index) {
+        const rows = this.pages.get(Math.floor(index / this.config.pageSize) + 1);
+        return rows ? rows[index % this.config.pageSize] || null : null;
+    }
+    
+    /**
+     * Bookings loaded so far, in list order
+     */
+    getLoadedBookings() {
+        return Array.from(this.pages.keys())
+            .sort((a, b) => a - b)
+            .flatMap(page => this.pages.get(page));
+    }
+    
+    /**
+     * Replace booking pushed by live updates, if it is loaded
+     */
+    updateBooking(booking) {
+        for (const rows of this.pages.values()) {
+            const index = rows.findIndex(row => Number(row.id) === Number(booking.id));
+            if (index !== -1) {
+                rows[index] = booking;
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    scheduleRender() {
+        if (!this.isEnabled() || this.frame) return;
+        
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+    
+    /**
+     * Rows in view plus overscan, between spacers as tall as the rows left out
+     */
+    getRange() {
+        const container = this.getContainer();
+        const scrollTop = container ? container.scrollTop : 0;
+        const height = container ? container.clientHeight : 0;
+        const first = Math.floor(scrollTop / this.rowHeight);
+        const last = Math.ceil((scrollTop + height) / this.rowHeight);
+        
+        return {
+            start: Math.max(0, first - this.config.overscan),
+            end: Math.min(this.total, last + this.config.overscan)
+        };
+    }
+    
+    render(force = false) {
+        const tbody = document.getElementById(this.config.bodyId);
+        if (!tbody || this.total === null) return;
+        
+        if (this.total === 0) {
+            this.bookings.renderBookings([]);
+            return;
+        }
+        
+        const range = this.getRange();
+        if (!force && this.range && range.start === this.range.start && range.end === this.range.end) return;
+        this.range = range;
+        
+        const columnCount = this.bookings.tableLayout.getColumnCount();
+        const spacer = (rows) => rows > 0
+            ? `<tr class="virtual-spacer" aria-hidden="true"><td colspan="${columnCount}" style="height: ${rows * this.rowHeight}px"></td></tr>`
+            : '';
+        
+        let html = spacer(range.start);
+        for (let index = range.start; index < range.end; index++) {
+            const booking = this.getBooking(index);
+            if (booking) {
+                html += this.bookings.renderBookingRow(booking);
+            } else {
+                html += `<tr class="virtual-placeholder" style="height: ${this.rowHeight}px"><td colspan="${columnCount}"><span class="text-muted">Načítání...</span></td></tr>`;
+                this.loadPage(Math.floor(index / this.config.pageSize) + 1);
+            }
+        }
+        html += spacer(this.total - range.end);
+        
+        const hadFocus = tbody.contains(document.activeElement);
+        tbody.innerHTML = html;
+        this.measureRowHeight(tbody);
+        
+        // Rows moved through with j/k are rendered anew while scrolling
+        const activeRow = hadFocus && tbody.querySelector('tr.row-active');
+        if (activeRow) {
+            activeRow.focus({ preventScroll: true });
+        }
+        
+        this.bookings.initializeRowActions();
+        this.bookings.updateBulkActionButton();
+        this.renderStatus();
+    }
+    
+    /**
+     * Spacers use the real row height once a row is rendered
+     */
+    measureRowHeight(tbody) {
+        if (this.rowHeight !== this.config.rowHeight) return;
+        
+        const row = tbody.querySelector('tr[data-booking-id]');
+        if (row && row.offsetHeight > 0 && row.offsetHeight !== this.rowHeight) {
+            this.rowHeight = row.offsetHeight;
+            this.range = null;
+            this.scheduleRender();
+        }
+    }
+    
+    renderStatus() {
+        const status = document.getElementById('bookings-pagination');
+        if (!status) return;
+        
+        const loaded = Array.from(this.pages.values()).reduce((sum, rows) => sum + rows.length, 0);
+        status.innerHTML = `
+            <div class="pagination-info">
+                Rezervace ${this.range.start + 1} - ${this.range.end} z ${this.total}, načteno ${loaded}
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingVirtualList;
+}
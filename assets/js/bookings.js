@@ -5,17 +5,74 @@
 
 class BookingsManager {
     constructor() {
-        this.apiBase = 'api';
+        this.api = window.api || new ApiClient();
         this.currentPage = 1;
         this.itemsPerPage = 20;
         this.currentFilters = {};
         this.selectedBookings = [];
+        // Loaded bookings by id, labels selected bookings of other pages
+        this.loadedBookings = new Map();
+        // Bulk action in progress, selection is locked meanwhile
+        this.bulkRunning = false;
+        this.gateScanner = new GateScanner(this.api, this);
+        this.gateScanner.onChange = () => this.loadBookings();
+        this.bookingPrinter = new BookingPrinter(this);
+        this.exporter = new BookingExporter(this);
+        this.importWizard = new ImportWizard(this);
+        this.importWizard.onImported = (type) => {
+            if (type === 'bookings') {
+                this.loadBookings();
+            }
+            if (window.calendar) {
+                window.calendar.renderCalendar();
+            }
+        };
+        this.confirmDialog = (window.app && window.app.confirmDialog) || new ConfirmDialog();
+        // Row the keyboard shortcuts act on
+        this.activeBookingId = null;
+        this.tableLayout = new BookingTableLayout(this.getBookingColumns());
+        this.tableLayout.onSortChange = () => {
+            this.currentPage = 1;
+            this.loadBookings();
+        };
+        this.tableLayout.onColumnsChange = () => this.loadBookings();
+        this.virtualList = new BookingVirtualList(this);
+        this.virtualList.onModeChange = () => {
+            this.currentPage = 1;
+            this.loadBookings();
+        };
+        this.virtualList.onLoad = (data) => this.updateBookingCounts(data.pagination.total);
+        this.filterPresets = new BookingFilterPresets(this.api, this);
+        this.filterPresets.onApply = (filters) => {
+            this.currentFilters = filters;
+            this.currentPage = 1;
+            this.syncFilterControls();
+            this.loadBookings();
+        };
+        // Bookings created by others since the list was loaded
+        this.newBookingsCount = 0;
+        // Only the latest slot request of the booking form is shown
+        this.slotOptionsRequest = 0;
+        // Same limit as BookingManager::MAX_SERIES_OCCURRENCES
+        this.maxSeriesOccurrences = 100;
+        
+        // Filter inputs by filter name
+        this.filterControls = {
+            search: 'bookings-search',
+            status: 'status-filter',
+            warehouse_id: 'warehouse-filter',
+            booking_type: 'booking-type-filter',
+            date_range: 'date-range-filter',
+            date_from: 'date-from-filter',
+            date_to: 'date-to-filter'
+        };
         
         this.init();
     }
     
     init() {
         this.initializeEventListeners();
+        this.subscribeToLiveUpdates();
         this.loadBookings();
     }
     
@@ -27,62 +84,69 @@ class BookingsManager {
                 e.preventDefault();
                 this.applyFilters();
             });
+            
+            // Selects and dates apply right away, search waits for typing to stop
+            filterForm.addEventListener('change', (e) => {
+                if (e.target.id !== this.filterControls.search && e.target.id !== this.filterPresets.config.selectId) {
+                    this.applyFilters();
+                }
+            });
         }
         
         // Search input
         const searchInput = document.getElementById('bookings-search');
         if (searchInput) {
             let searchTimeout;
-            searchInput.addEventListener('input', (e) => {
+            searchInput.addEventListener('input', () => {
                 clearTimeout(searchTimeout);
-                searchTimeout = setTimeout(() => {
-                    this.currentFilters.search = e.target.value;
-                    this.loadBookings();
-                }, 300);
+                searchTimeout = setTimeout(() => this.applyFilters(), 300);
             });
         }
         
-        // Status filter
-        const statusFilter = document.getElementById('status-filter');
-        if (statusFilter) {
-            statusFilter.addEventListener('change', (e) => {
-                this.currentFilters.status = e.target.value;
-                this.loadBookings();
+        // Filter presets
+        const savePresetBtn = document.getElementById('save-filter-preset-btn');
+        if (savePresetBtn) {
+            savePresetBtn.addEventListener('click', () => {
+                this.filterPresets.showSaveModal(this.currentFilters);
             });
         }
         
-        // Date filters
-        const dateFromFilter = document.getElementById('date-from-filter');
-        const dateToFilter = document.getElementById('date-to-filter');
+        const managePresetsBtn = document.getElementById('manage-filter-presets-btn');
+        if (managePresetsBtn) {
+            managePresetsBtn.addEventListener('click', () => {
+                this.filterPresets.showManageModal();
+            });
+        }
         
-        if (dateFromFilter) {
-            dateFromFilter.addEventListener('change', (e) => {
-                this.currentFilters.date_from = e.target.value;
-                this.loadBookings();
+        // Bulk actions
+        const bulkActionBtn = document.getElementById('bulk-action-btn');
+        if (bulkActionBtn) {
+            bulkActionBtn.addEventListener('click', () => {
+                this.showBulkActionModal();
             });
         }
         
-        if (dateToFilter) {
-            dateToFilter.addEventListener('change', (e) => {
-                this.currentFilters.date_to = e.target.value;
-                this.loadBookings();
+        // Infinite scroll mode
+        const listModeBtn = document.getElementById('bookings-list-mode-btn');
+        if (listModeBtn) {
+            listModeBtn.addEventListener('click', () => {
+                this.virtualList.toggle();
             });
         }
         
-        // Warehouse filter
-        const warehouseFilter = document.getElementById('warehouse-filter');
-        if (warehouseFilter) {
-            warehouseFilter.addEventListener('change', (e) => {
-                this.currentFilters.warehouse_id = e.target.value;
-                this.loadBookings();
+        // Table columns
+        const columnsBtn = document.getElementById('bookings-columns-btn');
+        if (columnsBtn) {
+            columnsBtn.addEventListener('click', () => {
+                this.tableLayout.showColumnPicker();
             });
         }
         
-        // Bulk actions
-        const bulkActionBtn = document.getElementById('bulk-action-btn');
-        if (bulkActionBtn) {
-            bulkActionBtn.addEventListener('click', () => {
-                this.showBulkActionModal();
+        // Gate scan mode
+        const gateScanBtn = document.getElementById('gate-scan-btn');
+        if (gateScanBtn) {
+            gateScanBtn.addEventListener('click', () => {
+                this.gateScanner.open();
             });
         }
         
@@ -101,32 +165,77 @@ class BookingsManager {
                 this.loadBookings();
             });
         }
+        
+        // New bookings notice
+        const liveReloadBtn = document.getElementById('bookings-live-reload');
+        if (liveReloadBtn) {
+            liveReloadBtn.addEventListener('click', () => {
+                this.loadBookings();
+            });
+        }
+        
+        // Select all checkbox
+        const selectAllCheckbox = document.getElementById('select-all-bookings');
+        if (selectAllCheckbox) {
+            selectAllCheckbox.addEventListener('change', (e) => {
+                this.getSelectableIds().forEach(bookingId => {
+                    if (e.target.checked) {
+                        if (!this.selectedBookings.includes(bookingId)) {
+                            this.selectedBookings.push(bookingId);
+                        }
+                    } else {
+                        this.selectedBookings = this.selectedBookings.filter(id => id !== bookingId);
+                    }
+                });
+                document.querySelectorAll('.booking-checkbox').forEach(checkbox => {
+                    checkbox.checked = e.target.checked;
+                });
+                this.updateBulkActionButton();
+            });
+        }
+        
+        // Close dropdowns when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.dropdown')) {
+                document.querySelectorAll('.dropdown-menu').forEach(menu => {
+                    menu.classList.remove('show');
+                });
+            }
+        });
+        
+        // Keyboard workflow of the bookings table
+        document.addEventListener('keydown', (e) => this.handleTableKeydown(e));
+    }
+    
+    subscribeToLiveUpdates() {
+        if (window.app && window.app.liveUpdates) {
+            window.app.liveUpdates.on('booking', (event) => this.applyBookingEvent(event));
+        }
     }
     
     /**
      * Load bookings from API
      */
     async loadBookings() {
+        this.updateRoute();
+        
         try {
+            this.tableLayout.renderHeader(document.querySelector('#bookings-table thead tr'));
+            this.updateListModeButton();
             this.showLoadingState();
             
-            const params = new URLSearchParams({
-                page: this.currentPage,
-                limit: this.itemsPerPage,
-                ...this.currentFilters
-            });
-            
-            const response = await fetch(`${this.apiBase}/bookings.php?${params}`, {
-                credentials: 'include'
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+            // Infinite scroll loads the pages itself while scrolling
+            if (this.virtualList.isEnabled()) {
+                this.setNewBookingsCount(0);
+                await this.virtualList.reset();
+                return;
             }
+            this.virtualList.detach();
             
-            const data = await response.json();
+            const data = await this.fetchBookings(this.currentPage, this.itemsPerPage);
             
             if (data.success) {
+                this.setNewBookingsCount(0);
                 this.renderBookings(data.bookings);
                 this.renderPagination(data.pagination);
                 this.updateBookingCounts(data.pagination.total);
@@ -143,6 +252,27 @@ class BookingsManager {
         }
     }
     
+    /**
+     * One page of bookings with the current filters and sort
+     */
+    fetchBookings(page, limit) {
+        return this.api.bookings.list({
+            page,
+            limit,
+            ...this.filterPresets.resolveFilters(this.currentFilters),
+            ...this.tableLayout.getSortParams()
+        });
+    }
+    
+    updateListModeButton() {
+        const button = document.getElementById('bookings-list-mode-btn');
+        if (!button) return;
+        
+        const enabled = this.virtualList.isEnabled();
+        button.setAttribute('aria-pressed', String(enabled));
+        button.classList.toggle('active', enabled);
+    }
+    
     /**
      * Render bookings table
      */
@@ -153,7 +283,7 @@ class BookingsManager {
         if (bookings.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="8" class="text-center">
+                    <td colspan="${this.tableLayout.getColumnCount()}" class="text-center">
                         <div class="empty-state">
                             <i class="fas fa-clipboard-list"></i>
                             <h3>Žádné rezervace</h3>
@@ -165,56 +295,148 @@ class BookingsManager {
             return;
         }
         
+        bookings.forEach(booking => this.loadedBookings.set(Number(booking.id), booking));
         tbody.innerHTML = bookings.map(booking => this.renderBookingRow(booking)).join('');
         
         // Initialize row actions
         this.initializeRowActions();
+        this.updateBulkActionButton();
     }
     
     /**
-     * Render single booking row
+     * Columns of the bookings table, sort is the sort key of api/bookings.php,
+     * render gives the cell HTML and value the plain text of exports
      */
-    renderBookingRow(booking) {
-        const statusClass = this.getStatusClass(booking.status);
-        const statusText = this.getStatusText(booking.status);
+    getBookingColumns() {
+        const optional = (value) => value ? this.escapeHtml(value) : '<span class="text-muted">—</span>';
         
-        return `
-            <tr data-booking-id="${booking.id}">
-                <td>
-                    <input type="checkbox" class="booking-checkbox" value="${booking.id}">
-                </td>
-                <td>
+        return {
+            booking: {
+                label: 'Rezervace',
+                sort: 'booking_number',
+                width: 170,
+                render: (booking) => `
                     <div class="booking-info">
-                        <strong>${booking.booking_number}</strong>
+                        <strong>${booking.booking_number}${booking.series_id ? ' <i class="fas fa-redo text-muted" title="Opakovaná rezervace"></i>' : ''}</strong>
                         <small class="text-muted">${booking.reference_number || ''}</small>
                     </div>
-                </td>
-                <td>
+                `,
+                value: (booking) => booking.booking_number
+            },
+            slot: {
+                label: 'Datum & Čas',
+                sort: 'slot',
+                width: 140,
+                render: (booking) => `
                     <div class="datetime-info">
                         <strong>${this.formatDate(booking.slot_date)}</strong>
                         <small>${booking.slot_time_start} - ${booking.slot_time_end}</small>
                     </div>
-                </td>
-                <td>
+                `,
+                value: (booking) => `${this.formatDate(booking.slot_date)} ${this.formatTime(booking.slot_time_start)} - ${this.formatTime(booking.slot_time_end)}`
+            },
+            warehouse: {
+                label: 'Sklad',
+                sort: 'warehouse',
+                width: 160,
+                render: (booking) => `
                     <div class="warehouse-info">
                         <strong>${booking.warehouse_name}</strong>
                         ${booking.zone_name ? `<small>${booking.zone_name}</small>` : ''}
                     </div>
-                </td>
-                <td>
+                `,
+                value: (booking) => [booking.warehouse_name, booking.zone_name].filter(Boolean).join(' / ')
+            },
+            driver: {
+                label: 'Řidič / Vozidlo',
+                sort: 'driver',
+                width: 170,
+                render: (booking) => `
                     <div class="driver-info">
                         ${booking.driver_name ? `
                             <strong>${booking.driver_name}</strong>
                             <small>${booking.vehicle_license || ''}</small>
                         ` : '<span class="text-muted">Nepřiřazen</span>'}
                     </div>
-                </td>
-                <td>
-                    <span class="status-badge ${statusClass}">${statusText}</span>
-                </td>
+                `,
+                value: (booking) => [booking.driver_name, booking.vehicle_license].filter(Boolean).join(', ')
+            },
+            status: {
+                label: 'Status',
+                sort: 'status',
+                width: 120,
+                render: (booking) => this.canChangeStatus() ? `
+                    <button type="button" class="status-edit" title="Změnit stav (S)" aria-label="Stav ${this.getStatusText(booking.status)}, změnit">
+                        <span class="status-badge ${this.getStatusClass(booking.status)}">${this.getStatusText(booking.status)}</span>
+                        <i class="fas fa-pen" aria-hidden="true"></i>
+                    </button>
+                ` : `<span class="status-badge ${this.getStatusClass(booking.status)}">${this.getStatusText(booking.status)}</span>`,
+                value: (booking) => this.getStatusText(booking.status)
+            },
+            booking_type: {
+                label: 'Typ',
+                sort: 'booking_type',
+                width: 110,
+                render: (booking) => `<span class="booking-type">${this.getBookingTypeText(booking.booking_type)}</span>`,
+                value: (booking) => this.getBookingTypeText(booking.booking_type)
+            },
+            reference_number: {
+                label: 'Referenční číslo',
+                sort: 'reference_number',
+                width: 150,
+                render: (booking) => optional(booking.reference_number),
+                value: (booking) => booking.reference_number
+            },
+            vehicle: {
+                label: 'SPZ vozidla',
+                sort: 'vehicle',
+                width: 120,
+                render: (booking) => optional(booking.vehicle_license),
+                value: (booking) => booking.vehicle_license
+            },
+            check_in_time: {
+                label: 'Check-in',
+                sort: 'check_in_time',
+                width: 150,
+                render: (booking) => optional(this.formatDateTime(booking.check_in_time)),
+                value: (booking) => this.formatDateTime(booking.check_in_time)
+            },
+            check_out_time: {
+                label: 'Check-out',
+                sort: 'check_out_time',
+                width: 150,
+                render: (booking) => optional(this.formatDateTime(booking.check_out_time)),
+                value: (booking) => this.formatDateTime(booking.check_out_time)
+            },
+            created_by: {
+                label: 'Vytvořil',
+                sort: 'created_by',
+                width: 150,
+                render: (booking) => optional(booking.created_by_name),
+                value: (booking) => booking.created_by_name
+            },
+            created_at: {
+                label: 'Vytvořeno',
+                sort: 'created_at',
+                width: 150,
+                render: (booking) => optional(this.formatDateTime(booking.created_at)),
+                value: (booking) => this.formatDateTime(booking.created_at)
+            }
+        };
+    }
+    
+    /**
+     * Render single booking row with the columns chosen by the user
+     */
+    renderBookingRow(booking) {
+        return `
+            <tr data-booking-id="${booking.id}" tabindex="-1" ${Number(booking.id) === this.activeBookingId ? 'class="row-active"' : ''}>
                 <td>
-                    <span class="booking-type">${this.getBookingTypeText(booking.booking_type)}</span>
+                    <input type="checkbox" class="booking-checkbox" value="${booking.id}" ${this.selectedBookings.includes(Number(booking.id)) ? 'checked' : ''} ${this.bulkRunning ? 'disabled' : ''}>
                 </td>
+                ${this.tableLayout.getVisibleColumns().map(column => `
+                    <td data-column="${column.key}">${column.render(booking)}</td>
+                `).join('')}
                 <td>
                     <div class="action-buttons">
                         <button class="btn btn-sm btn-outline" onclick="bookingsManager.viewBooking(${booking.id})" title="Zobrazit">
@@ -238,50 +460,67 @@ class BookingsManager {
     }
     
     /**
-     * Render booking actions dropdown
+     * Actions available for booking, shared by row dropdown and detail view
      */
-    renderBookingActions(booking) {
+    getBookingActions(booking) {
         const actions = [];
         
         // Check-in/Check-out actions
         if (booking.status === 'confirmed' && !booking.check_in_time) {
-            actions.push(`<a href="#" onclick="bookingsManager.checkIn(${booking.id})"><i class="fas fa-sign-in-alt"></i> Check-in</a>`);
+            actions.push({ method: 'checkIn', icon: 'fa-sign-in-alt', label: 'Check-in' });
         }
         
         if (booking.check_in_time && !booking.check_out_time) {
-            actions.push(`<a href="#" onclick="bookingsManager.checkOut(${booking.id})"><i class="fas fa-sign-out-alt"></i> Check-out</a>`);
+            actions.push({ method: 'checkOut', icon: 'fa-sign-out-alt', label: 'Check-out' });
         }
         
         // Status change actions
         if (booking.status === 'pending') {
-            actions.push(`<a href="#" onclick="bookingsManager.approveBooking(${booking.id})"><i class="fas fa-check"></i> Schválit</a>`);
+            actions.push({ method: 'approveBooking', icon: 'fa-check', label: 'Schválit' });
         }
         
         if (['pending', 'confirmed', 'approved'].includes(booking.status)) {
-            actions.push(`<a href="#" onclick="bookingsManager.cancelBooking(${booking.id})"><i class="fas fa-times"></i> Zrušit</a>`);
+            actions.push({ method: 'cancelBooking', icon: 'fa-times', label: 'Zrušit' });
         }
         
-        // Other actions
-        actions.push(`<a href="#" onclick="bookingsManager.duplicateBooking(${booking.id})"><i class="fas fa-copy"></i> Duplikovat</a>`);
-        actions.push(`<a href="#" onclick="bookingsManager.showQRCode(${booking.id})"><i class="fas fa-qrcode"></i> QR kód</a>`);
-        actions.push(`<a href="#" onclick="bookingsManager.printBooking(${booking.id})"><i class="fas fa-print"></i> Tisknout</a>`);
-        
-        if (actions.length > 0) {
-            actions.push('<div class="dropdown-divider"></div>');
+        // Series actions apply to this and the upcoming bookings of the series
+        if (booking.series_id && ['pending', 'confirmed', 'approved', 'delayed'].includes(booking.status)) {
+            actions.push({ method: 'editSeries', icon: 'fa-layer-group', label: 'Upravit sérii' });
+            actions.push({ method: 'cancelSeries', icon: 'fa-calendar-times', label: 'Zrušit sérii' });
         }
         
-        actions.push(`<a href="#" onclick="bookingsManager.deleteBooking(${booking.id})" class="text-danger"><i class="fas fa-trash"></i> Smazat</a>`);
+        // Other actions
+        actions.push({ method: 'duplicateBooking', icon: 'fa-copy', label: 'Duplikovat' });
+        actions.push({ method: 'showQRCode', icon: 'fa-qrcode', label: 'QR kód' });
+        actions.push({ method: 'printBooking', icon: 'fa-print', label: 'Tisknout' });
+        actions.push({ method: 'deleteBooking', icon: 'fa-trash', label: 'Smazat', danger: true });
         
-        return actions.join('');
+        return actions;
+    }
+    
+    /**
+     * Render booking actions dropdown
+     */
+    renderBookingActions(booking) {
+        return this.getBookingActions(booking).map(action => `
+            ${action.danger ? '<div class="dropdown-divider"></div>' : ''}
+            <a href="#" onclick="bookingsManager.${action.method}(${booking.id})" ${action.danger ? 'class="text-danger"' : ''}><i class="fas ${action.icon}"></i> ${action.label}</a>
+        `).join('');
     }
     
     /**
      * Initialize row actions
      */
     initializeRowActions() {
+        document.querySelectorAll('#bookings-table-body tr[data-booking-id]').forEach(row => {
+            this.bindRowActions(row);
+        });
+    }
+    
+    bindRowActions(row) {
         // Checkbox selection
-        const checkboxes = document.querySelectorAll('.booking-checkbox');
-        checkboxes.forEach(checkbox => {
+        const checkbox = row.querySelector('.booking-checkbox');
+        if (checkbox) {
             checkbox.addEventListener('change', (e) => {
                 const bookingId = parseInt(e.target.value);
                 if (e.target.checked) {
@@ -291,183 +530,596 @@ class BookingsManager {
                 }
                 this.updateBulkActionButton();
             });
-        });
-        
-        // Select all checkbox
-        const selectAllCheckbox = document.getElementById('select-all-bookings');
-        if (selectAllCheckbox) {
-            selectAllCheckbox.addEventListener('change', (e) => {
-                checkboxes.forEach(checkbox => {
-                    checkbox.checked = e.target.checked;
-                    const bookingId = parseInt(checkbox.value);
-                    if (e.target.checked) {
-                        if (!this.selectedBookings.includes(bookingId)) {
-                            this.selectedBookings.push(bookingId);
-                        }
-                    } else {
-                        this.selectedBookings = this.selectedBookings.filter(id => id !== bookingId);
-                    }
-                });
-                this.updateBulkActionButton();
-            });
         }
         
-        // Dropdown toggles
-        const dropdownToggles = document.querySelectorAll('.dropdown-toggle');
-        dropdownToggles.forEach(toggle => {
+        // Dropdown toggle
+        const toggle = row.querySelector('.dropdown-toggle');
+        if (toggle) {
             toggle.addEventListener('click', (e) => {
                 e.preventDefault();
                 const dropdown = toggle.nextElementSibling;
                 dropdown.classList.toggle('show');
             });
-        });
+        }
         
-        // Close dropdowns when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.dropdown')) {
-                document.querySelectorAll('.dropdown-menu').forEach(menu => {
-                    menu.classList.remove('show');
-                });
+        // Inline status change
+        row.addEventListener('click', (e) => {
+            if (e.target.closest('.status-edit')) {
+                this.editStatusInline(Number(row.dataset.bookingId));
             }
         });
+        
+        // Clicked row becomes the row of keyboard shortcuts
+        row.addEventListener('mousedown', () => this.setActiveBooking(Number(row.dataset.bookingId)));
     }
     
     /**
-     * Update bulk action button
+     * Update row of a pushed booking change in place, new bookings are
+     * only announced so that the list does not jump while being read
      */
-    updateBulkActionButton() {
-        const bulkActionBtn = document.getElementById('bulk-action-btn');
-        if (bulkActionBtn) {
-            bulkActionBtn.disabled = this.selectedBookings.length === 0;
-            bulkActionBtn.textContent = `Hromadné akce (${this.selectedBookings.length})`;
+    applyBookingEvent(event) {
+        if (event.data) {
+            this.virtualList.updateBooking(event.data);
         }
+        
+        if (!this.getBookingRow(event.entity_id)) {
+            if (event.action === 'created') {
+                this.setNewBookingsCount(this.newBookingsCount + 1);
+            }
+            return;
+        }
+        
+        this.loadedBookings.set(Number(event.entity_id), event.data);
+        this.replaceBookingRow(event.data, 'live-updated');
+    }
+    
+    getBookingRow(bookingId) {
+        return document.querySelector(`#bookings-table-body tr[data-booking-id="${bookingId}"]`);
     }
     
     /**
-     * Render pagination
+     * Render booking into its row, the row keeps keyboard focus
      */
-    renderPagination(pagination) {
-        const paginationContainer = document.getElementById('bookings-pagination');
-        if (!paginationContainer) return;
+    replaceBookingRow(booking, className = null) {
+        const row = this.getBookingRow(booking.id);
+        if (!row) return;
         
-        const { page, pages, total } = pagination;
+        const template = document.createElement('template');
+        template.innerHTML = this.renderBookingRow(booking).trim();
         
-        if (pages <= 1) {
-            paginationContainer.innerHTML = '';
-            return;
+        const updated = template.content.firstElementChild;
+        if (className) {
+            updated.classList.add(className);
         }
+        const hadFocus = row.contains(document.activeElement);
+        row.replaceWith(updated);
+        this.bindRowActions(updated);
         
-        let paginationHTML = '<nav><ul class="pagination">';
-        
-        // Previous button
-        if (page > 1) {
-            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="bookingsManager.changePage(${page - 1})">&laquo;</a></li>`;
+        if (hadFocus) {
+            updated.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Reload one booking after an action, the list keeps its page and scroll position
+     */
+    async refreshBooking(bookingId) {
+        try {
+            const data = await this.api.bookings.get(bookingId, { cache: false });
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            this.applyBookingEvent({ entity_id: bookingId, action: 'updated', data: data.booking });
+        } catch (error) {
+            console.error('Refresh booking error:', error);
+            this.loadBookings();
         }
+    }
+    
+    /**
+     * Shortcuts of the bookings table: j/k move between rows, Enter opens
+     * the booking, a/c approve and cancel, i/o check in and out, s edits
+     * the status, Ctrl+Z undoes the last action still waiting
+     */
+    handleTableKeydown(e) {
+        const page = document.getElementById('bookings-page');
+        if (!page || !page.classList.contains('active')) return;
         
-        // Page numbers
-        const startPage = Math.max(1, page - 2);
-        const endPage = Math.min(pages, page + 2);
+        // Dialogs and form fields keep their keys
+        const overlay = document.getElementById('modal-overlay');
+        if ((overlay && overlay.classList.contains('show')) || this.confirmDialog.isOpen()) return;
+        if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
         
-        for (let i = startPage; i <= endPage; i++) {
-            paginationHTML += `<li class="page-item ${i === page ? 'active' : ''}">
-                <a class="page-link" href="#" onclick="bookingsManager.changePage(${i})">${i}</a>
-            </li>`;
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z') {
+            if (this.confirmDialog.undoLast()) {
+                e.preventDefault();
+            }
+            return;
         }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
         
-        // Next button
-        if (page < pages) {
-            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="bookingsManager.changePage(${page + 1})">&raquo;</a></li>`;
-        }
+        const shortcuts = {
+            j: () => this.moveActiveBooking(1),
+            k: () => this.moveActiveBooking(-1),
+            Enter: (bookingId) => this.viewBooking(bookingId),
+            a: (bookingId) => this.runShortcutAction(bookingId, 'approveBooking'),
+            c: (bookingId) => this.runShortcutAction(bookingId, 'cancelBooking'),
+            i: (bookingId) => this.runShortcutAction(bookingId, 'checkIn'),
+            o: (bookingId) => this.runShortcutAction(bookingId, 'checkOut'),
+            s: (bookingId) => this.editStatusInline(bookingId)
+        };
+        const shortcut = shortcuts[e.key];
+        if (!shortcut) return;
         
-        paginationHTML += '</ul></nav>';
+        // Enter on a button or link keeps activating it
+        if (e.key === 'Enter' && e.target.closest && e.target.closest('button, a')) return;
+        if (!['j', 'k'].includes(e.key) && !this.activeBookingId) return;
         
-        // Add page info
-        paginationHTML += `<div class="pagination-info">
-            Zobrazeno ${((page - 1) * this.itemsPerPage) + 1} - ${Math.min(page * this.itemsPerPage, total)} z ${total} rezervací
-        </div>`;
+        e.preventDefault();
+        shortcut(this.activeBookingId);
+    }
+    
+    setActiveBooking(bookingId, focus = false) {
+        this.activeBookingId = bookingId;
         
-        paginationContainer.innerHTML = paginationHTML;
+        document.querySelectorAll('#bookings-table-body tr.row-active').forEach(row => {
+            row.classList.remove('row-active');
+        });
+        
+        const row = this.getBookingRow(bookingId);
+        if (row) {
+            row.classList.add('row-active');
+            if (focus) {
+                row.focus();
+            }
+        }
     }
     
     /**
-     * Change page
+     * Move the active row, the first j starts at the top
      */
-    changePage(page) {
-        this.currentPage = page;
-        this.loadBookings();
+    moveActiveBooking(step) {
+        const rows = Array.from(document.querySelectorAll('#bookings-table-body tr[data-booking-id]'));
+        if (rows.length === 0) return;
+        
+        const index = rows.findIndex(row => Number(row.dataset.bookingId) === this.activeBookingId);
+        const next = index === -1
+            ? (step > 0 ? 0 : rows.length - 1)
+            : Math.min(rows.length - 1, Math.max(0, index + step));
+        
+        this.setActiveBooking(Number(rows[next].dataset.bookingId), true);
     }
     
     /**
-     * Apply filters
+     * Run row action from a shortcut, only when the row menu offers it
      */
-    applyFilters() {
-        const form = document.getElementById('bookings-filter-form');
-        if (!form) return;
-        
-        const formData = new FormData(form);
-        this.currentFilters = {};
+    runShortcutAction(bookingId, method) {
+        const booking = this.loadedBookings.get(Number(bookingId));
+        if (!booking) return;
         
-        for (const [key, value] of formData.entries()) {
-            if (value) {
-                this.currentFilters[key] = value;
-            }
+        const action = this.getBookingActions(booking).find(item => item.method === method);
+        if (!action) {
+            this.showWarning(`Rezervaci ve stavu „${this.getStatusText(booking.status)}“ nelze ${this.getShortcutActionText(method)}`);
+            return;
         }
         
-        this.currentPage = 1;
-        this.loadBookings();
+        this[method](bookingId);
+    }
+    
+    getShortcutActionText(method) {
+        const texts = {
+            approveBooking: 'schválit',
+            cancelBooking: 'zrušit',
+            checkIn: 'odbavit při příjezdu',
+            checkOut: 'odbavit při odjezdu'
+        };
+        return texts[method] || method;
     }
     
     /**
-     * Clear filters
+     * Status can be changed by everyone allowed to update bookings
      */
-    clearFilters() {
-        this.currentFilters = {};
-        this.currentPage = 1;
-        
-        // Reset filter form
-        const form = document.getElementById('bookings-filter-form');
-        if (form) {
-            form.reset();
-        }
-        
-        this.loadBookings();
+    canChangeStatus() {
+        const user = window.app && window.app.state.user;
+        return Boolean(user) && user.user_type !== 'driver';
     }
     
     /**
-     * View booking details
+     * Statuses offered by the inline status select
      */
-    async viewBooking(bookingId) {
-        try {
-            const response = await fetch(`${this.apiBase}/bookings.php?booking_id=${bookingId}`, {
-                credentials: 'include'
-            });
-            
-            const data = await response.json();
-            
-            if (data.success) {
-                this.showBookingModal(data.booking, data.documents, 'view');
-            } else {
-                throw new Error(data.error);
-            }
-            
-        } catch (error) {
-            console.error('View booking error:', error);
-            this.showError('Chyba při načítání rezervace: ' + error.message);
-        }
+    getInlineStatuses() {
+        return ['pending', 'approved', 'confirmed', 'checked_in', 'delayed', 'completed', 'cancelled'];
     }
     
     /**
-     * Edit booking
+     * Swap status badge for a select, Escape or leaving it keeps the status
      */
-    async editBooking(bookingId) {
-        try {
-            const response = await fetch(`${this.apiBase}/bookings.php?booking_id=${bookingId}`, {
-                credentials: 'include'
-            });
-            
-            const data = await response.json();
-            
-            if (data.success) {
+    editStatusInline(bookingId) {
+        const booking = this.loadedBookings.get(Number(bookingId));
+        if (!booking || !this.canChangeStatus()) return;
+        
+        const row = this.getBookingRow(bookingId);
+        const cell = row && row.querySelector('td[data-column="status"]');
+        if (!cell) {
+            this.showWarning('Pro změnu stavu zobrazte sloupec Status');
+            return;
+        }
+        
+        const statuses = this.getInlineStatuses();
+        if (!statuses.includes(booking.status)) {
+            statuses.unshift(booking.status);
+        }
+        
+        const select = document.createElement('select');
+        select.className = 'form-control status-inline-select';
+        select.setAttribute('aria-label', `Stav rezervace ${booking.booking_number}`);
+        select.innerHTML = statuses.map(status => `
+            <option value="${status}" ${status === booking.status ? 'selected' : ''}>${this.getStatusText(status)}</option>
+        `).join('');
+        
+        let finished = false;
+        const finish = (status) => {
+            if (finished) return;
+            finished = true;
+            
+            cell.innerHTML = this.tableLayout.columns.status.render(booking);
+            row.focus({ preventScroll: true });
+            
+            if (status && status !== booking.status) {
+                this.changeBookingStatus(bookingId, status);
+            }
+        };
+        
+        select.addEventListener('change', () => finish(select.value));
+        select.addEventListener('blur', () => finish(null));
+        select.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(null);
+            }
+        });
+        
+        this.setActiveBooking(Number(bookingId));
+        cell.innerHTML = '';
+        cell.appendChild(select);
+        select.focus();
+    }
+    
+    /**
+     * Change status from the inline select, cancelling asks for the reason first
+     */
+    async changeBookingStatus(bookingId, status) {
+        if (status === 'cancelled') {
+            await this.cancelBooking(bookingId);
+            return;
+        }
+        
+        try {
+            const data = await this.runUndoable(
+                bookingId,
+                `Rezervace ${this.getBookingLabel(bookingId)}: stav se mění na „${this.getStatusText(status)}“`,
+                (options) => this.api.bookings.changeStatus(bookingId, status, null, options),
+                status
+            );
+            if (!data) return;
+            
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
+            
+            if (data.success) {
+                this.showSuccess('Stav rezervace byl změněn');
+                this.refreshBooking(bookingId);
+            } else {
+                throw new Error(data.error);
+            }
+            
+        } catch (error) {
+            console.error('Change status error:', error);
+            this.showError('Chyba při změně stavu: ' + error.message);
+        }
+    }
+    
+    /**
+     * Run reversible booking action once its undo time passes, the row shows
+     * the expected status meanwhile. Resolves to null when undone
+     */
+    runUndoable(bookingId, message, action, pendingStatus) {
+        const booking = this.loadedBookings.get(Number(bookingId));
+        if (booking) {
+            this.replaceBookingRow({ ...booking, status: pendingStatus }, 'action-pending');
+        }
+        const restore = () => {
+            if (booking) {
+                this.replaceBookingRow(this.loadedBookings.get(Number(bookingId)) || booking);
+            }
+        };
+        
+        return this.confirmDialog.runUndoable(message, action, { onUndo: restore })
+            .catch(error => {
+                restore();
+                throw error;
+            });
+    }
+    
+    setNewBookingsCount(count) {
+        this.newBookingsCount = count;
+        
+        const notice = document.getElementById('bookings-live-notice');
+        if (!notice) return;
+        
+        notice.classList.toggle('hidden', count === 0);
+        notice.querySelector('.live-notice-text').textContent = `Přibyly nové rezervace (${count})`;
+    }
+    
+    /**
+     * Update bulk action button
+     */
+    updateBulkActionButton() {
+        const bulkActionBtn = document.getElementById('bulk-action-btn');
+        if (bulkActionBtn) {
+            bulkActionBtn.disabled = this.selectedBookings.length === 0 || this.bulkRunning;
+            bulkActionBtn.textContent = `Hromadné akce (${this.selectedBookings.length})`;
+        }
+        
+        // Select all reflects the rows of the current page or all loaded rows
+        const selectAllCheckbox = document.getElementById('select-all-bookings');
+        if (selectAllCheckbox) {
+            const ids = this.getSelectableIds();
+            const checked = ids.filter(id => this.selectedBookings.includes(id)).length;
+            selectAllCheckbox.checked = ids.length > 0 && checked === ids.length;
+            selectAllCheckbox.indeterminate = checked > 0 && checked < ids.length;
+        }
+    }
+    
+    /**
+     * Bookings covered by select all, in infinite scroll also rows scrolled out of view
+     */
+    getSelectableIds() {
+        if (this.virtualList.isEnabled()) {
+            return this.virtualList.getLoadedBookings().map(booking => Number(booking.id));
+        }
+        
+        return Array.from(document.querySelectorAll('.booking-checkbox')).map(checkbox => Number(checkbox.value));
+    }
+    
+    /**
+     * Replace selection, e.g. with bookings that failed in a bulk action
+     */
+    setSelection(bookingIds) {
+        this.selectedBookings = bookingIds.map(Number);
+        
+        document.querySelectorAll('.booking-checkbox').forEach(checkbox => {
+            checkbox.checked = this.selectedBookings.includes(Number(checkbox.value));
+        });
+        this.updateBulkActionButton();
+    }
+    
+    /**
+     * Render pagination
+     */
+    renderPagination(pagination) {
+        const paginationContainer = document.getElementById('bookings-pagination');
+        if (!paginationContainer) return;
+        
+        const { page, pages, total } = pagination;
+        
+        if (pages <= 1) {
+            paginationContainer.innerHTML = '';
+            return;
+        }
+        
+        let paginationHTML = '<nav><ul class="pagination">';
+        
+        // Previous button
+        if (page > 1) {
+            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="bookingsManager.changePage(${page - 1}); return false;">&laquo;</a></li>`;
+        }
+        
+        // Page numbers
+        const startPage = Math.max(1, page - 2);
+        const endPage = Math.min(pages, page + 2);
+        
+        for (let i = startPage; i <= endPage; i++) {
+            paginationHTML += `<li class="page-item ${i === page ? 'active' : ''}">
+                <a class="page-link" href="#" onclick="bookingsManager.changePage(${i}); return false;">${i}</a>
+            </li>`;
+        }
+        
+        // Next button
+        if (page < pages) {
+            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="bookingsManager.changePage(${page + 1}); return false;">&raquo;</a></li>`;
+        }
+        
+        paginationHTML += '</ul></nav>';
+        
+        // Add page info
+        paginationHTML += `<div class="pagination-info">
+            Zobrazeno ${((page - 1) * this.itemsPerPage) + 1} - ${Math.min(page * this.itemsPerPage, total)} z ${total} rezervací
+        </div>`;
+        
+        paginationContainer.innerHTML = paginationHTML;
+    }
+    
+    /**
+     * Change page
+     */
+    changePage(page) {
+        this.currentPage = page;
+        this.loadBookings();
+    }
+    
+    /**
+     * Apply filters from the filter inputs
+     */
+    applyFilters() {
+        this.currentFilters = {};
+        
+        Object.entries(this.filterControls).forEach(([key, id]) => {
+            const control = document.getElementById(id);
+            const value = control ? control.value.trim() : '';
+            if (value) {
+                this.currentFilters[key] = value;
+            }
+        });
+        
+        // Relative range wins, switching it off keeps its dates as fixed ones
+        if (this.currentFilters.date_range) {
+            delete this.currentFilters.date_from;
+            delete this.currentFilters.date_to;
+        }
+        
+        this.currentPage = 1;
+        this.syncFilterControls();
+        this.loadBookings();
+    }
+    
+    /**
+     * Clear filters
+     */
+    clearFilters() {
+        this.currentFilters = {};
+        this.currentPage = 1;
+        
+        // Reset filter form
+        const form = document.getElementById('bookings-filter-form');
+        if (form) {
+            form.reset();
+        }
+        this.syncFilterControls();
+        
+        this.loadBookings();
+    }
+    
+    /**
+     * Bookings state for the URL: #/bookings?status=pending&page=3
+     */
+    getRouteState() {
+        const params = {};
+        
+        Object.entries(this.currentFilters).forEach(([key, value]) => {
+            if (value) {
+                params[key] = value;
+            }
+        });
+        
+        if (this.currentPage > 1 && !this.virtualList.isEnabled()) {
+            params.page = this.currentPage;
+        }
+        
+        return { segments: [], params };
+    }
+    
+    /**
+     * Restore filters and page from the URL, without filters the default preset applies
+     */
+    async applyRouteState(route) {
+        const { page, ...filters } = route.params;
+        
+        this.currentFilters = filters;
+        this.currentPage = Math.max(1, parseInt(page, 10) || 1);
+        this.syncFilterControls();
+        
+        this.loadWarehouseFilter();
+        await this.filterPresets.load();
+        
+        if (Object.keys(filters).length === 0 && !page) {
+            const defaultPreset = this.filterPresets.takeDefault();
+            if (defaultPreset) {
+                this.currentFilters = { ...defaultPreset.filters };
+                this.syncFilterControls();
+            }
+        }
+        
+        this.loadBookings();
+    }
+    
+    /**
+     * Show current filter values in the filter inputs, a relative range shows its dates
+     */
+    syncFilterControls() {
+        Object.entries(this.filterControls).forEach(([key, id]) => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.value = this.currentFilters[key] || '';
+            }
+        });
+        
+        const dates = this.currentFilters.date_range
+            ? this.filterPresets.resolveDateRange(this.currentFilters.date_range)
+            : null;
+        
+        ['date_from', 'date_to'].forEach(key => {
+            const control = document.getElementById(this.filterControls[key]);
+            if (control) {
+                control.disabled = Boolean(dates);
+                if (dates) {
+                    control.value = dates[key];
+                }
+            }
+        });
+        
+        this.filterPresets.render(this.currentFilters);
+    }
+    
+    async loadWarehouseFilter() {
+        try {
+            const data = await this.api.warehouses.list();
+            
+            if (data.success) {
+                this.renderWarehouseFilter(data.warehouses);
+            }
+        } catch (error) {
+            console.error('Error loading warehouses:', error);
+        }
+    }
+    
+    renderWarehouseFilter(warehouses) {
+        const select = document.getElementById(this.filterControls.warehouse_id);
+        if (!select) return;
+        
+        select.innerHTML = `
+            <option value="">Všechny sklady</option>
+            ${warehouses.map(w => `<option value="${w.id}">${this.escapeHtml(w.name)}</option>`).join('')}
+        `;
+        select.value = this.currentFilters.warehouse_id || '';
+    }
+    
+    updateRoute() {
+        if (window.app) {
+            window.app.updateRoute('bookings');
+        }
+    }
+    
+    /**
+     * View booking details
+     */
+    async viewBooking(bookingId) {
+        try {
+            const data = await this.api.bookings.get(bookingId);
+            
+            if (data.success) {
+                this.showBookingModal(data.booking, data.documents, 'view', data.history, data.series);
+            } else {
+                throw new Error(data.error);
+            }
+            
+        } catch (error) {
+            console.error('View booking error:', error);
+            this.showError('Chyba při načítání rezervace: ' + error.message);
+        }
+    }
+    
+    /**
+     * Edit booking
+     */
+    async editBooking(bookingId) {
+        try {
+            const data = await this.api.bookings.get(bookingId);
+            
+            if (data.success) {
                 this.showBookingModal(data.booking, data.documents, 'edit');
             } else {
                 throw new Error(data.error);
@@ -480,10 +1132,526 @@ class BookingsManager {
     }
     
     /**
-     * Create new booking
+     * Edit booking together with the upcoming bookings of its series
+     */
+    async editSeries(bookingId) {
+        try {
+            const data = await this.api.bookings.get(bookingId);
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            this.showBookingForm(data.booking, { series_scope: 'series' });
+            
+        } catch (error) {
+            console.error('Edit series error:', error);
+            this.showError('Chyba při načítání rezervace: ' + error.message);
+        }
+    }
+    
+    /**
+     * Create new booking, defaults may preselect warehouse_id, slot_date and time_slot_id
+     * or slot_time_start, and fill the other fields and the recurrence
+     */
+    createBooking(defaults = {}) {
+        this.showBookingForm(null, defaults);
+    }
+    
+    /**
+     * Show create/edit booking form
+     *
+     * The slot is picked from free slots of the chosen warehouse, date and type.
+     * New booking may recur, its occurrences are previewed before they are created
+     */
+    async showBookingForm(booking = null, defaults = {}) {
+        const isDriver = window.app && window.app.state.user && window.app.state.user.user_type === 'driver';
+        
+        let options;
+        try {
+            options = await this.loadBookingFormOptions(isDriver);
+        } catch (error) {
+            console.error('Booking form loading error:', error);
+            this.showError('Chyba při načítání formuláře: ' + error.message);
+            return;
+        }
+        
+        const { warehouses, drivers, vehicles } = options;
+        const values = booking ? {
+            booking_type: booking.booking_type,
+            warehouse_id: booking.warehouse_id,
+            slot_date: booking.slot_date,
+            time_slot_id: booking.time_slot_id,
+            driver_id: booking.driver_id,
+            vehicle_id: booking.vehicle_id,
+            reference_number: booking.reference_number,
+            notes: booking.notes,
+            series_scope: defaults.series_scope || 'booking'
+        } : {
+            booking_type: 'universal',
+            warehouse_id: warehouses.length === 1 ? warehouses[0].id : '',
+            slot_date: this.toDateValue(new Date()),
+            recurrence_frequency: 'weekly',
+            ...defaults
+        };
+        
+        const renderOptions = (items, selected, label) => items.map(item => `
+            <option value="${item.id}" ${item.id == selected ? 'selected' : ''}>${this.escapeHtml(label(item))}</option>
+        `).join('');
+        
+        const form = window.app.showFormModal(booking ? `Upravit rezervaci ${this.escapeHtml(booking.booking_number)}` : 'Nová rezervace', `
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="booking-type">Typ rezervace *</label>
+                    <select id="booking-type" name="booking_type" class="form-control">
+                        ${['loading', 'unloading', 'universal'].map(type => `
+                            <option value="${type}" ${type === values.booking_type ? 'selected' : ''}>${this.getBookingTypeText(type)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="booking-warehouse">Sklad *</label>
+                    <select id="booking-warehouse" name="warehouse_id" class="form-control" required>
+                        <option value="">Vyberte sklad</option>
+                        ${renderOptions(warehouses, values.warehouse_id, warehouse => warehouse.name)}
+                    </select>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="booking-date">Datum *</label>
+                    <input type="date" id="booking-date" name="slot_date" class="form-control" required
+                           ${booking ? '' : `min="${this.toDateValue(new Date())}"`}
+                           value="${this.escapeHtml(values.slot_date || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="booking-slot">Slot *</label>
+                    <select id="booking-slot" name="time_slot_id" class="form-control" disabled
+                            data-selected="${this.escapeHtml(values.time_slot_id || '')}"
+                            data-time="${this.escapeHtml(values.slot_time_start || '')}">
+                        <option value="">Nejprve vyberte sklad a datum</option>
+                    </select>
+                </div>
+            </div>
+            <div class="form-row">
+                ${isDriver ? '' : `
+                    <div class="form-group">
+                        <label for="booking-driver">Řidič</label>
+                        <select id="booking-driver" name="driver_id" class="form-control">
+                            <option value="">Nepřiřazen</option>
+                            ${renderOptions(drivers, values.driver_id, driver => driver.full_name)}
+                        </select>
+                    </div>
+                `}
+                <div class="form-group">
+                    <label for="booking-vehicle">Vozidlo</label>
+                    <select id="booking-vehicle" name="vehicle_id" class="form-control">
+                        <option value="">Nepřiřazeno</option>
+                        ${renderOptions(vehicles, values.vehicle_id, vehicle => vehicle.license_plate + (vehicle.type ? ` (${vehicle.type})` : ''))}
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="booking-reference">Referenční číslo</label>
+                <input type="text" id="booking-reference" name="reference_number" class="form-control" maxlength="100"
+                       value="${this.escapeHtml(values.reference_number || '')}">
+            </div>
+            <div class="form-group">
+                <label for="booking-notes">Poznámky</label>
+                <textarea id="booking-notes" name="notes" class="form-control" rows="3">${this.escapeHtml(values.notes || '')}</textarea>
+            </div>
+            ${booking ? this.renderSeriesScope(booking, values) : this.renderRecurrenceFields(values)}
+        `, async (formData) => {
+            const fieldErrors = this.validateBookingForm(formData, booking);
+            if (Object.keys(fieldErrors).length > 0) {
+                const error = new Error('Formulář obsahuje chyby');
+                error.errors = Object.values(fieldErrors);
+                error.fieldErrors = fieldErrors;
+                throw error;
+            }
+            
+            const payload = {
+                booking_type: formData.booking_type,
+                time_slot_id: formData.time_slot_id,
+                vehicle_id: formData.vehicle_id,
+                reference_number: formData.reference_number,
+                notes: formData.notes
+            };
+            if (!isDriver) {
+                payload.driver_id = formData.driver_id;
+            }
+            
+            if (!booking && formData.recurring) {
+                const recurrence = this.getRecurrence(formData);
+                const preview = await this.api.bookings.previewSeries(payload, recurrence);
+                if (!preview.success) {
+                    throw new Error(preview.error);
+                }
+                
+                // Form modal closes after submit, preview opens once it is gone
+                setTimeout(() => this.showSeriesPreview(payload, recurrence, preview.occurrences, formData));
+                return;
+            }
+            
+            const seriesScope = booking && formData.series_scope === 'series';
+            const data = booking
+                ? await (seriesScope ? this.api.bookings.updateSeries(booking.id, payload) : this.api.bookings.update(booking.id, payload))
+                : await this.api.bookings.create(payload);
+            
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            if (seriesScope) {
+                this.showSuccess(`Série byla aktualizována, upravené rezervace: ${data.booking_ids.length}`);
+            } else if (booking) {
+                this.showSuccess('Rezervace byla aktualizována');
+            } else {
+                this.showSuccess(`Rezervace ${data.booking_number} byla vytvořena${data.requires_approval ? ', čeká na schválení' : ''}`);
+            }
+            this.loadBookings();
+        }, { submitText: booking ? 'Uložit' : 'Vytvořit rezervaci' });
+        
+        if (!form) return;
+        
+        ['booking_type', 'warehouse_id', 'slot_date'].forEach(name => {
+            form.elements.namedItem(name).addEventListener('change', () => this.loadSlotOptions(form, booking));
+        });
+        
+        if (!booking) {
+            this.bindRecurrenceFields(form);
+        }
+        
+        this.loadSlotOptions(form, booking);
+    }
+    
+    /**
+     * Recurrence part of the new booking form
+     */
+    renderRecurrenceFields(values) {
+        const weekdays = [1, 2, 3, 4, 5, 6, 7];
+        
+        return `
+            <fieldset class="booking-recurrence">
+                <label>
+                    <input type="checkbox" name="recurring" ${values.recurring ? 'checked' : ''}>
+                    Opakovat rezervaci
+                </label>
+                <div class="booking-recurrence-options" ${values.recurring ? '' : 'hidden'}>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="recurrence-frequency">Opakování</label>
+                            <select id="recurrence-frequency" name="recurrence_frequency" class="form-control">
+                                <option value="weekly" ${values.recurrence_frequency === 'weekly' ? 'selected' : ''}>Týdně ve vybrané dny</option>
+                                <option value="daily" ${values.recurrence_frequency === 'daily' ? 'selected' : ''}>Denně</option>
+                            </select>
+                        </div>
+                        <div class="form-group recurrence-weekdays">
+                            <span class="form-label">Dny v týdnu</span>
+                            <div class="weekday-picker">
+                                ${weekdays.map(day => `
+                                    <label>
+                                        <input type="checkbox" name="recurrence_weekday_${day}" ${values[`recurrence_weekday_${day}`] ? 'checked' : ''}>
+                                        ${this.getWeekdayText(day)}
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="recurrence-until">Opakovat do</label>
+                            <input type="date" id="recurrence-until" name="recurrence_until" class="form-control"
+                                   value="${this.escapeHtml(values.recurrence_until || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="recurrence-count">Nebo počet termínů</label>
+                            <input type="number" id="recurrence-count" name="recurrence_count" class="form-control" min="1" max="${this.maxSeriesOccurrences}"
+                                   value="${this.escapeHtml(values.recurrence_count || '')}">
+                        </div>
+                    </div>
+                    <small class="form-help">Každý termín dostane slot ve stejném čase, obsazené termíny se před vytvořením zobrazí.</small>
+                </div>
+            </fieldset>
+        `;
+    }
+    
+    /**
+     * Show recurrence options only for recurring booking, hidden fields are not submitted
+     */
+    bindRecurrenceFields(form) {
+        const recurring = form.elements.namedItem('recurring');
+        const options = form.querySelector('.booking-recurrence-options');
+        const frequency = form.elements.namedItem('recurrence_frequency');
+        const weekdays = form.querySelector('.recurrence-weekdays');
+        
+        const update = () => {
+            options.hidden = !recurring.checked;
+            options.querySelectorAll('input, select').forEach(field => {
+                field.disabled = !recurring.checked;
+            });
+            weekdays.hidden = frequency.value !== 'weekly';
+            weekdays.querySelectorAll('input').forEach(field => {
+                field.disabled = !recurring.checked || frequency.value !== 'weekly';
+            });
+        };
+        
+        recurring.addEventListener('change', () => {
+            // Start with the weekday of the chosen date
+            const date = form.elements.namedItem('slot_date').value;
+            const checked = weekdays.querySelector('input:checked');
+            if (recurring.checked && date && !checked) {
+                form.elements.namedItem(`recurrence_weekday_${this.getWeekday(date)}`).checked = true;
+            }
+            update();
+        });
+        frequency.addEventListener('change', update);
+        
+        update();
+    }
+    
+    /**
+     * Recurrence of the booking form in the shape the API expects
+     */
+    getRecurrence(formData) {
+        return {
+            frequency: formData.recurrence_frequency,
+            weekdays: [1, 2, 3, 4, 5, 6, 7].filter(day => formData[`recurrence_weekday_${day}`]),
+            until: formData.recurrence_until || null,
+            count: formData.recurrence_count ? Number(formData.recurrence_count) : null
+        };
+    }
+    
+    /**
+     * Choice between editing the booking alone or with its series
+     */
+    renderSeriesScope(booking, values) {
+        if (!booking.series_id) return '';
+        
+        return `
+            <div class="form-group">
+                <label for="booking-series-scope">Použít změny na</label>
+                <select id="booking-series-scope" name="series_scope" class="form-control">
+                    <option value="booking" ${values.series_scope === 'booking' ? 'selected' : ''}>Pouze tuto rezervaci</option>
+                    <option value="series" ${values.series_scope === 'series' ? 'selected' : ''}>Tuto a nadcházející rezervace série</option>
+                </select>
+                <small class="form-help">Na nadcházející rezervace se přenese řidič, vozidlo, referenční číslo a poznámky, slot zůstane jejich vlastní.</small>
+            </div>
+        `;
+    }
+    
+    /**
+     * Show occurrences of a recurring booking, the ones in conflict are not created
+     */
+    showSeriesPreview(payload, recurrence, occurrences, formData) {
+        const available = occurrences.filter(occurrence => occurrence.available).length;
+        const conflicts = occurrences.length - available;
+        let creating = false;
+        
+        window.app.showModal('Náhled opakované rezervace', `
+            <div class="series-preview">
+                <p>
+                    Termínů: <strong>${occurrences.length}</strong>,
+                    volných: <strong>${available}</strong>${conflicts ? `,
+                    v konfliktu: <strong class="text-error">${conflicts}</strong>` : ''}
+                </p>
+                ${conflicts ? '<p class="text-muted">Termíny v konfliktu se nevytvoří, ostatní ano.</p>' : ''}
+                <ul class="series-occurrences">
+                    ${occurrences.map(occurrence => `
+                        <li class="${occurrence.available ? 'available' : 'conflict'}">
+                            <i class="fas ${occurrence.available ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
+                            <span>
+                                ${this.getWeekdayText(this.getWeekday(occurrence.slot_date))}
+                                ${this.formatDate(occurrence.slot_date)}
+                                ${this.formatTime(occurrence.slot_time_start)} - ${this.formatTime(occurrence.slot_time_end)}
+                            </span>
+                            ${occurrence.available ? '' : `<small>${this.escapeHtml(occurrence.reason)}</small>`}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `, [
+            {
+                text: 'Zpět k formuláři',
+                className: 'btn-outline',
+                action: () => {
+                    setTimeout(() => this.showBookingForm(null, formData));
+                }
+            },
+            {
+                text: `Vytvořit rezervace (${available})`,
+                className: 'btn-primary',
+                action: async () => {
+                    if (creating || available === 0) return false;
+                    creating = true;
+                    
+                    try {
+                        await this.createSeries(payload, recurrence);
+                    } catch (error) {
+                        console.error('Create series error:', error);
+                        this.showError('Chyba při vytváření série: ' + error.message);
+                        creating = false;
+                        return false;
+                    }
+                }
+            }
+        ], { className: 'modal-md' });
+    }
+    
+    async createSeries(payload, recurrence) {
+        const data = await this.api.bookings.createSeries(payload, recurrence);
+        
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        const created = data.bookings.length;
+        if (data.skipped.length > 0) {
+            const skipped = data.skipped.map(occurrence => this.formatDate(occurrence.slot_date)).join(', ');
+            this.showWarning(`Vytvořeno rezervací: ${created}, přeskočené termíny: ${skipped}`);
+        } else {
+            this.showSuccess(`Vytvořeno rezervací: ${created}${data.requires_approval ? ', čekají na schválení' : ''}`);
+        }
+        
+        this.loadBookings();
+    }
+    
+    /**
+     * Warehouses, drivers and vehicles for the booking form
+     */
+    async loadBookingFormOptions(isDriver) {
+        const [warehouses, drivers, vehicles] = await Promise.all([
+            this.api.warehouses.list(),
+            // Roles without access to users still book, just without picking the driver
+            isDriver ? null : this.api.users.list({ user_type: 'driver', is_active: '1', limit: 100 }).catch(() => null),
+            this.api.vehicles.list({ is_active: '1', limit: 100 })
+        ]);
+        
+        return {
+            warehouses: warehouses.warehouses || [],
+            drivers: drivers ? drivers.users || [] : [],
+            vehicles: vehicles.vehicles || []
+        };
+    }
+    
+    /**
+     * Fill slot select with free slots of the chosen warehouse, date and type
+     */
+    async loadSlotOptions(form, booking = null) {
+        const select = form.elements.namedItem('time_slot_id');
+        const warehouseId = form.elements.namedItem('warehouse_id').value;
+        const date = form.elements.namedItem('slot_date').value;
+        const type = form.elements.namedItem('booking_type').value;
+        const selected = select.value || select.dataset.selected;
+        
+        const setOptions = (html, enabled = false) => {
+            select.innerHTML = html;
+            select.disabled = !enabled;
+        };
+        
+        if (!warehouseId || !date) {
+            setOptions('<option value="">Nejprve vyberte sklad a datum</option>');
+            return;
+        }
+        
+        const request = ++this.slotOptionsRequest;
+        setOptions('<option value="">Načítání slotů...</option>');
+        
+        try {
+            // Universal bookings fit any slot
+            const data = await this.api.slots.available(warehouseId, date, type === 'universal' ? null : type, { cache: false });
+            if (request !== this.slotOptionsRequest) return;
+            
+            const slots = data.available_slots || [];
+            
+            // Slot of the edited booking counts the booking itself, so it may not be free
+            if (booking && booking.warehouse_id == warehouseId && booking.slot_date === date && !slots.some(slot => slot.id == booking.time_slot_id)) {
+                slots.unshift({
+                    id: booking.time_slot_id,
+                    slot_time_start: booking.slot_time_start,
+                    slot_time_end: booking.slot_time_end,
+                    is_current: true
+                });
+            }
+            
+            if (slots.length === 0) {
+                setOptions('<option value="">Žádné volné sloty</option>');
+                return;
+            }
+            
+            setOptions('<option value="">Vyberte slot</option>' + slots.map(slot => `
+                <option value="${slot.id}">
+                    ${this.formatTime(slot.slot_time_start)} - ${this.formatTime(slot.slot_time_end)}
+                    ${slot.is_current ? '(současný slot)' : `· volno ${slot.available_capacity}`}
+                </option>
+            `).join(''), true);
+            
+            if (slots.some(slot => slot.id == selected)) {
+                select.value = selected;
+            } else if (select.dataset.time) {
+                // Duplicated booking keeps its time on another date
+                const sameTime = slots.find(slot => slot.slot_time_start === select.dataset.time);
+                if (sameTime) {
+                    select.value = sameTime.id;
+                }
+            }
+            
+        } catch (error) {
+            if (request !== this.slotOptionsRequest) return;
+            
+            console.error('Available slots loading error:', error);
+            setOptions('<option value="">Sloty se nepodařilo načíst</option>');
+        }
+    }
+    
+    /**
+     * Client-side checks of the booking form, errors keyed by field name
      */
-    createBooking() {
-        this.showBookingModal(null, [], 'create');
+    validateBookingForm(formData, booking = null) {
+        const errors = {};
+        
+        if (!formData.warehouse_id) {
+            errors.warehouse_id = 'Vyberte sklad';
+        }
+        
+        if (!formData.slot_date) {
+            errors.slot_date = 'Vyberte datum';
+        } else if (!booking && formData.slot_date < this.toDateValue(new Date())) {
+            errors.slot_date = 'Datum nemůže být v minulosti';
+        }
+        
+        if (!formData.time_slot_id && !errors.warehouse_id && !errors.slot_date) {
+            errors.time_slot_id = 'Vyberte volný slot';
+        }
+        
+        if (formData.reference_number && formData.reference_number.length > 100) {
+            errors.reference_number = 'Referenční číslo může mít nejvýše 100 znaků';
+        }
+        
+        if (!booking && formData.recurring) {
+            const recurrence = this.getRecurrence(formData);
+            
+            if (recurrence.frequency === 'weekly' && recurrence.weekdays.length === 0) {
+                errors.recurrence_weekdays = 'Vyberte alespoň jeden den v týdnu';
+            }
+            
+            if (!recurrence.until && !recurrence.count) {
+                errors.recurrence_until = 'Zadejte datum konce nebo počet termínů';
+            } else if (recurrence.until && formData.slot_date && recurrence.until < formData.slot_date) {
+                errors.recurrence_until = 'Konec opakování musí být po prvním termínu';
+            }
+            
+            if (recurrence.count && (recurrence.count < 1 || recurrence.count > this.maxSeriesOccurrences)) {
+                errors.recurrence_count = `Počet termínů musí být 1 až ${this.maxSeriesOccurrences}`;
+            }
+        }
+        
+        return errors;
     }
     
     /**
@@ -491,15 +1659,22 @@ class BookingsManager {
      */
     async checkIn(bookingId) {
         try {
-            const response = await fetch(`${this.apiBase}/bookings.php?action=checkin&booking_id=${bookingId}`, {
-                credentials: 'include'
-            });
+            const data = await this.runUndoable(
+                bookingId,
+                `Check-in rezervace ${this.getBookingLabel(bookingId)}`,
+                (options) => this.api.bookings.checkIn(bookingId, null, options),
+                'checked_in'
+            );
+            if (!data) return;
             
-            const data = await response.json();
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
             
             if (data.success) {
                 this.showSuccess('Check-in byl úspěšný');
-                this.loadBookings();
+                this.refreshBooking(bookingId);
             } else {
                 throw new Error(data.error);
             }
@@ -515,15 +1690,22 @@ class BookingsManager {
      */
     async checkOut(bookingId) {
         try {
-            const response = await fetch(`${this.apiBase}/bookings.php?action=checkout&booking_id=${bookingId}`, {
-                credentials: 'include'
-            });
+            const data = await this.runUndoable(
+                bookingId,
+                `Check-out rezervace ${this.getBookingLabel(bookingId)}`,
+                (options) => this.api.bookings.checkOut(bookingId, null, options),
+                'completed'
+            );
+            if (!data) return;
             
-            const data = await response.json();
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
             
             if (data.success) {
                 this.showSuccess('Check-out byl úspěšný');
-                this.loadBookings();
+                this.refreshBooking(bookingId);
             } else {
                 throw new Error(data.error);
             }
@@ -535,31 +1717,26 @@ class BookingsManager {
     }
     
     /**
-     * Approve booking
+     * Approve booking, it can be undone for a moment instead of being confirmed
      */
     async approveBooking(bookingId) {
-        if (!confirm('Opravdu chcete schválit tuto rezervaci?')) {
-            return;
-        }
-        
         try {
-            const response = await fetch(`${this.apiBase}/bookings.php`, {
-                method: 'PUT',
-                credentials: 'include',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    booking_id: bookingId,
-                    action: 'approve'
-                })
-            });
+            const data = await this.runUndoable(
+                bookingId,
+                `Rezervace ${this.getBookingLabel(bookingId)} bude schválena`,
+                (options) => this.api.bookings.approve(bookingId, options),
+                'confirmed'
+            );
+            if (!data) return;
             
-            const data = await response.json();
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
             
             if (data.success) {
                 this.showSuccess('Rezervace byla schválena');
-                this.loadBookings();
+                this.refreshBooking(bookingId);
             } else {
                 throw new Error(data.error);
             }
@@ -574,28 +1751,33 @@ class BookingsManager {
      * Cancel booking
      */
     async cancelBooking(bookingId) {
-        const reason = prompt('Důvod zrušení (volitelný):');
-        if (reason === null) return; // User clicked cancel
+        const answer = await this.confirmDialog.ask({
+            title: 'Zrušit rezervaci',
+            message: `Rezervace ${this.getBookingLabel(bookingId)} bude zrušena.`,
+            confirmText: 'Zrušit rezervaci',
+            cancelText: 'Ponechat',
+            danger: true,
+            input: { label: 'Důvod zrušení (volitelný)' }
+        });
+        if (!answer) return;
         
         try {
-            const response = await fetch(`${this.apiBase}/bookings.php`, {
-                method: 'PUT',
-                credentials: 'include',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    booking_id: bookingId,
-                    action: 'cancel',
-                    reason: reason
-                })
-            });
+            const data = await this.runUndoable(
+                bookingId,
+                `Rezervace ${this.getBookingLabel(bookingId)} bude zrušena`,
+                (options) => this.api.bookings.cancel(bookingId, answer.value, options),
+                'cancelled'
+            );
+            if (!data) return;
             
-            const data = await response.json();
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
             
             if (data.success) {
                 this.showSuccess('Rezervace byla zrušena');
-                this.loadBookings();
+                this.refreshBooking(bookingId);
             } else {
                 throw new Error(data.error);
             }
@@ -610,17 +1792,22 @@ class BookingsManager {
      * Delete booking
      */
     async deleteBooking(bookingId) {
-        if (!confirm('Opravdu chcete smazat tuto rezervaci?')) {
-            return;
-        }
+        const answer = await this.confirmDialog.ask({
+            title: 'Smazat rezervaci',
+            message: `Rezervace ${this.getBookingLabel(bookingId)} bude trvale smazána. Tuto akci nelze vrátit zpět.`,
+            confirmText: 'Smazat',
+            cancelText: 'Ponechat',
+            danger: true
+        });
+        if (!answer) return;
         
         try {
-            const response = await fetch(`${this.apiBase}/bookings.php?booking_id=${bookingId}`, {
-                method: 'DELETE',
-                credentials: 'include'
-            });
+            const data = await this.api.bookings.remove(bookingId);
             
-            const data = await response.json();
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
             
             if (data.success) {
                 this.showSuccess('Rezervace byla smazána');
@@ -636,59 +1823,154 @@ class BookingsManager {
     }
     
     /**
-     * Show QR code
+     * Show QR code that the driver presents at the gate
+     */
+    async showQRCode(bookingId) {
+        try {
+            const data = await this.api.bookings.get(bookingId);
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            const booking = data.booking;
+            // Older bookings have no code, the gate also accepts booking numbers
+            const qr = QrCode.encode(booking.qr_code || booking.booking_number);
+            
+            window.app.showModal(`QR kód ${this.escapeHtml(booking.booking_number)}`, `
+                <div class="booking-qr">
+                    <div class="booking-qr-code">${qr.toSvg({ label: `QR kód rezervace ${this.escapeHtml(booking.booking_number)}` })}</div>
+                    <strong class="booking-qr-number">${this.escapeHtml(booking.booking_number)}</strong>
+                    <div>${this.formatDate(booking.slot_date)} ${this.formatTime(booking.slot_time_start)} - ${this.formatTime(booking.slot_time_end)}</div>
+                    <div>${this.escapeHtml(booking.warehouse_name)}</div>
+                    <p class="text-muted">Při příjezdu ukažte kód na bráně</p>
+                </div>
+            `, [
+                {
+                    text: 'Stáhnout',
+                    className: 'btn-outline',
+                    action: () => {
+                        this.downloadQRCode(booking, qr);
+                        return false;
+                    }
+                },
+                { text: 'Zavřít', className: 'btn-primary' }
+            ], { className: 'modal-md' });
+            
+        } catch (error) {
+            console.error('QR code error:', error);
+            this.showError('Chyba při zobrazení QR kódu: ' + error.message);
+        }
+    }
+    
+    downloadQRCode(booking, qr) {
+        const blob = new Blob([qr.toSvg({ size: 512 })], { type: 'image/svg+xml' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `qr_${booking.booking_number}.svg`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Print booking sheet, selected bookings are printed by the bulk action
+     */
+    async printBooking(bookingId) {
+        try {
+            const data = await this.api.bookings.get(bookingId);
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            this.bookingPrinter.open([data.booking]);
+            
+        } catch (error) {
+            console.error('Print booking error:', error);
+            this.showError('Chyba při přípravě tisku: ' + error.message);
+        }
+    }
+    
+    /**
+     * Cancel this and the upcoming bookings of the booking's series
+     */
+    async cancelSeries(bookingId) {
+        const answer = await this.confirmDialog.ask({
+            title: 'Zrušit sérii',
+            message: `Rezervace ${this.getBookingLabel(bookingId)} a všechny následující rezervace její série budou zrušeny.`,
+            confirmText: 'Zrušit sérii',
+            cancelText: 'Ponechat',
+            danger: true,
+            input: { label: 'Důvod zrušení série (volitelný)' }
+        });
+        if (!answer) return;
+        
+        try {
+            const data = await this.api.bookings.cancelSeries(bookingId, answer.value);
+            
+            if (data.queued) {
+                this.showWarning(data.message);
+                return;
+            }
+            
+            if (data.success) {
+                this.showSuccess(`Série byla zrušena, zrušené rezervace: ${data.booking_ids.length}`);
+                this.loadBookings();
+            } else {
+                throw new Error(data.error);
+            }
+            
+        } catch (error) {
+            console.error('Cancel series error:', error);
+            this.showError('Chyba při rušení série: ' + error.message);
+        }
+    }
+    
+    /**
+     * Duplicate booking into a prefilled new booking form, where it can also be made recurring
      */
-    showQRCode(bookingId) {
-        // TODO: Implement QR code display
-        console.log('Show QR code for booking:', bookingId);
-    }
-    
-    /**
-     * Print booking
-     */
-    printBooking(bookingId) {
-        // TODO: Implement booking printing
-        console.log('Print booking:', bookingId);
+    async duplicateBooking(bookingId) {
+        try {
+            const data = await this.api.bookings.get(bookingId);
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            const booking = data.booking;
+            const today = this.toDateValue(new Date());
+            
+            this.showBookingForm(null, {
+                booking_type: booking.booking_type,
+                warehouse_id: booking.warehouse_id,
+                // Past booking is copied to today, the slot is picked by its time
+                slot_date: booking.slot_date >= today ? booking.slot_date : today,
+                slot_time_start: booking.slot_time_start,
+                driver_id: booking.driver_id,
+                vehicle_id: booking.vehicle_id,
+                reference_number: booking.reference_number,
+                notes: booking.notes
+            });
+            
+        } catch (error) {
+            console.error('Duplicate booking error:', error);
+            this.showError('Chyba při načítání rezervace: ' + error.message);
+        }
     }
     
     /**
-     * Duplicate booking
+     * Export bookings to Excel, PDF or the server CSV
      */
-    duplicateBooking(bookingId) {
-        // TODO: Implement booking duplication
-        console.log('Duplicate booking:', bookingId);
+    exportBookings() {
+        this.exporter.showExportModal();
     }
     
     /**
-     * Export bookings
+     * Import bookings from a CSV or Excel file
      */
-    async exportBookings() {
-        try {
-            const params = new URLSearchParams({
-                export: 'csv',
-                ...this.currentFilters
-            });
-            
-            const response = await fetch(`${this.apiBase}/bookings.php?${params}`, {
-                credentials: 'include'
-            });
-            
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `bookings_${new Date().toISOString().split('T')[0]}.csv`;
-                a.click();
-                window.URL.revokeObjectURL(url);
-            } else {
-                throw new Error('Export failed');
-            }
-            
-        } catch (error) {
-            console.error('Export error:', error);
-            this.showError('Chyba při exportu: ' + error.message);
-        }
+    importBookings() {
+        this.importWizard.open('bookings');
     }
     
     // Utility methods
@@ -699,6 +1981,8 @@ class BookingsManager {
             'approved': 'status-approved',
             'confirmed': 'status-confirmed',
             'in_progress': 'status-in-progress',
+            'checked_in': 'status-in-progress',
+            'checked_out': 'status-completed',
             'delayed': 'status-delayed',
             'completed': 'status-completed',
             'cancelled': 'status-cancelled'
@@ -712,6 +1996,8 @@ class BookingsManager {
             'approved': 'Schváleno',
             'confirmed': 'Potvrzeno',
             'in_progress': 'Probíhá',
+            'checked_in': 'Probíhá',
+            'checked_out': 'Odbaveno',
             'delayed': 'Zpožděno',
             'completed': 'Dokončeno',
             'cancelled': 'Zrušeno'
@@ -728,6 +2014,20 @@ class BookingsManager {
         return texts[type] || 'Neznámý';
     }
     
+    /**
+     * Weekday of YYYY-MM-DD date, 1 = Monday ... 7 = Sunday
+     */
+    getWeekday(dateValue) {
+        return new Date(`${dateValue}T00:00:00`).getDay() || 7;
+    }
+    
+    /**
+     * Short weekday name, 1 = Monday ... 7 = Sunday
+     */
+    getWeekdayText(day) {
+        return ['Po', 'Út', 'St', 'Čt', 'Pá', 'So', 'Ne'][day - 1] || '';
+    }
+    
     formatDate(dateString) {
         if (!dateString) return '';
         
@@ -735,6 +2035,19 @@ class BookingsManager {
         return date.toLocaleDateString('cs-CZ');
     }
     
+    formatTime(timeString) {
+        return timeString ? timeString.substring(0, 5) : '';
+    }
+    
+    /**
+     * Local date as YYYY-MM-DD for date inputs
+     */
+    toDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
     formatDateTime(dateTimeString) {
         if (!dateTimeString) return '';
         
@@ -747,7 +2060,7 @@ class BookingsManager {
         if (tbody) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="8" class="text-center">
+                    <td colspan="${this.tableLayout.getColumnCount()}" class="text-center">
                         <div class="loading-spinner">
                             <div class="spinner"></div>
                             <p>Načítání rezervací...</p>
@@ -769,6 +2082,10 @@ class BookingsManager {
         }
     }
     
+    escapeHtml(value) {
+        return window.app ? window.app.escapeHtml(value) : String(value ?? '');
+    }
+    
     showError(message) {
         if (window.app) {
             window.app.showError(message);
@@ -785,14 +2102,761 @@ class BookingsManager {
         }
     }
     
-    showBookingModal(booking, documents, mode) {
-        // TODO: Implement booking modal
-        console.log('Show booking modal:', { booking, documents, mode });
+    showWarning(message) {
+        if (window.app) {
+            window.app.showWarning(message);
+        } else {
+            alert(message);
+        }
+    }
+    
+    showBookingModal(booking, documents, mode, history = [], series = null) {
+        if (mode === 'edit') {
+            this.showBookingForm(booking);
+            return;
+        }
+        
+        this.showBookingDetail(booking, documents || [], history || [], series);
+    }
+    
+    /**
+     * Show booking detail with documents, status timeline, series and change history
+     */
+    showBookingDetail(booking, documents, history, series = null) {
+        // Object URLs of previewed documents, released with the modal
+        const previewUrls = [];
+        const releasePreviews = () => previewUrls.splice(0).forEach(url => window.URL.revokeObjectURL(url));
+        
+        const field = (label, value) => `
+            <dt>${label}</dt>
+            <dd>${value || '<span class="text-muted">—</span>'}</dd>
+        `;
+        const actions = [{ method: 'editBooking', icon: 'fa-edit', label: 'Upravit' }, ...this.getBookingActions(booking)];
+        
+        const container = window.app.showModal(`Rezervace ${this.escapeHtml(booking.booking_number)}`, `
+            <div class="booking-detail">
+                <div class="booking-detail-summary">
+                    <span class="status-badge ${this.getStatusClass(booking.status)}">${this.getStatusText(booking.status)}</span>
+                    <span class="booking-type">${this.getBookingTypeText(booking.booking_type)}</span>
+                    <strong>${this.formatDate(booking.slot_date)} ${this.formatTime(booking.slot_time_start)} - ${this.formatTime(booking.slot_time_end)}</strong>
+                </div>
+                
+                <div class="booking-detail-actions">
+                    ${actions.map(action => `
+                        <button type="button" class="btn btn-sm ${action.danger ? 'btn-error' : 'btn-outline'}" data-booking-action="${action.method}">
+                            <i class="fas ${action.icon}"></i> ${action.label}
+                        </button>
+                    `).join('')}
+                </div>
+                
+                <section class="booking-detail-section">
+                    <h4>Údaje rezervace</h4>
+                    <dl class="booking-detail-grid">
+                        ${field('Číslo rezervace', this.escapeHtml(booking.booking_number))}
+                        ${field('Referenční číslo', this.escapeHtml(booking.reference_number || ''))}
+                        ${field('Sklad', this.escapeHtml(booking.warehouse_name) + (booking.zone_name ? ` <small>(${this.escapeHtml(booking.zone_name)})</small>` : ''))}
+                        ${field('Firma', this.escapeHtml(booking.company_name || ''))}
+                        ${field('Řidič', booking.driver_name ? `
+                            ${this.escapeHtml(booking.driver_name)}
+                            ${booking.driver_phone ? `<br><a href="tel:${this.escapeHtml(booking.driver_phone)}">${this.escapeHtml(booking.driver_phone)}</a>` : ''}
+                            ${booking.driver_email ? `<br><a href="mailto:${this.escapeHtml(booking.driver_email)}">${this.escapeHtml(booking.driver_email)}</a>` : ''}
+                        ` : '')}
+                        ${field('Vozidlo', booking.vehicle_license ? this.escapeHtml(booking.vehicle_license + (booking.vehicle_type ? ` (${booking.vehicle_type})` : '')) : '')}
+                        ${field('Check-in', this.formatDateTime(booking.check_in_time))}
+                        ${field('Check-out', this.formatDateTime(booking.check_out_time))}
+                        ${field('Vytvořil', this.escapeHtml(booking.created_by_name || ''))}
+                        ${field('Vytvořeno', this.formatDateTime(booking.created_at))}
+                    </dl>
+                    ${booking.notes ? `<div class="booking-detail-notes"><strong>Poznámky</strong><p>${this.escapeHtml(booking.notes)}</p></div>` : ''}
+                    ${booking.cancellation_reason ? `<div class="booking-detail-notes"><strong>Důvod zrušení</strong><p>${this.escapeHtml(booking.cancellation_reason)}</p></div>` : ''}
+                </section>
+                
+                <section class="booking-detail-section">
+                    <h4>Průběh</h4>
+                    ${this.renderBookingTimeline(booking, history)}
+                </section>
+                
+                ${series ? `
+                    <section class="booking-detail-section">
+                        <h4>Opakovaná rezervace</h4>
+                        ${this.renderBookingSeries(series, booking)}
+                    </section>
+                ` : ''}
+                
+                <section class="booking-detail-section">
+                    <h4>Dokumenty (${documents.length})</h4>
+                    ${this.renderBookingDocuments(documents)}
+                    <div class="document-preview" hidden></div>
+                </section>
+                
+                <section class="booking-detail-section">
+                    <h4>Historie změn</h4>
+                    ${this.renderBookingHistory(history)}
+                </section>
+            </div>
+        `, [
+            { text: 'Zavřít', className: 'btn-outline', action: releasePreviews }
+        ], { className: 'modal-lg', onClose: releasePreviews });
+        
+        if (!container) return;
+        
+        container.querySelectorAll('[data-booking-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                // Actions open their own dialogs and reload the list
+                window.app.closeModal();
+                this[button.dataset.bookingAction](booking.id);
+            });
+        });
+        
+        container.querySelectorAll('[data-series-booking]').forEach(button => {
+            button.addEventListener('click', () => {
+                window.app.closeModal();
+                this.viewBooking(button.dataset.seriesBooking);
+            });
+        });
+        
+        container.querySelectorAll('[data-document-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const doc = documents.find(item => item.id == button.dataset.documentId);
+                if (button.dataset.documentAction === 'preview') {
+                    this.previewDocument(doc, container.querySelector('.document-preview'), previewUrls);
+                } else {
+                    this.downloadDocument(doc);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Steps pending → approved → confirmed → in_progress → completed,
+     * cancelled bookings end with the cancellation
+     */
+    getBookingTimeline(booking, history) {
+        const changedTo = (statuses) => (entry) => entry.details.action === 'change_status' && statuses.includes(entry.details.changes?.status);
+        const lastEntry = (predicate) => history.filter(entry => entry.action === 'booking_updated' && predicate(entry)).pop() || null;
+        const checkEntry = (action) => history.filter(entry => entry.action === action).pop() || null;
+        
+        const steps = [
+            { status: 'pending', label: 'Vytvořeno', time: booking.created_at, user: booking.created_by_name },
+            { status: 'approved', label: 'Schváleno', time: booking.approved_at, user: booking.approved_by_name, entry: lastEntry(entry => entry.details.action === 'approve') },
+            { status: 'confirmed', label: 'Potvrzeno', time: booking.approved_at, user: booking.approved_by_name, entry: lastEntry(changedTo(['confirmed'])) },
+            { status: 'in_progress', label: 'Check-in', time: booking.check_in_time, entry: checkEntry('booking_checked_in') || lastEntry(changedTo(['in_progress', 'checked_in'])) },
+            { status: 'completed', label: 'Check-out', time: booking.check_out_time, entry: checkEntry('booking_checked_out') || lastEntry(changedTo(['completed', 'checked_out'])) }
+        ].map(step => ({
+            ...step,
+            time: step.time || step.entry?.created_at || null,
+            user: step.user || step.entry?.user_name || null
+        }));
+        
+        if (booking.status === 'cancelled') {
+            const entry = lastEntry(entry => entry.details.action === 'cancel' || changedTo(['cancelled'])(entry));
+            
+            return [
+                ...steps.filter(step => step.time).map(step => ({ ...step, state: 'done' })),
+                {
+                    status: 'cancelled',
+                    label: 'Zrušeno',
+                    time: booking.cancelled_at || entry?.created_at || null,
+                    user: entry?.user_name || null,
+                    note: booking.cancellation_reason,
+                    state: 'cancelled'
+                }
+            ];
+        }
+        
+        const order = { pending: 0, approved: 1, confirmed: 2, delayed: 2, rescheduled: 2, in_progress: 3, checked_in: 3, checked_out: 4, completed: 4 };
+        const reached = order[booking.status] ?? 0;
+        
+        return steps.map((step, index) => {
+            const state = index < reached ? 'done' : index === reached ? 'current' : 'upcoming';
+            
+            // Bookings of companies without approval are confirmed right away
+            if (step.status === 'approved' && state === 'done' && !step.time) {
+                return { ...step, state: 'skipped', note: 'Schválení nebylo potřeba' };
+            }
+            if (step.status === 'confirmed' && state !== 'upcoming' && !step.time) {
+                return { ...step, state, time: booking.created_at, user: booking.created_by_name };
+            }
+            
+            return { ...step, state, note: index === reached && booking.status === 'delayed' ? 'Zpožděno' : null };
+        });
+    }
+    
+    renderBookingTimeline(booking, history) {
+        return `
+            <ol class="booking-timeline">
+                ${this.getBookingTimeline(booking, history).map(step => `
+                    <li class="booking-timeline-step ${step.state}">
+                        <span class="booking-timeline-marker"></span>
+                        <div class="booking-timeline-content">
+                            <strong>${step.label}</strong>
+                            ${step.time && step.state !== 'upcoming' ? `<small>${this.formatDateTime(step.time)}</small>` : ''}
+                            ${step.user && step.state !== 'upcoming' ? `<small><i class="fas fa-user"></i> ${this.escapeHtml(step.user)}</small>` : ''}
+                            ${step.note ? `<small class="text-muted">${this.escapeHtml(step.note)}</small>` : ''}
+                        </div>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+    
+    renderBookingHistory(history) {
+        if (history.length === 0) {
+            return '<p class="text-muted">Žádné zaznamenané změny</p>';
+        }
+        
+        // Newest change first
+        return `
+            <ul class="booking-history">
+                ${history.slice().reverse().map(entry => `
+                    <li>
+                        <span class="booking-history-time">${this.formatDateTime(entry.created_at)}</span>
+                        <span>${this.escapeHtml(this.describeHistoryEntry(entry))}</span>
+                        <small class="text-muted">${this.escapeHtml(entry.user_name || 'Neznámý uživatel')}</small>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Recurrence and bookings of the series, the shown booking is highlighted
+     */
+    renderBookingSeries(series, booking) {
+        const rule = series.frequency === 'daily'
+            ? 'Denně'
+            : 'Týdně: ' + series.weekdays.map(day => this.getWeekdayText(day)).join(', ');
+        const end = [
+            series.until_date ? `do ${this.formatDate(series.until_date)}` : '',
+            series.occurrences ? `nejvýše ${series.occurrences} termínů` : ''
+        ].filter(Boolean).join(', ');
+        
+        return `
+            <p>${rule}${end ? `, ${end}` : ''}</p>
+            <ul class="series-occurrences">
+                ${series.bookings.map(item => `
+                    <li class="${item.id == booking.id ? 'current' : ''}">
+                        <button type="button" class="series-occurrence-link" data-series-booking="${item.id}" ${item.id == booking.id ? 'disabled' : ''}>
+                            ${this.getWeekdayText(this.getWeekday(item.slot_date))}
+                            ${this.formatDate(item.slot_date)}
+                            ${this.formatTime(item.slot_time_start)} - ${this.formatTime(item.slot_time_end)}
+                        </button>
+                        <span class="status-badge ${this.getStatusClass(item.status)}">${this.getStatusText(item.status)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    describeHistoryEntry(entry) {
+        const details = entry.details || {};
+        const changes = details.changes || {};
+        const fieldLabels = {
+            time_slot_id: 'slot',
+            driver_id: 'řidič',
+            vehicle_id: 'vozidlo',
+            booking_type: 'typ',
+            reference_number: 'referenční číslo',
+            notes: 'poznámky'
+        };
+        
+        switch (entry.action) {
+            case 'booking_created':
+                return details.series_id ? 'Rezervace vytvořena jako součást série' : 'Rezervace vytvořena';
+            case 'booking_checked_in':
+                return 'Check-in';
+            case 'booking_checked_out':
+                return 'Check-out';
+        }
+        
+        switch (details.action) {
+            case 'approve':
+                return 'Rezervace schválena';
+            case 'cancel':
+                return 'Rezervace zrušena' + (changes.reason ? `: ${changes.reason}` : '');
+            case 'cancel_series':
+                return 'Série zrušena' + (changes.reason ? `: ${changes.reason}` : '');
+            case 'change_status':
+                return `Stav změněn na ${this.getStatusText(changes.status)}` + (changes.note ? `: ${changes.note}` : '');
+            default: {
+                const fields = Object.keys(changes).filter(key => fieldLabels[key]).map(key => fieldLabels[key]);
+                const prefix = details.action === 'update_series' ? 'Upraveno v sérii' : 'Upraveno';
+                return fields.length ? `${prefix}: ${fields.join(', ')}` : 'Rezervace upravena';
+            }
+        }
+    }
+    
+    renderBookingDocuments(documents) {
+        if (documents.length === 0) {
+            return '<p class="text-muted">Žádné přiložené dokumenty</p>';
+        }
+        
+        return `
+            <ul class="document-list">
+                ${documents.map(doc => `
+                    <li class="document-item">
+                        <i class="fas ${this.getDocumentIcon(doc.file_type)}"></i>
+                        <div class="document-info">
+                            <strong>${this.escapeHtml(doc.original_filename || doc.filename)}</strong>
+                            <small class="text-muted">${this.formatFileSize(doc.file_size)} · ${this.formatDateTime(doc.created_at)}</small>
+                        </div>
+                        ${this.canPreviewDocument(doc) ? `
+                            <button type="button" class="btn btn-sm btn-outline" data-document-id="${doc.id}" data-document-action="preview" title="Náhled">
+                                <i class="fas fa-eye"></i>
+                            </button>
+                        ` : ''}
+                        <button type="button" class="btn btn-sm btn-outline" data-document-id="${doc.id}" data-document-action="download" title="Stáhnout">
+                            <i class="fas fa-download"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Images and PDFs can be shown in the browser
+     */
+    canPreviewDocument(doc) {
+        return /^image\//.test(doc.file_type || '') || doc.file_type === 'application/pdf';
+    }
+    
+    async previewDocument(doc, preview, previewUrls) {
+        if (!doc || !preview) return;
+        
+        preview.hidden = false;
+        preview.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
+        
+        try {
+            const blob = await this.api.bookings.document(doc.id);
+            const url = window.URL.createObjectURL(blob);
+            previewUrls.push(url);
+            
+            const name = this.escapeHtml(doc.original_filename || doc.filename);
+            preview.innerHTML = /^image\//.test(doc.file_type)
+                ? `<img src="${url}" alt="${name}">`
+                : `<iframe src="${url}" title="${name}"></iframe>`;
+            
+        } catch (error) {
+            console.error('Document preview error:', error);
+            preview.hidden = true;
+            this.showError('Chyba při načítání dokumentu: ' + error.message);
+        }
+    }
+    
+    async downloadDocument(doc) {
+        if (!doc) return;
+        
+        try {
+            const blob = await this.api.bookings.document(doc.id);
+            
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = doc.original_filename || doc.filename;
+            a.click();
+            window.URL.revokeObjectURL(url);
+            
+        } catch (error) {
+            console.error('Document download error:', error);
+            this.showError('Chyba při stahování dokumentu: ' + error.message);
+        }
+    }
+    
+    getDocumentIcon(fileType) {
+        if (/^image\//.test(fileType || '')) return 'fa-file-image';
+        if (fileType === 'application/pdf') return 'fa-file-pdf';
+        return 'fa-file';
+    }
+    
+    formatFileSize(bytes) {
+        const size = Number(bytes) || 0;
+        if (size < 1024) return `${size} B`;
+        if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} kB`;
+        return `${(size / 1024 / 1024).toFixed(1)} MB`;
+    }
+    
+    /**
+     * Bulk actions, run one booking after another by run(bookingId, params)
+     */
+    getBulkActions() {
+        return {
+            approve: {
+                label: 'Schválit',
+                run: (bookingId) => this.api.bookings.approve(bookingId)
+            },
+            cancel: {
+                label: 'Zrušit',
+                run: (bookingId, params) => this.api.bookings.cancel(bookingId, params.reason || null)
+            },
+            change_status: {
+                label: 'Změnit stav',
+                run: (bookingId, params) => this.api.bookings.changeStatus(bookingId, params.status, params.note || null)
+            },
+            reassign: {
+                label: 'Přeřadit řidiče / vozidlo',
+                run: (bookingId, params) => this.api.bookings.update(bookingId, params.changes)
+            },
+            delete: {
+                label: 'Smazat',
+                run: (bookingId) => this.api.bookings.remove(bookingId)
+            },
+            export: {
+                label: 'Exportovat do CSV',
+                // Nothing changes, so the whole selection stays
+                keepSelection: true,
+                run: (bookingId) => this.api.bookings.get(bookingId, { cache: false }),
+                complete: (bookings) => this.downloadBookingsCsv(bookings)
+            },
+            print: {
+                label: 'Vytisknout propustky',
+                keepSelection: true,
+                run: (bookingId) => this.api.bookings.get(bookingId, { cache: false }),
+                complete: (bookings) => this.bookingPrinter.open(bookings)
+            }
+        };
+    }
+    
+    async showBulkActionModal() {
+        if (this.selectedBookings.length === 0 || this.bulkRunning) return;
+        
+        const isDriver = window.app && window.app.state.user && window.app.state.user.user_type === 'driver';
+        
+        let options;
+        try {
+            options = await this.loadBookingFormOptions(isDriver);
+        } catch (error) {
+            console.error('Bulk action loading error:', error);
+            this.showError('Chyba při načítání formuláře: ' + error.message);
+            return;
+        }
+        
+        const actions = this.getBulkActions();
+        // Drivers cannot approve or set status
+        const available = Object.keys(actions).filter(action => !isDriver || !['approve', 'change_status'].includes(action));
+        const statuses = ['pending', 'approved', 'confirmed', 'checked_in', 'delayed', 'completed'];
+        const count = this.selectedBookings.length;
+        
+        const renderOptions = (items, label) => items.map(item => `
+            <option value="${item.id}">${this.escapeHtml(label(item))}</option>
+        `).join('');
+        
+        const form = window.app.showFormModal(`Hromadné akce (${count})`, `
+            <p class="text-muted">Vybráno rezervací: <strong>${count}</strong></p>
+            <div class="form-group">
+                <label for="bulk-action">Akce *</label>
+                <select id="bulk-action" name="action" class="form-control" required>
+                    ${available.map(action => `<option value="${action}">${actions[action].label}</option>`).join('')}
+                </select>
+            </div>
+            <div data-bulk-fields="cancel">
+                <div class="form-group">
+                    <label for="bulk-reason">Důvod zrušení</label>
+                    <textarea id="bulk-reason" name="reason" class="form-control" rows="2"></textarea>
+                </div>
+            </div>
+            <div data-bulk-fields="change_status">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="bulk-status">Nový stav *</label>
+                        <select id="bulk-status" name="status" class="form-control">
+                            ${statuses.map(status => `<option value="${status}">${this.getStatusText(status)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="bulk-note">Poznámka</label>
+                        <input type="text" id="bulk-note" name="note" class="form-control">
+                    </div>
+                </div>
+            </div>
+            <div data-bulk-fields="reassign">
+                <div class="form-row">
+                    ${isDriver ? '' : `
+                        <div class="form-group">
+                            <label for="bulk-driver">Řidič</label>
+                            <select id="bulk-driver" name="driver_id" class="form-control">
+                                <option value="keep">Beze změny</option>
+                                <option value="">Nepřiřazen</option>
+                                ${renderOptions(options.drivers, driver => driver.full_name)}
+                            </select>
+                        </div>
+                    `}
+                    <div class="form-group">
+                        <label for="bulk-vehicle">Vozidlo</label>
+                        <select id="bulk-vehicle" name="vehicle_id" class="form-control">
+                            <option value="keep">Beze změny</option>
+                            <option value="">Nepřiřazeno</option>
+                            ${renderOptions(options.vehicles, vehicle => vehicle.license_plate + (vehicle.type ? ` (${vehicle.type})` : ''))}
+                        </select>
+                    </div>
+                </div>
+            </div>
+            <div data-bulk-fields="delete">
+                <p class="text-error">Smazané rezervace nelze obnovit.</p>
+            </div>
+        `, async (formData) => {
+            const params = this.getBulkParams(formData);
+            const bookingIds = [...this.selectedBookings];
+            
+            // Progress dialog takes over once the form has closed
+            setTimeout(() => this.runBulkAction(formData.action, bookingIds, params));
+        }, { submitText: 'Provést' });
+        
+        if (!form) return;
+        
+        // Only fields of the chosen action are shown and submitted
+        const actionSelect = form.querySelector('#bulk-action');
+        const toggleFields = () => {
+            form.querySelectorAll('[data-bulk-fields]').forEach(group => {
+                const active = group.dataset.bulkFields === actionSelect.value;
+                group.hidden = !active;
+                group.querySelectorAll('input, select, textarea').forEach(field => {
+                    field.disabled = !active;
+                });
+            });
+        };
+        actionSelect.addEventListener('change', toggleFields);
+        toggleFields();
+    }
+    
+    /**
+     * Parameters of the chosen bulk action, throws field errors
+     */
+    getBulkParams(formData) {
+        if (formData.action === 'cancel') {
+            return { reason: formData.reason };
+        }
+        
+        if (formData.action === 'change_status') {
+            return { status: formData.status, note: formData.note };
+        }
+        
+        if (formData.action === 'reassign') {
+            const changes = {};
+            ['driver_id', 'vehicle_id'].forEach(field => {
+                if (field in formData && formData[field] !== 'keep') {
+                    changes[field] = formData[field];
+                }
+            });
+            
+            if (Object.keys(changes).length === 0) {
+                const field = 'driver_id' in formData ? 'driver_id' : 'vehicle_id';
+                const error = new Error('Vyberte řidiče nebo vozidlo');
+                error.fieldErrors = { [field]: error.message };
+                throw error;
+            }
+            
+            return { changes };
+        }
+        
+        return {};
+    }
+    
+    /**
+     * Run bulk action with progress and per-booking report
+     *
+     * Bookings are processed one by one. Afterwards only the failed and the
+     * not processed bookings stay selected, so the action can be repeated
+     * for them
+     */
+    async runBulkAction(actionName, bookingIds, params = {}) {
+        const action = this.getBulkActions()[actionName];
+        if (!action || bookingIds.length === 0) return;
+        
+        const results = new Map(bookingIds.map(id => [id, { state: 'waiting', message: '' }]));
+        let aborted = false;
+        let finished = false;
+        
+        this.setBulkRunning(true);
+        
+        const container = window.app.showModal(`${action.label} – ${bookingIds.length} rezervací`, `
+            <div class="bulk-progress">
+                <div class="bulk-progress-summary">
+                    <span class="bulk-progress-text"></span>
+                    <span class="bulk-progress-counts"></span>
+                </div>
+                <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="${bookingIds.length}">
+                    <div class="progress-bar-fill"></div>
+                </div>
+                <ul class="bulk-results">
+                    ${bookingIds.map(id => `
+                        <li class="bulk-result waiting" data-bulk-id="${id}">
+                            <i class="fas fa-circle"></i>
+                            <strong>${this.escapeHtml(this.getBookingLabel(id))}</strong>
+                            <span class="bulk-result-message"></span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `, [
+            {
+                text: 'Přerušit',
+                className: 'btn-outline',
+                action: () => {
+                    if (finished) return;
+                    aborted = true;
+                    return false;
+                }
+            }
+        ], { className: 'modal-md', onClose: () => { aborted = true; } });
+        
+        const icons = { waiting: 'fa-circle', running: 'fa-spinner fa-spin', success: 'fa-check-circle', queued: 'fa-clock', failed: 'fa-times-circle', skipped: 'fa-minus-circle' };
+        const update = (bookingId) => {
+            // Another dialog may have replaced the progress
+            if (!container || !container.querySelector('.bulk-progress')) return;
+            
+            if (bookingId !== undefined) {
+                const result = results.get(bookingId);
+                const item = container.querySelector(`[data-bulk-id="${bookingId}"]`);
+                item.className = `bulk-result ${result.state}`;
+                item.querySelector('i').className = `fas ${icons[result.state]}`;
+                item.querySelector('.bulk-result-message').textContent = result.message;
+                if (result.state === 'running') {
+                    item.scrollIntoView({ block: 'nearest' });
+                }
+            }
+            
+            const states = Array.from(results.values()).map(result => result.state);
+            const done = states.filter(state => !['waiting', 'running'].includes(state)).length;
+            const countOf = (state) => states.filter(item => item === state).length;
+            
+            container.querySelector('.bulk-progress-text').textContent = `${done} / ${bookingIds.length}`;
+            container.querySelector('.bulk-progress-counts').textContent = [
+                `úspěšně ${countOf('success')}`,
+                countOf('queued') ? `ve frontě ${countOf('queued')}` : '',
+                countOf('failed') ? `chyby ${countOf('failed')}` : '',
+                countOf('skipped') ? `přeskočeno ${countOf('skipped')}` : ''
+            ].filter(Boolean).join(' · ');
+            container.querySelector('.progress-bar').setAttribute('aria-valuenow', done);
+            container.querySelector('.progress-bar-fill').style.width = `${Math.round(done / bookingIds.length * 100)}%`;
+        };
+        update();
+        
+        // Bookings returned by run, handed to complete()
+        const loaded = [];
+        
+        for (const bookingId of bookingIds) {
+            const result = results.get(bookingId);
+            
+            if (aborted) {
+                result.state = 'skipped';
+                result.message = 'Přerušeno';
+                update(bookingId);
+                continue;
+            }
+            
+            result.state = 'running';
+            update(bookingId);
+            
+            try {
+                const data = await action.run(bookingId, params);
+                
+                if (data.queued) {
+                    result.state = 'queued';
+                    result.message = data.message || 'Odešle se po připojení';
+                } else if (data.success) {
+                    result.state = 'success';
+                    if (data.booking) {
+                        loaded.push(data.booking);
+                    }
+                } else {
+                    throw new Error(data.error);
+                }
+            } catch (error) {
+                console.error('Bulk action error:', bookingId, error);
+                result.state = 'failed';
+                result.message = error.message;
+            }
+            
+            update(bookingId);
+        }
+        
+        finished = true;
+        this.setBulkRunning(false);
+        
+
+        // Processed bookings leave the selection, failed and skipped ones stay
+        const remaining = action.keepSelection
+            ? bookingIds
+            : bookingIds.filter(id => ['failed', 'skipped'].includes(results.get(id).state));
+        const unrelated = this.selectedBookings.filter(id => !bookingIds.includes(id));
+        this.setSelection([...unrelated, ...remaining]);
+        
+        const failed = Array.from(results.values()).filter(result => result.state === 'failed').length;
+        if (failed === 0 && !aborted) {
+            this.showSuccess(`${action.label}: hotovo (${bookingIds.length})`);
+        } else {
+            this.showWarning(`${action.label}: ${failed ? `chyby (${failed})` : 'přerušeno'}, nezpracované rezervace zůstaly vybrané`);
+        }
+        
+        if (container && container.querySelector('.bulk-progress')) {
+            container.querySelector('.modal-footer .btn').textContent = 'Zavřít';
+        }
+        
+        // Print preview replaces the report
+        if (action.complete && loaded.length > 0) {
+            action.complete(loaded);
+        }
+        
+        if (!action.keepSelection) {
+            this.loadBookings();
+        }
+    }
+    
+    setBulkRunning(running) {
+        this.bulkRunning = running;
+        
+        document.querySelectorAll('.booking-checkbox, #select-all-bookings').forEach(checkbox => {
+            checkbox.disabled = running;
+        });
+        this.updateBulkActionButton();
+    }
+    
+    getBookingLabel(bookingId) {
+        const booking = this.loadedBookings.get(Number(bookingId));
+        return booking ? booking.booking_number : `#${bookingId}`;
     }
     
-    showBulkActionModal() {
-        // TODO: Implement bulk action modal
-        console.log('Show bulk action modal for:', this.selectedBookings);
+    /**
+     * Download bookings as CSV that opens in Czech Excel
+     */
+    downloadBookingsCsv(bookings) {
+        const columns = [
+            ['Číslo rezervace', booking => booking.booking_number],
+            ['Referenční číslo', booking => booking.reference_number],
+            ['Datum', booking => booking.slot_date],
+            ['Od', booking => this.formatTime(booking.slot_time_start)],
+            ['Do', booking => this.formatTime(booking.slot_time_end)],
+            ['Sklad', booking => booking.warehouse_name],
+            ['Firma', booking => booking.company_name],
+            ['Řidič', booking => booking.driver_name],
+            ['Vozidlo', booking => booking.vehicle_license],
+            ['Stav', booking => this.getStatusText(booking.status)],
+            ['Typ', booking => this.getBookingTypeText(booking.booking_type)],
+            ['Poznámky', booking => booking.notes]
+        ];
+        
+        const cell = (value) => {
+            let text = String(value ?? '');
+            // Excel would run text starting like a formula, the apostrophe keeps it text
+            if (/^[=+\-@\t\r]/.test(text)) {
+                text = "'" + text;
+            }
+            return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [
+            columns.map(([label]) => cell(label)).join(';'),
+            ...bookings.map(booking => columns.map(([, value]) => cell(value(booking))).join(';'))
+        ];
+        
+        // BOM tells Excel the file is UTF-8
+        const blob = new Blob(['\ufeff' + rows.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `bookings_selection_${this.toDateValue(new Date())}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
     }
 }
 
@@ -810,6 +2874,12 @@ window.createBooking = () => {
     }
 };
 
+window.showNewBookingModal = () => {
+    if (window.bookingsManager) {
+        window.bookingsManager.createBooking();
+    }
+};
+
 window.applyFilters = () => {
     if (window.bookingsManager) {
         window.bookingsManager.applyFilters();
@@ -822,8 +2892,20 @@ window.clearFilters = () => {
     }
 };
 
+window.showGateScanner = () => {
+    if (window.bookingsManager) {
+        window.bookingsManager.gateScanner.open();
+    }
+};
+
 window.exportBookings = () => {
     if (window.bookingsManager) {
         window.bookingsManager.exportBookings();
     }
+};
+
+window.importBookings = () => {
+    if (window.bookingsManager) {
+        window.bookingsManager.importBookings();
+    }
 };
\ No newline at end of file
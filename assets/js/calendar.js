@@ -14,6 +14,8 @@ class ModernCalendar {
         this.bookings = [];
         this.draggedSlot = null;
         this.isLoading = false;
+        this.loadController = null;
+        this.api = window.api || new ApiClient();
         
         // Color schemes for different statuses
         this.statusColors = {
@@ -35,6 +37,15 @@ class ModernCalendar {
             'delayed': '#f97316'         // Orange
         };
         
+        // Create and edit form of slots
+        this.slotEditor = new SlotEditor(this);
+        this.slotEditor.onSaved = () => this.renderCalendar();
+        
+        // Weekly slot templates, their slots are previewed in the calendar before creating
+        this.templateGenerator = new SlotTemplateGenerator(this);
+        this.templateGenerator.onGenerated = () => this.renderCalendar();
+        this.preview = null;
+        
         this.init();
     }
     
@@ -44,7 +55,7 @@ class ModernCalendar {
         this.setupKeyboardShortcuts();
         this.loadWarehouses();
         this.renderCalendar();
-        this.startAutoRefresh();
+        this.subscribeToLiveUpdates();
     }
     
     setupEventListeners() {
@@ -170,11 +181,7 @@ class ModernCalendar {
     
     async loadWarehouses() {
         try {
-            const response = await fetch('api/warehouses.php', {
-                credentials: 'include'
-            });
-            
-            const data = await response.json();
+            const data = await this.api.warehouses.list();
             
             if (data.success) {
                 this.renderWarehouseSelector(data.warehouses);
@@ -192,19 +199,57 @@ class ModernCalendar {
             <option value="">Všechny sklady</option>
             ${warehouses.map(w => `<option value="${w.id}">${w.name}</option>`).join('')}
         `;
+        selector.value = this.selectedWarehouse || '';
     }
     
     changeView(view) {
         this.currentView = view;
-        
-        // Update active button
+        this.updateViewButtons();
+        this.renderCalendar();
+    }
+    
+    updateViewButtons() {
         document.querySelectorAll('.view-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.view === view);
+            btn.classList.toggle('active', btn.dataset.view === this.currentView);
         });
+    }
+    
+    /**
+     * Calendar state for the URL: #/calendar/{view}/{date}?warehouse={id}
+     */
+    getRouteState() {
+        return {
+            segments: [this.currentView, this.formatDate(this.currentDate)],
+            params: { warehouse: this.selectedWarehouse }
+        };
+    }
+    
+    /**
+     * Restore calendar state from the URL
+     */
+    applyRouteState(route) {
+        const [view, date] = route.segments;
+        
+        this.currentView = ['day', 'week', 'month'].includes(view) ? view : 'week';
+        this.currentDate = this.parseDate(date) || new Date();
+        this.selectedWarehouse = route.params.warehouse || null;
+        
+        this.updateViewButtons();
+        
+        const selector = document.getElementById('warehouse-selector');
+        if (selector) {
+            selector.value = this.selectedWarehouse || '';
+        }
         
         this.renderCalendar();
     }
     
+    updateRoute() {
+        if (window.app) {
+            window.app.updateRoute('calendar');
+        }
+    }
+    
     navigatePrevious() {
         switch(this.currentView) {
             case 'day':
@@ -241,78 +286,99 @@ class ModernCalendar {
     }
     
     async renderCalendar() {
+        // Abort requests of the previous navigation, their results are stale
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        const controller = new AbortController();
+        this.loadController = controller;
+        
+        this.updateRoute();
         this.updateCalendarTitle();
         this.showLoading();
+        this.isLoading = true;
         
         try {
-            await this.loadCalendarData();
+            const { slots, bookings } = await this.loadCalendarData(controller.signal);
             
-            switch(this.currentView) {
-                case 'day':
-                    this.renderDayView();
-                    break;
-                case 'week':
-                    this.renderWeekView();
-                    break;
-                case 'month':
-                    this.renderMonthView();
-                    break;
-            }
+            // A newer navigation started while this one was loading
+            if (controller !== this.loadController) return;
+            
+            this.slots = slots;
+            this.bookings = bookings;
+            this.groupBookingsBySlot();
+            this.renderCurrentView();
         } catch (error) {
+            if (controller !== this.loadController || error.code === 'ABORTED') return;
+            
             console.error('Error rendering calendar:', error);
             this.showError('Chyba při načítání kalendáře');
         } finally {
-            this.hideLoading();
+            if (controller === this.loadController) {
+                this.loadController = null;
+                this.isLoading = false;
+                this.hideLoading();
+            }
         }
     }
     
-    async loadCalendarData() {
-        const { startDate, endDate } = this.getDateRange();
-        
-        const params = new URLSearchParams({
-            start_date: startDate,
-            end_date: endDate
-        });
+    /**
+     * Render loaded slots in the current view without asking the server
+     */
+    renderCurrentView() {
+        const container = document.getElementById('calendar-grid');
+        const scrollTop = container ? container.scrollTop : 0;
         
-        if (this.selectedWarehouse) {
-            params.append('warehouse_id', this.selectedWarehouse);
+        switch(this.currentView) {
+            case 'day':
+                this.renderDayView();
+                break;
+            case 'week':
+                this.renderWeekView();
+                break;
+            case 'month':
+                this.renderMonthView();
+                break;
         }
         
-        const response = await fetch(`api/slots.php?${params}`, {
-            credentials: 'include'
-        });
+        if (container) {
+            container.scrollTop = scrollTop;
+        }
+    }
+    
+    async loadCalendarData(signal = null) {
+        const { startDate, endDate } = this.getDateRange();
         
-        const data = await response.json();
+        const data = await this.api.slots.list({
+            start_date: startDate,
+            end_date: endDate,
+            warehouse_id: this.selectedWarehouse
+        }, { signal });
         
-        if (data.success) {
-            this.slots = data.slots;
-            await this.loadBookingsForSlots();
-        } else {
+        if (!data.success) {
             throw new Error(data.error || 'Failed to load calendar data');
         }
+        
+        const bookings = await this.loadBookingsForSlots(data.slots, signal);
+        
+        return { slots: data.slots, bookings };
     }
     
-    async loadBookingsForSlots() {
-        if (this.slots.length === 0) return;
+    async loadBookingsForSlots(slots, signal = null) {
+        if (slots.length === 0) return [];
         
-        const slotIds = this.slots.map(s => s.id);
-        const params = new URLSearchParams({
-            slot_ids: slotIds.join(',')
-        });
+        const slotIds = slots.map(s => s.id);
         
         try {
-            const response = await fetch(`api/bookings.php?${params}`, {
-                credentials: 'include'
-            });
+            const data = await this.api.bookings.bySlots(slotIds, { signal });
             
-            const data = await response.json();
-            
-            if (data.success) {
-                this.bookings = data.bookings;
-                this.groupBookingsBySlot();
-            }
+            return data.success ? data.bookings : [];
         } catch (error) {
+            // Cancelled navigation must not render partial data
+            if (error.code === 'ABORTED') throw error;
+            
             console.error('Error loading bookings:', error);
+            return [];
         }
     }
     
@@ -369,7 +435,7 @@ class ModernCalendar {
         const container = document.getElementById('calendar-grid');
         if (!container) return;
         
-        const daySlots = this.slots.filter(slot => 
+        const daySlots = this.getDisplayedSlots().filter(slot => 
             slot.slot_date === this.formatDate(this.currentDate)
         );
         
@@ -409,7 +475,7 @@ class ModernCalendar {
                             <div class="time-header">
                                 <span class="time-label">${timeSlot.displayHour}</span>
                             </div>
-                            <div class="time-content drop-zone" data-hour="${timeSlot.hour}">
+                            <div class="time-content drop-zone" data-date="${this.formatDate(this.currentDate)}" data-hour="${timeSlot.hour}">
                                 ${timeSlot.slots.map(slot => this.renderSlotBlock(slot)).join('')}
                                 ${timeSlot.slots.length === 0 ? '<div class="empty-slot">Žádné sloty</div>' : ''}
                             </div>
@@ -438,7 +504,7 @@ class ModernCalendar {
         
         // Group slots by day
         const dailySlots = {};
-        this.slots.forEach(slot => {
+        this.getDisplayedSlots().forEach(slot => {
             if (!dailySlots[slot.slot_date]) {
                 dailySlots[slot.slot_date] = [];
             }
@@ -527,7 +593,7 @@ class ModernCalendar {
         
         // Group slots by date
         const dailySlots = {};
-        this.slots.forEach(slot => {
+        this.getDisplayedSlots().forEach(slot => {
             if (!dailySlots[slot.slot_date]) {
                 dailySlots[slot.slot_date] = [];
             }
@@ -577,12 +643,18 @@ class ModernCalendar {
     }
     
     renderSlotBlock(slot, compact = false) {
+        if (slot.preview) {
+            return this.renderPreviewSlotBlock(slot, compact);
+        }
+        
         const statusClass = this.getSlotStatusClass(slot);
         const bookingCount = slot.bookings ? slot.bookings.length : 0;
         const utilizationPercent = slot.capacity > 0 ? (bookingCount / slot.capacity) * 100 : 0;
+        const removed = this.preview && this.preview.removedIds.has(String(slot.id));
         
         return `
-            <div class="slot-block ${statusClass} ${compact ? 'compact' : ''}" 
+            <div class="slot-block ${statusClass} ${compact ? 'compact' : ''} ${removed ? 'preview-removed' : ''}" 
+                 data-slot-id="${slot.id}"
                  data-slot='${JSON.stringify(slot)}'
                  draggable="true"
                  title="${this.getSlotTooltip(slot)}">
@@ -628,35 +700,38 @@ class ModernCalendar {
         `;
     }
     
-    setupSlotInteractions() {
-        // Click handlers for slots
-        document.querySelectorAll('.slot-block').forEach(block => {
-            block.addEventListener('click', (e) => {
-                if (!e.target.closest('.slot-actions')) {
-                    const slot = JSON.parse(block.dataset.slot);
-                    this.showSlotDetails(slot);
-                }
-            });
-            
-            block.addEventListener('dblclick', (e) => {
-                const slot = JSON.parse(block.dataset.slot);
-                this.editSlot(slot.id);
-            });
-        });
+    // Slot of the template preview, it does not exist yet so it has no actions
+    renderPreviewSlotBlock(slot, compact = false) {
+        const escape = (value) => window.app.escapeHtml(value);
         
-        // Context menu for slots
-        document.querySelectorAll('.slot-block').forEach(block => {
-            block.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                const slot = JSON.parse(block.dataset.slot);
-                this.showSlotContextMenu(e, slot);
-            });
-        });
+        return `
+            <div class="preview-slot ${compact ? 'compact' : ''}"
+                 title="Náhled šablony ${escape(slot.template_name)}">
+                <div class="slot-header">
+                    <span class="slot-time">${slot.slot_time_start} - ${slot.slot_time_end}</span>
+                    <i class="fas fa-layer-group"></i>
+                </div>
+                
+                ${!compact ? `
+                    <div class="slot-info">
+                        <div class="slot-warehouse">${escape(slot.warehouse_name)}</div>
+                        ${slot.zone_name ? `<div class="slot-zone">${escape(slot.zone_name)}</div>` : ''}
+                        <div class="slot-capacity">
+                            <span class="capacity-text">0/${slot.capacity}</span>
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    setupSlotInteractions() {
+        document.querySelectorAll('.slot-block').forEach(block => this.bindSlotBlock(block));
         
-        // Empty slot creation
+        // Empty slot creation, the placeholder of an empty hour counts as the cell
         document.querySelectorAll('.drop-zone').forEach(zone => {
             zone.addEventListener('dblclick', (e) => {
-                if (e.target === zone) {
+                if (!e.target.closest('.slot-block, .preview-slot')) {
                     const date = zone.dataset.date;
                     const hour = zone.dataset.hour;
                     this.createSlotAt(date, hour);
@@ -665,6 +740,115 @@ class ModernCalendar {
         });
     }
     
+    bindSlotBlock(block) {
+        // Click handlers for slots
+        block.addEventListener('click', (e) => {
+            if (!e.target.closest('.slot-actions')) {
+                const slot = JSON.parse(block.dataset.slot);
+                this.showSlotDetails(slot);
+            }
+        });
+        
+        block.addEventListener('dblclick', (e) => {
+            const slot = JSON.parse(block.dataset.slot);
+            this.editSlot(slot.id);
+        });
+        
+        // Context menu for slots
+        block.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const slot = JSON.parse(block.dataset.slot);
+            this.showSlotContextMenu(e, slot);
+        });
+    }
+    
+    // Live updates
+    
+    subscribeToLiveUpdates() {
+        if (!window.app || !window.app.liveUpdates) return;
+        
+        window.app.liveUpdates.on('slot', (event) => this.applySlotEvent(event));
+        window.app.liveUpdates.on('booking', (event) => this.applyBookingEvent(event));
+    }
+    
+    /**
+     * Apply pushed slot change to loaded slots
+     */
+    applySlotEvent(event) {
+        const index = this.slots.findIndex(slot => slot.id == event.entity_id);
+        const existing = index >= 0 ? this.slots[index] : null;
+        const visible = event.action !== 'deleted' && this.isSlotVisible(event.data);
+        
+        if (!existing && !visible) return;
+        
+        if (!visible) {
+            this.slots.splice(index, 1);
+            this.renderCurrentView();
+            return;
+        }
+        
+        const slot = { ...existing, ...event.data, bookings: existing ? existing.bookings : [] };
+        
+        // Same place in the grid, only the block changes
+        if (existing && existing.slot_date === slot.slot_date && existing.slot_time_start === slot.slot_time_start) {
+            this.slots[index] = slot;
+            this.updateSlotBlock(slot);
+            return;
+        }
+        
+        if (existing) {
+            this.slots.splice(index, 1);
+        }
+        this.slots.push(slot);
+        this.slots.sort((a, b) => (a.slot_date + a.slot_time_start).localeCompare(b.slot_date + b.slot_time_start));
+        this.renderCurrentView();
+    }
+    
+    /**
+     * Apply pushed booking change, the booking may have moved to another slot
+     */
+    applyBookingEvent(event) {
+        const booking = event.data;
+        const affectedSlots = new Set();
+        
+        this.bookings = this.bookings.filter(item => item.id != event.entity_id);
+        this.slots.forEach(slot => {
+            if (slot.bookings && slot.bookings.some(item => item.id == event.entity_id)) {
+                slot.bookings = slot.bookings.filter(item => item.id != event.entity_id);
+                affectedSlots.add(slot);
+            }
+        });
+        
+        const slot = this.slots.find(item => item.id == booking.time_slot_id);
+        if (slot) {
+            this.bookings.push(booking);
+            slot.bookings = [...(slot.bookings || []), booking];
+            affectedSlots.add(slot);
+        }
+        
+        affectedSlots.forEach(affected => this.updateSlotBlock(affected));
+    }
+    
+    updateSlotBlock(slot) {
+        const block = document.querySelector(`.slot-block[data-slot-id="${slot.id}"]`);
+        if (!block) return;
+        
+        const template = document.createElement('template');
+        template.innerHTML = this.renderSlotBlock(slot, block.classList.contains('compact')).trim();
+        
+        const updated = template.content.firstElementChild;
+        updated.classList.add('live-updated');
+        block.replaceWith(updated);
+        this.bindSlotBlock(updated);
+    }
+    
+    isSlotVisible(slot) {
+        const { startDate, endDate } = this.getDateRange();
+        
+        if (slot.slot_date < startDate || slot.slot_date > endDate) return false;
+        return !this.selectedWarehouse || slot.warehouse_id == this.selectedWarehouse;
+    }
+    
     // Utility methods
     
     getSlotStatusClass(slot) {
@@ -735,7 +919,18 @@ class ModernCalendar {
     }
     
     formatDate(date) {
-        return date.toISOString().split('T')[0];
+        // Local date, toISOString() would shift midnight to the previous day
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(date.getTime()) ? null : date;
     }
     
     formatDateFull(date) {
@@ -797,15 +992,6 @@ class ModernCalendar {
         this.showToast('Kalendář byl obnovен', 'success');
     }
     
-    startAutoRefresh() {
-        // Auto-refresh every 30 seconds
-        setInterval(() => {
-            if (document.visibilityState === 'visible') {
-                this.renderCalendar();
-            }
-        }, 30000);
-    }
-    
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -832,18 +1018,34 @@ class ModernCalendar {
     }
     
     editSlot(slotId) {
-        // TODO: Implement slot editing
-        console.log('Edit slot:', slotId);
+        const slot = this.slots.find(item => item.id == slotId);
+        if (!slot) {
+            this.showToast('Slot nebyl nalezen, obnovte kalendář', 'error');
+            return;
+        }
+        
+        this.slotEditor.edit(slot);
     }
     
     addBooking(slotId) {
-        // TODO: Implement booking creation
-        console.log('Add booking to slot:', slotId);
+        const slot = this.slots.find(item => item.id == slotId);
+        if (!slot || !window.bookingsManager) return;
+        
+        window.bookingsManager.createBooking({
+            warehouse_id: slot.warehouse_id,
+            slot_date: slot.slot_date,
+            time_slot_id: slot.id
+        });
     }
     
+    // New slot prefilled from a double-clicked calendar cell
     createSlotAt(date, hour) {
-        // TODO: Implement slot creation at specific time
-        console.log('Create slot at:', date, hour);
+        const values = { slot_date: date || this.formatDate(this.currentDate) };
+        if (hour) {
+            values.slot_time_start = `${hour}:00`;
+        }
+        
+        this.slotEditor.create(values);
     }
     
     showSlotContextMenu(event, slot) {
@@ -876,21 +1078,16 @@ class ModernCalendar {
     
     async moveSlot(slotId, newDate, newStartTime, newEndTime) {
         try {
-            const response = await fetch('api/slots.php', {
-                method: 'PUT',
-                credentials: 'include',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    slot_id: slotId,
-                    slot_date: newDate,
-                    slot_time_start: newStartTime,
-                    slot_time_end: newEndTime
-                })
+            const data = await this.api.slots.update(slotId, {
+                slot_date: newDate,
+                slot_time_start: newStartTime,
+                slot_time_end: newEndTime
             });
             
-            const data = await response.json();
+            if (data.queued) {
+                this.showToast(data.message, 'warning');
+                return;
+            }
             
             if (data.success) {
                 this.showToast('Slot byl úspěšně přesunut', 'success');
@@ -940,48 +1137,317 @@ class ModernCalendar {
     }
     
     showAddSlotModal() {
-        // TODO: Implement add slot modal
-        console.log('Show add slot modal');
+        this.slotEditor.create();
+    }
+    
+    showTemplates() {
+        this.templateGenerator.open();
+    }
+    
+    // Template preview: slots that would be created are shown next to the loaded
+    // ones, slots that regeneration would replace are marked
+    showPreview(slots, removedIds, date) {
+        this.preview = {
+            slots: slots.map((slot, index) => ({ ...slot, id: `preview-${index}`, preview: true, bookings: [] })),
+            removedIds: new Set(removedIds.map(String))
+        };
+        
+        const { startDate, endDate } = this.getDateRange();
+        if (date < startDate || date > endDate) {
+            this.currentDate = this.parseDate(date);
+            this.renderCalendar();
+        } else {
+            this.renderCurrentView();
+        }
+    }
+    
+    clearPreview() {
+        if (!this.preview) return;
+        
+        this.preview = null;
+        this.renderCurrentView();
+    }
+    
+    // Loaded slots together with the preview slots
+    getDisplayedSlots() {
+        if (!this.preview) {
+            return this.slots;
+        }
+        
+        return [...this.slots, ...this.preview.slots]
+            .sort((a, b) => (a.slot_date + a.slot_time_start).localeCompare(b.slot_date + b.slot_time_start));
     }
     
     // Export calendar data
-    async exportCalendar(format = 'csv') {
+    // Export calendar: ics of the shown range from the server, xlsx of the
+    // shown slots, pdf weekly plan of the warehouses for the week of the current date
+    async exportCalendar(format = 'ics') {
         try {
             const { startDate, endDate } = this.getDateRange();
-            const params = new URLSearchParams({
-                start_date: startDate,
-                end_date: endDate,
-                export: format
-            });
             
-            if (this.selectedWarehouse) {
-                params.append('warehouse_id', this.selectedWarehouse);
-            }
-            
-            const response = await fetch(`api/slots.php?${params}`, {
-                credentials: 'include'
-            });
-            
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `calendar_${startDate}_${endDate}.${format}`;
-                a.click();
-                window.URL.revokeObjectURL(url);
+            if (format === 'xlsx') {
+                this.exportSlotsXlsx(startDate, endDate);
+            } else if (format === 'pdf') {
+                if (!window.bookingsManager) return;
                 
-                this.showToast('Kalendář byl exportován', 'success');
+                await window.bookingsManager.exporter.exportWeeklyPlan(this.formatDate(this.currentDate), {
+                    filters: this.selectedWarehouse ? { warehouse_id: this.selectedWarehouse } : {}
+                });
+                return;
             } else {
-                throw new Error('Export failed');
+                const blob = await this.api.slots.export({
+                    start_date: startDate,
+                    end_date: endDate,
+                    warehouse_id: this.selectedWarehouse
+                }, format);
+                
+                this.downloadFile(blob, `kalendar_${startDate}_${endDate}.${format}`);
             }
             
+            this.showToast('Kalendář byl exportován', 'success');
+            
         } catch (error) {
             console.error('Export error:', error);
             this.showToast('Chyba při exportu: ' + error.message, 'error');
         }
     }
     
+    // Import slots from a CSV or Excel file, the wizard refreshes the calendar
+    importSlots() {
+        if (!window.bookingsManager) return;
+        
+        window.bookingsManager.importWizard.open('slots');
+    }
+    
+    // Personal iCalendar feed for Outlook, Google Calendar and other apps,
+    // the URL may be limited to the warehouse shown in the calendar
+    async showSubscription() {
+        let subscription;
+        try {
+            const data = await this.api.calendarFeed.get();
+            subscription = data.subscription;
+        } catch (error) {
+            console.error('Calendar subscription error:', error);
+            this.showToast('Chyba při načítání odběru kalendáře: ' + error.message, 'error');
+            return;
+        }
+        
+        const container = window.app.showModal('Odběr kalendáře', `
+            <div class="calendar-subscription"></div>
+        `, [
+            { text: 'Zavřít', className: 'btn-outline' }
+        ], { className: 'modal-md' });
+        
+        if (!container) return;
+        
+        const body = container.querySelector('.calendar-subscription');
+        let warehouseOnly = Boolean(this.selectedWarehouse);
+        this.renderSubscription(body, subscription, warehouseOnly);
+        
+        body.addEventListener('change', (e) => {
+            if (e.target.name !== 'warehouse_only') return;
+            
+            warehouseOnly = e.target.checked;
+            this.renderSubscription(body, subscription, warehouseOnly);
+        });
+        
+        body.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-subscription-action]');
+            if (!button || button.disabled) return;
+            
+            button.disabled = true;
+            try {
+                subscription = await this.runSubscriptionAction(button.dataset.subscriptionAction, subscription, body);
+            } catch (error) {
+                console.error('Calendar subscription action error:', error);
+                this.showToast('Chyba při úpravě odběru: ' + error.message, 'error');
+            } finally {
+                this.renderSubscription(body, subscription, warehouseOnly);
+            }
+        });
+    }
+    
+    renderSubscription(body, subscription, warehouseOnly) {
+        const app = window.app;
+        
+        if (!subscription) {
+            body.innerHTML = `
+                <p>Odběrem uvidíte ${this.getSubscriptionContent()} v Outlooku, Kalendáři Google nebo jiné aplikaci.
+                   Aplikace si kalendář sama obnovuje, změny stavu rezervací se v ní projeví jako úprava události.</p>
+                <button type="button" class="btn btn-primary" data-subscription-action="create">
+                    <i class="fas fa-link"></i> Vytvořit odkaz pro odběr
+                </button>
+            `;
+            return;
+        }
+        
+        const selector = document.getElementById('warehouse-selector');
+        const warehouseName = this.selectedWarehouse && selector && selector.selectedOptions[0]
+            ? selector.selectedOptions[0].textContent
+            : null;
+        const url = this.getSubscriptionUrl(subscription, warehouseOnly && warehouseName);
+        
+        body.innerHTML = `
+            <p>Odkaz vložte do kalendářové aplikace jako kalendář z internetu. Obsahuje ${this.getSubscriptionContent()}
+               za posledních ${subscription.days_back} dní a následujících ${subscription.days_ahead} dní.</p>
+            ${warehouseName ? `
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" name="warehouse_only" ${warehouseOnly ? 'checked' : ''}>
+                        Jen sklad ${app.escapeHtml(warehouseName)}
+                    </label>
+                </div>
+            ` : ''}
+            <div class="subscription-url">
+                <input type="text" class="form-control" value="${app.escapeHtml(url)}" readonly aria-label="Odkaz pro odběr">
+                <button type="button" class="btn btn-outline" data-subscription-action="copy" title="Kopírovat odkaz">
+                    <i class="fas fa-copy"></i>
+                </button>
+                <a class="btn btn-outline" href="${app.escapeHtml(url.replace(/^https?:/, 'webcal:'))}" title="Otevřít v kalendářové aplikaci">
+                    <i class="fas fa-calendar-plus"></i>
+                </a>
+            </div>
+            <p class="form-help">
+                Vytvořeno ${app.formatDate(subscription.created_at)} ·
+                ${subscription.last_used_at ? `naposledy staženo ${app.formatDate(subscription.last_used_at)}` : 'zatím nestaženo'}.
+                Odkaz je osobní, kdo jej zná, vidí váš kalendář.
+            </p>
+            <div class="subscription-actions">
+                <button type="button" class="btn btn-outline" data-subscription-action="regenerate">
+                    <i class="fas fa-sync-alt"></i> Nový odkaz
+                </button>
+                <button type="button" class="btn btn-outline" data-subscription-action="revoke">
+                    <i class="fas fa-unlink"></i> Zrušit odběr
+                </button>
+            </div>
+        `;
+    }
+    
+    // Resolves to the subscription after the action
+    async runSubscriptionAction(action, subscription, body) {
+        const confirmDialog = window.app.confirmDialog;
+        
+        switch (action) {
+            case 'create':
+                return (await this.api.calendarFeed.regenerate()).subscription;
+            
+            case 'copy': {
+                const field = body.querySelector('.subscription-url input');
+                try {
+                    await navigator.clipboard.writeText(field.value);
+                } catch (error) {
+                    // Without clipboard access the user copies the selected text
+                    field.select();
+                    document.execCommand('copy');
+                }
+                this.showToast('Odkaz byl zkopírován', 'success');
+                return subscription;
+            }
+            
+            case 'regenerate': {
+                const answer = await confirmDialog.ask({
+                    title: 'Nový odkaz pro odběr',
+                    message: 'Současný odkaz přestane fungovat. Kalendáře, které jej odebírají, je potřeba přidat znovu s novým odkazem.',
+                    confirmText: 'Vytvořit nový odkaz',
+                    danger: true
+                });
+                if (!answer) return subscription;
+                
+                return (await this.api.calendarFeed.regenerate()).subscription;
+            }
+            
+            case 'revoke': {
+                const answer = await confirmDialog.ask({
+                    title: 'Zrušit odběr kalendáře',
+                    message: 'Odkaz přestane fungovat a kalendářové aplikace přestanou dostávat změny.',
+                    confirmText: 'Zrušit odběr',
+                    danger: true
+                });
+                if (!answer) return subscription;
+                
+                await this.api.calendarFeed.revoke();
+                this.showToast('Odběr kalendáře byl zrušen', 'success');
+                return null;
+            }
+        }
+        return subscription;
+    }
+    
+    getSubscriptionContent() {
+        const isDriver = window.app && window.app.state.user && window.app.state.user.user_type === 'driver';
+        return isDriver ? 'své rezervace' : 'sloty skladů s jejich rezervacemi';
+    }
+    
+    getSubscriptionUrl(subscription, limitToWarehouse) {
+        return limitToWarehouse
+            ? `${subscription.url}&warehouse_id=${encodeURIComponent(this.selectedWarehouse)}`
+            : subscription.url;
+    }
+    
+    // Slots and their bookings of the shown range as a workbook
+    exportSlotsXlsx(startDate, endDate) {
+        const slotTypes = { loading: 'Nakládka', unloading: 'Vykládka', universal: 'Univerzální' };
+        const slotsById = new Map(this.slots.map(slot => [Number(slot.id), slot]));
+        const time = (value) => value ? value.substring(0, 5) : '';
+        const date = (value) => {
+            const parsed = this.parseDate(value);
+            return parsed ? parsed.toLocaleDateString('cs-CZ') : '';
+        };
+        
+        const slotRows = this.slots.map(slot => {
+            const booked = slot.bookings ? slot.bookings.length : 0;
+            return [
+                date(slot.slot_date),
+                this.getDayName(this.parseDate(slot.slot_date)),
+                time(slot.slot_time_start),
+                time(slot.slot_time_end),
+                slot.warehouse_name,
+                slot.zone_name || '',
+                slotTypes[slot.slot_type] || slot.slot_type,
+                Number(slot.capacity),
+                booked,
+                Math.max(0, Number(slot.capacity) - booked),
+                slot.is_blocked ? 'Ano' : 'Ne',
+                slot.block_reason || ''
+            ];
+        });
+        
+        const bookingRows = this.bookings.map(booking => {
+            const slot = slotsById.get(Number(booking.time_slot_id)) || {};
+            return [
+                date(slot.slot_date),
+                time(slot.slot_time_start),
+                time(slot.slot_time_end),
+                slot.warehouse_name || '',
+                booking.booking_number,
+                this.getBookingStatusText(booking.status),
+                booking.driver_name || '',
+                booking.vehicle_license || ''
+            ];
+        });
+        
+        const writer = new XlsxWriter()
+            .addSheet('Sloty', [
+                ['Datum', 'Den', 'Od', 'Do', 'Sklad', 'Zóna', 'Typ', 'Kapacita', 'Rezervace', 'Volno', 'Blokováno', 'Důvod blokace'],
+                ...slotRows
+            ], { widths: [12, 10, 8, 8, 22, 16, 12, 10, 11, 8, 11, 30] })
+            .addSheet('Rezervace', [
+                ['Datum', 'Od', 'Do', 'Sklad', 'Číslo rezervace', 'Stav', 'Řidič', 'Vozidlo'],
+                ...bookingRows
+            ], { widths: [12, 8, 8, 22, 18, 16, 22, 12] });
+        
+        this.downloadFile(writer.toBlob(), `kalendar_${startDate}_${endDate}.xlsx`);
+    }
+    
+    downloadFile(blob, fileName) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    }
+    
     // Print calendar
     printCalendar() {
         const printWindow = window.open('', '_blank');
@@ -1104,18 +1570,30 @@ window.showNewSlotModal = () => {
     }
 };
 
-window.refreshTodaySlots = () => {
+window.showSlotTemplates = () => {
     if (window.calendar) {
-        window.calendar.refreshCalendar();
+        window.calendar.showTemplates();
     }
 };
 
-window.exportCalendar = (format = 'csv') => {
+window.exportCalendar = (format = 'ics') => {
     if (window.calendar) {
         window.calendar.exportCalendar(format);
     }
 };
 
+window.showCalendarSubscription = () => {
+    if (window.calendar) {
+        window.calendar.showSubscription();
+    }
+};
+
+window.importSlots = () => {
+    if (window.calendar) {
+        window.calendar.importSlots();
+    }
+};
+
 window.printCalendar = () => {
     if (window.calendar) {
         window.calendar.printCalendar();
@@ -0,0 +1,229 @@
+/**
+ * Confirm Dialog
+ * Logistic CRM System
+ *
+ * In-app replacement of confirm() and prompt(). Dialogs keep focus inside
+ * until answered and return it afterwards. Reversible actions skip the
+ * question and run after a short delay instead, in which they can be undone
+ */
+
+class ConfirmDialog {
+    constructor(options = {}) {
+        this.config = {
+            // How long a reversible action waits for undo
+            undoTimeout: 6000,
+            ...options
+        };
+        
+        this.overlay = null;
+        this.settle = null;
+        // Actions waiting for their undo time to pass
+        this.pending = new Set();
+        
+        // Leaving the page runs the waiting actions instead of dropping them
+        window.addEventListener('pagehide', () => this.flush());
+    }
+    
+    isOpen() {
+        return Boolean(this.overlay);
+    }
+    
+    /**
+     * Ask a question, resolves to { value } when confirmed and null otherwise
+     *
+     * input: { label, placeholder, value, required } adds a text field
+     */
+    ask({ title, message, confirmText = 'Potvrdit', cancelText = 'Zpět', danger = false, input = null }) {
+        if (this.settle) {
+            this.settle(null);
+        }
+        
+        return new Promise(resolve => {
+            const previousFocus = document.activeElement;
+            const overlay = document.createElement('div');
+            overlay.className = 'confirm-overlay';
+            overlay.innerHTML = `
+                <div class="modal confirm-dialog" role="alertdialog" aria-modal="true"
+                     aria-labelledby="confirm-dialog-title" aria-describedby="confirm-dialog-message">
+                    <div class="modal-header">
+                        <h3 class="modal-title" id="confirm-dialog-title"></h3>
+                    </div>
+                    <div class="modal-body">
+                        <p id="confirm-dialog-message"></p>
+                        ${input ? `
+                            <div class="form-group">
+                                <label for="confirm-dialog-input"></label>
+                                <input type="text" id="confirm-dialog-input" class="form-control" autocomplete="off">
+                                <div class="form-error hidden" role="alert">Vyplňte prosím toto pole</div>
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline" data-answer="cancel"></button>
+                        <button type="button" class="btn ${danger ? 'btn-error' : 'btn-primary'}" data-answer="confirm"></button>
+                    </div>
+                </div>
+            `;
+            
+            // Texts are set as text, they often contain user data
+            overlay.querySelector('#confirm-dialog-title').textContent = title;
+            overlay.querySelector('#confirm-dialog-message').textContent = message;
+            overlay.querySelector('[data-answer="cancel"]').textContent = cancelText;
+            overlay.querySelector('[data-answer="confirm"]').textContent = confirmText;
+            
+            const field = overlay.querySelector('#confirm-dialog-input');
+            if (field) {
+                overlay.querySelector('label[for="confirm-dialog-input"]').textContent = input.label || '';
+                field.placeholder = input.placeholder || '';
+                field.value = input.value || '';
+            }
+            
+            const close = (answer) => {
+                overlay.remove();
+                this.overlay = null;
+                this.settle = null;
+                
+                if (previousFocus && previousFocus.isConnected && previousFocus.focus) {
+                    previousFocus.focus();
+                }
+                resolve(answer);
+            };
+            
+            const accept = () => {
+                const value = field ? field.value.trim() : '';
+                if (field && input.required && !value) {
+                    field.setAttribute('aria-invalid', 'true');
+                    field.nextElementSibling.classList.remove('hidden');
+                    field.focus();
+                    return;
+                }
+                close({ value });
+            };
+            
+            overlay.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-answer]');
+                if (button && button.dataset.answer === 'confirm') {
+                    accept();
+                } else if (button || e.target === overlay) {
+                    close(null);
+                }
+            });
+            
+            overlay.addEventListener('keydown', (e) => {
+                // Keys of the dialog do not reach page shortcuts
+                e.stopPropagation();
+                
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    close(null);
+                } else if (e.key === 'Enter' && e.target === field) {
+                    e.preventDefault();
+                    accept();
+                } else if (e.key === 'Tab') {
+                    this.trapFocus(e, overlay);
+                }
+            });
+            
+            document.body.appendChild(overlay);
+            this.overlay = overlay;
+            this.settle = close;
+            
+            // Destructive actions start on the safe button
+            const initial = field || overlay.querySelector(danger ? '[data-answer="cancel"]' : '[data-answer="confirm"]');
+            initial.focus();
+        });
+    }
+    
+    trapFocus(e, overlay) {
+        const focusable = Array.from(overlay.querySelectorAll('button, input'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Run action once the undo time passes, resolves to its result, or to
+     * null when the user undoes it. The action gets request options, they
+     * keep its request alive when the page unloads
+     */
+    runUndoable(message, action, options = {}) {
+        return new Promise((resolve, reject) => {
+            const bar = document.createElement('div');
+            bar.className = 'undo-bar';
+            bar.innerHTML = `
+                <span class="undo-message"></span>
+                <button type="button" class="btn btn-sm btn-outline">Vrátit zpět</button>
+                <span class="undo-progress" style="animation-duration: ${this.config.undoTimeout}ms"></span>
+            `;
+            bar.querySelector('.undo-message').textContent = message;
+            
+            const entry = {};
+            const finish = () => {
+                clearTimeout(timer);
+                this.pending.delete(entry);
+                bar.remove();
+            };
+            
+            entry.commit = (requestOptions = {}) => {
+                finish();
+                Promise.resolve().then(() => action(requestOptions)).then(resolve, reject);
+            };
+            entry.undo = () => {
+                finish();
+                if (options.onUndo) {
+                    options.onUndo();
+                }
+                resolve(null);
+            };
+            
+            const timer = setTimeout(() => entry.commit(), this.config.undoTimeout);
+            bar.querySelector('button').addEventListener('click', entry.undo);
+            
+            this.getUndoContainer().appendChild(bar);
+            this.pending.add(entry);
+        });
+    }
+    
+    /**
+     * Undo the latest waiting action, false when there is none
+     */
+    undoLast() {
+        const entries = Array.from(this.pending);
+        if (entries.length === 0) return false;
+        
+        entries[entries.length - 1].undo();
+        return true;
+    }
+    
+    /**
+     * Run all waiting actions now, on pagehide their requests must outlive the page
+     */
+    flush() {
+        Array.from(this.pending).forEach(entry => entry.commit({ keepalive: true }));
+    }
+    
+    getUndoContainer() {
+        let container = document.getElementById('undo-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'undo-container';
+            container.className = 'undo-container';
+            container.setAttribute('role', 'status');
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfirmDialog;
+}
@@ -0,0 +1,255 @@
+/**
+ * Gate Scanner
+ * Logistic CRM System
+ *
+ * Reads booking QR codes with the device camera, or takes a typed booking
+ * number, and runs check-in or check-out of the booking in one step
+ */
+
+class GateScanner {
+    constructor(api, bookings, options = {}) {
+        this.api = api;
+        // BookingsManager, decides which action the booking allows
+        this.bookings = bookings;
+        this.config = {
+            scanInterval: 300,
+            ...options
+        };
+        
+        this.container = null;
+        this.stream = null;
+        this.detector = null;
+        this.scanTimer = null;
+        this.busy = false;
+        // Code still in front of the camera is not processed again
+        this.lastCode = null;
+        
+        // Hooks set by the application
+        this.onChange = null;
+    }
+    
+    static isCameraSupported() {
+        return 'BarcodeDetector' in window && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+    
+    open() {
+        this.lastCode = null;
+        this.container = window.app.showModal('Příjezd na bránu', `
+            <div class="gate-scanner">
+                <div class="gate-camera">
+                    <video class="gate-video" muted playsinline hidden></video>
+                    <div class="gate-camera-notice">
+                        <i class="fas fa-camera"></i>
+                        <span>${GateScanner.isCameraSupported() ? 'Spouštění kamery...' : 'Tento prohlížeč neumí číst QR kódy kamerou, zadejte číslo rezervace.'}</span>
+                    </div>
+                </div>
+                <form class="gate-manual-form">
+                    <label for="gate-code">QR kód nebo číslo rezervace</label>
+                    <div class="gate-manual-input">
+                        <input type="text" id="gate-code" class="form-control" autocomplete="off" placeholder="BK20260101...">
+                        <button type="submit" class="btn btn-primary">Odbavit</button>
+                    </div>
+                </form>
+                <div class="gate-result" role="status" aria-live="polite" hidden></div>
+            </div>
+        `, [
+            { text: 'Zavřít', className: 'btn-outline', action: () => this.stop() }
+        ], { className: 'modal-md', onClose: () => this.stop() });
+        
+        if (!this.container) return;
+        
+        const form = this.container.querySelector('.gate-manual-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = form.querySelector('#gate-code');
+            this.handleCode(input.value, 'manual').then(() => input.select());
+        });
+        
+        if (GateScanner.isCameraSupported()) {
+            this.startCamera();
+        } else {
+            form.querySelector('#gate-code').focus();
+        }
+    }
+    
+    async startCamera() {
+        const video = this.container.querySelector('.gate-video');
+        const notice = this.container.querySelector('.gate-camera-notice');
+        
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            if (!formats.includes('qr_code')) {
+                throw new Error('Prohlížeč nepodporuje QR kódy');
+            }
+            
+            this.detector = new BarcodeDetector({ formats: ['qr_code'] });
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+            
+            // Dialog was closed while waiting for permission
+            if (!this.container || !this.container.contains(video)) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            
+            this.stream = stream;
+            video.srcObject = stream;
+            await video.play();
+            
+            video.hidden = false;
+            notice.hidden = true;
+            this.scheduleScan();
+        
+        } catch (error) {
+            console.error('Gate camera error:', error);
+            if (!this.container) return;
+            
+            notice.querySelector('span').textContent = `Kamera není dostupná (${error.message}), zadejte číslo rezervace.`;
+            this.container.querySelector('#gate-code').focus();
+        }
+    }
+    
+    scheduleScan() {
+        clearTimeout(this.scanTimer);
+        this.scanTimer = setTimeout(() => this.scan(), this.config.scanInterval);
+    }
+    
+    async scan() {
+        if (!this.stream) return;
+        
+        const video = this.container.querySelector('.gate-video');
+        if (!this.busy && video && video.readyState >= 2) {
+            try {
+                const codes = await this.detector.detect(video);
+                if (codes.length > 0) {
+                    await this.handleCode(codes[0].rawValue, 'camera');
+                }
+            } catch (error) {
+                console.error('Gate scan error:', error);
+            }
+        }
+        
+        if (this.stream) {
+            this.scheduleScan();
+        }
+    }
+    
+    /**
+     * Look up booking by code and check it in or out
+     */
+    async handleCode(value, source) {
+        const code = String(value || '').trim();
+        if (!code || this.busy) return;
+        
+        if (source === 'camera' && code === this.lastCode) return;
+        this.lastCode = code;
+        
+        this.busy = true;
+        this.showResult('loading', null, 'Vyhledávání rezervace...');
+        
+        try {
+            const data = await this.api.bookings.lookup(code);
+            const booking = data.booking;
+            const method = this.getGateAction(booking);
+            
+            if (!method) {
+                this.showResult('warning', booking, this.getBlockedReason(booking));
+                return;
+            }
+            
+            // Typed booking number has no QR code to verify
+            const qrCode = data.matched_qr_code ? code : null;
+            const result = method === 'checkIn'
+                ? await this.api.bookings.checkIn(booking.id, qrCode)
+                : await this.api.bookings.checkOut(booking.id, qrCode);
+            
+            if (result.queued) {
+                this.showResult('queued', booking, result.message);
+            } else if (result.success) {
+                this.showResult('success', booking, method === 'checkIn' ? 'Check-in proveden' : 'Check-out proveden');
+                if (navigator.vibrate) {
+                    navigator.vibrate(150);
+                }
+            } else {
+                throw new Error(result.error);
+            }
+            
+            if (this.onChange) {
+                this.onChange(booking, method);
+            }
+        
+        } catch (error) {
+            console.error('Gate check error:', error);
+            this.showResult('error', null, error.message);
+        
+        } finally {
+            this.busy = false;
+        }
+    }
+    
+    /**
+     * checkIn or checkOut, whichever the booking actions allow
+     */
+    getGateAction(booking) {
+        const methods = this.bookings.getBookingActions(booking).map(action => action.method);
+        return ['checkIn', 'checkOut'].find(method => methods.includes(method)) || null;
+    }
+    
+    getBlockedReason(booking) {
+        const reasons = {
+            pending: 'Rezervace čeká na schválení',
+            cancelled: 'Rezervace je zrušena',
+            completed: 'Rezervace je již odbavena',
+            checked_out: 'Rezervace je již odbavena'
+        };
+        return reasons[booking.status] || `Rezervaci ve stavu ${this.bookings.getStatusText(booking.status)} nelze odbavit`;
+    }
+    
+    showResult(type, booking, message) {
+        if (!this.container) return;
+        
+        const result = this.container.querySelector('.gate-result');
+        if (!result) return;
+        
+        const icons = {
+            loading: 'fa-spinner fa-spin',
+            success: 'fa-check-circle',
+            queued: 'fa-clock',
+            warning: 'fa-exclamation-triangle',
+            error: 'fa-times-circle'
+        };
+        const escape = (value) => this.bookings.escapeHtml(value);
+        
+        result.hidden = false;
+        result.className = `gate-result ${type}`;
+        result.innerHTML = `
+            <i class="fas ${icons[type]}"></i>
+            <div class="gate-result-content">
+                <strong>${escape(message)}</strong>
+                ${booking ? `
+                    <div>${escape(booking.booking_number)} · ${this.bookings.formatDate(booking.slot_date)} ${this.bookings.formatTime(booking.slot_time_start)} - ${this.bookings.formatTime(booking.slot_time_end)}</div>
+                    <div>${escape(booking.warehouse_name)}${booking.zone_name ? `, ${escape(booking.zone_name)}` : ''}</div>
+                    <div>${escape(booking.driver_name || 'Řidič nepřiřazen')}${booking.vehicle_license ? ` · ${escape(booking.vehicle_license)}` : ''}</div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    stop() {
+        clearTimeout(this.scanTimer);
+        this.scanTimer = null;
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GateScanner;
+}
@@ -0,0 +1,696 @@
+/**
+ * Import Wizard
+ * Logistic CRM System
+ *
+ * Imports bookings or slots from CSV and Excel files. Columns of the file
+ * are mapped to fields, the server checks every row in a dry run and only
+ * then creates the valid rows in batches. Rows that fail can be downloaded
+ * with their errors, fixed and imported again
+ */
+
+class ImportWizard {
+    constructor(bookings, options = {}) {
+        // BookingsManager, provides the API client, messages and downloads
+        this.bookings = bookings;
+        this.config = {
+            // Same limit as ImportManager::MAX_ROWS
+            maxRows: 1000,
+            // Rows created per request
+            batchSize: 50,
+            // Problems listed in the dry run report, the error file has all
+            reportLimit: 200,
+            storageKey: 'import_mapping',
+            ...options
+        };
+        
+        this.reader = new XlsxReader();
+        this.state = null;
+        
+        // Hooks set by the application
+        this.onImported = null;
+    }
+    
+    /**
+     * Fields of imported rows. Aliases are header names recognized without
+     * case and diacritics, formats say how cell texts are converted
+     */
+    getFields(type) {
+        const fields = [
+            { key: 'warehouse', label: 'Sklad', required: true, help: 'název nebo ID', example: 'Sklad Praha', aliases: ['warehouse', 'warehouse id', 'nazev skladu'] },
+            { key: 'zone', label: 'Zóna', help: 'název nebo ID, jinak kterákoli', example: '', aliases: ['zone', 'zone id'] },
+            { key: 'slot_date', label: 'Datum', required: true, format: 'date', example: '', aliases: ['date', 'den', 'datum slotu', 'datum cas', 'slot date'] },
+            { key: 'slot_time_start', label: 'Čas od', required: true, format: 'time', example: '08:00', aliases: ['od', 'cas', 'zacatek', 'datum cas', 'start', 'slot time start'] },
+            { key: 'slot_time_end', label: 'Čas do', required: type === 'slots', format: 'time_end', example: '09:00', aliases: ['do', 'konec', 'datum cas', 'end', 'slot time end'] }
+        ];
+        
+        if (type === 'slots') {
+            return fields.concat([
+                { key: 'slot_type', label: 'Typ slotu', format: 'type', help: 'nakládka, vykládka, univerzální', example: 'univerzální', aliases: ['typ', 'type', 'slot type'] },
+                { key: 'capacity', label: 'Kapacita', format: 'number', example: '2', aliases: ['capacity'] },
+                { key: 'is_blocked', label: 'Blokováno', format: 'boolean', help: 'ano / ne', example: 'ne', aliases: ['blokovany', 'blocked', 'is blocked'] },
+                { key: 'block_reason', label: 'Důvod blokace', example: '', aliases: ['duvod', 'block reason'] }
+            ]);
+        }
+        
+        return fields.concat([
+            { key: 'booking_type', label: 'Typ rezervace', format: 'type', help: 'nakládka, vykládka, univerzální', example: 'nakládka', aliases: ['typ', 'type', 'booking type'] },
+            { key: 'reference_number', label: 'Referenční číslo', example: 'OBJ-2024-001', aliases: ['reference', 'reference number', 'ref', 'objednavka', 'cislo objednavky'] },
+            { key: 'driver', label: 'Řidič', help: 'e-mail nebo celé jméno', example: '', aliases: ['driver', 'e mail ridice', 'email ridice'] },
+            { key: 'vehicle', label: 'Vozidlo', help: 'SPZ', example: '', aliases: ['spz', 'vehicle', 'license plate', 'registracni znacka'] },
+            { key: 'notes', label: 'Poznámka', example: '', aliases: ['poznamky', 'notes', 'note'] }
+        ]);
+    }
+    
+    getTypeNoun(type) {
+        return type === 'slots' ? 'slotů' : 'rezervací';
+    }
+    
+    /**
+     * Start the wizard, type is bookings or slots
+     */
+    open(type = 'bookings') {
+        this.state = {
+            type,
+            fileName: '',
+            headers: [],
+            rows: [],
+            mapping: {},
+            report: null,
+            // Rows that were not imported by line number, with their errors
+            failed: new Map(),
+            cancelled: false
+        };
+        this.showFileStep();
+    }
+    
+    showFileStep() {
+        const state = this.state;
+        
+        const container = window.app.showModal('Import ze souboru', `
+            <div class="form-group export-options">
+                <label>Importovat</label>
+                <label><input type="radio" name="import-type" value="bookings" ${state.type === 'bookings' ? 'checked' : ''}> Rezervace</label>
+                <label><input type="radio" name="import-type" value="slots" ${state.type === 'slots' ? 'checked' : ''}> Sloty</label>
+            </div>
+            
+            <div class="form-group">
+                <label for="import-file">Soubor CSV nebo Excel (XLSX)</label>
+                <input type="file" id="import-file" class="form-control"
+                       accept=".csv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet">
+                <small class="form-help">
+                    První řádek je záhlaví, nejvýše ${this.config.maxRows} řádků. Sloupce: <span id="import-columns"></span>
+                </small>
+                <div class="form-error hidden" id="import-error" role="alert"></div>
+            </div>
+            
+            <button type="button" class="btn btn-sm btn-outline" id="import-template-btn">
+                <i class="fas fa-file-csv"></i> Stáhnout šablonu
+            </button>
+        `, [
+            { text: 'Zrušit' },
+            { text: 'Pokračovat', className: 'btn-primary', action: () => this.loadFile(container) }
+        ], { className: 'modal-lg import-wizard' });
+        
+        const updateColumns = () => {
+            container.querySelector('#import-columns').textContent = this.getFields(state.type)
+                .map(field => field.label + (field.required ? ' *' : ''))
+                .join(', ');
+        };
+        
+        container.querySelectorAll('input[name="import-type"]').forEach(input => {
+            input.addEventListener('change', () => {
+                state.type = input.value;
+                updateColumns();
+            });
+        });
+        container.querySelector('#import-template-btn').addEventListener('click', () => this.downloadTemplate());
+        updateColumns();
+    }
+    
+    async loadFile(container) {
+        const file = container.querySelector('#import-file').files[0];
+        if (!file) {
+            this.showStepError(container, 'Vyberte soubor');
+            return false;
+        }
+        
+        try {
+            const { headers, rows } = await this.readFile(file);
+            Object.assign(this.state, {
+                fileName: file.name,
+                headers,
+                rows,
+                mapping: this.guessMapping(this.state.type, headers)
+            });
+        
+        } catch (error) {
+            console.error('Import file error:', error);
+            this.showStepError(container, 'Soubor nelze načíst: ' + error.message);
+            return false;
+        }
+        
+        this.showMappingStep();
+        return false;
+    }
+    
+    /**
+     * Header and data rows of the file, rows keep their line numbers
+     * so the report points at lines of the file
+     */
+    async readFile(file) {
+        const buffer = await file.arrayBuffer();
+        const isXlsx = /\.xlsx$/i.test(file.name) || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        const table = isXlsx ? await this.reader.read(buffer) : this.parseCsv(this.decodeText(buffer));
+        
+        const lines = table
+            .map((cells, index) => ({ line: index + 1, cells: cells.map(cell => String(cell ?? '').trim()) }))
+            .filter(({ cells }) => cells.some(Boolean));
+        
+        if (lines.length < 2) {
+            throw new Error('Soubor neobsahuje žádná data, první řádek musí být záhlaví');
+        }
+        
+        const [header, ...rows] = lines;
+        if (rows.length > this.config.maxRows) {
+            throw new Error(`Soubor má ${rows.length} řádků, najednou lze importovat nejvýše ${this.config.maxRows}`);
+        }
+        
+        const columnCount = Math.max(...lines.map(({ cells }) => cells.length));
+        const headers = Array.from({ length: columnCount }, (value, index) => header.cells[index] || `Sloupec ${index + 1}`);
+        
+        return { headers, rows };
+    }
+    
+    /**
+     * UTF-8, or Windows-1250 that Czech Excel saves CSV in
+     */
+    decodeText(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            return new TextDecoder('windows-1250').decode(buffer);
+        }
+    }
+    
+    /**
+     * Rows of CSV text, the delimiter is guessed from the header line
+     */
+    parseCsv(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const headerLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [';', ',', '\t'].reduce((best, candidate) => {
+            return headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best;
+        });
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+    
+    /**
+     * Column of each field, -1 when the field is not imported. Columns
+     * mapped last time win over recognized header names
+     */
+    guessMapping(type, headers) {
+        const names = headers.map(header => this.normalizeHeader(header));
+        const saved = this.loadSavedMapping(type);
+        const mapping = {};
+        
+        this.getFields(type).forEach(field => {
+            const savedIndex = saved[field.key] ? names.indexOf(saved[field.key]) : -1;
+            mapping[field.key] = savedIndex !== -1
+                ? savedIndex
+                : names.findIndex(name => name === this.normalizeHeader(field.label) || field.aliases.includes(name));
+        });
+        return mapping;
+    }
+    
+    loadSavedMapping(type) {
+        try {
+            return JSON.parse(localStorage.getItem(`${this.config.storageKey}_${type}`)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    saveMapping() {
+        const { type, headers, mapping } = this.state;
+        const saved = {};
+        Object.entries(mapping).forEach(([key, index]) => {
+            if (index >= 0) {
+                saved[key] = this.normalizeHeader(headers[index]);
+            }
+        });
+        
+        try {
+            localStorage.setItem(`${this.config.storageKey}_${type}`, JSON.stringify(saved));
+        } catch (error) {
+            console.error('Import mapping saving error:', error);
+        }
+    }
+    
+    showMappingStep() {
+        const state = this.state;
+        const bookings = this.bookings;
+        const fields = this.getFields(state.type);
+        
+        const container = window.app.showModal(`Import ${this.getTypeNoun(state.type)} – sloupce`, `
+            <p>
+                Soubor <strong>${bookings.escapeHtml(state.fileName)}</strong>, ${state.rows.length} řádků.
+                Přiřaďte sloupce souboru k polím, ukázka je z prvního řádku dat.
+            </p>
+            <table class="table import-mapping">
+                <thead>
+                    <tr><th>Pole</th><th>Sloupec souboru</th><th>Ukázka</th></tr>
+                </thead>
+                <tbody>
+                    ${fields.map(field => `
+                        <tr>
+                            <td>
+                                <label for="import-map-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                                ${field.help ? `<small class="form-help">${field.help}</small>` : ''}
+                            </td>
+                            <td>
+                                <select id="import-map-${field.key}" class="form-control" data-field="${field.key}">
+                                    <option value="-1">– nepoužít –</option>
+                                    ${state.headers.map((header, index) => `
+                                        <option value="${index}" ${state.mapping[field.key] === index ? 'selected' : ''}>${bookings.escapeHtml(header)}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td class="import-sample" data-sample-for="${field.key}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="form-error hidden" id="import-error" role="alert"></div>
+        `, [
+            { text: 'Zpět', action: () => { this.showFileStep(); return false; } },
+            { text: 'Zkontrolovat', className: 'btn-primary', action: () => this.runDryRun(container) }
+        ], { className: 'modal-lg import-wizard' });
+        
+        const updateSample = (field) => {
+            const index = state.mapping[field.key];
+            container.querySelector(`[data-sample-for="${field.key}"]`).textContent = index >= 0
+                ? String(this.normalizeValue(state.rows[0].cells[index], field.format))
+                : '';
+        };
+        
+        fields.forEach(field => {
+            container.querySelector(`#import-map-${field.key}`).addEventListener('change', (e) => {
+                state.mapping[field.key] = Number(e.target.value);
+                updateSample(field);
+            });
+            updateSample(field);
+        });
+    }
+    
+    async runDryRun(container) {
+        const state = this.state;
+        const missing = this.getFields(state.type).filter(field => field.required && !(state.mapping[field.key] >= 0));
+        
+        if (missing.length > 0) {
+            this.showStepError(container, 'Přiřaďte sloupec povinným polím: ' + missing.map(field => field.label).join(', '));
+            return false;
+        }
+        
+        this.saveMapping();
+        this.showStepError(container, 'Kontroluji řádky...');
+        
+        try {
+            const data = await this.getResource().previewImport(this.buildRows());
+            if (!data.success) {
+                throw new Error(data.error || 'Kontrola se nezdařila');
+            }
+            state.report = data;
+        
+        } catch (error) {
+            console.error('Import dry run error:', error);
+            this.showStepError(container, 'Chyba při kontrole souboru: ' + error.message);
+            return false;
+        }
+        
+        this.showReportStep();
+        return false;
+    }
+    
+    getResource() {
+        return this.bookings.api[this.state.type];
+    }
+    
+    /**
+     * Rows for the server, cell texts converted to field formats
+     */
+    buildRows() {
+        const fields = this.getFields(this.state.type);
+        
+        return this.state.rows.map(({ line, cells }) => {
+            const row = { row: line };
+            fields.forEach(field => {
+                const index = this.state.mapping[field.key];
+                row[field.key] = index >= 0 ? this.normalizeValue(cells[index], field.format) : '';
+            });
+            return row;
+        });
+    }
+    
+    showReportStep() {
+        const state = this.state;
+        const { summary, rows } = state.report;
+        const noun = this.getTypeNoun(state.type);
+        const problems = rows.filter(row => row.errors.length > 0 || row.warnings.length > 0);
+        const shown = problems.slice(0, this.config.reportLimit);
+        
+        state.failed = new Map(rows.filter(row => !row.valid).map(row => [row.row, row]));
+        
+        const buttons = [{ text: 'Zpět', action: () => { this.showMappingStep(); return false; } }];
+        if (summary.invalid > 0) {
+            buttons.push({ text: 'Stáhnout chyby', action: () => { this.downloadErrors(); return false; } });
+        }
+        if (summary.valid > 0) {
+            buttons.push({ text: `Importovat ${summary.valid} ${noun}`, className: 'btn-primary', action: () => { this.commit(); return false; } });
+        }
+        
+        window.app.showModal(`Import ${noun} – kontrola`, `
+            <div class="import-summary">
+                <div class="import-stat"><strong>${summary.total}</strong> řádků</div>
+                <div class="import-stat import-stat-valid"><strong>${summary.valid}</strong> k importu</div>
+                <div class="import-stat import-stat-invalid"><strong>${summary.invalid}</strong> s chybou</div>
+                <div class="import-stat import-stat-warning"><strong>${summary.warnings}</strong> s varováním</div>
+            </div>
+            <p class="form-help">
+                Kontrola zatím nic neuložila. Řádky s chybou se přeskočí, řádky s varováním se naimportují.
+            </p>
+            ${problems.length > 0 ? `
+                <div class="import-report">
+                    <table class="table">
+                        <thead>
+                            <tr><th>Řádek</th><th>Nálezy</th></tr>
+                        </thead>
+                        <tbody>
+                            ${shown.map(row => this.renderReportRow(row)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${problems.length > shown.length ? `<p class="text-muted">Dalších ${problems.length - shown.length} řádků najdete v souboru chyb.</p>` : ''}
+            ` : '<p>Všechny řádky jsou v pořádku.</p>'}
+        `, buttons, { className: 'modal-lg import-wizard' });
+    }
+    
+    renderReportRow(row) {
+        const escape = (value) => this.bookings.escapeHtml(value);
+        
+        return `
+            <tr class="${row.valid ? 'import-row-warning' : 'import-row-error'}">
+                <td>${row.row}</td>
+                <td>
+                    <ul class="import-messages">
+                        ${row.errors.map(message => `<li class="import-error">${escape(message)}</li>`).join('')}
+                        ${row.warnings.map(message => `<li class="import-warning">${escape(message)}</li>`).join('')}
+                    </ul>
+                </td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * Create the valid rows batch by batch. Closing the dialog stops the
+     * import after the batch being sent
+     */
+    async commit() {
+        const state = this.state;
+        const valid = new Set(state.report.rows.filter(row => row.valid).map(row => row.row));
+        const rows = this.buildRows().filter(row => valid.has(row.row));
+        let created = 0;
+        let stopReason = null;
+        
+        const container = window.app.showModal(`Import ${this.getTypeNoun(state.type)}`, `
+            <p id="import-progress-text" aria-live="polite">Importuji...</p>
+            <div class="import-progress"><span id="import-progress-bar"></span></div>
+        `, [], {
+            className: 'modal-lg import-wizard',
+            onClose: () => {
+                state.cancelled = true;
+            }
+        });
+        
+        for (let start = 0; start < rows.length; start += this.config.batchSize) {
+            const batch = rows.slice(start, start + this.config.batchSize);
+            
+            if (state.cancelled && !stopReason) {
+                stopReason = 'import byl přerušen';
+            }
+            
+            if (!stopReason) {
+                try {
+                    const data = await this.getResource().import(batch);
+                    if (!data.success) {
+                        throw new Error(data.error || 'Import se nezdařil');
+                    }
+                    
+                    data.rows.forEach(result => {
+                        if (result.created) {
+                            created++;
+                        } else {
+                            state.failed.set(result.row, result);
+                        }
+                    });
+                
+                } catch (error) {
+                    console.error('Import batch error:', error);
+                    stopReason = 'chyba při importu: ' + error.message;
+                }
+            }
+            
+            // Rows after a failed or cancelled batch are not sent at all
+            if (stopReason) {
+                batch.forEach(row => state.failed.set(row.row, { row: row.row, errors: ['Nenaimportováno, ' + stopReason], warnings: [] }));
+            }
+            
+            const done = Math.min(start + batch.length, rows.length);
+            container.querySelector('#import-progress-bar').style.width = `${Math.round(done / rows.length * 100)}%`;
+            container.querySelector('#import-progress-text').textContent = `Zpracováno ${done} z ${rows.length}, vytvořeno ${created}`;
+        }
+        
+        if (created > 0 && this.onImported) {
+            this.onImported(state.type, created);
+        }
+        
+        if (state.cancelled) {
+            this.bookings.showWarning(`Import přerušen, vytvořeno ${this.getTypeNoun(state.type)}: ${created}`);
+            return;
+        }
+        this.showResultStep(created);
+    }
+    
+    showResultStep(created) {
+        const state = this.state;
+        const noun = this.getTypeNoun(state.type);
+        const failed = state.failed.size;
+        
+        const buttons = [{ text: 'Zavřít', className: failed > 0 ? 'btn-outline' : 'btn-primary' }];
+        if (failed > 0) {
+            buttons.unshift({ text: 'Stáhnout chyby', className: 'btn-primary', action: () => { this.downloadErrors(); return false; } });
+        }
+        
+        window.app.showModal(`Import ${noun} – hotovo`, `
+            <div class="import-summary">
+                <div class="import-stat import-stat-valid"><strong>${created}</strong> vytvořeno</div>
+                <div class="import-stat import-stat-invalid"><strong>${failed}</strong> nenaimportováno</div>
+            </div>
+            ${failed > 0
+                ? '<p>Stáhněte si nenaimportované řádky i s chybami, opravte je a importujte soubor znovu.</p>'
+                : `<p>Všechny řádky souboru ${this.bookings.escapeHtml(state.fileName)} jsou naimportované.</p>`}
+        `, buttons, { className: 'modal-lg import-wizard' });
+        
+        if (created > 0) {
+            this.bookings.showSuccess(`Importováno ${noun}: ${created}`);
+        }
+    }
+    
+    /**
+     * Failed rows as they were in the file, with a column of their errors
+     */
+    downloadErrors() {
+        const state = this.state;
+        const table = [[...state.headers, 'Řádek souboru', 'Chyby']];
+        
+        state.rows.forEach(({ line, cells }) => {
+            const result = state.failed.get(line);
+            if (result) {
+                const padded = state.headers.map((header, index) => cells[index] ?? '');
+                table.push([...padded, String(line), result.errors.join('; ')]);
+            }
+        });
+        
+        const baseName = state.fileName.replace(/\.[^.]+$/, '') || 'import';
+        this.downloadCsv(table, `${baseName}_chyby.csv`);
+    }
+    
+    /**
+     * Empty file with the field columns and an example row
+     */
+    downloadTemplate() {
+        const fields = this.getFields(this.state.type);
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        
+        this.downloadCsv([
+            fields.map(field => field.label),
+            fields.map(field => field.key === 'slot_date' ? tomorrow.toLocaleDateString('cs-CZ') : field.example)
+        ], `import_${this.state.type === 'slots' ? 'slotu' : 'rezervaci'}.csv`);
+    }
+    
+    /**
+     * CSV with semicolons and BOM, the way Czech Excel opens it
+     */
+    downloadCsv(table, fileName) {
+        const csv = table.map(cells => cells.map(cell => {
+            const value = String(cell ?? '');
+            return /[;"\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        }).join(';')).join('\r\n');
+        
+        this.bookings.exporter.download(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), fileName);
+    }
+    
+    showStepError(container, message) {
+        const error = container.querySelector('#import-error');
+        if (error) {
+            error.textContent = message;
+            error.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Cell text converted to what the server expects. Values that cannot
+     * be converted are passed on unchanged for the server to report
+     */
+    normalizeValue(value, format) {
+        const text = String(value ?? '').trim();
+        if (text === '') return '';
+        
+        switch (format) {
+            case 'date':
+                return this.normalizeDate(text);
+            case 'time':
+                return this.normalizeTime(text, false);
+            case 'time_end':
+                return this.normalizeTime(text, true);
+            case 'type':
+                return this.normalizeType(text);
+            case 'boolean':
+                return ['ano', 'a', 'yes', 'y', 'true', 'pravda', '1', 'x', 'blokovano'].includes(this.normalizeHeader(text));
+            case 'number':
+                return /^\d+([.,]0+)?$/.test(text) ? String(parseInt(text, 10)) : text;
+            default:
+                return text;
+        }
+    }
+    
+    /**
+     * YYYY-MM-DD from ISO, Czech (1. 2. 2025) or Excel number dates
+     */
+    normalizeDate(text) {
+        if (/^\d{5}(\.\d+)?$/.test(text)) {
+            return this.reader.formatSerial(Math.floor(Number(text)));
+        }
+        
+        const pad = (value) => String(value).padStart(2, '0');
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) {
+            return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+        }
+        
+        match = text.match(/^(\d{1,2})\s*[./]\s*(\d{1,2})\s*[./]\s*(\d{4})/);
+        if (match) {
+            return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+        }
+        return text;
+    }
+    
+    /**
+     * HH:MM, a cell with a range like "08:00 - 09:00" gives the start its
+     * first time and the end its last one
+     */
+    normalizeTime(text, last) {
+        // Excel time as a fraction of the day
+        if (/^0?\.\d+$/.test(text)) {
+            return this.reader.formatSerial(Number(text));
+        }
+        
+        const times = text.match(/\b\d{1,2}:\d{2}\b/g) || (/^\d{1,2}\.\d{2}$/.test(text) ? [text.replace('.', ':')] : []);
+        if (times.length === 0) return text;
+        
+        // Single time with a date is the start, the end is left to the slot
+        if (last && times.length === 1 && text !== times[0]) return '';
+        
+        const time = last ? times[times.length - 1] : times[0];
+        return time.padStart(5, '0');
+    }
+    
+    normalizeType(text) {
+        const types = {
+            nakladka: 'loading',
+            loading: 'loading',
+            vykladka: 'unloading',
+            unloading: 'unloading',
+            univerzalni: 'universal',
+            universal: 'universal'
+        };
+        return types[this.normalizeHeader(text)] || text;
+    }
+    
+    /**
+     * Lower case without diacritics and punctuation, "Čas od:" -> "cas od"
+     */
+    normalizeHeader(value) {
+        return String(value ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportWizard;
+}
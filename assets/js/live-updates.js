@@ -0,0 +1,248 @@
+/**
+ * Live Updates
+ * Logistic CRM System
+ *
+ * Receives booking and slot changes from the server as Server-Sent Events.
+ * When the stream cannot be kept open the same events are polled instead
+ */
+
+class LiveUpdates {
+    constructor(api, options = {}) {
+        this.api = api;
+        this.config = {
+            url: 'api/events.php',
+            pollInterval: 10 * 1000,
+            // Stream errors in a row before switching to polling
+            maxStreamErrors: 3,
+            // How long to poll before trying the stream again
+            streamRetryDelay: 5 * 60 * 1000,
+            ...options
+        };
+        
+        this.source = null;
+        this.pollTimer = null;
+        this.streamRetryTimer = null;
+        this.streamErrors = 0;
+        // Bumped on every reconnect so that late poll responses are dropped
+        this.connection = 0;
+        this.lastEventId = null;
+        this.status = 'disconnected';
+        this.running = false;
+        this.handlers = new Map();
+        
+        // Hooks set by the application
+        this.onStatusChange = null;
+        
+        this.handleOnline = () => this.connect();
+        this.handleOffline = () => {
+            this.closeConnections();
+            this.setStatus('offline');
+        };
+    }
+    
+    /**
+     * Subscribe to 'booking', 'slot' or '*' events, returns unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        
+        return () => this.handlers.get(type).delete(handler);
+    }
+    
+    start() {
+        if (this.running) return;
+        
+        this.running = true;
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+        this.connect();
+    }
+    
+    stop() {
+        this.running = false;
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        this.closeConnections();
+        this.lastEventId = null;
+        this.setStatus('disconnected');
+    }
+    
+    /**
+     * Point to another event server, e.g. tools/mock-event-server.js
+     */
+    setUrl(url) {
+        this.config.url = url;
+        this.lastEventId = null;
+        
+        if (this.running) {
+            this.connect();
+        }
+    }
+    
+    connect() {
+        if (!this.running) return;
+        
+        this.closeConnections();
+        
+        if (!navigator.onLine) {
+            this.setStatus('offline');
+            return;
+        }
+        
+        if (window.EventSource) {
+            this.openStream();
+        } else {
+            this.startPolling();
+        }
+    }
+    
+    openStream() {
+        this.setStatus('connecting');
+        this.streamErrors = 0;
+        
+        const params = this.lastEventId !== null ? { last_event_id: this.lastEventId } : {};
+        const source = new EventSource(this.buildUrl(params), { withCredentials: true });
+        this.source = source;
+        
+        source.addEventListener('ready', (e) => {
+            const data = JSON.parse(e.data);
+            if (this.lastEventId === null) {
+                this.lastEventId = data.last_event_id;
+            }
+            this.streamErrors = 0;
+            this.setStatus('live');
+        });
+        
+        ['booking', 'slot'].forEach(type => {
+            source.addEventListener(type, (e) => this.dispatch(JSON.parse(e.data)));
+        });
+        
+        source.onerror = () => {
+            if (source !== this.source) return;
+            
+            // The browser reconnects by itself unless the source is closed
+            this.streamErrors++;
+            if (source.readyState === EventSource.CLOSED || this.streamErrors >= this.config.maxStreamErrors) {
+                this.fallbackToPolling();
+            } else {
+                this.setStatus('connecting');
+            }
+        };
+    }
+    
+    fallbackToPolling() {
+        this.closeConnections();
+        this.startPolling();
+        
+        this.streamRetryTimer = setTimeout(() => this.connect(), this.config.streamRetryDelay);
+    }
+    
+    startPolling() {
+        this.setStatus('polling');
+        this.poll();
+    }
+    
+    async poll() {
+        const connection = this.connection;
+        this.pollTimer = null;
+        
+        try {
+            const data = await this.api.send('GET', this.buildUrl({
+                mode: 'poll',
+                last_event_id: this.lastEventId
+            }));
+            
+            if (connection !== this.connection) return;
+            
+            if (data.success) {
+                // The first response only tells where to start
+                if (this.lastEventId !== null) {
+                    data.events.forEach(event => this.dispatch(event));
+                }
+                this.lastEventId = Math.max(this.lastEventId || 0, data.last_event_id);
+                this.setStatus('polling');
+            }
+        } catch (error) {
+            if (connection !== this.connection) return;
+            console.error('Live updates polling error:', error);
+            this.setStatus(navigator.onLine ? 'disconnected' : 'offline');
+        }
+        
+        if (this.status !== 'offline') {
+            this.pollTimer = setTimeout(() => this.poll(), this.config.pollInterval);
+        }
+    }
+    
+    /**
+     * Pass event to subscribers, each event only once
+     */
+    dispatch(event) {
+        if (this.lastEventId !== null && event.id <= this.lastEventId) return;
+        this.lastEventId = event.id;
+        
+        // Cached lists no longer match
+        this.api.invalidate(event.entity_type === 'slot' ? 'slots' : 'bookings');
+        
+        [event.entity_type, '*'].forEach(type => {
+            (this.handlers.get(type) || []).forEach(handler => {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error('Live update handler error:', error);
+                }
+            });
+        });
+    }
+    
+    closeConnections() {
+        this.connection++;
+        
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        
+        clearTimeout(this.pollTimer);
+        clearTimeout(this.streamRetryTimer);
+        this.pollTimer = null;
+        this.streamRetryTimer = null;
+    }
+    
+    /**
+     * Events are arriving, either streamed or polled
+     */
+    isConnected() {
+        return this.status === 'live' || this.status === 'polling';
+    }
+    
+    setStatus(status) {
+        if (this.status === status) return;
+        
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+    }
+    
+    buildUrl(params) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) {
+                query.append(key, value);
+            }
+        });
+        
+        const queryString = query.toString();
+        if (!queryString) return this.config.url;
+        
+        return this.config.url + (this.config.url.includes('?') ? '&' : '?') + queryString;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveUpdates;
+}
@@ -0,0 +1,463 @@
+/**
+ * Notification Center
+ * Logistic CRM System
+ *
+ * Drawer with notifications grouped by day. Read state is saved on the
+ * server and shared with other open tabs
+ */
+
+class NotificationCenter {
+    constructor(api, router, options = {}) {
+        this.api = api;
+        this.router = router;
+        this.config = {
+            limit: 100,
+            channelName: 'logistic-crm-notifications',
+            ...options
+        };
+        
+        this.notifications = [];
+        this.unreadCount = 0;
+        this.typeFilter = '';
+        this.isOpen = false;
+        this.channel = null;
+        
+        // Hooks set by the application
+        this.onChange = null;
+        this.onOpenBooking = null;
+        
+        this.types = {
+            booking: { label: 'Rezervace', icon: 'fa-clipboard-list' },
+            slot: { label: 'Sloty', icon: 'fa-clock' },
+            license: { label: 'Licence', icon: 'fa-certificate' },
+            email: { label: 'E-mail', icon: 'fa-envelope' },
+            system: { label: 'Systém', icon: 'fa-info-circle' }
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        this.initializeSync();
+        this.initializeEventListeners();
+    }
+    
+    /**
+     * Apply read state changes made in other tabs
+     */
+    initializeSync() {
+        if (window.BroadcastChannel) {
+            this.channel = new BroadcastChannel(this.config.channelName);
+            this.channel.onmessage = (e) => this.setRead(e.data.ids);
+            return;
+        }
+        
+        // Browsers without BroadcastChannel still get the storage event
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.config.channelName && e.newValue) {
+                this.setRead(JSON.parse(e.newValue).ids);
+            }
+        });
+    }
+    
+    initializeEventListeners() {
+        const drawer = document.getElementById('notification-drawer');
+        if (!drawer) return;
+        
+        drawer.addEventListener('click', (e) => {
+            const filter = e.target.closest('[data-notification-type]');
+            if (filter) {
+                this.setTypeFilter(filter.dataset.notificationType);
+                return;
+            }
+            
+            const markButton = e.target.closest('[data-mark-read]');
+            if (markButton) {
+                this.markRead([Number(markButton.dataset.markRead)]);
+                return;
+            }
+            
+            const link = e.target.closest('.notification-link');
+            if (link) {
+                this.openNotification(Number(link.closest('[data-notification-id]').dataset.notificationId), e);
+            }
+        });
+        
+        const markAllButton = document.getElementById('notifications-mark-all');
+        if (markAllButton) {
+            markAllButton.addEventListener('click', () => this.markAllRead());
+        }
+        
+        const closeButton = document.getElementById('notification-drawer-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+        
+        // Close when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && !e.target.closest('#notification-drawer, .notification-btn')) {
+                this.close();
+            }
+        });
+    }
+    
+    /**
+     * Load notifications from API
+     */
+    async load(options = {}) {
+        try {
+            const data = await this.api.notifications.list({ limit: this.config.limit }, options);
+            
+            if (data.success) {
+                this.notifications = data.notifications.map(notification => ({
+                    ...notification,
+                    id: Number(notification.id),
+                    is_read: Boolean(notification.is_read)
+                }));
+                this.unreadCount = data.unread_count ?? this.notifications.filter(n => !n.is_read).length;
+                
+                this.render();
+                this.notifyChange();
+            }
+        } catch (error) {
+            console.error('Notifications loading error:', error);
+        }
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    open() {
+        const drawer = document.getElementById('notification-drawer');
+        if (!drawer) return;
+        
+        this.isOpen = true;
+        drawer.classList.add('open');
+        drawer.setAttribute('aria-hidden', 'false');
+        drawer.focus();
+        
+        this.render();
+        this.load({ cache: false });
+    }
+    
+    close() {
+        const drawer = document.getElementById('notification-drawer');
+        if (!drawer) return;
+        
+        this.isOpen = false;
+        drawer.classList.remove('open');
+        drawer.setAttribute('aria-hidden', 'true');
+    }
+    
+    setTypeFilter(type) {
+        this.typeFilter = type;
+        this.render();
+    }
+    
+    /**
+     * Mark notifications as read, optimistically
+     */
+    async markRead(ids) {
+        const previousCount = this.unreadCount;
+        const changed = this.setRead(ids);
+        if (changed.length === 0) return;
+        
+        try {
+            const data = await this.api.notifications.markRead(changed);
+            this.handleSaveResult(data);
+        } catch (error) {
+            this.setRead(changed, false);
+            this.unreadCount = previousCount;
+            this.notifyChange();
+            this.showError('Chyba při označování oznámení: ' + error.message);
+            return;
+        }
+        
+        this.broadcast(changed);
+    }
+    
+    async markAllRead() {
+        const previousCount = this.unreadCount;
+        const changed = this.setRead('all');
+        if (changed.length === 0 && previousCount === 0) return;
+        
+        try {
+            const data = await this.api.notifications.markAllRead();
+            this.handleSaveResult(data);
+        } catch (error) {
+            this.setRead(changed, false);
+            this.unreadCount = previousCount;
+            this.notifyChange();
+            this.showError('Chyba při označování oznámení: ' + error.message);
+            return;
+        }
+        
+        this.broadcast('all');
+    }
+    
+    handleSaveResult(data) {
+        if (!data.queued && !data.success) {
+            throw new Error(data.error);
+        }
+        
+        if (typeof data.unread_count === 'number') {
+            this.unreadCount = data.unread_count;
+            this.notifyChange();
+        }
+    }
+    
+    /**
+     * Set read state of loaded notifications, returns ids that changed
+     */
+    setRead(ids, isRead = true) {
+        const changed = [];
+        
+        this.notifications.forEach(notification => {
+            if ((ids === 'all' || ids.includes(notification.id)) && notification.is_read !== isRead) {
+                notification.is_read = isRead;
+                changed.push(notification.id);
+            }
+        });
+        
+        if (ids === 'all' && isRead) {
+            this.unreadCount = 0;
+        } else {
+            this.unreadCount = Math.max(0, this.unreadCount + (isRead ? -changed.length : changed.length));
+        }
+        
+        // Cached list no longer matches
+        this.api.invalidate('notifications');
+        
+        this.render();
+        this.notifyChange();
+        
+        return changed;
+    }
+    
+    broadcast(ids) {
+        const message = { ids, time: Date.now() };
+        
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else {
+            localStorage.setItem(this.config.channelName, JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Mark notification read and open its booking or slot
+     */
+    openNotification(notificationId, event) {
+        const notification = this.notifications.find(item => item.id === notificationId);
+        if (!notification) return;
+        
+        if (!notification.is_read) {
+            this.markRead([notification.id]);
+        }
+        
+        if (notification.entity_type === 'booking' && notification.entity_id && this.onOpenBooking) {
+            event.preventDefault();
+            this.onOpenBooking(notification.entity_id, notification.booking_number);
+        }
+        
+        if (this.getLink(notification) && !this.isExternal(notification)) {
+            this.close();
+        }
+    }
+    
+    getLink(notification) {
+        if (notification.entity_type === 'booking' && notification.booking_number) {
+            return this.router.build('bookings', [], { search: notification.booking_number });
+        }
+        
+        if (notification.entity_type === 'slot' && notification.slot_date) {
+            return this.router.build('calendar', ['day', notification.slot_date], { warehouse: notification.warehouse_id });
+        }
+        
+        return this.getSafeUrl(notification.action_url);
+    }
+    
+    /**
+     * Relative or http(s) URL, anything else (javascript:, data:) is dropped
+     */
+    getSafeUrl(url) {
+        if (!url) return null;
+        
+        try {
+            const parsed = new URL(url, window.location.href);
+            return ['http:', 'https:'].includes(parsed.protocol) ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    isExternal(notification) {
+        const link = this.getLink(notification);
+        return Boolean(link) && !link.startsWith('#');
+    }
+    
+    /**
+     * Render filters and list
+     */
+    render() {
+        this.renderFilters();
+        this.renderList();
+    }
+    
+    renderFilters() {
+        const container = document.getElementById('notification-filters');
+        if (!container) return;
+        
+        const types = [...new Set(this.notifications.map(notification => notification.type))];
+        if (this.typeFilter && !types.includes(this.typeFilter)) {
+            this.typeFilter = '';
+        }
+        
+        container.innerHTML = ['', ...types].map(type => {
+            const unread = this.notifications.filter(n => !n.is_read && (!type || n.type === type)).length;
+            const label = type ? this.getType(type).label : 'Vše';
+            
+            return `
+                <button type="button" class="notification-filter ${type === this.typeFilter ? 'active' : ''}" data-notification-type="${this.escapeHtml(type)}">
+                    ${this.escapeHtml(label)}
+                    ${unread > 0 ? `<span class="notification-filter-count">${unread}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+    }
+    
+    renderList() {
+        const list = document.getElementById('notification-list');
+        if (!list) return;
+        
+        const notifications = this.typeFilter
+            ? this.notifications.filter(notification => notification.type === this.typeFilter)
+            : this.notifications;
+        
+        if (notifications.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-bell-slash"></i>
+                    <h3>Žádná oznámení</h3>
+                </div>
+            `;
+            return;
+        }
+        
+        // Notifications come newest first, so days follow each other
+        const groups = new Map();
+        notifications.forEach(notification => {
+            const day = this.getDayLabel(this.parseDate(notification.created_at));
+            if (!groups.has(day)) {
+                groups.set(day, []);
+            }
+            groups.get(day).push(notification);
+        });
+        
+        list.innerHTML = [...groups].map(([day, items]) => `
+            <div class="notification-group">
+                <div class="notification-group-title">${day}</div>
+                ${items.map(notification => this.renderNotification(notification)).join('')}
+            </div>
+        `).join('');
+    }
+    
+    renderNotification(notification) {
+        const link = this.getLink(notification);
+        const tag = link ? 'a' : 'div';
+        const linkAttributes = link
+            ? `href="${this.escapeHtml(link)}"${this.isExternal(notification) ? ' target="_blank" rel="noopener"' : ''}`
+            : '';
+        const time = this.parseDate(notification.created_at).toLocaleTimeString('cs-CZ', { hour: '2-digit', minute: '2-digit' });
+        
+        return `
+            <div class="notification-item ${notification.is_read ? '' : 'unread'}" data-notification-id="${notification.id}">
+                <${tag} class="notification-link" ${linkAttributes}>
+                    <i class="fas ${this.getType(notification.type).icon}"></i>
+                    <div class="notification-content">
+                        <strong>${this.escapeHtml(notification.title)}</strong>
+                        ${notification.message ? `<p>${this.escapeHtml(notification.message)}</p>` : ''}
+                        <small>${time}</small>
+                    </div>
+                </${tag}>
+                ${notification.is_read ? '' : `
+                    <button type="button" class="notification-mark-read" data-mark-read="${notification.id}" title="Označit jako přečtené">
+                        <i class="fas fa-check"></i>
+                    </button>
+                `}
+            </div>
+        `;
+    }
+    
+    getType(type) {
+        return this.types[type] || { label: type, icon: 'fa-bell' };
+    }
+    
+    /**
+     * Dnes, Včera or full date
+     */
+    getDayLabel(date) {
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        
+        if (date.toDateString() === today.toDateString()) return 'Dnes';
+        if (date.toDateString() === yesterday.toDateString()) return 'Včera';
+        
+        return date.toLocaleDateString('cs-CZ', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric'
+        });
+    }
+    
+    /**
+     * Server timestamps are local 'YYYY-MM-DD HH:MM:SS'
+     */
+    parseDate(value) {
+        return new Date(String(value).replace(' ', 'T'));
+    }
+    
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.notifications, this.unreadCount);
+        }
+    }
+    
+    escapeHtml(value) {
+        if (window.app) {
+            return window.app.escapeHtml(value);
+        }
+        
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    showError(message) {
+        if (window.app) {
+            window.app.showError(message);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationCenter;
+}
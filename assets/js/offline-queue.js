@@ -0,0 +1,243 @@
+/**
+ * Offline Mutation Queue
+ * Logistic CRM System
+ *
+ * Stores mutations that failed for lack of connectivity in IndexedDB and
+ * replays them in order once the connection is back
+ */
+
+class OfflineQueue {
+    constructor(api, options = {}) {
+        this.api = api;
+        this.config = {
+            dbName: 'logistic-crm',
+            storeName: 'requestQueue',
+            ...options
+        };
+        
+        this.items = [];
+        this.db = null;
+        this.isReplaying = false;
+        // Logged in user, queued changes are sent only with their owner's session
+        this.userId = null;
+        
+        // Hooks set by the application
+        this.onChange = null;
+        this.onConflict = null;
+        
+        this.ready = this.init();
+    }
+    
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+            this.items = await this.readAll();
+        } catch (error) {
+            // Without IndexedDB the queue still works for the current session
+            console.warn('Offline queue storage unavailable:', error);
+        }
+        
+        window.addEventListener('online', () => this.replay());
+        
+        this.notifyChange();
+    }
+    
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.config.dbName, 1);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.config.storeName)) {
+                    db.createObjectStore(this.config.storeName, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Run a transaction on the queue store
+     */
+    transaction(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.config.storeName, mode);
+            const request = callback(tx.objectStore(this.config.storeName));
+            
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+    
+    async readAll() {
+        const items = await this.transaction('readonly', store => store.getAll());
+        return (items || []).sort((a, b) => a.id - b.id);
+    }
+    
+    /**
+     * Add mutation to the end of the queue
+     */
+    async enqueue(method, endpoint, data = null, params = null, mutation = false) {
+        await this.ready;
+        
+        const item = {
+            method,
+            endpoint,
+            data,
+            params,
+            mutation,
+            userId: this.userId,
+            createdAt: new Date().toISOString()
+        };
+        
+        if (this.db) {
+            item.id = await this.transaction('readwrite', store => store.add(item));
+        } else {
+            item.id = (this.items.length ? this.items[this.items.length - 1].id : 0) + 1;
+        }
+        
+        this.items.push(item);
+        this.notifyChange();
+        
+        return item;
+    }
+    
+    async remove(item) {
+        if (this.db) {
+            await this.transaction('readwrite', store => store.delete(item.id));
+        }
+        
+        this.items = this.items.filter(i => i.id !== item.id);
+        this.notifyChange();
+    }
+    
+    hasPending() {
+        return this.items.length > 0;
+    }
+    
+    /**
+     * Set the logged in user, null on logout. Changes queued by another user
+     * are dropped, they must never be sent with this session
+     */
+    async setUser(userId) {
+        this.userId = userId;
+        if (userId === null) return;
+        
+        await this.ready;
+        for (const item of this.items.filter(item => item.userId !== userId)) {
+            await this.remove(item);
+        }
+    }
+    
+    /**
+     * Replay queued mutations in order, stopping at the first one that cannot be sent
+     */
+    async replay() {
+        await this.ready;
+        
+        if (this.isReplaying || this.userId === null || this.items.length === 0) return;
+        
+        this.isReplaying = true;
+        this.notifyChange();
+        
+        let sent = 0;
+        
+        try {
+            while (this.items.length > 0) {
+                const item = this.items[0];
+                
+                try {
+                    await this.api.request(item.method, item.endpoint, item.data, {
+                        params: item.params,
+                        mutation: item.mutation,
+                        queueable: false
+                    });
+                    await this.remove(item);
+                    sent++;
+                
+                } catch (error) {
+                    // Still offline or logged out, try again later. A timeout
+                    // may have applied the change, the user decides about it
+                    if (!(error instanceof ApiError) || error.isNetworkError || error.status === 401) {
+                        break;
+                    }
+                    
+                    const resolution = await this.resolveConflict(item, error);
+                    
+                    if (resolution === 'discard') {
+                        await this.remove(item);
+                    } else if (resolution === 'keep') {
+                        break;
+                    }
+                    // 'retry' sends the same item again
+                }
+            }
+        } finally {
+            this.isReplaying = false;
+            this.notifyChange(sent);
+        }
+    }
+    
+    /**
+     * Ask the user what to do with a mutation the server rejected
+     */
+    async resolveConflict(item, error) {
+        if (typeof this.onConflict === 'function') {
+            return this.onConflict(item, error);
+        }
+        
+        return 'keep';
+    }
+    
+    /**
+     * Human readable description of a queued mutation
+     */
+    describe(item) {
+        const actions = {
+            checkin: 'Check-in',
+            checkout: 'Check-out',
+            approve: 'Schválení',
+            cancel: 'Zrušení',
+            change_status: 'Změna statusu',
+            block: 'Blokace',
+            unblock: 'Odblokování'
+        };
+        const methods = {
+            POST: 'Vytvoření',
+            PUT: 'Úprava',
+            DELETE: 'Smazání'
+        };
+        const resources = {
+            bookings: { name: 'rezervace', key: 'booking_id' },
+            slots: { name: 'slotu', key: 'slot_id' },
+            users: { name: 'uživatele', key: 'user_id' },
+            warehouses: { name: 'skladu', key: 'warehouse_id' },
+            vehicles: { name: 'vozidla', key: 'vehicle_id' }
+        };
+        
+        const payload = { ...(item.params || {}), ...(item.data || {}) };
+        const resource = resources[this.api.getResource(item.endpoint)] || { name: '', key: 'id' };
+        const action = actions[payload.action] || methods[item.method] || item.method;
+        const id = payload[resource.key] ? ` #${payload[resource.key]}` : '';
+        
+        return `${action} ${resource.name}${id}`.trim();
+    }
+    
+    notifyChange(sent = 0) {
+        if (typeof this.onChange === 'function') {
+            this.onChange(this.items, this.isReplaying, sent);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQueue;
+}
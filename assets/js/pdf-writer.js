@@ -0,0 +1,274 @@
+/**
+ * PDF Writer
+ * Logistic CRM System
+ *
+ * Minimal PDF document built in the browser: text, lines and rectangles
+ * on A4 pages. Uses the Helvetica fonts every PDF viewer has, their
+ * encoding is extended with the glyphs of Czech and Slovak letters.
+ * Coordinates are points from the top left corner of the page
+ */
+
+class PdfWriter {
+    constructor(options = {}) {
+        this.config = {
+            // A4 landscape
+            width: 842,
+            height: 595,
+            title: '',
+            ...options
+        };
+        
+        this.pages = [];
+        this.page = null;
+        
+        // Glyphs beyond ASCII, [character, glyph name, width or character of the same width, bold width]
+        const extraGlyphs = [
+            ['Á', 'Aacute', 'A'], ['á', 'aacute', 'a'], ['Č', 'Ccaron', 'C'], ['č', 'ccaron', 'c'],
+            ['Ď', 'Dcaron', 'D'], ['ď', 'dcaron', 643, 743], ['É', 'Eacute', 'E'], ['é', 'eacute', 'e'],
+            ['Ě', 'Ecaron', 'E'], ['ě', 'ecaron', 'e'], ['Í', 'Iacute', 'I'], ['í', 'iacute', 278, 278],
+            ['Ň', 'Ncaron', 'N'], ['ň', 'ncaron', 'n'], ['Ó', 'Oacute', 'O'], ['ó', 'oacute', 'o'],
+            ['Ř', 'Rcaron', 'R'], ['ř', 'rcaron', 'r'], ['Š', 'Scaron', 'S'], ['š', 'scaron', 's'],
+            ['Ť', 'Tcaron', 'T'], ['ť', 'tcaron', 317, 389], ['Ú', 'Uacute', 'U'], ['ú', 'uacute', 'u'],
+            ['Ů', 'Uring', 'U'], ['ů', 'uring', 'u'], ['Ý', 'Yacute', 'Y'], ['ý', 'yacute', 'y'],
+            ['Ž', 'Zcaron', 'Z'], ['ž', 'zcaron', 'z'], ['Ä', 'Adieresis', 'A'], ['ä', 'adieresis', 'a'],
+            ['Ö', 'Odieresis', 'O'], ['ö', 'odieresis', 'o'], ['Ü', 'Udieresis', 'U'], ['ü', 'udieresis', 'u'],
+            ['Ô', 'Ocircumflex', 'O'], ['ô', 'ocircumflex', 'o'], ['Ľ', 'Lcaron', 556, 611], ['ľ', 'lcaron', 299, 400],
+            ['Ĺ', 'Lacute', 'L'], ['ĺ', 'lacute', 'l'], ['Ŕ', 'Racute', 'R'], ['ŕ', 'racute', 'r'],
+            ['„', 'quotedblbase', 333, 500], ['“', 'quotedblleft', 333, 500], ['”', 'quotedblright', 333, 500],
+            ['–', 'endash', 556, 556], ['—', 'emdash', 1000, 1000], ['…', 'ellipsis', 1000, 1000],
+            ['•', 'bullet', 350, 350], ['·', 'periodcentered', 278, 278], ['°', 'degree', 400, 400], ['×', 'multiply', 584, 584]
+        ];
+        
+        // Widths of ASCII 32-126 in thousandths of the font size
+        this.widths = {
+            regular: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ],
+            bold: [
+                278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+                975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+                333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+                611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+            ]
+        };
+        
+        // Extra glyphs take the codes from 128 up
+        this.glyphs = new Map();
+        this.glyphsByCode = new Map();
+        extraGlyphs.forEach(([char, name, width, boldWidth], index) => {
+            const baseWidth = (font) => this.widths[font][width.charCodeAt(0) - 32];
+            const glyph = {
+                code: 128 + index,
+                name,
+                regular: typeof width === 'number' ? width : baseWidth('regular'),
+                bold: typeof width === 'number' ? boldWidth : baseWidth('bold')
+            };
+            this.glyphs.set(char, glyph);
+            this.glyphsByCode.set(glyph.code, glyph);
+        });
+    }
+    
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        return this;
+    }
+    
+    /**
+     * Switch to an already added page, e.g. to number pages at the end
+     */
+    setPage(index) {
+        this.page = this.pages[index];
+        return this;
+    }
+    
+    /**
+     * Text with its baseline at y
+     *
+     * options: { size, bold, color: [r, g, b] in 0-1 }
+     */
+    text(value, x, y, options = {}) {
+        const { size = 9, bold = false, color = null } = options;
+        const codes = this.encode(value);
+        if (codes.length === 0) return this;
+        
+        this.page.push([
+            color ? `${color.join(' ')} rg` : '0 g',
+            'BT',
+            `/${bold ? 'F2' : 'F1'} ${size} Tf`,
+            `${this.round(x)} ${this.round(this.config.height - y)} Td`,
+            `(${this.escapeCodes(codes)}) Tj`,
+            'ET'
+        ].join(' '));
+        return this;
+    }
+    
+    line(x1, y1, x2, y2, options = {}) {
+        const { width = 0.5, color = [0.8, 0.8, 0.8] } = options;
+        const height = this.config.height;
+        
+        this.page.push(`${width} w ${color.join(' ')} RG ${this.round(x1)} ${this.round(height - y1)} m ${this.round(x2)} ${this.round(height - y2)} l S`);
+        return this;
+    }
+    
+    /**
+     * Rectangle with its top left corner at x, y
+     *
+     * options: { fill: [r, g, b], stroke: [r, g, b] }
+     */
+    rect(x, y, width, height, options = {}) {
+        const box = `${this.round(x)} ${this.round(this.config.height - y - height)} ${this.round(width)} ${this.round(height)} re`;
+        
+        if (options.fill) {
+            this.page.push(`${options.fill.join(' ')} rg ${box} f`);
+        }
+        if (options.stroke) {
+            this.page.push(`0.5 w ${options.stroke.join(' ')} RG ${box} S`);
+        }
+        return this;
+    }
+    
+    textWidth(value, size = 9, bold = false) {
+        const font = bold ? 'bold' : 'regular';
+        const units = this.encode(value).reduce((sum, code) => {
+            return sum + (code < 128 ? this.widths[font][code - 32] : this.glyphsByCode.get(code)[font]);
+        }, 0);
+        
+        return units * size / 1000;
+    }
+    
+    /**
+     * Shorten text with an ellipsis to fit the width
+     */
+    fitText(value, width, size = 9, bold = false) {
+        let text = String(value ?? '');
+        if (this.textWidth(text, size, bold) <= width) return text;
+        
+        while (text.length > 0 && this.textWidth(text + '…', size, bold) > width) {
+            text = text.slice(0, -1);
+        }
+        return text.trimEnd() + '…';
+    }
+    
+    /**
+     * Split text into lines that fit the width, at most maxLines
+     */
+    wrapText(value, width, size = 9, bold = false, maxLines = Infinity) {
+        const lines = [];
+        let current = '';
+        
+        String(value ?? '').split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && this.textWidth(candidate, size, bold) > width) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        if (current) {
+            lines.push(current);
+        }
+        
+        if (lines.length > maxLines) {
+            const kept = lines.slice(0, maxLines);
+            kept[maxLines - 1] = this.fitText(lines.slice(maxLines - 1).join(' ') + ' …', width, size, bold);
+            return kept;
+        }
+        return lines.map(line => this.fitText(line, width, size, bold));
+    }
+    
+    /**
+     * Character codes of text in the document encoding. Letters without
+     * a glyph lose their accent, anything else becomes ?
+     */
+    encode(value) {
+        const codes = [];
+        
+        for (const char of String(value ?? '').normalize('NFC').replace(/[\t\r\n]+/g, ' ')) {
+            const code = char.charCodeAt(0);
+            if (code >= 32 && code <= 126) {
+                codes.push(code);
+            } else if (this.glyphs.has(char)) {
+                codes.push(this.glyphs.get(char).code);
+            } else if (code === 160) {
+                codes.push(32);
+            } else {
+                const base = char.normalize('NFD').charCodeAt(0);
+                codes.push(base >= 32 && base <= 126 ? base : 63);
+            }
+        }
+        return codes;
+    }
+    
+    /**
+     * PDF string body, codes above ASCII are written as octal escapes
+     */
+    escapeCodes(codes) {
+        return codes.map(code => {
+            if (code === 40 || code === 41 || code === 92) {
+                return '\\' + String.fromCharCode(code);
+            }
+            return code < 128 ? String.fromCharCode(code) : '\\' + code.toString(8);
+        }).join('');
+    }
+    
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    toBlob() {
+        if (this.pages.length === 0) {
+            this.addPage();
+        }
+        
+        const differences = Array.from(this.glyphs.values()).map(glyph => `/${glyph.name}`).join(' ');
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${this.pages.map((page, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${this.pages.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding 5 0 R >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding 5 0 R >>',
+            `<< /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [128 ${differences}] >>`
+        ];
+        
+        this.pages.forEach((page, index) => {
+            const content = page.join('\n');
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.config.width} ${this.config.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`);
+            objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        });
+        
+        // Title in UTF-16 keeps its diacritics in the viewer's title bar
+        const title = Array.from(String(this.config.title)).map(char => {
+            const code = char.codePointAt(0);
+            return code > 0xffff ? '' : code.toString(16).padStart(4, '0');
+        }).join('');
+        objects.push(`<< /Title <FEFF${title}> /Producer (Logistic CRM) >>`);
+        
+        // Everything written is ASCII, so string length equals byte offset
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((object, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        
+        const xref = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+        
+        return new Blob([output], { type: 'application/pdf' });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
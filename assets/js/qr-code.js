@@ -0,0 +1,494 @@
+/**
+ * QR Code
+ * Logistic CRM System
+ *
+ * Encodes text as QR code (ISO/IEC 18004, byte mode) and renders it as SVG.
+ * Codes are generated in the browser, booking codes are not sent anywhere
+ */
+
+class QrCode {
+    constructor(version, errorCorrection, modules) {
+        this.version = version;
+        this.errorCorrection = errorCorrection;
+        this.size = modules.length;
+        this.modules = modules;
+    }
+    
+    /**
+     * Encode text with error correction level L, M, Q or H
+     */
+    static encode(text, errorCorrection = 'M') {
+        const level = QrCode.LEVELS[errorCorrection];
+        if (!level) {
+            throw new Error(`Unknown error correction level: ${errorCorrection}`);
+        }
+        
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        
+        // Smallest version that fits mode, length and data
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (bytes.length < (1 << countBits) && 4 + countBits + bytes.length * 8 <= QrCode.getDataCodewords(version, level) * 8) {
+                break;
+            }
+        }
+        if (version > 40) {
+            throw new Error('Text is too long for QR code');
+        }
+        
+        const data = QrCode.createDataCodewords(bytes, version, level);
+        const codewords = QrCode.addErrorCorrection(data, version, level);
+        
+        return new QrCode(version, errorCorrection, new QrMatrix(version, level).build(codewords));
+    }
+    
+    /**
+     * Mode, length, data, terminator and padding as codewords
+     */
+    static createDataCodewords(bytes, version, level) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        
+        const capacity = QrCode.getDataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+    
+    /**
+     * Split data into blocks, add Reed-Solomon codewords and interleave
+     */
+    static addErrorCorrection(data, version, level) {
+        const blockCount = QrCode.BLOCKS[level.index][version];
+        const eccLength = QrCode.ECC_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(QrCode.getRawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = QrCode.getReedSolomonDivisor(eccLength);
+        
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            
+            const ecc = QrCode.getReedSolomonRemainder(block, divisor);
+            // Placeholder keeps short and long blocks aligned while interleaving
+            if (i < shortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+        
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+    
+    static getReedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QrCode.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QrCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+    
+    static getReedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+    
+    /**
+     * Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+     */
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+    
+    /**
+     * Modules left for data and error correction after function patterns
+     */
+    static getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+    
+    static getDataCodewords(version, level) {
+        return Math.floor(QrCode.getRawDataModules(version) / 8)
+            - QrCode.ECC_PER_BLOCK[level.index][version] * QrCode.BLOCKS[level.index][version];
+    }
+    
+    /**
+     * SVG markup, size in CSS pixels or null to fill the container
+     */
+    toSvg(options = {}) {
+        const { border = 4, size = null, label = 'QR kód' } = options;
+        const dimension = this.size + border * 2;
+        
+        const path = [];
+        this.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    path.push(`M${x + border},${y + border}h1v1h-1z`);
+                }
+            });
+        });
+        
+        const sizeAttributes = size ? ` width="${size}" height="${size}"` : '';
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}"${sizeAttributes} shape-rendering="crispEdges" role="img" aria-label="${label}">`
+            + `<rect width="100%" height="100%" fill="#ffffff"/>`
+            + `<path d="${path.join('')}" fill="#000000"/>`
+            + '</svg>';
+    }
+}
+
+/**
+ * Module grid of one QR code symbol
+ */
+class QrMatrix {
+    constructor(version, level) {
+        this.version = version;
+        this.level = level;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+    
+    /**
+     * Place codewords and apply the mask with the lowest penalty
+     */
+    build(codewords) {
+        this.drawFunctionPatterns();
+        this.drawCodewords(codewords);
+        
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            
+            const penalty = this.getPenalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            
+            // Mask is its own inverse
+            this.applyMask(mask);
+        }
+        
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        this.mask = bestMask;
+        
+        return this.modules;
+    }
+    
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+    
+    drawFunctionPatterns() {
+        // Timing patterns
+        for (let i = 0; i < this.size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+        
+        // Finder patterns with separators
+        this.drawFinder(3, 3);
+        this.drawFinder(this.size - 4, 3);
+        this.drawFinder(3, this.size - 4);
+        
+        // Alignment patterns, except where finders are
+        const positions = this.getAlignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                    this.drawAlignment(x, y);
+                }
+            });
+        });
+        
+        // Reserve format areas, real bits are drawn with the mask
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+    
+    drawFinder(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunction(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+    
+    drawAlignment(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+    
+    getAlignmentPositions() {
+        if (this.version === 1) return [];
+        
+        const count = Math.floor(this.version / 7) + 2;
+        const step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+        
+        const result = [6];
+        for (let position = this.size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+    
+    drawFormatBits(mask) {
+        const data = (this.level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        
+        // Around the top left finder
+        for (let i = 0; i <= 5; i++) {
+            this.setFunction(8, i, bit(i));
+        }
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunction(14 - i, 8, bit(i));
+        }
+        
+        // Copy at the other two finders
+        for (let i = 0; i < 8; i++) {
+            this.setFunction(this.size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunction(8, this.size - 15 + i, bit(i));
+        }
+        
+        // Always dark
+        this.setFunction(8, this.size - 8, true);
+    }
+    
+    drawVersion() {
+        if (this.version < 7) return;
+        
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+        
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+    
+    /**
+     * Codewords go in two module wide columns, zigzagging from bottom right
+     */
+    drawCodewords(codewords) {
+        let i = 0;
+        
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            // Skip vertical timing pattern
+            if (right === 6) {
+                right = 5;
+            }
+            
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+    
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const invert = conditions[mask];
+        
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && invert(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+    
+    /**
+     * Penalty rules of the standard: runs, 2x2 blocks, finder-like
+     * patterns and dark/light balance
+     */
+    getPenalty() {
+        const size = this.size;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+        
+        let penalty = 0;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) {
+                        penalty += run - 2;
+                    }
+                    run = 1;
+                }
+            }
+            
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, j) => line[i + j] === dark))) {
+                    penalty += 40;
+                }
+            }
+        });
+        
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) {
+                    dark++;
+                }
+                if (x + 1 < size && y + 1 < size) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+        
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        
+        return penalty;
+    }
+}
+
+// Error correction levels, formatBits as stored in the symbol
+QrCode.LEVELS = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+// Error correction codewords per block by level and version (index 0 unused)
+QrCode.ECC_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks by level and version (index 0 unused)
+QrCode.BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QrCode, QrMatrix };
+}
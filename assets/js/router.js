@@ -0,0 +1,136 @@
+/**
+ * Client-side Router
+ * Logistic CRM System
+ *
+ * Keeps the current page and its state in the URL hash, e.g.
+ * #/bookings?status=pending&page=3 or #/calendar/week/2026-10-19?warehouse=2
+ */
+
+class Router {
+    constructor(options = {}) {
+        this.config = {
+            defaultPage: 'dashboard',
+            ...options
+        };
+        
+        this.currentHash = null;
+        this.isStarted = false;
+        this.isRestoring = false;
+        
+        // Called with the parsed route when the URL changes (load, back/forward, links)
+        this.onRouteChange = null;
+        
+        this.handleHashChange = this.handleHashChange.bind(this);
+    }
+    
+    /**
+     * Start listening and apply the route from the current URL
+     */
+    start() {
+        if (!this.isStarted) {
+            window.addEventListener('hashchange', this.handleHashChange);
+            this.isStarted = true;
+        }
+        
+        this.currentHash = null;
+        this.handleHashChange();
+    }
+    
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        this.isStarted = false;
+    }
+    
+    handleHashChange() {
+        const hash = window.location.hash;
+        
+        // Links with href="#" must not reset the current page
+        if ((hash === '' || hash === '#') && this.currentHash) {
+            history.replaceState(history.state, '', this.currentHash);
+            return;
+        }
+        
+        if (hash === this.currentHash) return;
+        
+        this.currentHash = hash;
+        const route = this.parse(hash);
+        
+        // State changes made while the route is applied only canonicalize the URL
+        this.isRestoring = true;
+        try {
+            if (typeof this.onRouteChange === 'function') {
+                this.onRouteChange(route);
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+    
+    /**
+     * Record page state in the URL, adding a history entry when it changed
+     */
+    update(page, segments = [], params = {}, options = {}) {
+        const hash = this.build(page, segments, params);
+        if (hash === this.currentHash) return;
+        
+        this.currentHash = hash;
+        
+        if (options.replace || this.isRestoring) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+    
+    /**
+     * Parse hash into { page, segments, params }
+     */
+    parse(hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        const segments = path.split('/').filter(Boolean).map(segment => this.decodeSegment(segment));
+        const params = {};
+        
+        new URLSearchParams(query).forEach((value, key) => {
+            params[key] = value;
+        });
+        
+        return {
+            page: segments.shift() || this.config.defaultPage,
+            segments,
+            params
+        };
+    }
+    
+    /**
+     * Decoded path segment, a malformed escape sequence is kept as typed
+     */
+    decodeSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    }
+    
+    /**
+     * Build hash from page, path segments and query params, empty params are left out
+     */
+    build(page, segments = [], params = {}) {
+        const path = [page, ...segments].map(segment => encodeURIComponent(segment)).join('/');
+        const query = new URLSearchParams();
+        
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                query.append(key, value);
+            }
+        });
+        
+        const queryString = query.toString();
+        return `#/${path}${queryString ? '?' + queryString : ''}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+}
@@ -0,0 +1,403 @@
+/**
+ * Slot Editor
+ * Logistic CRM System
+ *
+ * Form for creating and editing calendar slots, including blocking. Before
+ * saving, the server checks the slot for overlaps and for the daily slot
+ * limit of the license, the form shows the result while it is filled in
+ */
+
+class SlotEditor {
+    constructor(calendar, options = {}) {
+        this.calendar = calendar;
+        this.api = calendar.api;
+        this.config = {
+            // Length of a new slot in minutes
+            defaultDuration: 60,
+            // Start of a new slot when no hour was clicked
+            defaultStart: '08:00',
+            maxCapacity: 100,
+            // Wait after the last change before the slot is checked
+            checkDelay: 400,
+            ...options
+        };
+        
+        this.checkTimer = null;
+        this.checkRequest = 0;
+        
+        // Hooks set by the application
+        this.onSaved = null;
+    }
+    
+    /**
+     * Drivers book slots, the warehouse staff manages them
+     */
+    canManage() {
+        const user = window.app && window.app.state.user;
+        return Boolean(user) && ['super_admin', 'admin', 'logistics'].includes(user.user_type);
+    }
+    
+    /**
+     * Form for a new slot, values prefill it, e.g. from a clicked calendar cell
+     */
+    create(values = {}) {
+        return this.open(null, values);
+    }
+    
+    edit(slot) {
+        return this.open(slot);
+    }
+    
+    async open(slot = null, defaults = {}) {
+        if (!this.canManage()) {
+            this.calendar.showToast('Sloty spravuje sklad, můžete na ně vytvářet rezervace', 'info');
+            return;
+        }
+        
+        let warehouses;
+        try {
+            warehouses = await this.loadWarehouses(slot);
+        } catch (error) {
+            console.error('Slot form loading error:', error);
+            this.calendar.showToast('Chyba při načítání formuláře: ' + error.message, 'error');
+            return;
+        }
+        
+        const values = slot ? {
+            warehouse_id: slot.warehouse_id,
+            zone_id: slot.zone_id || '',
+            slot_date: slot.slot_date,
+            slot_time_start: this.toTime(slot.slot_time_start),
+            slot_time_end: this.toTime(slot.slot_time_end),
+            slot_type: slot.slot_type,
+            capacity: slot.capacity,
+            is_blocked: Boolean(Number(slot.is_blocked)),
+            block_reason: slot.block_reason || ''
+        } : {
+            warehouse_id: this.calendar.selectedWarehouse || (warehouses.length === 1 ? warehouses[0].id : ''),
+            zone_id: '',
+            slot_date: this.calendar.formatDate(this.calendar.currentDate),
+            slot_time_start: this.config.defaultStart,
+            slot_type: 'universal',
+            capacity: 1,
+            is_blocked: false,
+            block_reason: '',
+            ...defaults
+        };
+        if (!values.slot_time_end) {
+            values.slot_time_end = this.calendar.addMinutes(values.slot_time_start, this.config.defaultDuration);
+        }
+        
+        // Cancelled bookings do not hold capacity
+        const booked = slot && slot.bookings ? slot.bookings.filter(booking => booking.status !== 'cancelled').length : 0;
+        const escape = (value) => window.app.escapeHtml(value);
+        const title = slot
+            ? `Upravit slot ${escape(this.toTime(slot.slot_time_start))}–${escape(this.toTime(slot.slot_time_end))}`
+            : 'Nový slot';
+        
+        const form = window.app.showFormModal(title, `
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="slot-warehouse">Sklad *</label>
+                    <select id="slot-warehouse" name="warehouse_id" class="form-control" required>
+                        <option value="">Vyberte sklad</option>
+                        ${warehouses.map(warehouse => `
+                            <option value="${warehouse.id}" ${warehouse.id == values.warehouse_id ? 'selected' : ''}>${escape(warehouse.name)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="slot-zone">Zóna</label>
+                    <select id="slot-zone" name="zone_id" class="form-control"></select>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="slot-date">Datum *</label>
+                    <input type="date" id="slot-date" name="slot_date" class="form-control" required
+                           value="${escape(values.slot_date)}">
+                </div>
+                <div class="form-group">
+                    <label for="slot-type">Typ slotu *</label>
+                    <select id="slot-type" name="slot_type" class="form-control">
+                        ${['universal', 'loading', 'unloading'].map(type => `
+                            <option value="${type}" ${type === values.slot_type ? 'selected' : ''}>${this.getTypeText(type)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="form-row triple">
+                <div class="form-group">
+                    <label for="slot-start">Začátek *</label>
+                    <input type="time" id="slot-start" name="slot_time_start" class="form-control" required
+                           value="${escape(values.slot_time_start)}">
+                </div>
+                <div class="form-group">
+                    <label for="slot-end">Konec *</label>
+                    <input type="time" id="slot-end" name="slot_time_end" class="form-control" required
+                           value="${escape(values.slot_time_end)}">
+                </div>
+                <div class="form-group">
+                    <label for="slot-capacity">Kapacita *</label>
+                    <input type="number" id="slot-capacity" name="capacity" class="form-control" required
+                           min="${Math.max(1, booked)}" max="${this.config.maxCapacity}" step="1" value="${escape(values.capacity)}">
+                </div>
+            </div>
+            <div class="form-group slot-blocking">
+                <label>
+                    <input type="checkbox" name="is_blocked" ${values.is_blocked ? 'checked' : ''}>
+                    Blokovat slot pro nové rezervace
+                </label>
+            </div>
+            <div class="form-group" data-block-reason ${values.is_blocked ? '' : 'hidden'}>
+                <label for="slot-block-reason">Důvod blokace</label>
+                <textarea id="slot-block-reason" name="block_reason" class="form-control" rows="2"
+                          placeholder="Např. údržba rampy">${escape(values.block_reason)}</textarea>
+            </div>
+            ${booked ? `
+                <p class="form-help">
+                    Slot má ${booked} ${booked === 1 ? 'rezervaci' : booked < 5 ? 'rezervace' : 'rezervací'}. Kapacita nemůže klesnout
+                    pod jejich počet a blokace je nezruší.
+                </p>
+            ` : ''}
+            <div class="slot-check hidden" aria-live="polite"></div>
+        `, async (formData, form) => {
+            await this.save(formData, form, slot, booked);
+        }, { submitText: slot ? 'Uložit' : 'Vytvořit slot' });
+        
+        if (!form) return;
+        
+        this.bindForm(form, warehouses, values, slot);
+    }
+    
+    bindForm(form, warehouses, values, slot) {
+        const field = (name) => form.elements.namedItem(name);
+        
+        this.renderZoneOptions(form, warehouses, values.zone_id, slot);
+        field('warehouse_id').addEventListener('change', () => {
+            this.renderZoneOptions(form, warehouses, '', slot);
+        });
+        
+        // Moving the start keeps the length of the slot
+        let previousStart = field('slot_time_start').value;
+        field('slot_time_start').addEventListener('change', () => {
+            const start = field('slot_time_start').value;
+            const end = field('slot_time_end').value;
+            if (previousStart && start && end) {
+                const duration = this.calendar.calculateDuration(previousStart, end);
+                if (duration > 0 && this.calendar.calculateDuration(start, '24:00') > duration) {
+                    field('slot_time_end').value = this.calendar.addMinutes(start, duration);
+                }
+            }
+            previousStart = start;
+        });
+        
+        field('is_blocked').addEventListener('change', () => {
+            form.querySelector('[data-block-reason]').hidden = !field('is_blocked').checked;
+        });
+        
+        ['warehouse_id', 'zone_id', 'slot_date', 'slot_time_start', 'slot_time_end'].forEach(name => {
+            field(name).addEventListener('change', () => this.scheduleCheck(form, slot));
+        });
+        this.scheduleCheck(form, slot);
+    }
+    
+    /**
+     * Active zones of the chosen warehouse, the slot's own zone even when inactive
+     */
+    renderZoneOptions(form, warehouses, selected, slot) {
+        const select = form.elements.namedItem('zone_id');
+        const warehouse = warehouses.find(item => item.id == form.elements.namedItem('warehouse_id').value);
+        const zones = warehouse ? (warehouse.zones || []).filter(zone => {
+            return Number(zone.is_active) === 1 || (slot && zone.id == slot.zone_id);
+        }) : [];
+        
+        select.innerHTML = `
+            <option value="">${zones.length ? 'Celý sklad' : 'Sklad nemá zóny'}</option>
+            ${zones.map(zone => `
+                <option value="${zone.id}" ${zone.id == selected ? 'selected' : ''}>${window.app.escapeHtml(zone.name)}</option>
+            `).join('')}
+        `;
+        select.disabled = zones.length === 0;
+    }
+    
+    scheduleCheck(form, slot) {
+        clearTimeout(this.checkTimer);
+        this.checkTimer = setTimeout(() => this.showCheck(form, slot), this.config.checkDelay);
+    }
+    
+    /**
+     * Overlaps and daily limit of the filled in slot, shown below the form
+     */
+    async showCheck(form, slot) {
+        const container = form.querySelector('.slot-check');
+        const payload = this.getCheckPayload(window.app.getFormData(form));
+        if (!container || !payload) {
+            if (container) container.classList.add('hidden');
+            return;
+        }
+        
+        // Only the answer to the latest change is shown
+        const request = ++this.checkRequest;
+        let result;
+        try {
+            result = await this.api.slots.check(payload, slot ? slot.id : null);
+        } catch (error) {
+            if (request === this.checkRequest) {
+                container.classList.add('hidden');
+            }
+            return;
+        }
+        if (request !== this.checkRequest || !form.isConnected) return;
+        
+        const usage = result.daily_usage;
+        const messages = result.errors.map(error => `
+            <div class="slot-check-error"><i class="fas fa-exclamation-circle"></i> ${window.app.escapeHtml(error)}</div>
+        `);
+        if (result.valid) {
+            messages.push(`<div class="slot-check-ok"><i class="fas fa-check-circle"></i> Slot se nepřekrývá s jiným slotem skladu ani zóny</div>`);
+        }
+        if (usage && usage.allowed) {
+            messages.push(`<div class="slot-check-usage">Sloty firmy v tento den: ${usage.count + 1} z ${usage.limit} povolených licencí</div>`);
+        }
+        
+        container.innerHTML = messages.join('');
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Fields the server checks, null until they are all filled in
+     */
+    getCheckPayload(formData) {
+        const payload = {
+            warehouse_id: formData.warehouse_id,
+            slot_date: formData.slot_date,
+            slot_time_start: formData.slot_time_start,
+            slot_time_end: formData.slot_time_end
+        };
+        
+        const complete = Object.values(payload).every(Boolean) && payload.slot_time_start < payload.slot_time_end;
+        return complete ? { ...payload, zone_id: formData.zone_id } : null;
+    }
+    
+    validate(formData, slot, booked) {
+        const errors = {};
+        
+        if (!formData.warehouse_id) {
+            errors.warehouse_id = 'Vyberte sklad';
+        }
+        
+        if (!formData.slot_date) {
+            errors.slot_date = 'Vyberte datum';
+        } else if (!slot && formData.slot_date < this.calendar.formatDate(new Date())) {
+            errors.slot_date = 'Datum nemůže být v minulosti';
+        }
+        
+        if (!formData.slot_time_start) {
+            errors.slot_time_start = 'Zadejte začátek';
+        }
+        if (!formData.slot_time_end) {
+            errors.slot_time_end = 'Zadejte konec';
+        } else if (formData.slot_time_start && formData.slot_time_end <= formData.slot_time_start) {
+            errors.slot_time_end = 'Konec musí být později než začátek';
+        }
+        
+        const capacity = Number(formData.capacity);
+        if (!Number.isInteger(capacity) || capacity < 1 || capacity > this.config.maxCapacity) {
+            errors.capacity = `Kapacita musí být mezi 1 a ${this.config.maxCapacity}`;
+        } else if (capacity < booked) {
+            errors.capacity = `Slot má ${booked} rezervací, kapacita nemůže být menší`;
+        }
+        
+        return errors;
+    }
+    
+    async save(formData, form, slot, booked) {
+        const fieldErrors = this.validate(formData, slot, booked);
+        if (Object.keys(fieldErrors).length > 0) {
+            const error = new Error('Formulář obsahuje chyby');
+            error.errors = Object.values(fieldErrors);
+            error.fieldErrors = fieldErrors;
+            throw error;
+        }
+        
+        // Offline the check is skipped, the server repeats it when the queue is sent
+        try {
+            const result = await this.api.slots.check(this.getCheckPayload(formData), slot ? slot.id : null);
+            if (!result.valid) {
+                const error = new Error(result.errors[0]);
+                error.errors = result.errors;
+                throw error;
+            }
+        } catch (error) {
+            if (!error.isRetryable) throw error;
+        }
+        
+        const payload = {
+            warehouse_id: formData.warehouse_id,
+            zone_id: formData.zone_id || null,
+            slot_date: formData.slot_date,
+            slot_time_start: formData.slot_time_start,
+            slot_time_end: formData.slot_time_end,
+            slot_type: formData.slot_type,
+            capacity: Number(formData.capacity),
+            is_blocked: formData.is_blocked,
+            block_reason: formData.is_blocked ? formData.block_reason || null : null
+        };
+        
+        const data = slot
+            ? await this.api.slots.update(slot.id, payload)
+            : await this.api.slots.create(payload);
+        
+        if (data.queued) {
+            this.calendar.showToast(data.message, 'warning');
+            return;
+        }
+        
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        this.calendar.showToast(slot ? 'Slot byl aktualizován' : 'Slot byl vytvořen', 'success');
+        if (typeof this.onSaved === 'function') {
+            this.onSaved(slot ? slot.id : data.slot_id);
+        }
+    }
+    
+    /**
+     * Active warehouses the user manages slots of, the edited slot's warehouse always
+     */
+    async loadWarehouses(slot = null) {
+        const data = await this.api.warehouses.list();
+        const user = window.app.state.user;
+        
+        return (data.warehouses || []).filter(warehouse => {
+            if (slot && warehouse.id == slot.warehouse_id) return true;
+            if (Number(warehouse.is_active) !== 1) return false;
+            
+            // Shared warehouses are managed by super admin
+            return user.user_type === 'super_admin' || Boolean(warehouse.company_id);
+        });
+    }
+    
+    getTypeText(type) {
+        const types = {
+            'universal': 'Univerzální',
+            'loading': 'Nakládka',
+            'unloading': 'Vykládka'
+        };
+        return types[type] || type;
+    }
+    
+    /**
+     * HH:MM of a database time
+     */
+    toTime(value) {
+        return value ? String(value).substring(0, 5) : '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlotEditor;
+}
@@ -0,0 +1,687 @@
+/**
+ * Slot Template Generator
+ * Logistic CRM System
+ *
+ * Weekly slot templates of warehouses and zones. Templates generate the slots
+ * of a date range, the calendar shows them as a preview first and they are
+ * created once the preview is confirmed. Regeneration replaces the unbooked
+ * slots created from the templates before
+ */
+
+class SlotTemplateGenerator {
+    constructor(calendar, options = {}) {
+        this.calendar = calendar;
+        this.api = calendar.api;
+        this.config = {
+            // Days generated by default, starting tomorrow
+            defaultDays: 28,
+            // Same limit as SlotTemplateManager::MAX_GENERATE_DAYS, the server sends its own
+            maxDays: 92,
+            slotLengths: [15, 20, 30, 45, 60, 90, 120, 180, 240],
+            // Skipped slots listed in the preview report
+            reportLimit: 200,
+            ...options
+        };
+        
+        this.templates = [];
+        this.warehouses = [];
+        // Templates and range of the last preview, the list opens with them again
+        this.request = null;
+        this.preview = null;
+        
+        // Hooks set by the application
+        this.onGenerated = null;
+    }
+    
+    async open() {
+        if (!this.calendar.slotEditor.canManage()) {
+            this.calendar.showToast('Šablony slotů spravuje sklad', 'info');
+            return;
+        }
+        
+        try {
+            await this.loadTemplates();
+        } catch (error) {
+            console.error('Slot templates loading error:', error);
+            this.calendar.showToast('Chyba při načítání šablon: ' + error.message, 'error');
+            return;
+        }
+        
+        this.showList();
+    }
+    
+    async loadTemplates() {
+        const [data, warehouses] = await Promise.all([
+            this.api.slotTemplates.list(),
+            this.calendar.slotEditor.loadWarehouses()
+        ]);
+        
+        this.templates = data.templates || [];
+        this.warehouses = warehouses;
+        this.config.maxDays = data.max_generate_days || this.config.maxDays;
+    }
+    
+    /**
+     * Templates with the range to generate, templates of the shown warehouse are preselected
+     */
+    showList() {
+        const request = this.request || this.getDefaultRequest();
+        const user = window.app.state.user;
+        // Regeneration deletes slots, logistics may not
+        const canRegenerate = ['super_admin', 'admin'].includes(user.user_type);
+        const today = this.calendar.formatDate(new Date());
+        
+        const container = window.app.showModal('Šablony slotů', `
+            <div class="slot-template-list">
+                ${this.templates.length ? `
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Šablona</th>
+                                <th>Sklad a zóna</th>
+                                <th>Dny</th>
+                                <th>Čas</th>
+                                <th>Sloty za den</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.templates.map(template => this.renderTemplateRow(template, request.template_ids.includes(template.id))).join('')}
+                        </tbody>
+                    </table>
+                ` : `
+                    <p class="text-muted">
+                        Zatím tu není žádná šablona. Šablona popisuje týden skladu nebo zóny,
+                        např. rampy od 06:00 do 22:00 ve slotech po 30 minutách v pracovní dny.
+                    </p>
+                `}
+            </div>
+            
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="template-start">Vytvořit sloty od</label>
+                    <input type="date" id="template-start" class="form-control" min="${today}"
+                           value="${window.app.escapeHtml(request.start_date)}">
+                </div>
+                <div class="form-group">
+                    <label for="template-end">do</label>
+                    <input type="date" id="template-end" class="form-control" min="${today}"
+                           value="${window.app.escapeHtml(request.end_date)}">
+                </div>
+            </div>
+            ${canRegenerate ? `
+                <div class="form-group slot-blocking">
+                    <label>
+                        <input type="checkbox" id="template-regenerate" ${request.regenerate ? 'checked' : ''}>
+                        Přegenerovat: nerezervované sloty vytvořené z vybraných šablon nahradit novými
+                    </label>
+                </div>
+            ` : ''}
+            <p class="form-help">
+                Existující sloty a státní svátky se přeskočí. Sloty se nejdřív zobrazí v kalendáři jako náhled.
+            </p>
+            <div class="form-error hidden" id="template-error" role="alert"></div>
+        `, [
+            { text: 'Zavřít' },
+            {
+                text: 'Nová šablona',
+                action: () => {
+                    this.request = this.readRequest(container);
+                    setTimeout(() => this.editTemplate());
+                }
+            },
+            { text: 'Náhled v kalendáři', className: 'btn-primary', action: () => this.showPreview(container) }
+        ], { className: 'modal-lg' });
+        
+        container.querySelector('.slot-template-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-template-action]');
+            if (!button) return;
+            
+            const template = this.templates.find(item => item.id == button.dataset.templateId);
+            this.request = this.readRequest(container);
+            
+            if (button.dataset.templateAction === 'edit') {
+                this.editTemplate(template);
+            } else {
+                this.deleteTemplate(template);
+            }
+        });
+    }
+    
+    renderTemplateRow(template, checked) {
+        const escape = (value) => window.app.escapeHtml(value);
+        
+        return `
+            <tr>
+                <td>
+                    <input type="checkbox" name="template_id" value="${template.id}" ${checked ? 'checked' : ''}
+                           aria-label="Použít šablonu ${escape(template.name)}">
+                </td>
+                <td>
+                    <strong>${escape(template.name)}</strong><br>
+                    <small class="text-muted">${this.calendar.slotEditor.getTypeText(template.slot_type)}, kapacita ${template.capacity}</small>
+                </td>
+                <td>
+                    ${escape(template.warehouse_name)}
+                    ${template.zone_name ? `<br><small class="text-muted">${escape(template.zone_name)}</small>` : ''}
+                </td>
+                <td>${this.formatWeekdays(template.weekdays)}</td>
+                <td>
+                    ${template.time_start}–${template.time_end}
+                    ${template.breaks.length ? `<br><small class="text-muted">přestávky ${this.formatBreaks(template.breaks)}</small>` : ''}
+                </td>
+                <td>${template.slots_per_day} × ${template.slot_length} min</td>
+                <td class="slot-template-actions">
+                    <button type="button" class="btn btn-sm btn-outline" data-template-action="edit" data-template-id="${template.id}" title="Upravit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline" data-template-action="delete" data-template-id="${template.id}" title="Smazat">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+    
+    getDefaultRequest() {
+        const start = new Date();
+        start.setDate(start.getDate() + 1);
+        const end = new Date(start);
+        end.setDate(start.getDate() + this.config.defaultDays - 1);
+        
+        const warehouseId = this.calendar.selectedWarehouse;
+        const templates = warehouseId
+            ? this.templates.filter(template => template.warehouse_id == warehouseId)
+            : this.templates;
+        
+        return {
+            template_ids: templates.map(template => template.id),
+            start_date: this.calendar.formatDate(start),
+            end_date: this.calendar.formatDate(end),
+            regenerate: false
+        };
+    }
+    
+    readRequest(container) {
+        const regenerate = container.querySelector('#template-regenerate');
+        
+        return {
+            template_ids: Array.from(container.querySelectorAll('input[name="template_id"]:checked'), input => Number(input.value)),
+            start_date: container.querySelector('#template-start').value,
+            end_date: container.querySelector('#template-end').value,
+            regenerate: Boolean(regenerate && regenerate.checked)
+        };
+    }
+    
+    validateRequest(request) {
+        if (request.template_ids.length === 0) {
+            return 'Vyberte alespoň jednu šablonu';
+        }
+        if (!request.start_date || !request.end_date) {
+            return 'Zadejte období';
+        }
+        if (request.start_date < this.calendar.formatDate(new Date())) {
+            return 'Sloty nelze vytvářet do minulosti';
+        }
+        if (request.end_date < request.start_date) {
+            return 'Konec období musí být po jeho začátku';
+        }
+        
+        const days = Math.round((this.calendar.parseDate(request.end_date) - this.calendar.parseDate(request.start_date)) / 86400000) + 1;
+        if (days > this.config.maxDays) {
+            return `Období může mít nejvýše ${this.config.maxDays} dní`;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Ask the server which slots the templates would create and show them in the calendar
+     */
+    async showPreview(container) {
+        const request = this.readRequest(container);
+        this.request = request;
+        
+        const error = this.validateRequest(request);
+        if (error) {
+            this.showListError(container, error);
+            return false;
+        }
+        
+        let preview;
+        try {
+            preview = await this.api.slotTemplates.preview(request);
+        } catch (error) {
+            this.showListError(container, error.errors && error.errors.length ? error.errors.join(', ') : error.message);
+            return false;
+        }
+        
+        this.preview = preview;
+        this.calendar.showPreview(preview.slots, preview.removed.map(slot => slot.id), request.start_date);
+        this.renderPreviewBar();
+    }
+    
+    showListError(container, message) {
+        const error = container.querySelector('#template-error');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    }
+    
+    /**
+     * Summary above the calendar while the preview is shown
+     */
+    renderPreviewBar(busy = false) {
+        const bar = document.getElementById('slot-preview-bar');
+        if (!bar || !this.preview) return;
+        
+        const { summary } = this.preview;
+        const { start_date, end_date } = this.request;
+        const hasReport = this.preview.skipped.length > 0 || this.preview.skipped_days.length > 0;
+        
+        bar.innerHTML = `
+            <div class="slot-preview-text">
+                <i class="fas fa-eye"></i>
+                <strong>Náhled šablon ${window.app.formatDate(start_date, 'date')} – ${window.app.formatDate(end_date, 'date')}</strong>
+                <span>Nové sloty: ${summary.created}</span>
+                ${summary.removed ? `<span>Nahrazeno: ${summary.removed}</span>` : ''}
+                ${summary.skipped ? `<span>Přeskočeno: ${summary.skipped}</span>` : ''}
+                ${summary.holidays ? `<span>Vynechané svátky: ${summary.holidays}</span>` : ''}
+            </div>
+            <div class="slot-preview-actions">
+                ${hasReport ? `
+                    <button type="button" class="btn btn-sm btn-outline" data-preview-action="report">Přeskočené</button>
+                ` : ''}
+                <button type="button" class="btn btn-sm btn-outline" data-preview-action="edit">Upravit výběr</button>
+                <button type="button" class="btn btn-sm btn-outline" data-preview-action="cancel">Zrušit náhled</button>
+                <button type="button" class="btn btn-sm btn-primary" data-preview-action="generate"
+                        ${summary.created || summary.removed ? '' : 'disabled'}>
+                    ${busy ? '<i class="fas fa-spinner fa-spin"></i>' : '<i class="fas fa-check"></i>'} Vytvořit sloty
+                </button>
+            </div>
+        `;
+        bar.querySelectorAll('button').forEach(button => {
+            button.disabled = button.disabled || busy;
+        });
+        bar.classList.remove('hidden');
+        
+        bar.onclick = (e) => {
+            const button = e.target.closest('[data-preview-action]');
+            if (!button) return;
+            
+            switch (button.dataset.previewAction) {
+                case 'report':
+                    this.showReport();
+                    break;
+                case 'edit':
+                    this.showList();
+                    break;
+                case 'cancel':
+                    this.closePreview();
+                    break;
+                case 'generate':
+                    this.generate();
+                    break;
+            }
+        };
+    }
+    
+    /**
+     * Slots and days the preview leaves out, with the reasons
+     */
+    showReport() {
+        const escape = (value) => window.app.escapeHtml(value);
+        const templateNames = new Map(this.templates.map(template => [template.id, template.name]));
+        const rows = [
+            ...this.preview.skipped_days.map(day => ({
+                slot_date: day.slot_date,
+                time: 'celý den',
+                template: templateNames.get(day.template_id) || '',
+                reason: day.reason
+            })),
+            ...this.preview.skipped.map(slot => ({
+                slot_date: slot.slot_date,
+                time: `${slot.slot_time_start}–${slot.slot_time_end}`,
+                template: slot.template_name,
+                reason: slot.reason
+            }))
+        ].sort((a, b) => (a.slot_date + a.time).localeCompare(b.slot_date + b.time));
+        const shown = rows.slice(0, this.config.reportLimit);
+        
+        window.app.showModal('Přeskočené sloty', `
+            <div class="slot-template-report">
+                <table class="table">
+                    <thead>
+                        <tr><th>Datum</th><th>Čas</th><th>Šablona</th><th>Důvod</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(row => `
+                            <tr>
+                                <td>${window.app.formatDate(row.slot_date, 'date')}</td>
+                                <td>${row.time}</td>
+                                <td>${escape(row.template)}</td>
+                                <td>${escape(row.reason)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${rows.length > shown.length ? `<p class="text-muted">A dalších ${rows.length - shown.length}.</p>` : ''}
+        `, [{ text: 'Zavřít' }], { className: 'modal-lg' });
+    }
+    
+    async generate() {
+        const { summary } = this.preview;
+        const answer = await window.app.confirmDialog.ask({
+            title: 'Vytvořit sloty ze šablon',
+            message: summary.removed
+                ? `Smaže se ${summary.removed} nerezervovaných slotů ze šablon a vytvoří se ${summary.created} nových.`
+                : `Vytvoří se ${summary.created} slotů.`,
+            confirmText: 'Vytvořit sloty',
+            danger: summary.removed > 0
+        });
+        if (!answer) return;
+        
+        this.renderPreviewBar(true);
+        
+        try {
+            const result = await this.api.slotTemplates.generate(this.request);
+            
+            this.calendar.showToast(`Ze šablon vytvořeno ${result.summary.created} slotů`, 'success');
+            this.closePreview();
+            
+            if (typeof this.onGenerated === 'function') {
+                this.onGenerated(result);
+            }
+        } catch (error) {
+            console.error('Slot generation error:', error);
+            this.calendar.showToast(error.errors && error.errors.length ? error.errors[0] : error.message, 'error');
+            this.renderPreviewBar();
+        }
+    }
+    
+    closePreview() {
+        this.preview = null;
+        
+        const bar = document.getElementById('slot-preview-bar');
+        if (bar) {
+            bar.classList.add('hidden');
+            bar.innerHTML = '';
+            bar.onclick = null;
+        }
+        
+        this.calendar.clearPreview();
+    }
+    
+    editTemplate(template = null) {
+        const escape = (value) => window.app.escapeHtml(value);
+        const values = template ? { ...template } : {
+            name: '',
+            warehouse_id: this.calendar.selectedWarehouse || (this.warehouses.length === 1 ? this.warehouses[0].id : ''),
+            zone_id: '',
+            weekdays: [1, 2, 3, 4, 5],
+            time_start: '06:00',
+            time_end: '22:00',
+            slot_length: 30,
+            slot_type: 'universal',
+            capacity: 1,
+            breaks: [],
+            skip_holidays: true
+        };
+        const slotLengths = this.config.slotLengths.includes(values.slot_length)
+            ? this.config.slotLengths
+            : [...this.config.slotLengths, values.slot_length].sort((a, b) => a - b);
+        
+        const form = window.app.showFormModal(template ? `Upravit šablonu ${escape(template.name)}` : 'Nová šablona slotů', `
+            <div class="form-group">
+                <label for="template-name">Název *</label>
+                <input type="text" id="template-name" name="name" class="form-control" required maxlength="100"
+                       placeholder="Např. Rampy pracovní dny" value="${escape(values.name)}">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="template-warehouse">Sklad *</label>
+                    <select id="template-warehouse" name="warehouse_id" class="form-control" required>
+                        <option value="">Vyberte sklad</option>
+                        ${this.warehouses.map(warehouse => `
+                            <option value="${warehouse.id}" ${warehouse.id == values.warehouse_id ? 'selected' : ''}>${escape(warehouse.name)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="template-zone">Zóna</label>
+                    <select id="template-zone" name="zone_id" class="form-control"></select>
+                </div>
+            </div>
+            <div class="form-group">
+                <span class="form-label">Dny v týdnu *</span>
+                <div class="weekday-picker">
+                    ${[1, 2, 3, 4, 5, 6, 7].map(day => `
+                        <label>
+                            <input type="checkbox" name="weekday_${day}" ${values.weekdays.includes(day) ? 'checked' : ''}>
+                            ${this.getWeekdayText(day)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="form-row triple">
+                <div class="form-group">
+                    <label for="template-start-time">Od *</label>
+                    <input type="time" id="template-start-time" name="time_start" class="form-control" required
+                           value="${escape(values.time_start)}">
+                </div>
+                <div class="form-group">
+                    <label for="template-end-time">Do *</label>
+                    <input type="time" id="template-end-time" name="time_end" class="form-control" required
+                           value="${escape(values.time_end)}">
+                </div>
+                <div class="form-group">
+                    <label for="template-length">Délka slotu</label>
+                    <select id="template-length" name="slot_length" class="form-control">
+                        ${slotLengths.map(length => `
+                            <option value="${length}" ${length === values.slot_length ? 'selected' : ''}>${length} min</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="template-type">Typ slotu</label>
+                    <select id="template-type" name="slot_type" class="form-control">
+                        ${['universal', 'loading', 'unloading'].map(type => `
+                            <option value="${type}" ${type === values.slot_type ? 'selected' : ''}>${this.calendar.slotEditor.getTypeText(type)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="template-capacity">Kapacita slotu *</label>
+                    <input type="number" id="template-capacity" name="capacity" class="form-control" required
+                           min="1" max="100" step="1" value="${escape(values.capacity)}">
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="template-breaks">Přestávky</label>
+                <input type="text" id="template-breaks" name="breaks" class="form-control"
+                       placeholder="12:00–12:30, 18:00–18:30" value="${escape(this.formatBreaks(values.breaks))}">
+                <small class="form-help">Slot, který by zasáhl do přestávky, začne až po ní.</small>
+            </div>
+            <div class="form-group slot-blocking">
+                <label>
+                    <input type="checkbox" name="skip_holidays" ${values.skip_holidays ? 'checked' : ''}>
+                    Ve státní svátky sloty nevytvářet
+                </label>
+            </div>
+            ${template ? `
+                <p class="form-help">Změna platí pro nově vytvářené sloty. Už vytvořené sloty nahradí přegenerování.</p>
+            ` : ''}
+        `, async (formData) => {
+            await this.saveTemplate(formData, template);
+        }, { submitText: template ? 'Uložit' : 'Vytvořit šablonu' });
+        
+        if (!form) return;
+        
+        const editor = this.calendar.slotEditor;
+        editor.renderZoneOptions(form, this.warehouses, values.zone_id, template);
+        form.elements.namedItem('warehouse_id').addEventListener('change', () => {
+            editor.renderZoneOptions(form, this.warehouses, '', template);
+        });
+    }
+    
+    async saveTemplate(formData, template) {
+        const fieldErrors = {};
+        const weekdays = [1, 2, 3, 4, 5, 6, 7].filter(day => formData[`weekday_${day}`]);
+        const breaks = this.parseBreaks(formData.breaks);
+        const capacity = Number(formData.capacity);
+        
+        if (!formData.name) {
+            fieldErrors.name = 'Zadejte název šablony';
+        }
+        if (!formData.warehouse_id) {
+            fieldErrors.warehouse_id = 'Vyberte sklad';
+        }
+        if (weekdays.length === 0) {
+            fieldErrors.weekdays = 'Vyberte alespoň jeden den v týdnu';
+        }
+        if (!formData.time_start) {
+            fieldErrors.time_start = 'Zadejte začátek';
+        }
+        if (!formData.time_end) {
+            fieldErrors.time_end = 'Zadejte konec';
+        } else if (formData.time_start && formData.time_end <= formData.time_start) {
+            fieldErrors.time_end = 'Konec musí být později než začátek';
+        }
+        if (!Number.isInteger(capacity) || capacity < 1 || capacity > 100) {
+            fieldErrors.capacity = 'Kapacita musí být mezi 1 a 100';
+        }
+        if (breaks === null) {
+            fieldErrors.breaks = 'Přestávky zadejte jako 12:00–12:30 oddělené čárkou';
+        }
+        
+        if (Object.keys(fieldErrors).length > 0) {
+            const error = new Error('Formulář obsahuje chyby');
+            error.errors = Object.values(fieldErrors);
+            error.fieldErrors = fieldErrors;
+            throw error;
+        }
+        
+        const payload = {
+            name: formData.name,
+            warehouse_id: formData.warehouse_id,
+            zone_id: formData.zone_id || null,
+            weekdays,
+            time_start: formData.time_start,
+            time_end: formData.time_end,
+            slot_length: Number(formData.slot_length),
+            slot_type: formData.slot_type,
+            capacity,
+            breaks,
+            skip_holidays: formData.skip_holidays
+        };
+        
+        const data = template
+            ? await this.api.slotTemplates.update(template.id, payload)
+            : await this.api.slotTemplates.create(payload);
+        
+        this.calendar.showToast(template ? 'Šablona byla uložena' : 'Šablona byla vytvořena', 'success');
+        
+        // New template is ready to generate with the others
+        if (!template && this.request) {
+            this.request.template_ids.push(Number(data.template_id));
+        }
+        
+        try {
+            await this.loadTemplates();
+        } catch (error) {
+            console.error('Slot templates loading error:', error);
+            return;
+        }
+        
+        // Form modal closes after submit, the list opens once it is gone
+        setTimeout(() => this.showList());
+    }
+    
+    async deleteTemplate(template) {
+        const answer = await window.app.confirmDialog.ask({
+            title: 'Smazat šablonu',
+            message: `Šablona „${template.name}“ se smaže. Sloty z ní vytvořené zůstanou v kalendáři, jen je už nepůjde přegenerovat.`,
+            confirmText: 'Smazat šablonu',
+            danger: true
+        });
+        if (!answer) return;
+        
+        try {
+            await this.api.slotTemplates.remove(template.id);
+            this.calendar.showToast('Šablona byla smazána', 'success');
+            await this.loadTemplates();
+        } catch (error) {
+            console.error('Slot template deletion error:', error);
+            this.calendar.showToast('Chyba při mazání šablony: ' + error.message, 'error');
+            return;
+        }
+        
+        if (this.request) {
+            this.request.template_ids = this.request.template_ids.filter(id => id !== template.id);
+        }
+        this.showList();
+    }
+    
+    /**
+     * "12:00–12:30, 18:00-18:30" as breaks, null when the text is not valid
+     */
+    parseBreaks(value) {
+        const breaks = [];
+        
+        for (const part of (value || '').split(/[,;]/)) {
+            if (!part.trim()) continue;
+            
+            const match = /^\s*(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2})\s*$/.exec(part);
+            if (!match) return null;
+            
+            const start = `${match[1].padStart(2, '0')}:${match[2]}`;
+            const end = `${match[3].padStart(2, '0')}:${match[4]}`;
+            if (start >= end || end > '23:59') return null;
+            
+            breaks.push({ start, end });
+        }
+        
+        return breaks;
+    }
+    
+    formatBreaks(breaks) {
+        return (breaks || []).map(item => `${item.start}–${item.end}`).join(', ');
+    }
+    
+    /**
+     * Weekdays with runs shortened, [1, 2, 3, 4, 5] is Po–Pá
+     */
+    formatWeekdays(weekdays) {
+        if (weekdays.length === 7) return 'Každý den';
+        
+        const runs = [];
+        weekdays.forEach(day => {
+            const run = runs[runs.length - 1];
+            if (run && run[1] === day - 1) {
+                run[1] = day;
+            } else {
+                runs.push([day, day]);
+            }
+        });
+        
+        return runs.map(([first, last]) => {
+            if (first === last) return this.getWeekdayText(first);
+            return this.getWeekdayText(first) + (last === first + 1 ? ', ' : '–') + this.getWeekdayText(last);
+        }).join(', ');
+    }
+    
+    /**
+     * Short weekday name, 1 = Monday ... 7 = Sunday
+     */
+    getWeekdayText(day) {
+        return ['Po', 'Út', 'St', 'Čt', 'Pá', 'So', 'Ne'][day - 1] || '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlotTemplateGenerator;
+}
@@ -0,0 +1,478 @@
+/**
+ * Users Management JavaScript
+ * Logistic CRM System
+ *
+ * One manager per page: all users, or drivers only
+ */
+
+class UsersManager {
+    constructor(options = {}) {
+        this.api = window.api || new ApiClient();
+        this.confirmDialog = (window.app && window.app.confirmDialog) || new ConfirmDialog();
+        this.prefix = options.prefix || 'users';
+        this.userType = options.userType || null;
+        this.name = this.prefix + 'Manager';
+        this.currentPage = 1;
+        this.itemsPerPage = 20;
+        this.currentFilters = { is_active: '1' };
+        this.users = [];
+        
+        this.userTypes = {
+            super_admin: 'Super admin',
+            admin: 'Administrátor',
+            logistics: 'Logistik',
+            driver: 'Řidič'
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        this.initializeEventListeners();
+    }
+    
+    initializeEventListeners() {
+        // Search input
+        const searchInput = document.getElementById(`${this.prefix}-search`);
+        if (searchInput) {
+            let searchTimeout;
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => {
+                    this.currentFilters.search = e.target.value;
+                    this.currentPage = 1;
+                    this.loadUsers();
+                }, 300);
+            });
+        }
+        
+        // Role and status filters
+        [['user_type', 'type-filter'], ['is_active', 'status-filter']].forEach(([filter, suffix]) => {
+            const control = document.getElementById(`${this.prefix}-${suffix}`);
+            if (control) {
+                control.addEventListener('change', (e) => {
+                    this.currentFilters[filter] = e.target.value;
+                    this.currentPage = 1;
+                    this.loadUsers();
+                });
+            }
+        });
+    }
+    
+    /**
+     * Load users from API
+     */
+    async loadUsers() {
+        try {
+            this.showLoadingState();
+            
+            const params = {
+                page: this.currentPage,
+                limit: this.itemsPerPage,
+                ...this.currentFilters
+            };
+            if (this.userType) {
+                params.user_type = this.userType;
+            }
+            
+            const data = await this.api.users.list(params);
+            
+            if (data.success) {
+                this.users = data.users;
+                this.renderUsers(data.users);
+                this.renderPagination(data.pagination);
+            } else {
+                throw new Error(data.error || 'Failed to load users');
+            }
+        
+        } catch (error) {
+            console.error('Load users error:', error);
+            this.showError('Chyba při načítání uživatelů: ' + error.message);
+        }
+    }
+    
+    /**
+     * Render users table
+     */
+    renderUsers(users) {
+        const tbody = document.getElementById(`${this.prefix}-table-body`);
+        if (!tbody) return;
+        
+        if (users.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center">
+                        <div class="empty-state">
+                            <i class="fas ${this.userType === 'driver' ? 'fa-id-card' : 'fa-users'}"></i>
+                            <h3>${this.userType === 'driver' ? 'Žádní řidiči' : 'Žádní uživatelé'}</h3>
+                            <p>Nebyli nalezeni žádní uživatelé odpovídající zadaným filtrům.</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = users.map(user => this.renderUserRow(user)).join('');
+    }
+    
+    /**
+     * Render single user row
+     */
+    renderUserRow(user) {
+        const isActive = Number(user.is_active) === 1;
+        const isDriverList = this.userType === 'driver';
+        
+        return `
+            <tr data-user-id="${user.id}">
+                <td>
+                    <div class="user-info">
+                        <strong>${this.escapeHtml(user.full_name)}</strong>
+                        <small class="text-muted">${this.escapeHtml(user.email)}</small>
+                    </div>
+                </td>
+                <td>${this.escapeHtml(user.phone || '-')}</td>
+                <td>
+                    ${isDriverList ? this.renderDriverLicense(user) : this.escapeHtml(this.userTypes[user.user_type] || user.user_type)}
+                </td>
+                <td>${user.last_login ? this.formatDate(user.last_login) : '<span class="text-muted">Nikdy</span>'}</td>
+                <td>
+                    <span class="status-badge ${isActive ? 'status-active' : 'status-inactive'}">
+                        ${isActive ? 'Aktivní' : 'Neaktivní'}
+                    </span>
+                </td>
+                <td>
+                    ${this.canManage() ? `
+                        <div class="action-buttons">
+                            <button class="btn btn-sm btn-outline" onclick="${this.name}.showUserModal(${user.id})" title="Upravit">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            ${isActive ? `
+                                <button class="btn btn-sm btn-outline text-error" onclick="${this.name}.deactivateUser(${user.id})" title="Deaktivovat">
+                                    <i class="fas fa-user-slash"></i>
+                                </button>
+                            ` : `
+                                <button class="btn btn-sm btn-outline" onclick="${this.name}.activateUser(${user.id})" title="Aktivovat">
+                                    <i class="fas fa-user-check"></i>
+                                </button>
+                            `}
+                        </div>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+    
+    renderDriverLicense(user) {
+        if (!user.driver_license_number) {
+            return '<span class="text-muted">Nezadán</span>';
+        }
+        
+        const expires = user.driver_license_expires;
+        const isExpired = expires && new Date(expires) < new Date();
+        
+        return `
+            <div class="driver-info">
+                <strong>${this.escapeHtml(user.driver_license_number)}</strong>
+                ${expires ? `<small class="${isExpired ? 'text-error' : ''}">Platnost do ${this.formatDate(expires)}</small>` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render pagination
+     */
+    renderPagination(pagination) {
+        const paginationContainer = document.getElementById(`${this.prefix}-pagination`);
+        if (!paginationContainer) return;
+        
+        const { page, pages, total } = pagination;
+        
+        if (pages <= 1) {
+            paginationContainer.innerHTML = '';
+            return;
+        }
+        
+        let paginationHTML = '<nav><ul class="pagination">';
+        
+        if (page > 1) {
+            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="${this.name}.changePage(${page - 1}); return false;">&laquo;</a></li>`;
+        }
+        
+        const startPage = Math.max(1, page - 2);
+        const endPage = Math.min(pages, page + 2);
+        
+        for (let i = startPage; i <= endPage; i++) {
+            paginationHTML += `<li class="page-item ${i === page ? 'active' : ''}">
+                <a class="page-link" href="#" onclick="${this.name}.changePage(${i}); return false;">${i}</a>
+            </li>`;
+        }
+        
+        if (page < pages) {
+            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="${this.name}.changePage(${page + 1}); return false;">&raquo;</a></li>`;
+        }
+        
+        paginationHTML += '</ul></nav>';
+        
+        paginationHTML += `<div class="pagination-info">
+            Zobrazeno ${((page - 1) * this.itemsPerPage) + 1} - ${Math.min(page * this.itemsPerPage, total)} z ${total} uživatelů
+        </div>`;
+        
+        paginationContainer.innerHTML = paginationHTML;
+    }
+    
+    /**
+     * Change page
+     */
+    changePage(page) {
+        this.currentPage = page;
+        this.loadUsers();
+    }
+    
+    /**
+     * Show users matching query regardless of status, used by global search
+     */
+    applySearch(query) {
+        const searchInput = document.getElementById(`${this.prefix}-search`);
+        const statusFilter = document.getElementById(`${this.prefix}-status-filter`);
+        if (searchInput) searchInput.value = query;
+        if (statusFilter) statusFilter.value = '';
+        
+        this.currentFilters.search = query;
+        this.currentFilters.is_active = '';
+        this.currentPage = 1;
+        this.loadUsers();
+    }
+    
+    /**
+     * Only admins may change other users
+     */
+    canManage() {
+        const user = window.app ? window.app.state.user : null;
+        return Boolean(user) && ['super_admin', 'admin'].includes(user.user_type);
+    }
+    
+    /**
+     * User types current user may assign
+     */
+    getAllowedTypes() {
+        const user = window.app ? window.app.state.user : null;
+        const types = ['admin', 'logistics', 'driver'];
+        
+        if (user && user.user_type === 'super_admin') {
+            types.push('super_admin');
+        }
+        
+        return types;
+    }
+    
+    /**
+     * Show create/edit user modal
+     */
+    showUserModal(userId = null) {
+        const user = userId ? this.users.find(item => item.id == userId) : null;
+        const userType = user ? user.user_type : (this.userType || 'logistics');
+        const isDriverList = this.userType === 'driver';
+        const allowedTypes = this.getAllowedTypes();
+        if (!allowedTypes.includes(userType)) {
+            allowedTypes.push(userType);
+        }
+        const title = isDriverList
+            ? (user ? 'Upravit řidiče' : 'Nový řidič')
+            : (user ? 'Upravit uživatele' : 'Nový uživatel');
+        
+        const form = window.app.showFormModal(title, `
+            <div class="form-group">
+                <label for="user-full-name">Jméno a příjmení *</label>
+                <input type="text" id="user-full-name" name="full_name" class="form-control" required
+                       value="${this.escapeHtml(user ? user.full_name : '')}">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="user-email">Email *</label>
+                    <input type="email" id="user-email" name="email" class="form-control" required
+                           value="${this.escapeHtml(user ? user.email : '')}" ${user ? 'disabled' : ''}>
+                </div>
+                <div class="form-group">
+                    <label for="user-phone">Telefon</label>
+                    <input type="tel" id="user-phone" name="phone" class="form-control"
+                           value="${this.escapeHtml(user ? user.phone : '')}">
+                </div>
+            </div>
+            ${user ? '' : `
+                <div class="form-group">
+                    <label for="user-password">Heslo *</label>
+                    <input type="password" id="user-password" name="password" class="form-control" minlength="8" required autocomplete="new-password">
+                    <div class="form-help">Minimálně 8 znaků, velké i malé písmeno, číslice a speciální znak</div>
+                </div>
+            `}
+            ${isDriverList ? '<input type="hidden" name="user_type" value="driver">' : `
+                <div class="form-group">
+                    <label for="user-type">Role *</label>
+                    <select id="user-type" name="user_type" class="form-control" required>
+                        ${allowedTypes.map(type => `
+                            <option value="${type}" ${type === userType ? 'selected' : ''}>${this.userTypes[type]}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `}
+            <div class="form-row driver-fields">
+                <div class="form-group">
+                    <label for="user-license-number">Číslo řidičského průkazu</label>
+                    <input type="text" id="user-license-number" name="driver_license_number" class="form-control"
+                           value="${this.escapeHtml(user ? user.driver_license_number : '')}">
+                </div>
+                <div class="form-group">
+                    <label for="user-license-expires">Platnost průkazu do</label>
+                    <input type="date" id="user-license-expires" name="driver_license_expires" class="form-control"
+                           value="${user && user.driver_license_expires ? user.driver_license_expires : ''}">
+                </div>
+            </div>
+        `, async (formData) => {
+            // Driver fields only belong to drivers
+            if (formData.user_type !== 'driver') {
+                delete formData.driver_license_number;
+                delete formData.driver_license_expires;
+            }
+            
+            const data = user
+                ? await this.api.users.update(user.id, formData)
+                : await this.api.users.create(formData);
+            
+            this.handleSaveResult(data, user ? 'Uživatel byl aktualizován' : 'Uživatel byl vytvořen');
+        });
+        
+        // Show driver fields only for drivers
+        const typeSelect = form.querySelector('#user-type');
+        const driverFields = form.querySelector('.driver-fields');
+        const toggleDriverFields = () => {
+            driverFields.classList.toggle('hidden', typeSelect.value !== 'driver');
+        };
+        if (typeSelect) {
+            typeSelect.addEventListener('change', toggleDriverFields);
+            toggleDriverFields();
+        }
+    }
+    
+    /**
+     * Deactivate user
+     */
+    async deactivateUser(userId) {
+        const answer = await this.confirmDialog.ask({
+            title: 'Deaktivovat uživatele',
+            message: 'Deaktivovaný uživatel se nebude moci přihlásit.',
+            confirmText: 'Deaktivovat',
+            cancelText: 'Ponechat',
+            danger: true
+        });
+        if (!answer) return;
+        
+        await this.changeState(() => this.api.users.deactivate(userId), 'Uživatel byl deaktivován');
+    }
+    
+    /**
+     * Activate user
+     */
+    async activateUser(userId) {
+        await this.changeState(() => this.api.users.activate(userId), 'Uživatel byl aktivován');
+    }
+    
+    async changeState(request, successMessage) {
+        try {
+            const data = await request();
+            this.handleSaveResult(data, successMessage);
+        } catch (error) {
+            console.error('User update error:', error);
+            this.showError('Chyba při ukládání uživatele: ' + error.message);
+        }
+    }
+    
+    handleSaveResult(data, successMessage) {
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        this.showSuccess(successMessage);
+        this.loadUsers();
+    }
+    
+    /**
+     * Utility methods
+     */
+    showLoadingState() {
+        const tbody = document.getElementById(`${this.prefix}-table-body`);
+        if (tbody) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center">
+                        <div class="loading-spinner">
+                            <div class="spinner"></div>
+                            <p>Načítání uživatelů...</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }
+    }
+    
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('cs-CZ');
+    }
+    
+    escapeHtml(value) {
+        return window.app ? window.app.escapeHtml(value) : String(value ?? '');
+    }
+    
+    showError(message) {
+        if (window.app) {
+            window.app.showError(message);
+        } else {
+            alert(message);
+        }
+    }
+    
+    showSuccess(message) {
+        if (window.app) {
+            window.app.showSuccess(message);
+        } else {
+            alert(message);
+        }
+    }
+    
+    showWarning(message) {
+        if (window.app) {
+            window.app.showWarning(message);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Initialize users managers when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('users-page')) {
+        window.usersManager = new UsersManager({ prefix: 'users' });
+    }
+    
+    if (document.getElementById('drivers-page')) {
+        window.driversManager = new UsersManager({ prefix: 'drivers', userType: 'driver' });
+    }
+});
+
+// Global functions for HTML onclick handlers
+window.showNewUserModal = () => {
+    if (window.usersManager) {
+        window.usersManager.showUserModal();
+    }
+};
+
+window.showNewDriverModal = () => {
+    if (window.driversManager) {
+        window.driversManager.showUserModal();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsersManager;
+}
@@ -0,0 +1,362 @@
+/**
+ * Vehicles Management JavaScript
+ * Logistic CRM System
+ */
+
+class VehiclesManager {
+    constructor() {
+        this.api = window.api || new ApiClient();
+        this.confirmDialog = (window.app && window.app.confirmDialog) || new ConfirmDialog();
+        this.currentPage = 1;
+        this.itemsPerPage = 20;
+        this.currentFilters = { is_active: '1' };
+        this.vehicles = [];
+        
+        // Filter inputs by filter name
+        this.filterControls = {
+            search: 'vehicles-search',
+            type: 'vehicles-type-filter',
+            is_active: 'vehicles-status-filter'
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        this.initializeEventListeners();
+    }
+    
+    initializeEventListeners() {
+        // Search input
+        const searchInput = document.getElementById('vehicles-search');
+        if (searchInput) {
+            let searchTimeout;
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => {
+                    this.currentFilters.search = e.target.value;
+                    this.currentPage = 1;
+                    this.loadVehicles();
+                }, 300);
+            });
+        }
+        
+        // Type and status filters
+        ['type', 'is_active'].forEach(filter => {
+            const control = document.getElementById(this.filterControls[filter]);
+            if (control) {
+                control.addEventListener('change', (e) => {
+                    this.currentFilters[filter] = e.target.value;
+                    this.currentPage = 1;
+                    this.loadVehicles();
+                });
+            }
+        });
+    }
+    
+    /**
+     * Load vehicles from API
+     */
+    async loadVehicles() {
+        try {
+            this.showLoadingState();
+            
+            const data = await this.api.vehicles.list({
+                page: this.currentPage,
+                limit: this.itemsPerPage,
+                ...this.currentFilters
+            });
+            
+            if (data.success) {
+                this.vehicles = data.vehicles;
+                this.renderVehicles(data.vehicles);
+                this.renderPagination(data.pagination);
+            } else {
+                throw new Error(data.error || 'Failed to load vehicles');
+            }
+        
+        } catch (error) {
+            console.error('Load vehicles error:', error);
+            this.showError('Chyba při načítání vozidel: ' + error.message);
+        }
+    }
+    
+    /**
+     * Render vehicles table
+     */
+    renderVehicles(vehicles) {
+        const tbody = document.getElementById('vehicles-table-body');
+        if (!tbody) return;
+        
+        if (vehicles.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center">
+                        <div class="empty-state">
+                            <i class="fas fa-truck"></i>
+                            <h3>Žádná vozidla</h3>
+                            <p>Nebyla nalezena žádná vozidla odpovídající zadaným filtrům.</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = vehicles.map(vehicle => this.renderVehicleRow(vehicle)).join('');
+    }
+    
+    /**
+     * Render single vehicle row
+     */
+    renderVehicleRow(vehicle) {
+        const isActive = Number(vehicle.is_active) === 1;
+        
+        return `
+            <tr data-vehicle-id="${vehicle.id}">
+                <td><strong>${this.escapeHtml(vehicle.license_plate)}</strong></td>
+                <td>${this.escapeHtml(vehicle.type || '-')}</td>
+                <td>${vehicle.capacity !== null ? Number(vehicle.capacity).toLocaleString('cs-CZ') + ' kg' : '-'}</td>
+                <td>${vehicle.active_bookings || 0}</td>
+                <td>
+                    <span class="status-badge ${isActive ? 'status-active' : 'status-inactive'}">
+                        ${isActive ? 'Aktivní' : 'Neaktivní'}
+                    </span>
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-outline" onclick="vehiclesManager.showVehicleModal(${vehicle.id})" title="Upravit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        ${isActive ? `
+                            <button class="btn btn-sm btn-outline text-error" onclick="vehiclesManager.deactivateVehicle(${vehicle.id})" title="Deaktivovat">
+                                <i class="fas fa-ban"></i>
+                            </button>
+                        ` : `
+                            <button class="btn btn-sm btn-outline" onclick="vehiclesManager.activateVehicle(${vehicle.id})" title="Aktivovat">
+                                <i class="fas fa-check"></i>
+                            </button>
+                        `}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * Render pagination
+     */
+    renderPagination(pagination) {
+        const paginationContainer = document.getElementById('vehicles-pagination');
+        if (!paginationContainer) return;
+        
+        const { page, pages, total } = pagination;
+        
+        if (pages <= 1) {
+            paginationContainer.innerHTML = '';
+            return;
+        }
+        
+        let paginationHTML = '<nav><ul class="pagination">';
+        
+        if (page > 1) {
+            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="vehiclesManager.changePage(${page - 1}); return false;">&laquo;</a></li>`;
+        }
+        
+        const startPage = Math.max(1, page - 2);
+        const endPage = Math.min(pages, page + 2);
+        
+        for (let i = startPage; i <= endPage; i++) {
+            paginationHTML += `<li class="page-item ${i === page ? 'active' : ''}">
+                <a class="page-link" href="#" onclick="vehiclesManager.changePage(${i}); return false;">${i}</a>
+            </li>`;
+        }
+        
+        if (page < pages) {
+            paginationHTML += `<li class="page-item"><a class="page-link" href="#" onclick="vehiclesManager.changePage(${page + 1}); return false;">&raquo;</a></li>`;
+        }
+        
+        paginationHTML += '</ul></nav>';
+        
+        paginationHTML += `<div class="pagination-info">
+            Zobrazeno ${((page - 1) * this.itemsPerPage) + 1} - ${Math.min(page * this.itemsPerPage, total)} z ${total} vozidel
+        </div>`;
+        
+        paginationContainer.innerHTML = paginationHTML;
+    }
+    
+    /**
+     * Change page
+     */
+    changePage(page) {
+        this.currentPage = page;
+        this.loadVehicles();
+    }
+    
+    /**
+     * Show vehicles matching query regardless of status, used by global search
+     */
+    applySearch(query) {
+        const searchInput = document.getElementById(this.filterControls.search);
+        const statusFilter = document.getElementById(this.filterControls.is_active);
+        if (searchInput) searchInput.value = query;
+        if (statusFilter) statusFilter.value = '';
+        
+        this.currentFilters.search = query;
+        this.currentFilters.is_active = '';
+        this.currentPage = 1;
+        this.loadVehicles();
+    }
+    
+    /**
+     * Show create/edit vehicle modal
+     */
+    showVehicleModal(vehicleId = null) {
+        const vehicle = vehicleId ? this.vehicles.find(item => item.id == vehicleId) : null;
+        
+        window.app.showFormModal(vehicle ? 'Upravit vozidlo' : 'Nové vozidlo', `
+            <div class="form-group">
+                <label for="vehicle-license-plate">SPZ *</label>
+                <input type="text" id="vehicle-license-plate" name="license_plate" class="form-control" maxlength="20" required
+                       value="${this.escapeHtml(vehicle ? vehicle.license_plate : '')}">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="vehicle-type">Typ</label>
+                    <input type="text" id="vehicle-type" name="type" class="form-control" maxlength="100" list="vehicle-types"
+                           value="${this.escapeHtml(vehicle ? vehicle.type : '')}">
+                    <datalist id="vehicle-types">
+                        <option value="Dodávka">
+                        <option value="Nákladní vozidlo">
+                        <option value="Kamion">
+                        <option value="Chladírenské vozidlo">
+                    </datalist>
+                </div>
+                <div class="form-group">
+                    <label for="vehicle-capacity">Nosnost (kg)</label>
+                    <input type="number" id="vehicle-capacity" name="capacity" class="form-control" min="0" step="0.01"
+                           value="${vehicle && vehicle.capacity !== null ? vehicle.capacity : ''}">
+                </div>
+            </div>
+        `, async (formData) => {
+            const data = vehicle
+                ? await this.api.vehicles.update(vehicle.id, formData)
+                : await this.api.vehicles.create(formData);
+            
+            this.handleSaveResult(data, vehicle ? 'Vozidlo bylo aktualizováno' : 'Vozidlo bylo vytvořeno');
+        });
+    }
+    
+    /**
+     * Deactivate vehicle
+     */
+    async deactivateVehicle(vehicleId) {
+        const answer = await this.confirmDialog.ask({
+            title: 'Deaktivovat vozidlo',
+            message: 'Vozidlo bude deaktivováno, později ho lze znovu aktivovat.',
+            confirmText: 'Deaktivovat',
+            cancelText: 'Ponechat',
+            danger: true
+        });
+        if (!answer) return;
+        
+        await this.changeState(() => this.api.vehicles.deactivate(vehicleId), 'Vozidlo bylo deaktivováno');
+    }
+    
+    /**
+     * Activate vehicle
+     */
+    async activateVehicle(vehicleId) {
+        await this.changeState(() => this.api.vehicles.update(vehicleId, { is_active: true }), 'Vozidlo bylo aktivováno');
+    }
+    
+    async changeState(request, successMessage) {
+        try {
+            const data = await request();
+            this.handleSaveResult(data, successMessage);
+        } catch (error) {
+            console.error('Vehicle update error:', error);
+            this.showError('Chyba při ukládání vozidla: ' + error.message);
+        }
+    }
+    
+    handleSaveResult(data, successMessage) {
+        if (data.queued) {
+            this.showWarning(data.message);
+            return;
+        }
+        
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        this.showSuccess(successMessage);
+        this.loadVehicles();
+    }
+    
+    /**
+     * Utility methods
+     */
+    showLoadingState() {
+        const tbody = document.getElementById('vehicles-table-body');
+        if (tbody) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center">
+                        <div class="loading-spinner">
+                            <div class="spinner"></div>
+                            <p>Načítání vozidel...</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }
+    }
+    
+    escapeHtml(value) {
+        return window.app ? window.app.escapeHtml(value) : String(value ?? '');
+    }
+    
+    showError(message) {
+        if (window.app) {
+            window.app.showError(message);
+        } else {
+            alert(message);
+        }
+    }
+    
+    showSuccess(message) {
+        if (window.app) {
+            window.app.showSuccess(message);
+        } else {
+            alert(message);
+        }
+    }
+    
+    showWarning(message) {
+        if (window.app) {
+            window.app.showWarning(message);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Initialize vehicles manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('vehicles-page')) {
+        window.vehiclesManager = new VehiclesManager();
+    }
+});
+
+// Global functions for HTML onclick handlers
+window.showNewVehicleModal = () => {
+    if (window.vehiclesManager) {
+        window.vehiclesManager.showVehicleModal();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VehiclesManager;
+}
@@ -0,0 +1,398 @@
+/**
+ * Warehouses Management JavaScript
+ * Logistic CRM System
+ */
+
+class WarehousesManager {
+    constructor() {
+        this.api = window.api || new ApiClient();
+        this.confirmDialog = (window.app && window.app.confirmDialog) || new ConfirmDialog();
+        this.warehouses = [];
+        this.currentFilters = {
+            search: '',
+            include_inactive: false
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        this.initializeEventListeners();
+    }
+    
+    initializeEventListeners() {
+        // Search input
+        const searchInput = document.getElementById('warehouses-search');
+        if (searchInput) {
+            let searchTimeout;
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => {
+                    this.currentFilters.search = e.target.value;
+                    this.loadWarehouses();
+                }, 300);
+            });
+        }
+        
+        // Inactive warehouses and zones toggle
+        const inactiveFilter = document.getElementById('warehouses-inactive-filter');
+        if (inactiveFilter) {
+            inactiveFilter.addEventListener('change', (e) => {
+                this.currentFilters.include_inactive = e.target.checked;
+                this.loadWarehouses();
+            });
+        }
+    }
+    
+    /**
+     * Load warehouses from API
+     */
+    async loadWarehouses() {
+        try {
+            this.showLoadingState();
+            
+            const params = { search: this.currentFilters.search };
+            if (this.currentFilters.include_inactive) {
+                params.include_inactive = 1;
+            }
+            
+            const data = await this.api.warehouses.list(params);
+            
+            if (data.success) {
+                this.warehouses = data.warehouses;
+                this.renderWarehouses(data.warehouses);
+            } else {
+                throw new Error(data.error || 'Failed to load warehouses');
+            }
+        
+        } catch (error) {
+            console.error('Load warehouses error:', error);
+            this.showError('Chyba při načítání skladů: ' + error.message);
+        }
+    }
+    
+    /**
+     * Render warehouses grid
+     */
+    renderWarehouses(warehouses) {
+        const grid = document.getElementById('warehouses-grid');
+        if (!grid) return;
+        
+        if (warehouses.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-warehouse"></i>
+                    <h3>Žádné sklady</h3>
+                    <p>Nebyly nalezeny žádné sklady odpovídající zadaným filtrům.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        grid.innerHTML = warehouses.map(warehouse => this.renderWarehouseCard(warehouse)).join('');
+    }
+    
+    /**
+     * Render single warehouse card with its zones
+     */
+    renderWarehouseCard(warehouse) {
+        const isActive = Number(warehouse.is_active) === 1;
+        const canManage = this.canManage(warehouse);
+        const zones = warehouse.zones || [];
+        
+        return `
+            <div class="warehouse-card ${isActive ? '' : 'inactive'}" data-warehouse-id="${warehouse.id}">
+                <div class="warehouse-card-header">
+                    <div>
+                        <h3>${this.escapeHtml(warehouse.name)}</h3>
+                        <small class="text-muted">${this.escapeHtml(warehouse.address || '')}</small>
+                    </div>
+                    <span class="status-badge ${isActive ? 'status-active' : 'status-inactive'}">
+                        ${isActive ? 'Aktivní' : 'Neaktivní'}
+                    </span>
+                </div>
+                
+                <div class="warehouse-card-stats">
+                    <div><strong>${warehouse.capacity}</strong><small>Kapacita</small></div>
+                    <div><strong>${warehouse.slots_today || 0}</strong><small>Sloty dnes</small></div>
+                    <div><strong>${zones.length}</strong><small>Zóny</small></div>
+                </div>
+                
+                <div class="warehouse-zones">
+                    ${zones.length === 0 ? '<p class="text-muted">Sklad nemá žádné zóny</p>' : zones.map(zone => this.renderZone(zone, canManage)).join('')}
+                </div>
+                
+                ${canManage ? `
+                    <div class="warehouse-card-actions">
+                        <button class="btn btn-sm btn-outline" onclick="warehousesManager.showZoneModal(${warehouse.id})">
+                            <i class="fas fa-plus"></i> Zóna
+                        </button>
+                        <button class="btn btn-sm btn-outline" onclick="warehousesManager.showWarehouseModal(${warehouse.id})" title="Upravit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        ${isActive ? `
+                            <button class="btn btn-sm btn-outline text-error" onclick="warehousesManager.deactivateWarehouse(${warehouse.id})" title="Deaktivovat">
+                                <i class="fas fa-ban"></i>
+                            </button>
+                        ` : `
+                            <button class="btn btn-sm btn-outline" onclick="warehousesManager.activateWarehouse(${warehouse.id})" title="Aktivovat">
+                                <i class="fas fa-check"></i>
+                            </button>
+                        `}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render zone row
+     */
+    renderZone(zone, canManage) {
+        const isActive = Number(zone.is_active) === 1;
+        
+        return `
+            <div class="warehouse-zone ${isActive ? '' : 'inactive'}">
+                <span class="zone-name">${this.escapeHtml(zone.name)}</span>
+                <small class="text-muted">Kapacita ${zone.capacity}</small>
+                ${canManage ? `
+                    <div class="action-buttons">
+                        <button class="btn btn-sm btn-outline" onclick="warehousesManager.showZoneModal(${zone.warehouse_id}, ${zone.id})" title="Upravit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        ${isActive ? `
+                            <button class="btn btn-sm btn-outline" onclick="warehousesManager.deactivateZone(${zone.id})" title="Deaktivovat">
+                                <i class="fas fa-ban"></i>
+                            </button>
+                        ` : `
+                            <button class="btn btn-sm btn-outline" onclick="warehousesManager.activateZone(${zone.id})" title="Aktivovat">
+                                <i class="fas fa-check"></i>
+                            </button>
+                        `}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Shared warehouses can be changed only by super admin
+     */
+    canManage(warehouse) {
+        const user = window.app ? window.app.state.user : null;
+        return Boolean(warehouse.company_id) || (user && user.user_type === 'super_admin');
+    }
+    
+    /**
+     * Show create/edit warehouse modal
+     */
+    showWarehouseModal(warehouseId = null) {
+        const warehouse = warehouseId ? this.findWarehouse(warehouseId) : null;
+        
+        window.app.showFormModal(warehouse ? 'Upravit sklad' : 'Nový sklad', `
+            <div class="form-group">
+                <label for="warehouse-name">Název *</label>
+                <input type="text" id="warehouse-name" name="name" class="form-control" maxlength="255" required
+                       value="${this.escapeHtml(warehouse ? warehouse.name : '')}">
+            </div>
+            <div class="form-group">
+                <label for="warehouse-address">Adresa</label>
+                <textarea id="warehouse-address" name="address" class="form-control" rows="2">${this.escapeHtml(warehouse ? warehouse.address : '')}</textarea>
+            </div>
+            <div class="form-group">
+                <label for="warehouse-capacity">Kapacita</label>
+                <input type="number" id="warehouse-capacity" name="capacity" class="form-control" min="1" required
+                       value="${warehouse ? warehouse.capacity : 100}">
+            </div>
+        `, async (formData) => {
+            const data = warehouse
+                ? await this.api.warehouses.update(warehouse.id, formData)
+                : await this.api.warehouses.create(formData);
+            
+            this.handleSaveResult(data, warehouse ? 'Sklad byl aktualizován' : 'Sklad byl vytvořen');
+        });
+    }
+    
+    /**
+     * Show create/edit zone modal
+     */
+    showZoneModal(warehouseId, zoneId = null) {
+        const warehouse = this.findWarehouse(warehouseId);
+        const zone = zoneId && warehouse ? (warehouse.zones || []).find(item => item.id == zoneId) : null;
+        
+        window.app.showFormModal(zone ? 'Upravit zónu' : 'Nová zóna', `
+            <p class="form-help">Sklad: ${this.escapeHtml(warehouse ? warehouse.name : '')}</p>
+            <div class="form-group">
+                <label for="zone-name">Název *</label>
+                <input type="text" id="zone-name" name="name" class="form-control" maxlength="255" required
+                       value="${this.escapeHtml(zone ? zone.name : '')}">
+            </div>
+            <div class="form-group">
+                <label for="zone-capacity">Kapacita</label>
+                <input type="number" id="zone-capacity" name="capacity" class="form-control" min="1" required
+                       value="${zone ? zone.capacity : 10}">
+            </div>
+        `, async (formData) => {
+            const data = zone
+                ? await this.api.warehouses.updateZone(zone.id, formData)
+                : await this.api.warehouses.createZone(warehouseId, formData);
+            
+            this.handleSaveResult(data, zone ? 'Zóna byla aktualizována' : 'Zóna byla vytvořena');
+        });
+    }
+    
+    /**
+     * Deactivate warehouse
+     */
+    async deactivateWarehouse(warehouseId) {
+        const answer = await this.confirmDialog.ask({
+            title: 'Deaktivovat sklad',
+            message: 'Nové sloty v deaktivovaném skladu nebude možné vytvářet.',
+            confirmText: 'Deaktivovat',
+            cancelText: 'Ponechat',
+            danger: true
+        });
+        if (!answer) return;
+        
+        await this.changeState(() => this.api.warehouses.deactivate(warehouseId), 'Sklad byl deaktivován');
+    }
+    
+    /**
+     * Activate warehouse
+     */
+    async activateWarehouse(warehouseId) {
+        await this.changeState(() => this.api.warehouses.update(warehouseId, { is_active: true }), 'Sklad byl aktivován');
+    }
+    
+    /**
+     * Deactivate zone
+     */
+    async deactivateZone(zoneId) {
+        const answer = await this.confirmDialog.ask({
+            title: 'Deaktivovat zónu',
+            message: 'Zóna bude deaktivována, později ji lze znovu aktivovat.',
+            confirmText: 'Deaktivovat',
+            cancelText: 'Ponechat',
+            danger: true
+        });
+        if (!answer) return;
+        
+        await this.changeState(() => this.api.warehouses.deactivateZone(zoneId), 'Zóna byla deaktivována');
+    }
+    
+    /**
+     * Activate zone
+     */
+    async activateZone(zoneId) {
+        await this.changeState(() => this.api.warehouses.updateZone(zoneId, { is_active: true }), 'Zóna byla aktivována');
+    }
+    
+    async changeState(request, successMessage) {
+        try {
+            const data = await request();
+            this.handleSaveResult(data, successMessage);
+        } catch (error) {
+            console.error('Warehouse update error:', error);
+            this.showError('Chyba při ukládání: ' + error.message);
+        }
+    }
+    
+    handleSaveResult(data, successMessage) {
+        if (data.queued) {
+            this.showWarning(data.message);
+            return;
+        }
+        
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        this.showSuccess(successMessage);
+        this.loadWarehouses();
+        
+        // Warehouse selectors elsewhere list only active warehouses
+        if (window.calendar) {
+            window.calendar.loadWarehouses();
+        }
+    }
+    
+    /**
+     * Show warehouses matching query including inactive ones, used by global search
+     */
+    applySearch(query) {
+        const searchInput = document.getElementById('warehouses-search');
+        const inactiveFilter = document.getElementById('warehouses-inactive-filter');
+        if (searchInput) searchInput.value = query;
+        if (inactiveFilter) inactiveFilter.checked = true;
+        
+        this.currentFilters.search = query;
+        this.currentFilters.include_inactive = true;
+        this.loadWarehouses();
+    }
+    
+    findWarehouse(warehouseId) {
+        return this.warehouses.find(warehouse => warehouse.id == warehouseId) || null;
+    }
+    
+    /**
+     * Utility methods
+     */
+    showLoadingState() {
+        const grid = document.getElementById('warehouses-grid');
+        if (grid && this.warehouses.length === 0) {
+            grid.innerHTML = `
+                <div class="loading-spinner">
+                    <div class="spinner"></div>
+                    <p>Načítání skladů...</p>
+                </div>
+            `;
+        }
+    }
+    
+    escapeHtml(value) {
+        return window.app ? window.app.escapeHtml(value) : String(value ?? '');
+    }
+    
+    showError(message) {
+        if (window.app) {
+            window.app.showError(message);
+        } else {
+            alert(message);
+        }
+    }
+    
+    showSuccess(message) {
+        if (window.app) {
+            window.app.showSuccess(message);
+        } else {
+            alert(message);
+        }
+    }
+    
+    showWarning(message) {
+        if (window.app) {
+            window.app.showWarning(message);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Initialize warehouses manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('warehouses-page')) {
+        window.warehousesManager = new WarehousesManager();
+    }
+});
+
+// Global functions for HTML onclick handlers
+window.showNewWarehouseModal = () => {
+    if (window.warehousesManager) {
+        window.warehousesManager.showWarehouseModal();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WarehousesManager;
+}
@@ -0,0 +1,240 @@
+/**
+ * XLSX Reader
+ * Logistic CRM System
+ *
+ * Reads the first sheet of an Excel workbook in the browser as rows of
+ * cell texts. Cells formatted as dates come out as YYYY-MM-DD, times as
+ * HH:MM, so imports need not know about Excel date numbers
+ */
+
+class XlsxReader {
+    constructor() {
+        this.decoder = new TextDecoder('utf-8');
+    }
+    
+    /**
+     * Rows of the first sheet, each an array of strings indexed by column
+     */
+    async read(buffer) {
+        const entries = this.listEntries(new Uint8Array(buffer));
+        
+        const workbook = await this.readText(entries, 'xl/workbook.xml');
+        if (workbook === null) {
+            throw new Error('Soubor není sešit Excelu (XLSX)');
+        }
+        
+        const sheetPath = await this.getFirstSheetPath(entries, workbook);
+        const sheet = await this.readText(entries, sheetPath);
+        if (sheet === null) {
+            throw new Error('List sešitu nebyl nalezen');
+        }
+        
+        const sharedStrings = this.parseSharedStrings(await this.readText(entries, 'xl/sharedStrings.xml') || '');
+        const dateStyles = this.parseDateStyles(await this.readText(entries, 'xl/styles.xml') || '');
+        
+        return this.parseSheet(sheet, sharedStrings, dateStyles);
+    }
+    
+    /**
+     * Files of the zip archive by name, from its central directory
+     */
+    listEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        
+        // End of central directory record, followed by a comment of up to 64 kB
+        let end = -1;
+        for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset--) {
+            if (view.getUint32(offset, true) === 0x06054b50) {
+                end = offset;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('Soubor není sešit Excelu (XLSX)');
+        }
+        
+        const entries = new Map();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        
+        for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = this.decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            
+            entries.set(name, {
+                bytes,
+                method: view.getUint16(offset + 10, true),
+                size: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Text of a file in the archive, null when it is missing
+     */
+    async readText(entries, name) {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        
+        const { bytes, method, size, localOffset } = entry;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(start, start + size);
+        
+        if (method === 0) {
+            return this.decoder.decode(data);
+        }
+        if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return this.decoder.decode(await new Response(stream).arrayBuffer());
+        }
+        throw new Error('Nepodporovaná komprese sešitu');
+    }
+    
+    async getFirstSheetPath(entries, workbook) {
+        const sheet = workbook.match(/<sheet\b[^>]*>/);
+        const relationId = sheet && this.getAttribute(sheet[0], 'r:id');
+        const rels = await this.readText(entries, 'xl/_rels/workbook.xml.rels') || '';
+        
+        const relation = (rels.match(/<Relationship\b[^>]*>/g) || [])
+            .find(tag => this.getAttribute(tag, 'Id') === relationId);
+        const target = relation ? this.getAttribute(relation, 'Target') : 'worksheets/sheet1.xml';
+        
+        // Targets are relative to xl/ unless they start at the root
+        return target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+    }
+    
+    parseSharedStrings(xml) {
+        return (xml.match(/<si>[\s\S]*?<\/si>|<si\/>/g) || []).map(item => this.getText(item));
+    }
+    
+    /**
+     * Indexes of cell styles whose number format shows a date or time
+     */
+    parseDateStyles(xml) {
+        const dateFormats = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+        
+        (xml.match(/<numFmt\b[^>]*>/g) || []).forEach(tag => {
+            // Quoted text and [colors] do not count, [h] elapsed hours does
+            const code = this.unescapeXml(this.getAttribute(tag, 'formatCode') || '')
+                .replace(/"[^"]*"/g, '')
+                .replace(/\[(?![hms]+\])[^\]]*\]/gi, '');
+            if (/[dmyhs]/i.test(code)) {
+                dateFormats.add(Number(this.getAttribute(tag, 'numFmtId')));
+            }
+        });
+        
+        const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+        const styles = new Set();
+        (cellXfs ? cellXfs[1].match(/<xf\b[^>]*>/g) || [] : []).forEach((tag, index) => {
+            if (dateFormats.has(Number(this.getAttribute(tag, 'numFmtId')))) {
+                styles.add(index);
+            }
+        });
+        return styles;
+    }
+    
+    parseSheet(xml, sharedStrings, dateStyles) {
+        const rows = [];
+        
+        (xml.match(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g) || []).forEach(rowXml => {
+            const rowNumber = Number(this.getAttribute(rowXml.match(/<row\b[^>]*>/)[0], 'r')) || rows.length + 1;
+            const cells = [];
+            
+            (rowXml.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || []).forEach(cellXml => {
+                const tag = cellXml.match(/<c\b[^>]*>/)[0];
+                const ref = this.getAttribute(tag, 'r');
+                const column = ref ? this.getColumnIndex(ref) : cells.length;
+                cells[column] = this.getCellValue(cellXml, tag, sharedStrings, dateStyles);
+            });
+            
+            rows[rowNumber - 1] = Array.from(cells, value => value ?? '');
+        });
+        
+        return Array.from(rows, row => row || []);
+    }
+    
+    getCellValue(cellXml, tag, sharedStrings, dateStyles) {
+        const type = this.getAttribute(tag, 't');
+        
+        if (type === 'inlineStr') {
+            return this.getText(cellXml);
+        }
+        
+        const valueMatch = cellXml.match(/<v>([\s\S]*?)<\/v>/);
+        if (!valueMatch) return '';
+        const value = this.unescapeXml(valueMatch[1]);
+        
+        if (type === 's') {
+            return sharedStrings[Number(value)] ?? '';
+        }
+        if (type === 'b') {
+            return value === '1' ? 'TRUE' : 'FALSE';
+        }
+        if (!type || type === 'n') {
+            return dateStyles.has(Number(this.getAttribute(tag, 's') || 0)) ? this.formatSerial(Number(value)) : value;
+        }
+        return value;
+    }
+    
+    /**
+     * Excel date number as YYYY-MM-DD, HH:MM or both
+     */
+    formatSerial(serial) {
+        if (!Number.isFinite(serial)) return '';
+        
+        // Day 0 is 1899-12-30 once Excel's made up 1900-02-29 is behind
+        const date = new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400) * 1000);
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+        const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+        
+        if (serial < 1) return time;
+        return Number.isInteger(serial) ? day : `${day} ${time}`;
+    }
+    
+    /**
+     * B7 -> 1
+     */
+    getColumnIndex(ref) {
+        const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+        let index = 0;
+        for (const letter of letters) {
+            index = index * 26 + letter.charCodeAt(0) - 64;
+        }
+        return index - 1;
+    }
+    
+    /**
+     * Text of all <t> elements, phonetic runs left out
+     */
+    getText(xml) {
+        return (xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [])
+            .map(t => this.unescapeXml(t.replace(/^<t\b[^>]*>|<\/t>$/g, '')))
+            .join('');
+    }
+    
+    getAttribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+        return match ? match[1] : null;
+    }
+    
+    unescapeXml(value) {
+        return value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, code) => {
+            const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+            if (code[0] !== '#') return named[code.toLowerCase()];
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : Number(code.substring(1)));
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XlsxReader;
+}
@@ -0,0 +1,249 @@
+/**
+ * XLSX Writer
+ * Logistic CRM System
+ *
+ * Minimal Excel workbook built in the browser: text and number cells,
+ * bold header row with filter, frozen header and column widths. Files
+ * are stored in the zip uncompressed, which every spreadsheet opens
+ */
+
+class XlsxWriter {
+    constructor() {
+        this.sheets = [];
+        this.crcTable = null;
+    }
+    
+    /**
+     * Add sheet, first row of rows is the header
+     *
+     * options: { widths } column widths in characters
+     */
+    addSheet(name, rows, options = {}) {
+        // Excel limits sheet names to 31 characters without []:*?/\
+        const safeName = String(name).replace(/[[\]:*?/\\]/g, ' ').substring(0, 31) || `List${this.sheets.length + 1}`;
+        this.sheets.push({ name: safeName, rows, widths: options.widths || [] });
+        return this;
+    }
+    
+    toBlob() {
+        const files = [
+            ['[Content_Types].xml', this.renderContentTypes()],
+            ['_rels/.rels', this.renderRootRels()],
+            ['xl/workbook.xml', this.renderWorkbook()],
+            ['xl/_rels/workbook.xml.rels', this.renderWorkbookRels()],
+            ['xl/styles.xml', this.renderStyles()],
+            ...this.sheets.map((sheet, index) => [`xl/worksheets/sheet${index + 1}.xml`, this.renderSheet(sheet)])
+        ];
+        
+        return new Blob([this.zip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+    
+    renderContentTypes() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${this.sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`;
+    }
+    
+    renderRootRels() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+    }
+    
+    renderWorkbook() {
+        const filters = this.sheets
+            .map((sheet, index) => sheet.rows.length > 0
+                ? `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${this.escapeXml(sheet.name.replace(/'/g, "''"))}'!${this.getFilterRange(sheet, true)}</definedName>`
+                : '')
+            .join('');
+        
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>
+${this.sheets.map((sheet, index) => `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('\n')}
+</sheets>
+${filters ? `<definedNames>${filters}</definedNames>` : ''}
+</workbook>`;
+    }
+    
+    renderWorkbookRels() {
+        const stylesId = this.sheets.length + 1;
+        
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${this.sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${stylesId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+    }
+    
+    /**
+     * Style 0 is the default cell, style 1 the bold shaded header
+     */
+    renderStyles() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFE5E7EB"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+    }
+    
+    renderSheet(sheet) {
+        const rows = sheet.rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => this.renderCell(value, `${this.getColumnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0 ? 1 : 0));
+            return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+        });
+        const cols = sheet.widths
+            .map((width, index) => width ? `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>` : '')
+            .join('');
+        
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+${cols ? `<cols>${cols}</cols>` : ''}
+<sheetData>${rows.join('')}</sheetData>
+${sheet.rows.length > 0 ? `<autoFilter ref="${this.getFilterRange(sheet, false)}"/>` : ''}
+</worksheet>`;
+    }
+    
+    renderCell(value, ref, style) {
+        const styleAttr = style ? ` s="${style}"` : '';
+        
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+        }
+        if (value === null || value === undefined || value === '') {
+            return style ? `<c r="${ref}"${styleAttr}/>` : '';
+        }
+        return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+    }
+    
+    getFilterRange(sheet, absolute) {
+        const columns = Math.max(1, ...sheet.rows.map(row => row.length));
+        const mark = absolute ? '$' : '';
+        return `${mark}A${mark}1:${mark}${this.getColumnName(columns - 1)}${mark}${sheet.rows.length}`;
+    }
+    
+    /**
+     * 0 -> A, 25 -> Z, 26 -> AA
+     */
+    getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+    
+    /**
+     * Escape for XML, characters XML does not allow are dropped
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Zip archive of [name, text] files, stored without compression
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(([name, content]) => {
+            const data = encoder.encode(content);
+            return { name: encoder.encode(name), data, crc: this.crc32(data) };
+        });
+        
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const buffer = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(buffer.buffer);
+        
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034b50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 0x0800, true);
+            view.setUint16(offset + 8, 0, true);
+            view.setUint16(offset + 10, time, true);
+            view.setUint16(offset + 12, date, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            buffer.set(entry.name, offset + 30);
+            buffer.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+        
+        const centralOffset = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true);
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, time, true);
+            view.setUint16(offset + 14, date, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            view.setUint32(offset + 42, entry.offset, true);
+            buffer.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+        
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        
+        return buffer;
+    }
+    
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XlsxWriter;
+}
@@ -25,25 +25,59 @@ class BookingManager {
     const TYPE_UNLOADING = 'unloading';
     const TYPE_UNIVERSAL = 'universal';
     
+    // Uploaded files, booking_documents.filename is relative to it
+    const DOCUMENTS_DIR = __DIR__ . '/../uploads/documents';
+    
+    // Documents the browser may open inline, others could run scripts (HTML, SVG)
+    const INLINE_DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+    
+    // Recurring bookings
+    const FREQUENCY_DAILY = 'daily';
+    const FREQUENCY_WEEKLY = 'weekly';
+    const MAX_SERIES_OCCURRENCES = 100;
+    
+    // Statuses a series edit or cancellation still applies to
+    const SERIES_ACTIVE_STATUSES = ['pending', 'approved', 'confirmed', 'delayed'];
+    
+    // Sort keys of the bookings list and the columns they sort by
+    const SORT_COLUMNS = [
+        'booking_number' => ['b.booking_number'],
+        'slot' => ['ts.slot_date', 'ts.slot_time_start'],
+        'warehouse' => ['w.name', 'wz.name'],
+        'driver' => ['u.full_name'],
+        'status' => ['b.status'],
+        'booking_type' => ['b.booking_type'],
+        'reference_number' => ['b.reference_number'],
+        'vehicle' => ['v.license_plate'],
+        'check_in_time' => ['b.check_in_time'],
+        'check_out_time' => ['b.check_out_time'],
+        'created_by' => ['creator.full_name'],
+        'created_at' => ['b.created_at']
+    ];
+    
     public function __construct($db) {
         $this->db = $db;
     }
     
     /**
-     * Get bookings with filters and pagination
+     * Get bookings with filters, sorting and pagination
+     *
+     * Sort is a key of SORT_COLUMNS, unknown keys sort by slot
      */
-    public function getBookings($filters = [], $page = 1, $limit = 20) {
+    public function getBookings($filters = [], $page = 1, $limit = 20, $sort = 'slot', $order = 'desc') {
         try {
             $offset = ($page - 1) * $limit;
             
-            $query = "SELECT b.*, 
+            $select = "SELECT b.*, 
                             ts.slot_date, ts.slot_time_start, ts.slot_time_end,
                             w.name as warehouse_name, wz.name as zone_name,
                             u.full_name as driver_name, u.phone as driver_phone,
                             v.license_plate as vehicle_license,
                             c.name as company_name,
-                            creator.full_name as created_by_name
-                     FROM bookings b
+                            creator.full_name as created_by_name";
+            
+            // Joins and filters, shared by the count and the page query
+            $query = "FROM bookings b
                      JOIN time_slots ts ON b.time_slot_id = ts.id
                      JOIN warehouses w ON ts.warehouse_id = w.id
                      LEFT JOIN warehouse_zones wz ON ts.zone_id = wz.id
@@ -76,6 +110,11 @@ class BookingManager {
                 $params[':driver_id'] = $filters['driver_id'];
             }
             
+            if (isset($filters['booking_type'])) {
+                $query .= " AND b.booking_type = :booking_type";
+                $params[':booking_type'] = $filters['booking_type'];
+            }
+            
             if (isset($filters['date_from'])) {
                 $query .= " AND ts.slot_date >= :date_from";
                 $params[':date_from'] = $filters['date_from'];
@@ -87,25 +126,33 @@ class BookingManager {
             }
             
             if (isset($filters['search'])) {
-                $query .= " AND (b.booking_number LIKE :search 
-                           OR b.reference_number LIKE :search 
-                           OR u.full_name LIKE :search 
-                           OR c.name LIKE :search)";
-                $params[':search'] = '%' . $filters['search'] . '%';
+                $query .= " AND (b.booking_number LIKE :search1 
+                           OR b.reference_number LIKE :search2 
+                           OR u.full_name LIKE :search3 
+                           OR c.name LIKE :search4)";
+                for ($i = 1; $i <= 4; $i++) {
+                    $params[':search' . $i] = '%' . $filters['search'] . '%';
+                }
             }
             
             // Get total count
-            $countQuery = str_replace('SELECT b.*, ts.slot_date, ts.slot_time_start, ts.slot_time_end, w.name as warehouse_name, wz.name as zone_name, u.full_name as driver_name, u.phone as driver_phone, v.license_plate as vehicle_license, c.name as company_name, creator.full_name as created_by_name', 'SELECT COUNT(*)', $query);
+            $countQuery = "SELECT COUNT(*) " . $query;
+            $query = $select . " " . $query;
             
             $countStmt = $this->db->prepare($countQuery);
             foreach ($params as $key => $value) {
                 $countStmt->bindValue($key, $value);
             }
             $countStmt->execute();
-            $total = $countStmt->fetchColumn();
+            $total = intval($countStmt->fetchColumn());
             
-            // Add ordering and pagination
-            $query .= " ORDER BY ts.slot_date DESC, ts.slot_time_start DESC, b.created_at DESC";
+            // Add ordering and pagination, id keeps equal values in stable order across pages
+            $direction = strtolower($order) === 'asc' ? 'ASC' : 'DESC';
+            $orderBy = [];
+            foreach (self::SORT_COLUMNS[$sort] ?? self::SORT_COLUMNS['slot'] as $column) {
+                $orderBy[] = "$column $direction";
+            }
+            $query .= " ORDER BY " . implode(', ', $orderBy) . ", b.id $direction";
             $query .= " LIMIT :limit OFFSET :offset";
             
             $stmt = $this->db->prepare($query);
@@ -146,12 +193,13 @@ class BookingManager {
     public function getBookingById($bookingId) {
         try {
             $query = "SELECT b.*, 
-                            ts.slot_date, ts.slot_time_start, ts.slot_time_end,
+                            ts.slot_date, ts.slot_time_start, ts.slot_time_end, ts.warehouse_id,
                             w.name as warehouse_name, wz.name as zone_name,
                             u.full_name as driver_name, u.phone as driver_phone, u.email as driver_email,
                             v.license_plate as vehicle_license, v.type as vehicle_type,
                             c.name as company_name, c.address as company_address,
-                            creator.full_name as created_by_name
+                            creator.full_name as created_by_name,
+                            approver.full_name as approved_by_name
                      FROM bookings b
                      JOIN time_slots ts ON b.time_slot_id = ts.id
                      JOIN warehouses w ON ts.warehouse_id = w.id
@@ -160,6 +208,7 @@ class BookingManager {
                      LEFT JOIN vehicles v ON b.vehicle_id = v.id
                      LEFT JOIN companies c ON b.company_id = c.id
                      LEFT JOIN users creator ON b.created_by = creator.id
+                     LEFT JOIN users approver ON b.approved_by = approver.id
                      WHERE b.id = :booking_id";
             
             $stmt = $this->db->prepare($query);
@@ -174,6 +223,29 @@ class BookingManager {
         }
     }
     
+    /**
+     * Get booking by scanned QR code or typed booking number
+     */
+    public function getBookingByCode($code) {
+        try {
+            $query = "SELECT id FROM bookings
+                     WHERE qr_code = :qr_code OR booking_number = :booking_number
+                     LIMIT 1";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':qr_code', $code);
+            $stmt->bindValue(':booking_number', strtoupper($code));
+            $stmt->execute();
+            
+            $bookingId = $stmt->fetchColumn();
+            return $bookingId ? $this->getBookingById($bookingId) : null;
+            
+        } catch (Exception $e) {
+            error_log("Get booking by code error: " . $e->getMessage());
+            return null;
+        }
+    }
+    
     /**
      * Get booking documents
      */
@@ -195,6 +267,70 @@ class BookingManager {
         }
     }
     
+    /**
+     * Get single booking document
+     */
+    public function getBookingDocument($documentId) {
+        try {
+            $query = "SELECT * FROM booking_documents WHERE id = :document_id";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindParam(':document_id', $documentId);
+            $stmt->execute();
+            
+            return $stmt->fetch();
+            
+        } catch (Exception $e) {
+            error_log("Get booking document error: " . $e->getMessage());
+            return null;
+        }
+    }
+    
+    /**
+     * Path of a stored document file, null when the file is missing
+     */
+    public function getDocumentPath($document) {
+        $path = self::DOCUMENTS_DIR . '/' . basename($document['filename']);
+        return is_file($path) ? $path : null;
+    }
+    
+    /**
+     * Get changes of a booking logged by logUserActivity, oldest first
+     */
+    public function getBookingHistory($bookingId) {
+        try {
+            $query = "SELECT a.id, a.action, a.new_values, a.created_at,
+                            u.full_name as user_name
+                     FROM audit_log a
+                     LEFT JOIN users u ON a.user_id = u.id
+                     WHERE a.entity_type = 'user_activity'
+                     AND a.action IN ('booking_created', 'booking_updated', 'booking_checked_in', 'booking_checked_out')
+                     AND JSON_UNQUOTE(JSON_EXTRACT(a.new_values, '$.booking_id')) = :booking_id
+                     ORDER BY a.created_at, a.id";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':booking_id', (string) $bookingId);
+            $stmt->execute();
+            
+            $history = [];
+            foreach ($stmt->fetchAll() as $row) {
+                $history[] = [
+                    'id' => intval($row['id']),
+                    'action' => $row['action'],
+                    'details' => json_decode($row['new_values'], true) ?: [],
+                    'user_name' => $row['user_name'],
+                    'created_at' => $row['created_at']
+                ];
+            }
+            
+            return $history;
+            
+        } catch (Exception $e) {
+            error_log("Get booking history error: " . $e->getMessage());
+            return [];
+        }
+    }
+    
     /**
      * Get upcoming bookings
      */
@@ -325,9 +461,9 @@ class BookingManager {
      * Create new booking
      */
     public function createBooking($data) {
-        $validation = $this->validateBookingData($data);
+        $validation = $this->validateBookingData($data, $data['company_id'] ?? null);
         if (!$validation['valid']) {
-            return ['success' => false, 'errors' => $validation['errors']];
+            return ['success' => false, 'errors' => $validation['errors'], 'field_errors' => $validation['field_errors']];
         }
         
         try {
@@ -335,52 +471,24 @@ class BookingManager {
             
             // Check slot availability
             if (!$this->isSlotAvailable($data['time_slot_id'])) {
-                return ['success' => false, 'errors' => ['Slot není dostupný']];
+                $this->db->rollBack();
+                return $this->fieldError('time_slot_id', 'Slot není dostupný');
             }
             
-            // Generate booking number
-            $bookingNumber = $this->generateBookingNumber();
-            
-            // Generate QR code
-            $qrCode = $this->generateQRCode($bookingNumber);
-            
             // Determine status (requires approval for some companies)
             $requiresApproval = $this->requiresApproval($data['company_id']);
             $status = $requiresApproval ? self::STATUS_PENDING : self::STATUS_CONFIRMED;
             
-            $query = "INSERT INTO bookings (
-                        booking_number, time_slot_id, company_id, driver_id, vehicle_id,
-                        booking_type, reference_number, notes, qr_code, status,
-                        created_by, created_at, updated_at
-                     ) VALUES (
-                        :booking_number, :time_slot_id, :company_id, :driver_id, :vehicle_id,
-                        :booking_type, :reference_number, :notes, :qr_code, :status,
-                        :created_by, NOW(), NOW()
-                     )";
+            $booking = $this->insertBooking($data, $status);
             
-            $stmt = $this->db->prepare($query);
-            $stmt->bindParam(':booking_number', $bookingNumber);
-            $stmt->bindParam(':time_slot_id', $data['time_slot_id']);
-            $stmt->bindParam(':company_id', $data['company_id']);
-            $stmt->bindParam(':driver_id', $data['driver_id'] ?? null);
-            $stmt->bindParam(':vehicle_id', $data['vehicle_id'] ?? null);
-            $stmt->bindParam(':booking_type', $data['booking_type'] ?? self::TYPE_UNIVERSAL);
-            $stmt->bindParam(':reference_number', $data['reference_number'] ?? null);
-            $stmt->bindParam(':notes', $data['notes'] ?? null);
-            $stmt->bindParam(':qr_code', $qrCode);
-            $stmt->bindParam(':status', $status);
-            $stmt->bindParam(':created_by', $data['created_by']);
-            
-            if ($stmt->execute()) {
-                $bookingId = $this->db->lastInsertId();
-                
+            if ($booking) {
                 $this->db->commit();
                 
                 return [
                     'success' => true,
-                    'booking_id' => $bookingId,
-                    'booking_number' => $bookingNumber,
-                    'qr_code' => $qrCode,
+                    'booking_id' => $booking['booking_id'],
+                    'booking_number' => $booking['booking_number'],
+                    'qr_code' => $booking['qr_code'],
                     'requires_approval' => $requiresApproval
                 ];
             }
@@ -395,6 +503,326 @@ class BookingManager {
         }
     }
     
+    /**
+     * Dates of a recurring booking from the start date
+     *
+     * Recurrence has frequency (daily or weekly), weekdays (1 = Monday ... 7 = Sunday)
+     * for weekly series and until (Y-m-d) and/or count, whichever ends the series first
+     */
+    public function getSeriesDates($startDate, $recurrence) {
+        $errors = [];
+        $frequency = $recurrence['frequency'] ?? null;
+        $weekdays = array_values(array_unique(array_map('intval', (array) ($recurrence['weekdays'] ?? []))));
+        $until = $this->nullIfEmpty($recurrence['until'] ?? null);
+        $count = $this->nullIfEmpty($recurrence['count'] ?? null);
+        
+        if (!in_array($frequency, [self::FREQUENCY_DAILY, self::FREQUENCY_WEEKLY])) {
+            $errors['recurrence_frequency'] = 'Neplatné opakování';
+        }
+        
+        if ($frequency === self::FREQUENCY_WEEKLY && (empty($weekdays) || array_diff($weekdays, range(1, 7)))) {
+            $errors['recurrence_weekdays'] = 'Vyberte dny v týdnu';
+        }
+        
+        if ($until === null && $count === null) {
+            $errors['recurrence_until'] = 'Zadejte konec opakování';
+        }
+        
+        if ($until !== null && (!$this->isValidDate($until) || $until < $startDate)) {
+            $errors['recurrence_until'] = 'Konec opakování musí být po prvním termínu';
+        }
+        
+        if ($count !== null && (intval($count) < 1 || intval($count) > self::MAX_SERIES_OCCURRENCES)) {
+            $errors['recurrence_count'] = 'Počet opakování musí být 1 až ' . self::MAX_SERIES_OCCURRENCES;
+        }
+        
+        if (!empty($errors)) {
+            return ['success' => false, 'errors' => array_values($errors), 'field_errors' => $errors];
+        }
+        
+        $limit = $count !== null ? intval($count) : self::MAX_SERIES_OCCURRENCES + 1;
+        $date = new DateTime($startDate);
+        $dates = [];
+        
+        // Every week has a chosen weekday, so seven days per occurrence are enough
+        for ($day = 0; $day < $limit * 7 && count($dates) < $limit; $day++) {
+            $value = $date->format('Y-m-d');
+            if ($until !== null && $value > $until) {
+                break;
+            }
+            
+            if ($frequency === self::FREQUENCY_DAILY || in_array(intval($date->format('N')), $weekdays)) {
+                $dates[] = $value;
+            }
+            $date->modify('+1 day');
+        }
+        
+        if (count($dates) > self::MAX_SERIES_OCCURRENCES) {
+            return $this->fieldError('recurrence_until', 'Série může mít nejvýše ' . self::MAX_SERIES_OCCURRENCES . ' termínů');
+        }
+        
+        if (empty($dates)) {
+            return $this->fieldError('recurrence_weekdays', 'Ve zvoleném období není žádný termín');
+        }
+        
+        return ['success' => true, 'dates' => $dates];
+    }
+    
+    /**
+     * Occurrences of a recurring booking with the slot each of them would take
+     *
+     * Every occurrence needs a slot of the same warehouse, zone and time as the
+     * first one, occurrences without a free slot are reported as conflicts
+     */
+    public function previewSeries($data, $recurrence) {
+        try {
+            $query = "SELECT * FROM time_slots WHERE id = :slot_id";
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':slot_id', $data['time_slot_id'] ?? null);
+            $stmt->execute();
+            
+            $baseSlot = $stmt->fetch();
+            if (!$baseSlot) {
+                return $this->fieldError('time_slot_id', 'Slot nebyl nalezen');
+            }
+            
+            $dates = $this->getSeriesDates($baseSlot['slot_date'], $recurrence);
+            if (!$dates['success']) {
+                return $dates;
+            }
+            
+            $bookingType = $this->nullIfEmpty($data['booking_type'] ?? null) ?? self::TYPE_UNIVERSAL;
+            $occurrences = [];
+            foreach ($dates['dates'] as $date) {
+                $occurrences[] = ['slot_date' => $date] + $this->findSeriesSlot($baseSlot, $date, $bookingType);
+            }
+            
+            return ['success' => true, 'occurrences' => $occurrences];
+            
+        } catch (Exception $e) {
+            error_log("Preview series error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při kontrole termínů série']];
+        }
+    }
+    
+    /**
+     * Create recurring booking, occurrences in conflict are skipped
+     */
+    public function createSeries($data, $recurrence) {
+        $validation = $this->validateBookingData($data, $data['company_id'] ?? null);
+        if (!$validation['valid']) {
+            return ['success' => false, 'errors' => $validation['errors'], 'field_errors' => $validation['field_errors']];
+        }
+        
+        $preview = $this->previewSeries($data, $recurrence);
+        if (!$preview['success']) {
+            return $preview;
+        }
+        
+        try {
+            $this->db->beginTransaction();
+            
+            $query = "INSERT INTO booking_series (company_id, frequency, weekdays, until_date, occurrences, created_by)
+                     VALUES (:company_id, :frequency, :weekdays, :until_date, :occurrences, :created_by)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':company_id', $data['company_id']);
+            $stmt->bindValue(':frequency', $recurrence['frequency']);
+            $stmt->bindValue(':weekdays', $recurrence['frequency'] === self::FREQUENCY_WEEKLY ? implode(',', array_map('intval', (array) $recurrence['weekdays'])) : null);
+            $stmt->bindValue(':until_date', $this->nullIfEmpty($recurrence['until'] ?? null));
+            $stmt->bindValue(':occurrences', $this->nullIfEmpty($recurrence['count'] ?? null));
+            $stmt->bindValue(':created_by', $data['created_by']);
+            $stmt->execute();
+            
+            $seriesId = $this->db->lastInsertId();
+            
+            $requiresApproval = $this->requiresApproval($data['company_id']);
+            $status = $requiresApproval ? self::STATUS_PENDING : self::STATUS_CONFIRMED;
+            
+            $bookings = [];
+            $skipped = [];
+            foreach ($preview['occurrences'] as $occurrence) {
+                // Slot may have been taken since the preview
+                if ($occurrence['available'] && !$this->isSlotAvailable($occurrence['time_slot_id'])) {
+                    $occurrence['available'] = false;
+                    $occurrence['reason'] = 'Slot byl mezitím obsazen';
+                }
+                
+                if (!$occurrence['available']) {
+                    $skipped[] = $occurrence;
+                    continue;
+                }
+                
+                $booking = $this->insertBooking(['time_slot_id' => $occurrence['time_slot_id'], 'series_id' => $seriesId] + $data, $status);
+                if (!$booking) {
+                    throw new Exception('Booking insert failed for ' . $occurrence['slot_date']);
+                }
+                $bookings[] = $booking + ['slot_date' => $occurrence['slot_date']];
+            }
+            
+            if (empty($bookings)) {
+                $this->db->rollBack();
+                return ['success' => false, 'errors' => ['Žádný termín série není volný']];
+            }
+            
+            $this->db->commit();
+            
+            return [
+                'success' => true,
+                'series_id' => $seriesId,
+                'bookings' => $bookings,
+                'skipped' => $skipped,
+                'requires_approval' => $requiresApproval
+            ];
+            
+        } catch (Exception $e) {
+            $this->db->rollBack();
+            error_log("Create series error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření série rezervací']];
+        }
+    }
+    
+    /**
+     * Get series recurrence with all its bookings in date order
+     */
+    public function getBookingSeries($seriesId) {
+        try {
+            $stmt = $this->db->prepare("SELECT * FROM booking_series WHERE id = :series_id");
+            $stmt->bindValue(':series_id', $seriesId);
+            $stmt->execute();
+            
+            $series = $stmt->fetch();
+            if (!$series) {
+                return null;
+            }
+            
+            $query = "SELECT b.id, b.booking_number, b.status,
+                            ts.slot_date, ts.slot_time_start, ts.slot_time_end
+                     FROM bookings b
+                     JOIN time_slots ts ON b.time_slot_id = ts.id
+                     WHERE b.series_id = :series_id
+                     ORDER BY ts.slot_date, ts.slot_time_start";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':series_id', $seriesId);
+            $stmt->execute();
+            
+            $series['weekdays'] = $series['weekdays'] ? array_map('intval', explode(',', $series['weekdays'])) : [];
+            $series['bookings'] = $stmt->fetchAll();
+            
+            return $series;
+            
+        } catch (Exception $e) {
+            error_log("Get booking series error: " . $e->getMessage());
+            return null;
+        }
+    }
+    
+    /**
+     * Update booking and carry driver, vehicle, reference number and notes
+     * over to the upcoming bookings of its series
+     */
+    public function updateSeries($bookingId, $data) {
+        try {
+            $booking = $this->getBookingById($bookingId);
+            if (!$booking) {
+                return ['success' => false, 'errors' => ['Rezervace nenalezena']];
+            }
+            
+            if (empty($booking['series_id'])) {
+                return ['success' => false, 'errors' => ['Rezervace není součástí série']];
+            }
+            
+            $result = $this->updateBooking($bookingId, $data);
+            if (!$result['success']) {
+                return $result;
+            }
+            
+            // Slot and type stay per booking, each slot fits its own booking type
+            $fields = [];
+            $params = [];
+            foreach (['driver_id', 'vehicle_id', 'reference_number', 'notes'] as $field) {
+                if (array_key_exists($field, $data)) {
+                    $fields[] = "$field = :$field";
+                    $params[":$field"] = $this->nullIfEmpty($data[$field]);
+                }
+            }
+            
+            $bookingIds = $this->getActiveSeriesBookingIds($booking['series_id'], $bookingId);
+            
+            if (!empty($fields) && !empty($bookingIds)) {
+                $placeholders = [];
+                foreach ($bookingIds as $index => $id) {
+                    $placeholders[] = ":id_$index";
+                    $params[":id_$index"] = $id;
+                }
+                
+                $query = "UPDATE bookings SET " . implode(', ', $fields) . ", updated_at = NOW()
+                          WHERE id IN (" . implode(', ', $placeholders) . ")";
+                
+                $stmt = $this->db->prepare($query);
+                $stmt->execute($params);
+            }
+            
+            return [
+                'success' => true,
+                'message' => 'Série rezervací byla aktualizována',
+                'booking_ids' => array_merge([$bookingId], empty($fields) ? [] : $bookingIds)
+            ];
+            
+        } catch (Exception $e) {
+            error_log("Update series error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při aktualizaci série']];
+        }
+    }
+    
+    /**
+     * Cancel all upcoming bookings of the booking's series
+     */
+    public function cancelSeries($bookingId, $reason = null) {
+        try {
+            $booking = $this->getBookingById($bookingId);
+            if (!$booking) {
+                return ['success' => false, 'errors' => ['Rezervace nenalezena']];
+            }
+            
+            if (empty($booking['series_id'])) {
+                return ['success' => false, 'errors' => ['Rezervace není součástí série']];
+            }
+            
+            $bookingIds = $this->getActiveSeriesBookingIds($booking['series_id']);
+            if (empty($bookingIds)) {
+                return ['success' => false, 'errors' => ['Série nemá žádné nadcházející rezervace']];
+            }
+            
+            $placeholders = [];
+            $params = [':status' => self::STATUS_CANCELLED, ':reason' => $reason];
+            foreach ($bookingIds as $index => $id) {
+                $placeholders[] = ":id_$index";
+                $params[":id_$index"] = $id;
+            }
+            
+            $query = "UPDATE bookings SET 
+                        status = :status,
+                        cancelled_at = NOW(),
+                        cancellation_reason = :reason,
+                        updated_at = NOW()
+                      WHERE id IN (" . implode(', ', $placeholders) . ")";
+            
+            $stmt = $this->db->prepare($query);
+            
+            if ($stmt->execute($params)) {
+                return ['success' => true, 'message' => 'Série rezervací byla zrušena', 'booking_ids' => $bookingIds];
+            }
+            
+            return ['success' => false, 'errors' => ['Zrušení série se nezdařilo']];
+            
+        } catch (Exception $e) {
+            error_log("Cancel series error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při rušení série']];
+        }
+    }
+    
     /**
      * Check-in booking
      */
@@ -569,21 +997,21 @@ class BookingManager {
      * Update booking
      */
     public function updateBooking($bookingId, $data) {
-        $validation = $this->validateBookingData($data, true);
-        if (!$validation['valid']) {
-            return ['success' => false, 'errors' => $validation['errors']];
-        }
-        
         try {
             $booking = $this->getBookingById($bookingId);
             if (!$booking) {
                 return ['success' => false, 'errors' => ['Rezervace nenalezena']];
             }
             
+            $validation = $this->validateBookingData($data, $booking['company_id'], true);
+            if (!$validation['valid']) {
+                return ['success' => false, 'errors' => $validation['errors'], 'field_errors' => $validation['field_errors']];
+            }
+            
             // Check if slot is available if changing slot
-            if (isset($data['time_slot_id']) && $data['time_slot_id'] != $booking['time_slot_id']) {
+            if (!empty($data['time_slot_id']) && $data['time_slot_id'] != $booking['time_slot_id']) {
                 if (!$this->isSlotAvailable($data['time_slot_id'])) {
-                    return ['success' => false, 'errors' => ['Nový slot není dostupný']];
+                    return $this->fieldError('time_slot_id', 'Nový slot není dostupný');
                 }
             }
             
@@ -594,10 +1022,11 @@ class BookingManager {
             // Updateable fields
             $updateFields = ['time_slot_id', 'driver_id', 'vehicle_id', 'booking_type', 'reference_number', 'notes'];
             
+            // Empty value clears optional field, e.g. unassigns the driver
             foreach ($updateFields as $field) {
-                if (isset($data[$field])) {
+                if (array_key_exists($field, $data)) {
                     $fields[] = "$field = :$field";
-                    $params[":$field"] = $data[$field];
+                    $params[":$field"] = $this->nullIfEmpty($data[$field]);
                 }
             }
             
@@ -651,7 +1080,7 @@ class BookingManager {
             $stmt = $this->db->prepare($query);
             $stmt->bindParam(':booking_id', $bookingId);
             $stmt->bindParam(':status', $newStatus);
-            $stmt->bindParam(':note', $note ? "\n" . date('Y-m-d H:i:s') . ": " . $note : '');
+            $stmt->bindValue(':note', $note ? "\n" . date('Y-m-d H:i:s') . ": " . $note : '');
             
             if ($stmt->execute()) {
                 return ['success' => true, 'message' => 'Status byl změněn'];
@@ -667,29 +1096,194 @@ class BookingManager {
     
     // Private helper methods
     
-    private function validateBookingData($data, $isUpdate = false) {
+    /**
+     * Validate booking input, errors are keyed by the input field
+     */
+    private function validateBookingData($data, $companyId, $isUpdate = false) {
         $errors = [];
         
-        if (!$isUpdate) {
-            if (empty($data['time_slot_id'])) {
-                $errors[] = 'Time slot ID je povinný';
-            }
-            
-            if (empty($data['company_id'])) {
-                $errors[] = 'Company ID je povinný';
-            }
+        if ((!$isUpdate || array_key_exists('time_slot_id', $data)) && empty($data['time_slot_id'])) {
+            $errors['time_slot_id'] = 'Time slot ID je povinný';
+        }
+        
+        if (!$isUpdate && empty($companyId)) {
+            $errors['company_id'] = 'Company ID je povinný';
+        }
+        
+        if (!empty($data['booking_type']) && !in_array($data['booking_type'], [self::TYPE_LOADING, self::TYPE_UNLOADING, self::TYPE_UNIVERSAL])) {
+            $errors['booking_type'] = 'Neplatný typ rezervace';
         }
         
-        if (isset($data['booking_type']) && !in_array($data['booking_type'], [self::TYPE_LOADING, self::TYPE_UNLOADING, self::TYPE_UNIVERSAL])) {
-            $errors[] = 'Neplatný typ rezervace';
+        if (!empty($data['reference_number']) && mb_strlen($data['reference_number']) > 100) {
+            $errors['reference_number'] = 'Referenční číslo může mít nejvýše 100 znaků';
+        }
+        
+        if (!empty($data['driver_id']) && !$this->belongsToCompany('users', $data['driver_id'], $companyId, "user_type = 'driver'")) {
+            $errors['driver_id'] = 'Řidič nebyl nalezen';
+        }
+        
+        if (!empty($data['vehicle_id']) && !$this->belongsToCompany('vehicles', $data['vehicle_id'], $companyId)) {
+            $errors['vehicle_id'] = 'Vozidlo nebylo nalezeno';
         }
         
         return [
             'valid' => empty($errors),
-            'errors' => $errors
+            'errors' => array_values($errors),
+            'field_errors' => $errors
+        ];
+    }
+    
+    /**
+     * Active driver or vehicle of the company
+     */
+    private function belongsToCompany($table, $id, $companyId, $condition = '1 = 1') {
+        $query = "SELECT COUNT(*) FROM $table
+                  WHERE id = :id AND is_active = 1 AND $condition";
+        
+        if ($companyId) {
+            $query .= " AND company_id = :company_id";
+        }
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindValue(':id', $id);
+        if ($companyId) {
+            $stmt->bindValue(':company_id', $companyId);
+        }
+        $stmt->execute();
+        
+        return $stmt->fetchColumn() > 0;
+    }
+    
+    private function fieldError($field, $message) {
+        return ['success' => false, 'errors' => [$message], 'field_errors' => [$field => $message]];
+    }
+    
+    private function nullIfEmpty($value) {
+        return $value === '' ? null : $value;
+    }
+    
+    /**
+     * Insert booking row, returns its id, number and QR code or null
+     */
+    private function insertBooking($data, $status) {
+        $bookingNumber = $this->generateBookingNumber();
+        $qrCode = $this->generateQRCode($bookingNumber);
+        
+        $query = "INSERT INTO bookings (
+                    booking_number, time_slot_id, company_id, driver_id, vehicle_id,
+                    booking_type, reference_number, notes, qr_code, status,
+                    series_id, created_by, created_at, updated_at
+                 ) VALUES (
+                    :booking_number, :time_slot_id, :company_id, :driver_id, :vehicle_id,
+                    :booking_type, :reference_number, :notes, :qr_code, :status,
+                    :series_id, :created_by, NOW(), NOW()
+                 )";
+        
+        // bindValue, expressions cannot be bound by reference
+        $stmt = $this->db->prepare($query);
+        $stmt->bindValue(':booking_number', $bookingNumber);
+        $stmt->bindValue(':time_slot_id', $data['time_slot_id']);
+        $stmt->bindValue(':company_id', $data['company_id']);
+        $stmt->bindValue(':driver_id', $this->nullIfEmpty($data['driver_id'] ?? null));
+        $stmt->bindValue(':vehicle_id', $this->nullIfEmpty($data['vehicle_id'] ?? null));
+        $stmt->bindValue(':booking_type', $this->nullIfEmpty($data['booking_type'] ?? null) ?? self::TYPE_UNIVERSAL);
+        $stmt->bindValue(':reference_number', $this->nullIfEmpty($data['reference_number'] ?? null));
+        $stmt->bindValue(':notes', $this->nullIfEmpty($data['notes'] ?? null));
+        $stmt->bindValue(':qr_code', $qrCode);
+        $stmt->bindValue(':status', $status);
+        $stmt->bindValue(':series_id', $data['series_id'] ?? null);
+        $stmt->bindValue(':created_by', $data['created_by']);
+        
+        if (!$stmt->execute()) {
+            return null;
+        }
+        
+        return [
+            'booking_id' => $this->db->lastInsertId(),
+            'booking_number' => $bookingNumber,
+            'qr_code' => $qrCode
         ];
     }
     
+    /**
+     * Slot of the same warehouse, zone and time as the base slot on another date
+     */
+    private function findSeriesSlot($baseSlot, $date, $bookingType) {
+        $query = "SELECT s.id, s.capacity, s.is_blocked, s.block_reason,
+                        (SELECT COUNT(*) FROM bookings WHERE time_slot_id = s.id AND status NOT IN ('cancelled')) as booked_count
+                 FROM time_slots s
+                 WHERE s.warehouse_id = :warehouse_id
+                 AND s.zone_id <=> :zone_id
+                 AND s.slot_date = :slot_date
+                 AND s.slot_time_start = :slot_time_start
+                 AND s.slot_time_end = :slot_time_end";
+        
+        $params = [
+            ':warehouse_id' => $baseSlot['warehouse_id'],
+            ':zone_id' => $baseSlot['zone_id'],
+            ':slot_date' => $date,
+            ':slot_time_start' => $baseSlot['slot_time_start'],
+            ':slot_time_end' => $baseSlot['slot_time_end']
+        ];
+        
+        // Universal bookings fit any slot
+        if ($bookingType !== self::TYPE_UNIVERSAL) {
+            $query .= " AND (s.slot_type = :slot_type OR s.slot_type = 'universal')";
+            $params[':slot_type'] = $bookingType;
+        }
+        
+        $stmt = $this->db->prepare($query . " ORDER BY s.id");
+        $stmt->execute($params);
+        
+        $occurrence = [
+            'time_slot_id' => null,
+            'slot_time_start' => $baseSlot['slot_time_start'],
+            'slot_time_end' => $baseSlot['slot_time_end'],
+            'available' => false,
+            'reason' => 'V tomto čase není vypsaný slot'
+        ];
+        
+        foreach ($stmt->fetchAll() as $slot) {
+            if (!$slot['is_blocked'] && $slot['booked_count'] < $slot['capacity']) {
+                return ['time_slot_id' => $slot['id'], 'available' => true, 'reason' => null] + $occurrence;
+            }
+            
+            $occurrence['time_slot_id'] = $slot['id'];
+            $occurrence['reason'] = $slot['is_blocked']
+                ? 'Slot je blokován' . ($slot['block_reason'] ? ': ' . $slot['block_reason'] : '')
+                : 'Slot je plně obsazen';
+        }
+        
+        return $occurrence;
+    }
+    
+    /**
+     * Upcoming bookings of a series that can still be changed
+     */
+    private function getActiveSeriesBookingIds($seriesId, $excludeBookingId = null) {
+        $query = "SELECT b.id FROM bookings b
+                 JOIN time_slots ts ON b.time_slot_id = ts.id
+                 WHERE b.series_id = :series_id
+                 AND ts.slot_date >= CURDATE()
+                 AND b.status IN ('" . implode("', '", self::SERIES_ACTIVE_STATUSES) . "')";
+        
+        $params = [':series_id' => $seriesId];
+        if ($excludeBookingId) {
+            $query .= " AND b.id != :exclude_id";
+            $params[':exclude_id'] = $excludeBookingId;
+        }
+        
+        $stmt = $this->db->prepare($query . " ORDER BY ts.slot_date");
+        $stmt->execute($params);
+        
+        return array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    }
+    
+    private function isValidDate($date) {
+        $parsed = DateTime::createFromFormat('Y-m-d', $date);
+        return $parsed && $parsed->format('Y-m-d') === $date;
+    }
+    
     private function isSlotAvailable($slotId) {
         try {
             $query = "SELECT s.capacity, 
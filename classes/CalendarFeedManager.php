@@ -0,0 +1,453 @@
+<?php
+/**
+ * Calendar Feed Management Class
+ * Logistic CRM System
+ *
+ * Builds iCalendar (RFC 5545) files of slots and bookings and handles the
+ * personal subscription tokens calendar apps use to refresh them
+ */
+
+class CalendarFeedManager {
+    private $db;
+    
+    // Slot times are local times of the warehouses
+    const TIMEZONE = 'Europe/Prague';
+    
+    // Range of the subscription feed around today
+    const FEED_DAYS_BACK = 30;
+    const FEED_DAYS_AHEAD = 180;
+    
+    // Longest range of a single export
+    const MAX_EXPORT_DAYS = 366;
+    
+    // How often calendar apps should refresh the feed
+    const REFRESH_INTERVAL = 'PT15M';
+    
+    const TYPE_LABELS = [
+        'loading' => 'Nakládka',
+        'unloading' => 'Vykládka',
+        'universal' => 'Univerzální'
+    ];
+    
+    const STATUS_LABELS = [
+        'pending' => 'Čeká',
+        'approved' => 'Schváleno',
+        'confirmed' => 'Potvrzeno',
+        'checked_in' => 'Přijel',
+        'checked_out' => 'Odjel',
+        'completed' => 'Dokončeno',
+        'cancelled' => 'Zrušeno',
+        'delayed' => 'Zpožděno',
+        'rescheduled' => 'Přeplánováno'
+    ];
+    
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Subscription token of the user, null when none was created
+     */
+    public function getToken($userId) {
+        $stmt = $this->db->prepare("SELECT token, created_at, last_used_at FROM calendar_feed_tokens WHERE user_id = :user_id");
+        $stmt->bindValue(':user_id', $userId);
+        $stmt->execute();
+        
+        return $stmt->fetch() ?: null;
+    }
+    
+    /**
+     * New subscription token, the previous URL stops working
+     */
+    public function regenerateToken($userId) {
+        $token = bin2hex(random_bytes(32));
+        
+        $stmt = $this->db->prepare("
+            INSERT INTO calendar_feed_tokens (user_id, token) VALUES (:user_id, :token)
+            ON DUPLICATE KEY UPDATE token = VALUES(token), created_at = CURRENT_TIMESTAMP, last_used_at = NULL
+        ");
+        $stmt->bindValue(':user_id', $userId);
+        $stmt->bindValue(':token', $token);
+        $stmt->execute();
+        
+        return $this->getToken($userId);
+    }
+    
+    public function revokeToken($userId) {
+        $stmt = $this->db->prepare("DELETE FROM calendar_feed_tokens WHERE user_id = :user_id");
+        $stmt->bindValue(':user_id', $userId);
+        $stmt->execute();
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    /**
+     * Active user owning the token, in the shape authenticate() returns
+     */
+    public function getUserByToken($token) {
+        if (!is_string($token) || !preg_match('/^[0-9a-f]{64}$/', $token)) {
+            return null;
+        }
+        
+        $stmt = $this->db->prepare("
+            SELECT u.id as user_id, u.user_type, u.full_name, u.company_id
+            FROM calendar_feed_tokens t
+            JOIN users u ON t.user_id = u.id
+            WHERE t.token = :token AND u.is_active = 1
+        ");
+        $stmt->bindValue(':token', $token);
+        $stmt->execute();
+        
+        $user = $stmt->fetch();
+        if (!$user) {
+            return null;
+        }
+        
+        $stmt = $this->db->prepare("UPDATE calendar_feed_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE token = :token");
+        $stmt->bindValue(':token', $token);
+        $stmt->execute();
+        
+        return $user;
+    }
+    
+    /**
+     * Dates of the subscription feed, [start, end]
+     */
+    public function getFeedRange() {
+        return [
+            date('Y-m-d', strtotime('-' . self::FEED_DAYS_BACK . ' days')),
+            date('Y-m-d', strtotime('+' . self::FEED_DAYS_AHEAD . ' days'))
+        ];
+    }
+    
+    /**
+     * Calendar of the user for a date range
+     *
+     * Drivers get their own bookings, everyone else the slots of the
+     * company warehouses with their bookings in the description. UIDs
+     * stay the same across exports, SEQUENCE and LAST-MODIFIED grow with
+     * every change so calendar apps update the event instead of adding one
+     */
+    public function buildCalendar($user, $startDate, $endDate, $warehouseId = null, $options = []) {
+        $isDriver = $user['user_type'] === 'driver';
+        
+        $lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Logistic CRM//Kalendar slotu//CS',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:' . $this->escapeText($options['name'] ?? ($isDriver ? 'Moje rezervace' : 'Sloty skladů')),
+            'X-WR-TIMEZONE:' . self::TIMEZONE
+        ];
+        
+        if (!empty($options['refresh'])) {
+            $lines[] = 'REFRESH-INTERVAL;VALUE=DURATION:' . self::REFRESH_INTERVAL;
+            $lines[] = 'X-PUBLISHED-TTL:' . self::REFRESH_INTERVAL;
+        }
+        
+        // UIDs of the export and the feed match, the host makes them unique
+        $host = $options['host'] ?? preg_replace('/:\d+$/', '', $_SERVER['HTTP_HOST'] ?? 'logistic-crm');
+        $stamp = gmdate('Ymd\THis\Z');
+        
+        if ($isDriver) {
+            foreach ($this->getBookings($user, $startDate, $endDate, $warehouseId) as $booking) {
+                $lines = array_merge($lines, $this->bookingEvent($booking, $host, $stamp));
+            }
+        } else {
+            $slots = $this->getSlots($user, $startDate, $endDate, $warehouseId);
+            $bookingsBySlot = [];
+            foreach ($this->getBookings($user, $startDate, $endDate, $warehouseId) as $booking) {
+                $bookingsBySlot[$booking['time_slot_id']][] = $booking;
+            }
+            
+            foreach ($slots as $slot) {
+                $lines = array_merge($lines, $this->slotEvent($slot, $bookingsBySlot[$slot['id']] ?? [], $host, $stamp));
+            }
+        }
+        
+        $lines[] = 'END:VCALENDAR';
+        
+        $output = '';
+        foreach ($lines as $line) {
+            $output .= $this->foldLine($line);
+        }
+        return $output;
+    }
+    
+    /**
+     * Slots of the warehouses the user may see
+     */
+    private function getSlots($user, $startDate, $endDate, $warehouseId) {
+        $query = "SELECT s.*, w.name as warehouse_name, w.address as warehouse_address, wz.name as zone_name
+                 FROM time_slots s
+                 JOIN warehouses w ON s.warehouse_id = w.id
+                 LEFT JOIN warehouse_zones wz ON s.zone_id = wz.id
+                 WHERE s.slot_date BETWEEN :start_date AND :end_date";
+        
+        $params = [
+            ':start_date' => $startDate,
+            ':end_date' => $endDate
+        ];
+        
+        if ($user['user_type'] !== 'super_admin') {
+            $query .= " AND (w.company_id = :company_id OR w.company_id IS NULL)";
+            $params[':company_id'] = $user['company_id'];
+        }
+        
+        if ($warehouseId) {
+            $query .= " AND s.warehouse_id = :warehouse_id";
+            $params[':warehouse_id'] = $warehouseId;
+        }
+        
+        $query .= " ORDER BY s.slot_date, s.slot_time_start";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->execute();
+        
+        return $stmt->fetchAll();
+    }
+    
+    /**
+     * Bookings the user may see, cancelled ones included so that calendar
+     * apps learn about the cancellation
+     */
+    private function getBookings($user, $startDate, $endDate, $warehouseId) {
+        $query = "SELECT b.id, b.booking_number, b.time_slot_id, b.booking_type, b.reference_number, b.notes,
+                        b.status, b.cancellation_reason, b.created_at, b.updated_at,
+                        ts.slot_date, ts.slot_time_start, ts.slot_time_end,
+                        w.name as warehouse_name, w.address as warehouse_address, wz.name as zone_name,
+                        u.full_name as driver_name, u.phone as driver_phone,
+                        v.license_plate as vehicle_license
+                 FROM bookings b
+                 JOIN time_slots ts ON b.time_slot_id = ts.id
+                 JOIN warehouses w ON ts.warehouse_id = w.id
+                 LEFT JOIN warehouse_zones wz ON ts.zone_id = wz.id
+                 LEFT JOIN users u ON b.driver_id = u.id
+                 LEFT JOIN vehicles v ON b.vehicle_id = v.id
+                 WHERE ts.slot_date BETWEEN :start_date AND :end_date";
+        
+        $params = [
+            ':start_date' => $startDate,
+            ':end_date' => $endDate
+        ];
+        
+        // Same visibility as the bookings list
+        if ($user['user_type'] !== 'super_admin') {
+            $query .= " AND b.company_id = :company_id";
+            $params[':company_id'] = $user['company_id'];
+        }
+        
+        if ($user['user_type'] === 'driver') {
+            $query .= " AND b.driver_id = :driver_id";
+            $params[':driver_id'] = $user['user_id'];
+        }
+        
+        if ($warehouseId) {
+            $query .= " AND ts.warehouse_id = :warehouse_id";
+            $params[':warehouse_id'] = $warehouseId;
+        }
+        
+        $query .= " ORDER BY ts.slot_date, ts.slot_time_start, b.booking_number";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->execute();
+        
+        return $stmt->fetchAll();
+    }
+    
+    private function bookingEvent($booking, $host, $stamp) {
+        $status = self::STATUS_LABELS[$booking['status']] ?? $booking['status'];
+        $type = self::TYPE_LABELS[$booking['booking_type']] ?? $booking['booking_type'];
+        
+        $description = [
+            'Stav: ' . $status,
+            'Typ: ' . $type
+        ];
+        if (!empty($booking['reference_number'])) {
+            $description[] = 'Reference: ' . $booking['reference_number'];
+        }
+        if (!empty($booking['driver_name'])) {
+            $description[] = 'Řidič: ' . $booking['driver_name'] . (!empty($booking['driver_phone']) ? ', ' . $booking['driver_phone'] : '');
+        }
+        if (!empty($booking['vehicle_license'])) {
+            $description[] = 'Vozidlo: ' . $booking['vehicle_license'];
+        }
+        if ($booking['status'] === 'cancelled' && !empty($booking['cancellation_reason'])) {
+            $description[] = 'Důvod zrušení: ' . $booking['cancellation_reason'];
+        }
+        if (!empty($booking['notes'])) {
+            $description[] = 'Poznámka: ' . $booking['notes'];
+        }
+        
+        // Pending bookings may still be declined
+        $eventStatus = 'CONFIRMED';
+        if ($booking['status'] === 'pending') {
+            $eventStatus = 'TENTATIVE';
+        } elseif ($booking['status'] === 'cancelled') {
+            $eventStatus = 'CANCELLED';
+        }
+        
+        return $this->event([
+            'uid' => 'booking-' . $booking['id'] . '@' . $host,
+            'stamp' => $stamp,
+            'date' => $booking['slot_date'],
+            'start' => $booking['slot_time_start'],
+            'end' => $booking['slot_time_end'],
+            'created' => $booking['created_at'],
+            'modified' => $booking['updated_at'],
+            'summary' => $booking['booking_number'] . ' – ' . $type . ', ' . $booking['warehouse_name'] . ' (' . $status . ')',
+            'location' => $this->formatLocation($booking),
+            'description' => implode("\n", $description),
+            'status' => $eventStatus,
+            'categories' => 'Rezervace'
+        ]);
+    }
+    
+    /**
+     * Slot with its bookings, changed whenever one of them changes
+     */
+    private function slotEvent($slot, $bookings, $host, $stamp) {
+        $type = self::TYPE_LABELS[$slot['slot_type']] ?? $slot['slot_type'];
+        $modified = $slot['updated_at'];
+        
+        $active = [];
+        foreach ($bookings as $booking) {
+            if (strtotime($booking['updated_at']) > strtotime($modified)) {
+                $modified = $booking['updated_at'];
+            }
+            if (!in_array($booking['status'], ['cancelled', 'completed'])) {
+                $active[] = $booking;
+            }
+        }
+        
+        $description = [
+            'Typ: ' . $type,
+            'Obsazeno: ' . count($active) . ' z ' . $slot['capacity']
+        ];
+        if ($slot['is_blocked']) {
+            $description[] = 'Blokováno' . (!empty($slot['block_reason']) ? ': ' . $slot['block_reason'] : '');
+        }
+        if (!empty($bookings)) {
+            $description[] = '';
+            $description[] = 'Rezervace:';
+            foreach ($bookings as $booking) {
+                $details = array_filter([$booking['driver_name'], $booking['vehicle_license']]);
+                $description[] = '- ' . $booking['booking_number'] . ' (' . (self::STATUS_LABELS[$booking['status']] ?? $booking['status']) . ')'
+                    . (!empty($details) ? ' – ' . implode(', ', $details) : '');
+            }
+        }
+        
+        $summary = $type . ' – ' . $slot['warehouse_name'] . ' (' . count($active) . '/' . $slot['capacity'] . ')';
+        if ($slot['is_blocked']) {
+            $summary = 'Blokováno – ' . $slot['warehouse_name'];
+        }
+        
+        return $this->event([
+            'uid' => 'slot-' . $slot['id'] . '@' . $host,
+            'stamp' => $stamp,
+            'date' => $slot['slot_date'],
+            'start' => $slot['slot_time_start'],
+            'end' => $slot['slot_time_end'],
+            'created' => $slot['created_at'],
+            'modified' => $modified,
+            'summary' => $summary,
+            'location' => $this->formatLocation($slot),
+            'description' => implode("\n", $description),
+            'status' => 'CONFIRMED',
+            'categories' => 'Slot'
+        ]);
+    }
+    
+    /**
+     * VEVENT lines, unfolded
+     */
+    private function event($event) {
+        list($start, $end) = $this->getEventTimes($event['date'], $event['start'], $event['end']);
+        
+        // Seconds since creation only ever grow, each update raises the sequence
+        $sequence = max(0, strtotime($event['modified']) - strtotime($event['created']));
+        
+        return [
+            'BEGIN:VEVENT',
+            'UID:' . $event['uid'],
+            'DTSTAMP:' . $event['stamp'],
+            'DTSTART:' . $start,
+            'DTEND:' . $end,
+            'CREATED:' . $this->formatTimestamp($event['created']),
+            'LAST-MODIFIED:' . $this->formatTimestamp($event['modified']),
+            'SEQUENCE:' . $sequence,
+            'SUMMARY:' . $this->escapeText($event['summary']),
+            'LOCATION:' . $this->escapeText($event['location']),
+            'DESCRIPTION:' . $this->escapeText($event['description']),
+            'CATEGORIES:' . $this->escapeText($event['categories']),
+            'STATUS:' . $event['status'],
+            'TRANSP:OPAQUE',
+            'END:VEVENT'
+        ];
+    }
+    
+    /**
+     * Start and end in UTC, a slot ending at or before its start ends the next day
+     */
+    private function getEventTimes($date, $startTime, $endTime) {
+        $timezone = new DateTimeZone(self::TIMEZONE);
+        $utc = new DateTimeZone('UTC');
+        
+        $start = new DateTime($date . ' ' . $startTime, $timezone);
+        $end = new DateTime($date . ' ' . $endTime, $timezone);
+        if ($end <= $start) {
+            $end->modify('+1 day');
+        }
+        
+        return [
+            $start->setTimezone($utc)->format('Ymd\THis\Z'),
+            $end->setTimezone($utc)->format('Ymd\THis\Z')
+        ];
+    }
+    
+    /**
+     * Database timestamp in UTC
+     */
+    private function formatTimestamp($value) {
+        return gmdate('Ymd\THis\Z', strtotime($value));
+    }
+    
+    private function formatLocation($item) {
+        $place = $item['warehouse_name'] . (!empty($item['zone_name']) ? ', ' . $item['zone_name'] : '');
+        return $place . (!empty($item['warehouse_address']) ? ', ' . $item['warehouse_address'] : '');
+    }
+    
+    /**
+     * TEXT value with backslashes, separators and line breaks escaped
+     */
+    private function escapeText($value) {
+        $value = str_replace(["\r\n", "\r"], "\n", (string) $value);
+        return str_replace(['\\', ';', ',', "\n"], ['\\\\', '\\;', '\\,', '\\n'], $value);
+    }
+    
+    /**
+     * Content line folded to 75 octets without splitting UTF-8 characters
+     */
+    private function foldLine($line) {
+        $output = '';
+        $limit = 75;
+        
+        while (strlen($line) > $limit) {
+            $part = mb_strcut($line, 0, $limit, 'UTF-8');
+            $output .= $part . "\r\n ";
+            $line = substr($line, strlen($part));
+            
+            // Continuation lines start with the space
+            $limit = 74;
+        }
+        
+        return $output . $line . "\r\n";
+    }
+}
@@ -0,0 +1,120 @@
+<?php
+/**
+ * Change Event Feed Class
+ * Logistic CRM System
+ *
+ * Records booking and slot changes so that clients can apply them
+ * without reloading whole pages
+ */
+
+class EventManager {
+    private $db;
+    
+    const ENTITY_TYPES = ['booking', 'slot'];
+    
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Record change of a booking or slot
+     *
+     * $data is the current row, or the last known row for deleted records,
+     * and is sent to clients as is
+     */
+    public function publish($entityType, $entityId, $action, $data) {
+        if (!in_array($entityType, self::ENTITY_TYPES) || !$data) {
+            return false;
+        }
+        
+        try {
+            $companyId = $entityType === 'booking'
+                ? $data['company_id']
+                : $this->getWarehouseCompanyId($data['warehouse_id']);
+            
+            $query = "INSERT INTO change_events (company_id, entity_type, entity_id, action, payload)
+                     VALUES (:company_id, :entity_type, :entity_id, :action, :payload)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':company_id', $companyId);
+            $stmt->bindValue(':entity_type', $entityType);
+            $stmt->bindValue(':entity_id', $entityId);
+            $stmt->bindValue(':action', $action);
+            $stmt->bindValue(':payload', json_encode($data));
+            $stmt->execute();
+            
+            return true;
+        
+        } catch (Exception $e) {
+            // A missed event must not fail the change itself
+            error_log("Publish change event error: " . $e->getMessage());
+            return false;
+        }
+    }
+    
+    /**
+     * Get events after the given id that the user may see
+     */
+    public function getEventsSince($lastEventId, $user, $limit = 100) {
+        $query = "SELECT id, entity_type, entity_id, action, payload, created_at
+                 FROM change_events
+                 WHERE id > :last_event_id";
+        $params = [':last_event_id' => intval($lastEventId)];
+        
+        // Shared warehouses have slots without a company
+        if ($user['company_id']) {
+            $query .= " AND (company_id = :company_id OR company_id IS NULL)";
+            $params[':company_id'] = $user['company_id'];
+        }
+        
+        // Drivers follow only their own bookings, filtered here so that the
+        // limit counts visible events only and the cursor keeps moving
+        if ($user['user_type'] === 'driver') {
+            $query .= " AND (entity_type <> 'booking'
+                        OR JSON_UNQUOTE(JSON_EXTRACT(payload, '$.driver_id')) = :driver_id)";
+            $params[':driver_id'] = (string) $user['user_id'];
+        }
+        
+        $query .= " ORDER BY id LIMIT :limit";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        $events = [];
+        foreach ($stmt->fetchAll() as $row) {
+            $data = json_decode($row['payload'], true);
+            
+            $events[] = [
+                'id' => intval($row['id']),
+                'entity_type' => $row['entity_type'],
+                'entity_id' => intval($row['entity_id']),
+                'action' => $row['action'],
+                'data' => $data,
+                'created_at' => $row['created_at']
+            ];
+        }
+        
+        return $events;
+    }
+    
+    /**
+     * Id of the newest event, clients start listening from here
+     */
+    public function getLastEventId() {
+        $stmt = $this->db->query("SELECT COALESCE(MAX(id), 0) FROM change_events");
+        return intval($stmt->fetchColumn());
+    }
+    
+    private function getWarehouseCompanyId($warehouseId) {
+        $stmt = $this->db->prepare("SELECT company_id FROM warehouses WHERE id = :warehouse_id");
+        $stmt->bindValue(':warehouse_id', $warehouseId);
+        $stmt->execute();
+        
+        $companyId = $stmt->fetchColumn();
+        return $companyId ?: null;
+    }
+}
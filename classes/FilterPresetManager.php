@@ -0,0 +1,301 @@
+<?php
+/**
+ * Filter Preset Management Class
+ * Logistic CRM System
+ *
+ * Handles named bookings filters of users, their default preset and
+ * presets shared with the whole company
+ */
+
+class FilterPresetManager {
+    private $db;
+    
+    const MAX_NAME_LENGTH = 100;
+    
+    // Filters a preset can hold, same names as the bookings list parameters
+    const FILTER_KEYS = ['search', 'status', 'warehouse_id', 'booking_type', 'date_range', 'date_from', 'date_to'];
+    
+    // Relative date ranges, resolved to dates by the client on every use
+    const DATE_RANGES = ['today', 'tomorrow', 'this_week', 'next_week', 'next_7_days', 'last_7_days', 'this_month'];
+    
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Own presets and presets shared in the user's company, default first
+     */
+    public function getPresets($user) {
+        list($visibility, $params) = $this->visibilityCondition($user);
+        
+        $query = "SELECT p.id, p.user_id, p.name, p.filters, p.is_shared, p.created_at, p.updated_at,
+                        u.full_name as owner_name, (d.preset_id IS NOT NULL) as is_default
+                 FROM booking_filter_presets p
+                 LEFT JOIN users u ON p.user_id = u.id
+                 LEFT JOIN booking_filter_defaults d ON d.preset_id = p.id AND d.user_id = :default_user_id
+                 WHERE $visibility
+                 ORDER BY is_default DESC, p.name ASC";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->bindValue(':default_user_id', $user['user_id']);
+        $stmt->execute();
+        
+        $presets = $stmt->fetchAll();
+        
+        foreach ($presets as &$preset) {
+            $preset['filters'] = json_decode($preset['filters'], true) ?: [];
+            $preset['is_shared'] = (bool) $preset['is_shared'];
+            $preset['is_default'] = (bool) $preset['is_default'];
+            $preset['is_own'] = intval($preset['user_id']) === intval($user['user_id']);
+            $preset['can_manage'] = $this->canManage($preset, $user);
+        }
+        
+        return $presets;
+    }
+    
+    /**
+     * Create preset owned by the user
+     */
+    public function createPreset($data, $user) {
+        try {
+            $validation = $this->validatePreset($data, $user);
+            if (!$validation['valid']) {
+                return ['success' => false, 'errors' => $validation['errors'], 'field_errors' => $validation['field_errors']];
+            }
+            
+            $query = "INSERT INTO booking_filter_presets (company_id, user_id, name, filters, is_shared)
+                     VALUES (:company_id, :user_id, :name, :filters, :is_shared)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':company_id', $user['company_id']);
+            $stmt->bindValue(':user_id', $user['user_id']);
+            $stmt->bindValue(':name', $validation['name']);
+            $stmt->bindValue(':filters', json_encode($validation['filters']));
+            $stmt->bindValue(':is_shared', $validation['is_shared'] ? 1 : 0, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $presetId = $this->db->lastInsertId();
+            
+            if (!empty($data['is_default'])) {
+                $this->setDefault($presetId, $user);
+            }
+            
+            return [
+                'success' => true,
+                'preset_id' => $presetId
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Create filter preset error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření filtru']];
+        }
+    }
+    
+    /**
+     * Rename preset, replace its filters or change sharing
+     */
+    public function updatePreset($presetId, $data, $user) {
+        try {
+            $preset = $this->getPreset($presetId, $user);
+            if (!$preset) {
+                return ['success' => false, 'errors' => ['Filtr nenalezen']];
+            }
+            
+            if (!$this->canManage($preset, $user)) {
+                return ['success' => false, 'errors' => ['Filtr může upravit jen jeho autor']];
+            }
+            
+            $data = array_merge([
+                'name' => $preset['name'],
+                'filters' => json_decode($preset['filters'], true) ?: [],
+                'is_shared' => (bool) $preset['is_shared']
+            ], array_intersect_key($data, array_flip(['name', 'filters', 'is_shared'])));
+            
+            $validation = $this->validatePreset($data, $user);
+            if (!$validation['valid']) {
+                return ['success' => false, 'errors' => $validation['errors'], 'field_errors' => $validation['field_errors']];
+            }
+            
+            $query = "UPDATE booking_filter_presets
+                     SET name = :name, filters = :filters, is_shared = :is_shared
+                     WHERE id = :id";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':name', $validation['name']);
+            $stmt->bindValue(':filters', json_encode($validation['filters']));
+            $stmt->bindValue(':is_shared', $validation['is_shared'] ? 1 : 0, PDO::PARAM_INT);
+            $stmt->bindValue(':id', $preset['id']);
+            $stmt->execute();
+            
+            // Others keep an unshared preset as default no longer
+            if (!$validation['is_shared']) {
+                $stmt = $this->db->prepare("DELETE FROM booking_filter_defaults WHERE preset_id = :preset_id AND user_id != :owner_id");
+                $stmt->execute([':preset_id' => $preset['id'], ':owner_id' => $preset['user_id']]);
+            }
+            
+            return ['success' => true];
+        
+        } catch (Exception $e) {
+            error_log("Update filter preset error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při aktualizaci filtru']];
+        }
+    }
+    
+    /**
+     * Delete preset, defaults pointing to it are removed with it
+     */
+    public function deletePreset($presetId, $user) {
+        try {
+            $preset = $this->getPreset($presetId, $user);
+            if (!$preset) {
+                return ['success' => false, 'errors' => ['Filtr nenalezen']];
+            }
+            
+            if (!$this->canManage($preset, $user)) {
+                return ['success' => false, 'errors' => ['Filtr může smazat jen jeho autor']];
+            }
+            
+            $stmt = $this->db->prepare("DELETE FROM booking_filter_presets WHERE id = :id");
+            $stmt->execute([':id' => $preset['id']]);
+            
+            return ['success' => true];
+        
+        } catch (Exception $e) {
+            error_log("Delete filter preset error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při mazání filtru']];
+        }
+    }
+    
+    /**
+     * Preset applied when the user opens bookings without filters, null clears it
+     */
+    public function setDefault($presetId, $user) {
+        try {
+            if ($presetId === null || $presetId === '') {
+                $stmt = $this->db->prepare("DELETE FROM booking_filter_defaults WHERE user_id = :user_id");
+                $stmt->execute([':user_id' => $user['user_id']]);
+                return ['success' => true];
+            }
+            
+            $preset = $this->getPreset($presetId, $user);
+            if (!$preset) {
+                return ['success' => false, 'errors' => ['Filtr nenalezen']];
+            }
+            
+            $query = "INSERT INTO booking_filter_defaults (user_id, preset_id)
+                     VALUES (:user_id, :preset_id)
+                     ON DUPLICATE KEY UPDATE preset_id = VALUES(preset_id)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->execute([':user_id' => $user['user_id'], ':preset_id' => $preset['id']]);
+            
+            return ['success' => true];
+        
+        } catch (Exception $e) {
+            error_log("Set default filter preset error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při nastavení výchozího filtru']];
+        }
+    }
+    
+    /**
+     * Preset visible to the user
+     */
+    private function getPreset($presetId, $user) {
+        list($visibility, $params) = $this->visibilityCondition($user);
+        
+        $stmt = $this->db->prepare("SELECT p.* FROM booking_filter_presets p WHERE p.id = :id AND $visibility");
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->bindValue(':id', intval($presetId));
+        $stmt->execute();
+        
+        return $stmt->fetch() ?: null;
+    }
+    
+    /**
+     * Own presets plus presets shared in the company, drivers only see their own
+     */
+    private function visibilityCondition($user) {
+        $condition = "(p.user_id = :user_id";
+        $params = [':user_id' => $user['user_id']];
+        
+        if ($user['company_id'] && $user['user_type'] !== 'driver') {
+            $condition .= " OR (p.is_shared = 1 AND p.company_id = :company_id)";
+            $params[':company_id'] = $user['company_id'];
+        }
+        
+        return [$condition . ")", $params];
+    }
+    
+    /**
+     * Owner manages the preset, company admins also manage shared presets
+     */
+    private function canManage($preset, $user) {
+        if (intval($preset['user_id']) === intval($user['user_id'])) {
+            return true;
+        }
+        
+        return !empty($preset['is_shared']) && in_array($user['user_type'], ['admin', 'super_admin']);
+    }
+    
+    private function validatePreset($data, $user) {
+        $errors = [];
+        $fieldErrors = [];
+        
+        $name = trim($data['name'] ?? '');
+        if ($name === '') {
+            $fieldErrors['name'] = 'Zadejte název filtru';
+        } elseif (mb_strlen($name) > self::MAX_NAME_LENGTH) {
+            $fieldErrors['name'] = 'Název může mít nejvýše ' . self::MAX_NAME_LENGTH . ' znaků';
+        }
+        
+        $filters = [];
+        foreach (self::FILTER_KEYS as $key) {
+            $value = trim((string) ($data['filters'][$key] ?? ''));
+            if ($value !== '') {
+                $filters[$key] = $value;
+            }
+        }
+        
+        if (isset($filters['date_range'])) {
+            if (!in_array($filters['date_range'], self::DATE_RANGES)) {
+                $fieldErrors['filters'] = 'Neplatné relativní období';
+            }
+            // Relative range replaces fixed dates
+            unset($filters['date_from'], $filters['date_to']);
+        }
+        
+        foreach (['date_from', 'date_to'] as $key) {
+            if (isset($filters[$key]) && !$this->isValidDate($filters[$key])) {
+                $fieldErrors['filters'] = 'Neplatné datum';
+            }
+        }
+        
+        if (empty($filters)) {
+            $fieldErrors['filters'] = 'Filtr neobsahuje žádné podmínky';
+        }
+        
+        $isShared = !empty($data['is_shared']);
+        if ($isShared && (!$user['company_id'] || $user['user_type'] === 'driver')) {
+            $errors[] = 'Filtr nelze sdílet';
+        }
+        
+        return [
+            'valid' => empty($errors) && empty($fieldErrors),
+            'errors' => array_merge($errors, array_values($fieldErrors)),
+            'field_errors' => $fieldErrors,
+            'name' => $name,
+            'filters' => $filters,
+            'is_shared' => $isShared
+        ];
+    }
+    
+    private function isValidDate($date) {
+        $parsed = DateTime::createFromFormat('Y-m-d', $date);
+        return $parsed && $parsed->format('Y-m-d') === $date;
+    }
+}
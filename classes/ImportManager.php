@@ -0,0 +1,584 @@
+<?php
+/**
+ * Import Management Class
+ * Logistic CRM System
+ *
+ * Checks rows of imported bookings and slots files against warehouses,
+ * slots, drivers, vehicles and capacity, and creates the rows that pass
+ */
+
+require_once __DIR__ . '/BookingManager.php';
+require_once __DIR__ . '/SlotManager.php';
+
+class ImportManager {
+    private $db;
+    private $bookingManager;
+    private $slotManager;
+    
+    // Rows of one request, a dry run checks the whole file at once
+    const MAX_ROWS = 1000;
+    
+    const TYPE_LABELS = [
+        'loading' => 'nakládka',
+        'unloading' => 'vykládka',
+        'universal' => 'univerzální'
+    ];
+    
+    // Warehouses, zones, drivers and vehicles already looked up
+    private $lookups = [];
+    
+    public function __construct($db) {
+        $this->db = $db;
+        $this->bookingManager = new BookingManager($db);
+        $this->slotManager = new SlotManager($db);
+    }
+    
+    /**
+     * Check imported booking rows without creating anything
+     *
+     * Rows have warehouse (name or ID), zone, slot_date, slot_time_start,
+     * slot_time_end, booking_type, reference_number, driver (e-mail or name),
+     * vehicle (license plate) and notes. Each result has the row number,
+     * errors, warnings and the booking data the row would create
+     */
+    public function checkBookingRows($rows, $companyId, $user) {
+        $results = [];
+        // Places in slots taken by earlier rows of the file
+        $reserved = [];
+        $references = [];
+        
+        foreach (array_values($rows) as $index => $row) {
+            $result = ['row' => intval($row['row'] ?? $index + 1)] + $this->checkBookingRow($row, $companyId, $user, $reserved);
+            
+            $reference = mb_strtolower($result['data']['reference_number'] ?? '');
+            if ($reference !== '') {
+                if (isset($references[$reference])) {
+                    $result['warnings'][] = 'Referenční číslo je už na řádku ' . $references[$reference];
+                } else {
+                    $references[$reference] = $result['row'];
+                }
+            }
+            
+            $result['valid'] = empty($result['errors']);
+            if ($result['valid']) {
+                $slotId = $result['data']['time_slot_id'];
+                $reserved[$slotId] = ($reserved[$slotId] ?? 0) + 1;
+            }
+            
+            $results[] = $result;
+        }
+        
+        return $results;
+    }
+    
+    /**
+     * Create bookings of the valid rows, each row on its own
+     */
+    public function importBookings($rows, $companyId, $user) {
+        $results = $this->checkBookingRows($rows, $companyId, $user);
+        
+        foreach ($results as &$result) {
+            $result['created'] = false;
+            if (!$result['valid']) {
+                continue;
+            }
+            
+            $booking = $this->bookingManager->createBooking($result['data']);
+            if ($booking['success']) {
+                $result['created'] = true;
+                $result['booking_id'] = $booking['booking_id'];
+                $result['booking_number'] = $booking['booking_number'];
+                $result['requires_approval'] = $booking['requires_approval'];
+            } else {
+                $result['valid'] = false;
+                $result['errors'] = array_merge($result['errors'], $booking['errors']);
+            }
+        }
+        unset($result);
+        
+        return $results;
+    }
+    
+    /**
+     * Check imported slot rows without creating anything
+     *
+     * Rows have warehouse (name or ID), zone, slot_date, slot_time_start,
+     * slot_time_end, slot_type, capacity, is_blocked and block_reason.
+     * Daily limits are license limits of slots per day keyed by company
+     */
+    public function checkSlotRows($rows, $companyId, $user, $dailyLimits = []) {
+        $results = [];
+        // Valid rows so far, a new slot must not overlap them either
+        $accepted = [];
+        // Slots of a company on a date, existing ones and valid rows so far
+        $dailyCounts = [];
+        
+        foreach (array_values($rows) as $index => $row) {
+            $result = ['row' => intval($row['row'] ?? $index + 1)] + $this->checkSlotRow($row, $companyId, $user);
+            
+            if (empty($result['errors'])) {
+                $data = $result['data'];
+                foreach ($accepted as $other) {
+                    // Zones run side by side, a slot without zone takes the whole warehouse
+                    $samePlace = !$other['data']['zone_id'] || !$data['zone_id'] || $other['data']['zone_id'] == $data['zone_id'];
+                    if ($other['data']['warehouse_id'] == $data['warehouse_id'] && $samePlace
+                        && $other['data']['slot_date'] === $data['slot_date']
+                        && $other['data']['slot_time_start'] < $data['slot_time_end']
+                        && $other['data']['slot_time_end'] > $data['slot_time_start']) {
+                        $result['errors'][] = 'Překrývá se se slotem z řádku ' . $other['row'];
+                        break;
+                    }
+                }
+            }
+            
+            $dailyKey = null;
+            if (empty($result['errors'])) {
+                $rowCompanyId = $this->getWarehouseCompany($result['data']['warehouse_id']);
+                
+                if (isset($dailyLimits[$rowCompanyId])) {
+                    $date = $result['data']['slot_date'];
+                    $dailyKey = $rowCompanyId . '|' . $date;
+                    if (!isset($dailyCounts[$dailyKey])) {
+                        $dailyCounts[$dailyKey] = $this->slotManager->countSlotsOnDate($rowCompanyId, $date);
+                    }
+                    
+                    if ($dailyCounts[$dailyKey] >= $dailyLimits[$rowCompanyId]) {
+                        $result['errors'][] = 'Licence povoluje nejvýše ' . $dailyLimits[$rowCompanyId] . ' slotů denně, '
+                            . date('j. n. Y', strtotime($date)) . ' jich je již ' . $dailyCounts[$dailyKey];
+                    }
+                }
+            }
+            
+            $result['valid'] = empty($result['errors']);
+            if ($result['valid']) {
+                $accepted[] = $result;
+                if ($dailyKey !== null) {
+                    $dailyCounts[$dailyKey]++;
+                }
+            }
+            
+            $results[] = $result;
+        }
+        
+        return $results;
+    }
+    
+    /**
+     * Create slots of the valid rows, each row on its own
+     */
+    public function importSlots($rows, $companyId, $user, $dailyLimits = []) {
+        $results = $this->checkSlotRows($rows, $companyId, $user, $dailyLimits);
+        
+        foreach ($results as &$result) {
+            $result['created'] = false;
+            if (!$result['valid']) {
+                continue;
+            }
+            
+            $slot = $this->slotManager->createSlot($result['data']);
+            if ($slot['success']) {
+                $result['created'] = true;
+                $result['slot_id'] = $slot['slot_id'];
+            } else {
+                $result['valid'] = false;
+                $result['errors'] = array_merge($result['errors'], $slot['errors']);
+            }
+        }
+        unset($result);
+        
+        return $results;
+    }
+    
+    /**
+     * Companies owning the warehouses of slot rows, shared warehouses have none
+     */
+    public function getSlotRowCompanies($rows, $companyId) {
+        $companies = [];
+        
+        foreach ($rows as $row) {
+            $warehouse = $this->value($row, 'warehouse');
+            $warehouseId = $warehouse !== null ? $this->findWarehouse($warehouse, $companyId) : null;
+            $rowCompanyId = $warehouseId ? $this->getWarehouseCompany($warehouseId) : null;
+            
+            if ($rowCompanyId) {
+                $companies[$rowCompanyId] = true;
+            }
+        }
+        
+        return array_keys($companies);
+    }
+    
+    /**
+     * Counts of a checked or imported file
+     */
+    public function summarize($results) {
+        $summary = ['total' => count($results), 'valid' => 0, 'invalid' => 0, 'warnings' => 0];
+        
+        foreach ($results as $result) {
+            $summary[$result['valid'] ? 'valid' : 'invalid']++;
+            if (!empty($result['warnings'])) {
+                $summary['warnings']++;
+            }
+        }
+        
+        return $summary;
+    }
+    
+    private function checkBookingRow($row, $companyId, $user, $reserved) {
+        $errors = [];
+        $warnings = [];
+        $data = [
+            'time_slot_id' => null,
+            'company_id' => $companyId,
+            'driver_id' => null,
+            'vehicle_id' => null,
+            'booking_type' => $this->value($row, 'booking_type') ?? BookingManager::TYPE_UNIVERSAL,
+            'reference_number' => $this->value($row, 'reference_number'),
+            'notes' => $this->value($row, 'notes'),
+            'created_by' => $user['user_id']
+        ];
+        
+        if (!isset(self::TYPE_LABELS[$data['booking_type']])) {
+            $errors[] = 'Neplatný typ rezervace';
+        }
+        
+        if ($data['reference_number'] !== null && mb_strlen($data['reference_number']) > 100) {
+            $errors[] = 'Referenční číslo může mít nejvýše 100 znaků';
+        }
+        
+        $place = $this->resolvePlace($row, $companyId, $errors);
+        $date = $this->value($row, 'slot_date');
+        $start = $this->value($row, 'slot_time_start');
+        $end = $this->value($row, 'slot_time_end');
+        
+        if ($date === null) {
+            $errors[] = 'Datum je povinné';
+        } elseif (!$this->isValidDate($date)) {
+            $errors[] = 'Neplatné datum: ' . $date;
+        }
+        
+        if ($start === null) {
+            $errors[] = 'Čas začátku je povinný';
+        } elseif (!$this->isValidTime($start)) {
+            $errors[] = 'Neplatný čas začátku: ' . $start;
+        }
+        
+        if ($end !== null && !$this->isValidTime($end)) {
+            $errors[] = 'Neplatný čas konce: ' . $end;
+        }
+        
+        if (empty($errors)) {
+            $slot = $this->findBookingSlot($place, $date, $start, $end, $data['booking_type'], $reserved, $errors);
+            if ($slot) {
+                $data['time_slot_id'] = $slot['id'];
+                if ($date < date('Y-m-d')) {
+                    $warnings[] = 'Termín je v minulosti';
+                }
+            }
+        }
+        
+        // Drivers book for themselves
+        if ($user['user_type'] === 'driver') {
+            $data['driver_id'] = $user['user_id'];
+            if ($this->value($row, 'driver') !== null) {
+                $warnings[] = 'Řidič rezervuje za sebe, sloupec řidiče se nepoužije';
+            }
+        } elseif (($driver = $this->value($row, 'driver')) !== null) {
+            $drivers = $this->findDrivers($driver, $companyId);
+            if (count($drivers) === 1) {
+                $data['driver_id'] = $drivers[0];
+            } elseif (empty($drivers)) {
+                $errors[] = 'Řidič „' . $driver . '“ nebyl nalezen';
+            } else {
+                $errors[] = 'Jméno „' . $driver . '“ má více řidičů, uveďte e-mail';
+            }
+        }
+        
+        if (($vehicle = $this->value($row, 'vehicle')) !== null) {
+            $data['vehicle_id'] = $this->findVehicle($vehicle, $companyId);
+            if (!$data['vehicle_id']) {
+                $errors[] = 'Vozidlo „' . $vehicle . '“ nebylo nalezeno';
+            }
+        }
+        
+        if ($data['reference_number'] !== null && empty($errors)) {
+            $existing = $this->findBookingByReference($data['reference_number'], $companyId);
+            if ($existing) {
+                $warnings[] = 'Referenční číslo už má rezervace ' . $existing;
+            }
+        }
+        
+        return ['errors' => $errors, 'warnings' => $warnings, 'data' => $data];
+    }
+    
+    private function checkSlotRow($row, $companyId, $user) {
+        $errors = [];
+        $warnings = [];
+        $place = $this->resolvePlace($row, $companyId, $errors);
+        
+        $data = [
+            'warehouse_id' => $place ? $place['warehouse_id'] : null,
+            'zone_id' => $place ? $place['zone_id'] : null,
+            'slot_date' => $this->value($row, 'slot_date'),
+            'slot_time_start' => $this->value($row, 'slot_time_start'),
+            'slot_time_end' => $this->value($row, 'slot_time_end'),
+            'slot_type' => $this->value($row, 'slot_type') ?? 'universal',
+            'capacity' => $this->value($row, 'capacity'),
+            'is_blocked' => empty($row['is_blocked']) ? 0 : 1,
+            'block_reason' => $this->value($row, 'block_reason'),
+            'recurring_pattern' => 'none',
+            'created_by' => $user['user_id']
+        ];
+        
+        if ($data['capacity'] === null) {
+            $data['capacity'] = 1;
+            $warnings[] = 'Kapacita není uvedena, použije se 1';
+        } elseif (!ctype_digit((string) $data['capacity'])) {
+            $errors[] = 'Neplatná kapacita: ' . $data['capacity'];
+        }
+        
+        // Missing or unknown warehouse is already reported
+        $validation = $this->slotManager->validateSlotData(['warehouse_id' => $place ? $place['warehouse_id'] : true] + $data);
+        $errors = array_merge($errors, $validation['errors']);
+        
+        if (empty($errors)) {
+            $errors = $this->slotManager->checkSlotConflicts($data);
+            
+            if ($data['slot_date'] < date('Y-m-d')) {
+                $warnings[] = 'Termín je v minulosti';
+            }
+            if ($data['is_blocked'] && $data['block_reason'] === null) {
+                $warnings[] = 'Blokovaný slot nemá uvedený důvod';
+            }
+        }
+        
+        return ['errors' => $errors, 'warnings' => $warnings, 'data' => $data];
+    }
+    
+    /**
+     * Warehouse and zone of the row, problems are added to errors
+     */
+    private function resolvePlace($row, $companyId, &$errors) {
+        $warehouse = $this->value($row, 'warehouse');
+        if ($warehouse === null) {
+            $errors[] = 'Sklad je povinný';
+            return null;
+        }
+        
+        $warehouseId = $this->findWarehouse($warehouse, $companyId);
+        if (!$warehouseId) {
+            $errors[] = 'Sklad „' . $warehouse . '“ nebyl nalezen';
+            return null;
+        }
+        
+        $zone = $this->value($row, 'zone');
+        $zoneId = null;
+        if ($zone !== null) {
+            $zoneId = $this->findZone($zone, $warehouseId);
+            if (!$zoneId) {
+                $errors[] = 'Zóna „' . $zone . '“ ve skladu nebyla nalezena';
+                return null;
+            }
+        }
+        
+        return ['warehouse_id' => $warehouseId, 'zone_id' => $zoneId, 'has_zone' => $zone !== null];
+    }
+    
+    /**
+     * Free slot at the time, without a zone in the row any zone fits
+     *
+     * Places taken by earlier rows of the file count as booked
+     */
+    private function findBookingSlot($place, $date, $start, $end, $bookingType, $reserved, &$errors) {
+        $query = "SELECT s.id, s.slot_type, s.capacity, s.is_blocked, s.block_reason,
+                        (SELECT COUNT(*) FROM bookings WHERE time_slot_id = s.id AND status NOT IN ('cancelled')) as booked_count
+                 FROM time_slots s
+                 WHERE s.warehouse_id = :warehouse_id
+                 AND s.slot_date = :slot_date
+                 AND s.slot_time_start = :slot_time_start";
+        
+        $params = [
+            ':warehouse_id' => $place['warehouse_id'],
+            ':slot_date' => $date,
+            ':slot_time_start' => $start
+        ];
+        
+        if ($place['has_zone']) {
+            $query .= " AND s.zone_id = :zone_id";
+            $params[':zone_id'] = $place['zone_id'];
+        }
+        
+        if ($end !== null) {
+            $query .= " AND s.slot_time_end = :slot_time_end";
+            $params[':slot_time_end'] = $end;
+        }
+        
+        $stmt = $this->db->prepare($query . " ORDER BY s.id");
+        $stmt->execute($params);
+        $slots = $stmt->fetchAll();
+        
+        if (empty($slots)) {
+            $errors[] = 'V ' . $date . ' ' . $start . ' není ve skladu vypsaný slot';
+            return null;
+        }
+        
+        // Universal bookings fit any slot
+        $fitting = [];
+        foreach ($slots as $slot) {
+            if ($bookingType === BookingManager::TYPE_UNIVERSAL || in_array($slot['slot_type'], [$bookingType, 'universal'])) {
+                $fitting[] = $slot;
+            }
+        }
+        
+        if (empty($fitting)) {
+            $errors[] = 'Slot v tomto čase je jen pro typ ' . self::TYPE_LABELS[$slots[0]['slot_type']];
+            return null;
+        }
+        
+        $reason = null;
+        foreach ($fitting as $slot) {
+            $taken = $slot['booked_count'] + ($reserved[$slot['id']] ?? 0);
+            
+            if (!$slot['is_blocked'] && $taken < $slot['capacity']) {
+                return $slot;
+            }
+            
+            if ($slot['is_blocked']) {
+                $reason = 'Slot je blokován' . ($slot['block_reason'] ? ': ' . $slot['block_reason'] : '');
+            } elseif ($slot['booked_count'] < $slot['capacity']) {
+                $reason = 'Kapacitu slotu vyčerpají předchozí řádky souboru';
+            } else {
+                $reason = 'Slot je plně obsazen';
+            }
+        }
+        
+        $errors[] = $reason;
+        return null;
+    }
+    
+    /**
+     * Active warehouse of the company by ID or name
+     */
+    private function findWarehouse($value, $companyId) {
+        $key = $this->lookupKey('warehouse', $value, $companyId);
+        if (array_key_exists($key, $this->lookups)) {
+            return $this->lookups[$key];
+        }
+        
+        $query = "SELECT id FROM warehouses WHERE is_active = 1 AND " . (ctype_digit($value) ? "id = :value" : "name = :value");
+        $params = [':value' => $value];
+        
+        if ($companyId) {
+            $query .= " AND company_id = :company_id";
+            $params[':company_id'] = $companyId;
+        }
+        
+        $stmt = $this->db->prepare($query . " ORDER BY id LIMIT 1");
+        $stmt->execute($params);
+        return $this->lookups[$key] = $stmt->fetchColumn() ?: null;
+    }
+    
+    private function getWarehouseCompany($warehouseId) {
+        $key = $this->lookupKey('warehouse_company', (string) $warehouseId, '');
+        if (!array_key_exists($key, $this->lookups)) {
+            $warehouse = $this->slotManager->getWarehouse($warehouseId);
+            $this->lookups[$key] = $warehouse && $warehouse['company_id'] ? $warehouse['company_id'] : null;
+        }
+        
+        return $this->lookups[$key];
+    }
+    
+    private function findZone($value, $warehouseId) {
+        $key = $this->lookupKey('zone', $value, $warehouseId);
+        if (array_key_exists($key, $this->lookups)) {
+            return $this->lookups[$key];
+        }
+        
+        $query = "SELECT id FROM warehouse_zones
+                 WHERE warehouse_id = :warehouse_id AND is_active = 1 AND " . (ctype_digit($value) ? "id = :value" : "name = :value") . "
+                 ORDER BY id LIMIT 1";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->execute([':warehouse_id' => $warehouseId, ':value' => $value]);
+        return $this->lookups[$key] = $stmt->fetchColumn() ?: null;
+    }
+    
+    /**
+     * IDs of active drivers of the company with the e-mail or full name
+     */
+    private function findDrivers($value, $companyId) {
+        $key = $this->lookupKey('driver', $value, $companyId);
+        if (array_key_exists($key, $this->lookups)) {
+            return $this->lookups[$key];
+        }
+        
+        $query = "SELECT id FROM users
+                 WHERE user_type = 'driver' AND is_active = 1 AND company_id = :company_id
+                 AND " . (strpos($value, '@') !== false ? "email = :value" : "full_name = :value");
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->execute([':company_id' => $companyId, ':value' => $value]);
+        return $this->lookups[$key] = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    }
+    
+    /**
+     * Active vehicle of the company, plates match without spaces
+     */
+    private function findVehicle($value, $companyId) {
+        $plate = strtoupper(str_replace(' ', '', $value));
+        $key = $this->lookupKey('vehicle', $plate, $companyId);
+        if (array_key_exists($key, $this->lookups)) {
+            return $this->lookups[$key];
+        }
+        
+        $query = "SELECT id FROM vehicles
+                 WHERE is_active = 1 AND company_id = :company_id
+                 AND UPPER(REPLACE(license_plate, ' ', '')) = :plate
+                 ORDER BY id LIMIT 1";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->execute([':company_id' => $companyId, ':plate' => $plate]);
+        return $this->lookups[$key] = $stmt->fetchColumn() ?: null;
+    }
+    
+    /**
+     * Number of an active booking of the company with the reference number
+     */
+    private function findBookingByReference($reference, $companyId) {
+        $query = "SELECT booking_number FROM bookings
+                 WHERE company_id = :company_id AND reference_number = :reference AND status != 'cancelled'
+                 ORDER BY id DESC LIMIT 1";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->execute([':company_id' => $companyId, ':reference' => $reference]);
+        return $stmt->fetchColumn() ?: null;
+    }
+    
+    /**
+     * Names match regardless of case, as in the database
+     */
+    private function lookupKey($type, $value, $scope) {
+        return $type . '|' . $scope . '|' . mb_strtolower($value);
+    }
+    
+    /**
+     * Trimmed text of a row field, null when empty
+     */
+    private function value($row, $field) {
+        if (!isset($row[$field]) || is_array($row[$field])) {
+            return null;
+        }
+        
+        $value = trim((string) $row[$field]);
+        return $value === '' ? null : $value;
+    }
+    
+    private function isValidDate($date) {
+        $parsed = DateTime::createFromFormat('Y-m-d', $date);
+        return $parsed && $parsed->format('Y-m-d') === $date;
+    }
+    
+    private function isValidTime($time) {
+        return preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $time) === 1;
+    }
+}
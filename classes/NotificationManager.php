@@ -0,0 +1,182 @@
+<?php
+/**
+ * Notification Management Class
+ * Logistic CRM System
+ *
+ * Handles in-app notifications and their per-user read state
+ */
+
+class NotificationManager {
+    private $db;
+    
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Get notifications visible to the user, newest first
+     */
+    public function getNotifications($user, $filters = []) {
+        list($visibility, $params) = $this->visibilityCondition($user);
+        $where_conditions = [$visibility];
+        
+        if (!empty($filters['type'])) {
+            $where_conditions[] = "n.type = :type";
+            $params[':type'] = $filters['type'];
+        }
+        
+        if (!empty($filters['unread_only'])) {
+            $where_conditions[] = "nr.read_at IS NULL";
+        }
+        
+        $limit = min(100, max(1, intval($filters['limit'] ?? 50)));
+        
+        $query = "SELECT n.id, n.type, n.title, n.message, n.action_url, n.entity_type, n.entity_id, n.created_at,
+                        nr.read_at, (nr.read_at IS NOT NULL) as is_read,
+                        b.booking_number, ts.slot_date, ts.warehouse_id
+                 FROM notifications n
+                 LEFT JOIN notification_reads nr ON nr.notification_id = n.id AND nr.user_id = :reader_id
+                 LEFT JOIN bookings b ON n.entity_type = 'booking' AND b.id = n.entity_id
+                 LEFT JOIN time_slots ts ON n.entity_type = 'slot' AND ts.id = n.entity_id
+                 WHERE " . implode(' AND ', $where_conditions) . "
+                 ORDER BY n.created_at DESC, n.id DESC
+                 LIMIT :limit";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->bindValue(':reader_id', $user['user_id']);
+        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        $notifications = $stmt->fetchAll();
+        
+        foreach ($notifications as &$notification) {
+            $notification['is_read'] = (bool) $notification['is_read'];
+        }
+        
+        return $notifications;
+    }
+    
+    /**
+     * Count unread notifications of the user
+     */
+    public function getUnreadCount($user) {
+        list($visibility, $params) = $this->visibilityCondition($user);
+        
+        $query = "SELECT COUNT(*)
+                 FROM notifications n
+                 LEFT JOIN notification_reads nr ON nr.notification_id = n.id AND nr.user_id = :reader_id
+                 WHERE $visibility AND nr.read_at IS NULL";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->bindValue(':reader_id', $user['user_id']);
+        $stmt->execute();
+        
+        return intval($stmt->fetchColumn());
+    }
+    
+    /**
+     * Mark notifications as read, ids the user cannot see are ignored
+     */
+    public function markAsRead($notificationIds, $user) {
+        $ids = array_values(array_unique(array_filter(array_map('intval', (array) $notificationIds))));
+        if (empty($ids)) {
+            return ['success' => false, 'errors' => ['Nejsou vybrána žádná oznámení']];
+        }
+        
+        $placeholders = [];
+        $idParams = [];
+        foreach ($ids as $index => $id) {
+            $placeholders[] = ":id_$index";
+            $idParams[":id_$index"] = $id;
+        }
+        
+        return $this->insertReads("n.id IN (" . implode(', ', $placeholders) . ")", $idParams, $user);
+    }
+    
+    /**
+     * Mark all notifications of the user as read
+     */
+    public function markAllAsRead($user) {
+        return $this->insertReads("1 = 1", [], $user);
+    }
+    
+    /**
+     * Create notification for a single user or, without user_id, for the whole company
+     */
+    public function createNotification($data) {
+        try {
+            $query = "INSERT INTO notifications (company_id, user_id, type, title, message, action_url, entity_type, entity_id)
+                     VALUES (:company_id, :user_id, :type, :title, :message, :action_url, :entity_type, :entity_id)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':company_id', $data['company_id'] ?? null);
+            $stmt->bindValue(':user_id', $data['user_id'] ?? null);
+            $stmt->bindValue(':type', $data['type'] ?? 'system');
+            $stmt->bindValue(':title', $data['title']);
+            $stmt->bindValue(':message', $data['message'] ?? null);
+            $stmt->bindValue(':action_url', $data['action_url'] ?? null);
+            $stmt->bindValue(':entity_type', $data['entity_type'] ?? null);
+            $stmt->bindValue(':entity_id', $data['entity_id'] ?? null);
+            $stmt->execute();
+            
+            return [
+                'success' => true,
+                'notification_id' => $this->db->lastInsertId()
+            ];
+        
+        } catch (Exception $e) {
+            // Notifications never block the action that triggered them
+            error_log("Create notification error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření oznámení']];
+        }
+    }
+    
+    /**
+     * Own notifications plus company-wide and system-wide ones,
+     * company-wide notifications are meant for staff, not drivers
+     */
+    private function visibilityCondition($user) {
+        $condition = "(n.user_id = :user_id OR (n.user_id IS NULL AND (n.company_id IS NULL";
+        $params = [':user_id' => $user['user_id']];
+        
+        if ($user['company_id'] && $user['user_type'] !== 'driver') {
+            $condition .= " OR n.company_id = :company_id";
+            $params[':company_id'] = $user['company_id'];
+        }
+        
+        return [$condition . ")))", $params];
+    }
+    
+    private function insertReads($condition, $conditionParams, $user) {
+        try {
+            list($visibility, $params) = $this->visibilityCondition($user);
+            
+            $query = "INSERT IGNORE INTO notification_reads (notification_id, user_id)
+                     SELECT n.id, :reader_id
+                     FROM notifications n
+                     WHERE $visibility AND $condition";
+            
+            $stmt = $this->db->prepare($query);
+            foreach (array_merge($params, $conditionParams) as $key => $value) {
+                $stmt->bindValue($key, $value);
+            }
+            $stmt->bindValue(':reader_id', $user['user_id']);
+            $stmt->execute();
+            
+            return [
+                'success' => true,
+                'marked' => $stmt->rowCount()
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Mark notifications read error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při aktualizaci oznámení']];
+        }
+    }
+}
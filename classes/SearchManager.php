@@ -0,0 +1,196 @@
+<?php
+/**
+ * Global Search Class
+ * Logistic CRM System
+ *
+ * Searches bookings, drivers, vehicles, warehouses and slots at once
+ */
+
+class SearchManager {
+    private $db;
+    
+    const MIN_QUERY_LENGTH = 2;
+    
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Search all entity types the user can read
+     */
+    public function search($query, $user, $limit = 5) {
+        $query = trim($query);
+        $results = [];
+        
+        if (mb_strlen($query) < self::MIN_QUERY_LENGTH) {
+            return $results;
+        }
+        
+        $companyId = $user['user_type'] === 'super_admin' ? null : $user['company_id'];
+        
+        if (hasPermission($user['user_type'], 'bookings', 'read')) {
+            // Drivers find only bookings assigned to them
+            $driverId = $user['user_type'] === 'driver' ? $user['user_id'] : null;
+            $results['bookings'] = $this->searchBookings($query, $companyId, $driverId, $limit);
+        }
+        
+        if (hasPermission($user['user_type'], 'users', 'read')) {
+            $results['drivers'] = $this->searchDrivers($query, $companyId, $limit);
+        }
+        
+        if (hasPermission($user['user_type'], 'vehicles', 'read')) {
+            $results['vehicles'] = $this->searchVehicles($query, $companyId, $limit);
+        }
+        
+        if (hasPermission($user['user_type'], 'warehouses', 'read')) {
+            $results['warehouses'] = $this->searchWarehouses($query, $companyId, $limit);
+        }
+        
+        if (hasPermission($user['user_type'], 'slots', 'read')) {
+            $results['slots'] = $this->searchSlots($query, $companyId, $limit);
+        }
+        
+        return $results;
+    }
+    
+    private function searchBookings($query, $companyId, $driverId, $limit) {
+        $sql = "SELECT b.id, b.booking_number, b.reference_number, b.status,
+                       ts.slot_date, ts.slot_time_start, w.name as warehouse_name
+                FROM bookings b
+                JOIN time_slots ts ON b.time_slot_id = ts.id
+                JOIN warehouses w ON ts.warehouse_id = w.id
+                WHERE (b.booking_number LIKE :search1 OR b.reference_number LIKE :search2)";
+        $params = $this->searchParams($query, 2);
+        
+        if ($companyId) {
+            $sql .= " AND b.company_id = :company_id";
+            $params[':company_id'] = $companyId;
+        }
+        
+        if ($driverId) {
+            $sql .= " AND b.driver_id = :driver_id";
+            $params[':driver_id'] = $driverId;
+        }
+        
+        $sql .= " ORDER BY ts.slot_date DESC, ts.slot_time_start DESC";
+        
+        return $this->fetch($sql, $params, $limit);
+    }
+    
+    private function searchDrivers($query, $companyId, $limit) {
+        $sql = "SELECT u.id, u.full_name, u.email, u.phone, u.is_active
+                FROM users u
+                WHERE u.user_type = 'driver'
+                AND (u.full_name LIKE :search1 OR u.email LIKE :search2 OR u.phone LIKE :search3)";
+        $params = $this->searchParams($query, 3);
+        
+        if ($companyId) {
+            $sql .= " AND u.company_id = :company_id";
+            $params[':company_id'] = $companyId;
+        }
+        
+        $sql .= " ORDER BY u.is_active DESC, u.full_name";
+        
+        return $this->fetch($sql, $params, $limit);
+    }
+    
+    private function searchVehicles($query, $companyId, $limit) {
+        // Plates are stored upper case with single spaces
+        $plate = strtoupper(preg_replace('/\s+/', '', $query));
+        
+        $sql = "SELECT v.id, v.license_plate, v.type, v.is_active
+                FROM vehicles v
+                WHERE REPLACE(v.license_plate, ' ', '') LIKE :plate";
+        $params = [':plate' => '%' . $plate . '%'];
+        
+        if ($companyId) {
+            $sql .= " AND v.company_id = :company_id";
+            $params[':company_id'] = $companyId;
+        }
+        
+        $sql .= " ORDER BY v.is_active DESC, v.license_plate";
+        
+        return $this->fetch($sql, $params, $limit);
+    }
+    
+    private function searchWarehouses($query, $companyId, $limit) {
+        $sql = "SELECT w.id, w.name, w.address, w.is_active
+                FROM warehouses w
+                WHERE (w.name LIKE :search1 OR w.address LIKE :search2)";
+        $params = $this->searchParams($query, 2);
+        
+        if ($companyId) {
+            $sql .= " AND (w.company_id = :company_id OR w.company_id IS NULL)";
+            $params[':company_id'] = $companyId;
+        }
+        
+        $sql .= " ORDER BY w.is_active DESC, w.name";
+        
+        return $this->fetch($sql, $params, $limit);
+    }
+    
+    /**
+     * Slots on a date (e.g. 24.12.2024) or upcoming slots of a warehouse or zone
+     */
+    private function searchSlots($query, $companyId, $limit) {
+        $sql = "SELECT s.id, s.warehouse_id, s.slot_date, s.slot_time_start, s.slot_time_end,
+                       s.is_blocked, w.name as warehouse_name, wz.name as zone_name
+                FROM time_slots s
+                JOIN warehouses w ON s.warehouse_id = w.id
+                LEFT JOIN warehouse_zones wz ON s.zone_id = wz.id
+                WHERE w.is_active = 1";
+        $params = [];
+        
+        $date = $this->parseDate($query);
+        if ($date) {
+            $sql .= " AND s.slot_date = :slot_date";
+            $params[':slot_date'] = $date;
+        } else {
+            $sql .= " AND s.slot_date >= CURDATE() AND (w.name LIKE :search1 OR wz.name LIKE :search2)";
+            $params = $this->searchParams($query, 2);
+        }
+        
+        if ($companyId) {
+            $sql .= " AND (w.company_id = :company_id OR w.company_id IS NULL)";
+            $params[':company_id'] = $companyId;
+        }
+        
+        $sql .= " ORDER BY s.slot_date, s.slot_time_start";
+        
+        return $this->fetch($sql, $params, $limit);
+    }
+    
+    private function parseDate($query) {
+        foreach (['Y-m-d', 'j.n.Y', 'd.m.Y'] as $format) {
+            $date = DateTime::createFromFormat('!' . $format, str_replace(' ', '', $query));
+            if ($date && $date->format($format) === str_replace(' ', '', $query)) {
+                return $date->format('Y-m-d');
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * LIKE parameters :search1 ... :searchN, native prepares do not allow one name twice
+     */
+    private function searchParams($query, $count) {
+        $params = [];
+        for ($i = 1; $i <= $count; $i++) {
+            $params[':search' . $i] = '%' . $query . '%';
+        }
+        
+        return $params;
+    }
+    
+    private function fetch($sql, $params, $limit) {
+        $stmt = $this->db->prepare($sql . " LIMIT :limit");
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        return $stmt->fetchAll();
+    }
+}
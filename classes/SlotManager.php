@@ -21,6 +21,9 @@ class SlotManager {
     // Recurring patterns
     const RECURRING_PATTERNS = ['none', 'daily', 'weekly', 'monthly'];
     
+    // Fields the slot form may change
+    const EDITABLE_FIELDS = ['warehouse_id', 'zone_id', 'slot_date', 'slot_time_start', 'slot_time_end', 'slot_type', 'capacity', 'is_blocked', 'block_reason'];
+    
     public function __construct($db) {
         $this->db = $db;
     }
@@ -34,12 +37,17 @@ class SlotManager {
             return ['success' => false, 'errors' => $validation['errors']];
         }
         
+        if (!empty($data['zone_id']) && !$this->isZoneOfWarehouse($data['zone_id'], $data['warehouse_id'])) {
+            return ['success' => false, 'errors' => ['Zóna nepatří k vybranému skladu']];
+        }
+        
         try {
             $this->db->beginTransaction();
             
             // Check for conflicts
             $conflicts = $this->checkSlotConflicts($data);
             if (!empty($conflicts)) {
+                $this->db->rollBack();
                 return ['success' => false, 'errors' => ['Slot konflikt: ' . implode(', ', $conflicts)]];
             }
             
@@ -47,7 +55,7 @@ class SlotManager {
             $slotId = $this->insertSlot($data);
             
             // Create recurring slots if specified
-            if ($data['recurring_pattern'] !== 'none') {
+            if (($data['recurring_pattern'] ?? 'none') !== 'none') {
                 $this->createRecurringSlots($slotId, $data);
             }
             
@@ -69,7 +77,7 @@ class SlotManager {
     }
     
     /**
-     * Update slot
+     * Update slot, fields left out keep their current values
      */
     public function updateSlot($slotId, $data) {
         $validation = $this->validateSlotData($data, true);
@@ -84,14 +92,39 @@ class SlotManager {
                 return ['success' => false, 'errors' => ['Slot nenalezen']];
             }
             
+            // Moving a slot sends only its date and times
+            $slot = array_merge($currentSlot, array_intersect_key($data, array_flip(self::EDITABLE_FIELDS)));
+            $slot['slot_time_start'] = substr($slot['slot_time_start'], 0, 5);
+            $slot['slot_time_end'] = substr($slot['slot_time_end'], 0, 5);
+            $slot['zone_id'] = !empty($slot['zone_id']) ? intval($slot['zone_id']) : null;
+            
+            $errors = [];
+            if ($slot['slot_time_start'] >= $slot['slot_time_end']) {
+                $errors[] = 'Čas konce musí být později než čas začátku';
+            }
+            if ($slot['zone_id'] && !$this->isZoneOfWarehouse($slot['zone_id'], $slot['warehouse_id'])) {
+                $errors[] = 'Zóna nepatří k vybranému skladu';
+            }
+            
+            // Bookings already made have to fit
+            $booked = count($this->getSlotBookings($slotId));
+            if (intval($slot['capacity']) < $booked) {
+                $errors[] = "Kapacita nemůže být menší než počet rezervací slotu ($booked)";
+            }
+            if (!empty($errors)) {
+                return ['success' => false, 'errors' => $errors];
+            }
+            
             // Check for conflicts (excluding current slot)
-            $conflicts = $this->checkSlotConflicts($data, $slotId);
+            $conflicts = $this->checkSlotConflicts($slot, $slotId);
             if (!empty($conflicts)) {
                 return ['success' => false, 'errors' => ['Slot konflikt: ' . implode(', ', $conflicts)]];
             }
             
             // Update slot
             $query = "UPDATE time_slots SET 
+                        warehouse_id = :warehouse_id,
+                        zone_id = :zone_id,
                         slot_date = :slot_date,
                         slot_time_start = :slot_time_start,
                         slot_time_end = :slot_time_end,
@@ -102,15 +135,18 @@ class SlotManager {
                         updated_at = NOW()
                       WHERE id = :slot_id";
             
+            // bindValue, expressions cannot be bound by reference
             $stmt = $this->db->prepare($query);
-            $stmt->bindParam(':slot_id', $slotId);
-            $stmt->bindParam(':slot_date', $data['slot_date']);
-            $stmt->bindParam(':slot_time_start', $data['slot_time_start']);
-            $stmt->bindParam(':slot_time_end', $data['slot_time_end']);
-            $stmt->bindParam(':slot_type', $data['slot_type']);
-            $stmt->bindParam(':capacity', $data['capacity']);
-            $stmt->bindParam(':is_blocked', $data['is_blocked'] ? 1 : 0);
-            $stmt->bindParam(':block_reason', $data['block_reason'] ?? null);
+            $stmt->bindValue(':slot_id', $slotId);
+            $stmt->bindValue(':warehouse_id', $slot['warehouse_id']);
+            $stmt->bindValue(':zone_id', $slot['zone_id']);
+            $stmt->bindValue(':slot_date', $slot['slot_date']);
+            $stmt->bindValue(':slot_time_start', $slot['slot_time_start']);
+            $stmt->bindValue(':slot_time_end', $slot['slot_time_end']);
+            $stmt->bindValue(':slot_type', $slot['slot_type']);
+            $stmt->bindValue(':capacity', intval($slot['capacity']));
+            $stmt->bindValue(':is_blocked', empty($slot['is_blocked']) ? 0 : 1);
+            $stmt->bindValue(':block_reason', empty($slot['is_blocked']) ? null : ($slot['block_reason'] ?: null));
             
             if ($stmt->execute()) {
                 $this->logSlotAction($slotId, 'slot_updated', [
@@ -497,7 +533,10 @@ class SlotManager {
     
     // Private helper methods
     
-    private function validateSlotData($data, $isUpdate = false) {
+    /**
+     * Check slot fields, also used by the dry run of slot imports
+     */
+    public function validateSlotData($data, $isUpdate = false) {
         $errors = [];
         
         if (!$isUpdate || isset($data['warehouse_id'])) {
@@ -554,35 +593,15 @@ class SlotManager {
         return ['valid' => empty($errors), 'errors' => $errors];
     }
     
-    private function checkSlotConflicts($data, $excludeSlotId = null) {
+    /**
+     * Slots overlapping the time in the same place, also used by slot imports
+     */
+    public function checkSlotConflicts($data, $excludeSlotId = null) {
         $conflicts = [];
         
         try {
-            $query = "SELECT id FROM time_slots 
-                     WHERE warehouse_id = :warehouse_id 
-                     AND slot_date = :slot_date 
-                     AND (
-                         (slot_time_start < :end_time AND slot_time_end > :start_time)
-                     )";
-            
-            if ($excludeSlotId) {
-                $query .= " AND id != :exclude_id";
-            }
-            
-            $stmt = $this->db->prepare($query);
-            $stmt->bindParam(':warehouse_id', $data['warehouse_id']);
-            $stmt->bindParam(':slot_date', $data['slot_date']);
-            $stmt->bindParam(':start_time', $data['slot_time_start']);
-            $stmt->bindParam(':end_time', $data['slot_time_end']);
-            
-            if ($excludeSlotId) {
-                $stmt->bindParam(':exclude_id', $excludeSlotId);
-            }
-            
-            $stmt->execute();
-            
-            if ($stmt->rowCount() > 0) {
-                $conflicts[] = 'Časový konflikt s existujícím slotem';
+            foreach ($this->getOverlappingSlots($data, $excludeSlotId) as $slot) {
+                $conflicts[] = 'Časový konflikt se slotem ' . substr($slot['slot_time_start'], 0, 5) . '–' . substr($slot['slot_time_end'], 0, 5);
             }
             
         } catch (Exception $e) {
@@ -593,30 +612,122 @@ class SlotManager {
         return $conflicts;
     }
     
-    private function insertSlot($data) {
+    /**
+     * Slots of the warehouse on the date whose time overlaps the slot's
+     *
+     * Slots of different zones run side by side, a slot without zone takes
+     * the whole warehouse and overlaps slots of all its zones
+     */
+    public function getOverlappingSlots($data, $excludeSlotId = null) {
+        $query = "SELECT s.id, s.zone_id, s.slot_time_start, s.slot_time_end, s.slot_type, s.is_blocked, wz.name as zone_name
+                 FROM time_slots s
+                 LEFT JOIN warehouse_zones wz ON s.zone_id = wz.id
+                 WHERE s.warehouse_id = :warehouse_id
+                 AND s.slot_date = :slot_date
+                 AND s.slot_time_start < :end_time AND s.slot_time_end > :start_time";
+        
+        if (!empty($data['zone_id'])) {
+            $query .= " AND (s.zone_id IS NULL OR s.zone_id = :zone_id)";
+        }
+        
+        if ($excludeSlotId) {
+            $query .= " AND s.id != :exclude_id";
+        }
+        
+        $query .= " ORDER BY s.slot_time_start";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindValue(':warehouse_id', $data['warehouse_id']);
+        $stmt->bindValue(':slot_date', $data['slot_date']);
+        $stmt->bindValue(':start_time', $data['slot_time_start']);
+        $stmt->bindValue(':end_time', $data['slot_time_end']);
+        
+        if (!empty($data['zone_id'])) {
+            $stmt->bindValue(':zone_id', $data['zone_id']);
+        }
+        
+        if ($excludeSlotId) {
+            $stmt->bindValue(':exclude_id', $excludeSlotId);
+        }
+        
+        $stmt->execute();
+        
+        return $stmt->fetchAll();
+    }
+    
+    /**
+     * Slots of the company warehouses on the date, what the license limits per day
+     */
+    public function countSlotsOnDate($companyId, $date, $excludeSlotId = null) {
+        $query = "SELECT COUNT(*) FROM time_slots ts
+                 JOIN warehouses w ON ts.warehouse_id = w.id
+                 WHERE w.company_id = :company_id AND ts.slot_date = :slot_date";
+        
+        if ($excludeSlotId) {
+            $query .= " AND ts.id != :exclude_id";
+        }
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindValue(':company_id', $companyId);
+        $stmt->bindValue(':slot_date', $date);
+        
+        if ($excludeSlotId) {
+            $stmt->bindValue(':exclude_id', $excludeSlotId);
+        }
+        
+        $stmt->execute();
+        
+        return (int) $stmt->fetchColumn();
+    }
+    
+    /**
+     * Warehouse of a slot with its owning company, false when it does not exist
+     */
+    public function getWarehouse($warehouseId) {
+        $stmt = $this->db->prepare("SELECT id, company_id, name, is_active FROM warehouses WHERE id = :warehouse_id");
+        $stmt->bindValue(':warehouse_id', $warehouseId);
+        $stmt->execute();
+        
+        return $stmt->fetch();
+    }
+    
+    /**
+     * Zone exists and belongs to the warehouse
+     */
+    public function isZoneOfWarehouse($zoneId, $warehouseId) {
+        $stmt = $this->db->prepare("SELECT id FROM warehouse_zones WHERE id = :zone_id AND warehouse_id = :warehouse_id");
+        $stmt->bindValue(':zone_id', $zoneId);
+        $stmt->bindValue(':warehouse_id', $warehouseId);
+        $stmt->execute();
+        
+        return (bool) $stmt->fetch();
+    }
+    
+    /**
+     * Insert slot as it is, callers check it and its conflicts first
+     */
+    public function insertSlot($data) {
         $query = "INSERT INTO time_slots (
                     warehouse_id, zone_id, slot_date, slot_time_start, slot_time_end,
-                    slot_type, capacity, available_capacity, is_blocked, block_reason,
-                    recurring_pattern, recurring_until, created_by
+                    slot_type, capacity, is_blocked, block_reason, recurring_pattern, template_id
                   ) VALUES (
                     :warehouse_id, :zone_id, :slot_date, :slot_time_start, :slot_time_end,
-                    :slot_type, :capacity, :capacity, :is_blocked, :block_reason,
-                    :recurring_pattern, :recurring_until, :created_by
+                    :slot_type, :capacity, :is_blocked, :block_reason, :recurring_pattern, :template_id
                   )";
         
+        // bindValue, expressions cannot be bound by reference
         $stmt = $this->db->prepare($query);
-        $stmt->bindParam(':warehouse_id', $data['warehouse_id']);
-        $stmt->bindParam(':zone_id', $data['zone_id'] ?? null);
-        $stmt->bindParam(':slot_date', $data['slot_date']);
-        $stmt->bindParam(':slot_time_start', $data['slot_time_start']);
-        $stmt->bindParam(':slot_time_end', $data['slot_time_end']);
-        $stmt->bindParam(':slot_type', $data['slot_type'] ?? 'universal');
-        $stmt->bindParam(':capacity', $data['capacity'] ?? 1);
-        $stmt->bindParam(':is_blocked', $data['is_blocked'] ?? 0);
-        $stmt->bindParam(':block_reason', $data['block_reason'] ?? null);
-        $stmt->bindParam(':recurring_pattern', $data['recurring_pattern'] ?? 'none');
-        $stmt->bindParam(':recurring_until', $data['recurring_until'] ?? null);
-        $stmt->bindParam(':created_by', $data['created_by']);
+        $stmt->bindValue(':warehouse_id', $data['warehouse_id']);
+        $stmt->bindValue(':zone_id', !empty($data['zone_id']) ? $data['zone_id'] : null);
+        $stmt->bindValue(':slot_date', $data['slot_date']);
+        $stmt->bindValue(':slot_time_start', $data['slot_time_start']);
+        $stmt->bindValue(':slot_time_end', $data['slot_time_end']);
+        $stmt->bindValue(':slot_type', $data['slot_type'] ?? 'universal');
+        $stmt->bindValue(':capacity', $data['capacity'] ?? 1);
+        $stmt->bindValue(':is_blocked', empty($data['is_blocked']) ? 0 : 1);
+        $stmt->bindValue(':block_reason', empty($data['is_blocked']) ? null : ($data['block_reason'] ?? null));
+        $stmt->bindValue(':recurring_pattern', $data['recurring_pattern'] ?? 'none');
+        $stmt->bindValue(':template_id', $data['template_id'] ?? null);
         
         $stmt->execute();
         
@@ -700,9 +811,9 @@ class SlotManager {
             $stmt = $this->db->prepare($query);
             $stmt->bindParam(':action', $action);
             $stmt->bindParam(':entity_id', $slotId);
-            $stmt->bindParam(':new_values', json_encode($data));
-            $stmt->bindParam(':ip_address', $_SERVER['REMOTE_ADDR'] ?? null);
-            $stmt->bindParam(':user_agent', $_SERVER['HTTP_USER_AGENT'] ?? null);
+            $stmt->bindValue(':new_values', json_encode($data));
+            $stmt->bindValue(':ip_address', $_SERVER['REMOTE_ADDR'] ?? null);
+            $stmt->bindValue(':user_agent', $_SERVER['HTTP_USER_AGENT'] ?? null);
             $stmt->execute();
         } catch (Exception $e) {
             error_log("Slot action log error: " . $e->getMessage());
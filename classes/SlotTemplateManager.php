@@ -0,0 +1,683 @@
+<?php
+/**
+ * Slot Template Management Class
+ * Logistic CRM System
+ *
+ * Weekly slot patterns of warehouses and zones and the generator that turns
+ * them into slots of a date range. Existing slots and public holidays are
+ * skipped, regeneration replaces the unbooked slots created from the templates
+ */
+
+require_once __DIR__ . '/SlotManager.php';
+
+class SlotTemplateManager {
+    private $db;
+    private $slotManager;
+    
+    const MAX_NAME_LENGTH = 100;
+    
+    // Slot length in minutes
+    const MIN_SLOT_LENGTH = 10;
+    const MAX_SLOT_LENGTH = 480;
+    
+    // One run covers at most a quarter of a year
+    const MAX_GENERATE_DAYS = 92;
+    const MAX_GENERATED_SLOTS = 2000;
+    
+    // Czech public holidays by month and day, Easter is computed for each year
+    const PUBLIC_HOLIDAYS = [
+        '01-01' => 'Den obnovy samostatného českého státu',
+        '05-01' => 'Svátek práce',
+        '05-08' => 'Den vítězství',
+        '07-05' => 'Den slovanských věrozvěstů Cyrila a Metoděje',
+        '07-06' => 'Den upálení mistra Jana Husa',
+        '09-28' => 'Den české státnosti',
+        '10-28' => 'Den vzniku samostatného československého státu',
+        '11-17' => 'Den boje za svobodu a demokracii',
+        '12-24' => 'Štědrý den',
+        '12-25' => '1. svátek vánoční',
+        '12-26' => '2. svátek vánoční'
+    ];
+    
+    const TEMPLATE_FIELDS = ['name', 'warehouse_id', 'zone_id', 'weekdays', 'time_start', 'time_end', 'slot_length', 'slot_type', 'capacity', 'breaks', 'skip_holidays'];
+    
+    public function __construct($db) {
+        $this->db = $db;
+        $this->slotManager = new SlotManager($db);
+    }
+    
+    /**
+     * Templates of the user's company warehouses, super admin sees all
+     */
+    public function getTemplates($user, $warehouseId = null) {
+        $query = "SELECT t.*, w.name as warehouse_name, w.company_id, wz.name as zone_name
+                 FROM slot_templates t
+                 JOIN warehouses w ON t.warehouse_id = w.id
+                 LEFT JOIN warehouse_zones wz ON t.zone_id = wz.id
+                 WHERE 1=1";
+        $params = [];
+        
+        if ($user['user_type'] !== 'super_admin') {
+            $query .= " AND w.company_id = :company_id";
+            $params[':company_id'] = $user['company_id'];
+        }
+        
+        if ($warehouseId) {
+            $query .= " AND t.warehouse_id = :warehouse_id";
+            $params[':warehouse_id'] = $warehouseId;
+        }
+        
+        $query .= " ORDER BY w.name, wz.name, t.time_start, t.name";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->execute();
+        
+        $templates = [];
+        foreach ($stmt->fetchAll() as $template) {
+            $templates[] = $this->formatTemplate($template);
+        }
+        
+        return $templates;
+    }
+    
+    /**
+     * Template with its warehouse company, null when it does not exist
+     */
+    public function getTemplate($templateId) {
+        $query = "SELECT t.*, w.name as warehouse_name, w.company_id, wz.name as zone_name
+                 FROM slot_templates t
+                 JOIN warehouses w ON t.warehouse_id = w.id
+                 LEFT JOIN warehouse_zones wz ON t.zone_id = wz.id
+                 WHERE t.id = :template_id";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindValue(':template_id', intval($templateId));
+        $stmt->execute();
+        
+        $template = $stmt->fetch();
+        return $template ? $this->formatTemplate($template) : null;
+    }
+    
+    public function createTemplate($data, $user) {
+        try {
+            $validation = $this->validateTemplate($data);
+            if (!$validation['valid']) {
+                return ['success' => false, 'errors' => $validation['errors'], 'field_errors' => $validation['field_errors']];
+            }
+            
+            $query = "INSERT INTO slot_templates (
+                        warehouse_id, zone_id, name, weekdays, time_start, time_end,
+                        slot_length, slot_type, capacity, breaks, skip_holidays, created_by
+                      ) VALUES (
+                        :warehouse_id, :zone_id, :name, :weekdays, :time_start, :time_end,
+                        :slot_length, :slot_type, :capacity, :breaks, :skip_holidays, :created_by
+                      )";
+            
+            $stmt = $this->db->prepare($query);
+            $this->bindTemplate($stmt, $validation['template']);
+            $stmt->bindValue(':created_by', $user['user_id']);
+            $stmt->execute();
+            
+            return [
+                'success' => true,
+                'template_id' => $this->db->lastInsertId()
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Create slot template error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření šablony']];
+        }
+    }
+    
+    /**
+     * Update template, fields left out keep their values. Slots generated
+     * before keep theirs until the template is regenerated
+     */
+    public function updateTemplate($templateId, $data) {
+        try {
+            $template = $this->getTemplate($templateId);
+            if (!$template) {
+                return ['success' => false, 'errors' => ['Šablona nenalezena']];
+            }
+            
+            $data = array_merge(
+                array_intersect_key($template, array_flip(self::TEMPLATE_FIELDS)),
+                array_intersect_key($data, array_flip(self::TEMPLATE_FIELDS))
+            );
+            
+            $validation = $this->validateTemplate($data);
+            if (!$validation['valid']) {
+                return ['success' => false, 'errors' => $validation['errors'], 'field_errors' => $validation['field_errors']];
+            }
+            
+            $query = "UPDATE slot_templates SET
+                        warehouse_id = :warehouse_id,
+                        zone_id = :zone_id,
+                        name = :name,
+                        weekdays = :weekdays,
+                        time_start = :time_start,
+                        time_end = :time_end,
+                        slot_length = :slot_length,
+                        slot_type = :slot_type,
+                        capacity = :capacity,
+                        breaks = :breaks,
+                        skip_holidays = :skip_holidays
+                      WHERE id = :template_id";
+            
+            $stmt = $this->db->prepare($query);
+            $this->bindTemplate($stmt, $validation['template']);
+            $stmt->bindValue(':template_id', $template['id']);
+            $stmt->execute();
+            
+            return ['success' => true];
+        
+        } catch (Exception $e) {
+            error_log("Update slot template error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při ukládání šablony']];
+        }
+    }
+    
+    /**
+     * Delete template, its slots stay and are no longer regenerated
+     */
+    public function deleteTemplate($templateId) {
+        try {
+            $stmt = $this->db->prepare("DELETE FROM slot_templates WHERE id = :template_id");
+            $stmt->bindValue(':template_id', intval($templateId));
+            $stmt->execute();
+            
+            if ($stmt->rowCount() === 0) {
+                return ['success' => false, 'errors' => ['Šablona nenalezena']];
+            }
+            
+            return ['success' => true];
+        
+        } catch (Exception $e) {
+            error_log("Delete slot template error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při mazání šablony']];
+        }
+    }
+    
+    /**
+     * Start and end times of the template's slots on one day
+     *
+     * Slots follow each other from the start of the day, a slot that would
+     * run into a break starts when the break ends
+     */
+    public function getTemplateTimes($template) {
+        $length = intval($template['slot_length']);
+        $end = $this->toMinutes($template['time_end']);
+        
+        $times = [];
+        $start = $this->toMinutes($template['time_start']);
+        
+        while ($length > 0 && $start + $length <= $end) {
+            foreach ($template['breaks'] as $break) {
+                $breakStart = $this->toMinutes($break['start']);
+                $breakEnd = $this->toMinutes($break['end']);
+                
+                if ($start < $breakEnd && $start + $length > $breakStart) {
+                    $start = $breakEnd;
+                    continue 2;
+                }
+            }
+            
+            $times[] = [$this->toTime($start), $this->toTime($start + $length)];
+            $start += $length;
+        }
+        
+        return $times;
+    }
+    
+    /**
+     * Public holidays between the dates, name by date
+     */
+    public function getHolidays($startDate, $endDate) {
+        $holidays = [];
+        
+        for ($year = intval(substr($startDate, 0, 4)); $year <= intval(substr($endDate, 0, 4)); $year++) {
+            foreach (self::PUBLIC_HOLIDAYS as $day => $name) {
+                $holidays["$year-$day"] = $name;
+            }
+            
+            $easter = $this->getEasterSunday($year);
+            $holidays[(clone $easter)->modify('-2 days')->format('Y-m-d')] = 'Velký pátek';
+            $holidays[(clone $easter)->modify('+1 day')->format('Y-m-d')] = 'Velikonoční pondělí';
+        }
+        
+        $inRange = [];
+        foreach ($holidays as $date => $name) {
+            if ($date >= $startDate && $date <= $endDate) {
+                $inRange[$date] = $name;
+            }
+        }
+        ksort($inRange);
+        
+        return $inRange;
+    }
+    
+    /**
+     * Slots the templates would create between the dates, nothing is saved
+     *
+     * A slot is skipped when it overlaps an existing slot or a slot of an
+     * earlier template, or when its company reached the daily limit of its
+     * license. Daily limits are by company ID. With regenerate the unbooked
+     * slots created from the same templates are replaced, they are returned
+     * as removed
+     */
+    public function planSlots($templates, $startDate, $endDate, $regenerate = false, $dailyLimits = []) {
+        $fieldErrors = $this->validateRange($startDate, $endDate);
+        if (!empty($fieldErrors)) {
+            return ['success' => false, 'errors' => array_values($fieldErrors), 'field_errors' => $fieldErrors];
+        }
+        
+        $templateIds = array_map('intval', array_column($templates, 'id'));
+        $warehouseIds = array_unique(array_map('intval', array_column($templates, 'warehouse_id')));
+        $holidays = $this->getHolidays($startDate, $endDate);
+        
+        // Existing slots by warehouse and date, those replaced on regeneration apart
+        $existing = [];
+        $removed = [];
+        foreach ($this->getSlotsInRange($warehouseIds, $startDate, $endDate) as $slot) {
+            if ($regenerate && in_array(intval($slot['template_id']), $templateIds) && intval($slot['booking_count']) === 0) {
+                $removed[] = $slot;
+            } else {
+                $existing[$slot['warehouse_id'] . '|' . $slot['slot_date']][] = $slot;
+            }
+        }
+        
+        $usage = [];
+        foreach ($dailyLimits as $companyId => $limit) {
+            $usage[$companyId] = $this->countSlotsByDate($companyId, $startDate, $endDate);
+        }
+        foreach ($removed as $slot) {
+            if (isset($usage[$slot['company_id']][$slot['slot_date']])) {
+                $usage[$slot['company_id']][$slot['slot_date']]--;
+            }
+        }
+        
+        $slots = [];
+        $skipped = [];
+        $skippedDays = [];
+        $planned = [];
+        $timesByTemplate = [];
+        foreach ($templates as $template) {
+            $timesByTemplate[$template['id']] = $this->getTemplateTimes($template);
+        }
+        
+        $date = new DateTime($startDate);
+        $last = new DateTime($endDate);
+        for (; $date <= $last; $date->modify('+1 day')) {
+            $day = $date->format('Y-m-d');
+            
+            foreach ($templates as $template) {
+                if (!in_array(intval($date->format('N')), $template['weekdays'])) {
+                    continue;
+                }
+                
+                if ($template['skip_holidays'] && isset($holidays[$day])) {
+                    $skippedDays[] = ['template_id' => $template['id'], 'slot_date' => $day, 'reason' => 'Státní svátek: ' . $holidays[$day]];
+                    continue;
+                }
+                
+                $key = $template['warehouse_id'] . '|' . $day;
+                $companyId = $template['company_id'];
+                
+                foreach ($timesByTemplate[$template['id']] as $time) {
+                    $slot = [
+                        'template_id' => $template['id'],
+                        'template_name' => $template['name'],
+                        'warehouse_id' => $template['warehouse_id'],
+                        'warehouse_name' => $template['warehouse_name'],
+                        'zone_id' => $template['zone_id'],
+                        'zone_name' => $template['zone_name'],
+                        'slot_date' => $day,
+                        'slot_time_start' => $time[0],
+                        'slot_time_end' => $time[1],
+                        'slot_type' => $template['slot_type'],
+                        'capacity' => $template['capacity']
+                    ];
+                    
+                    $reason = null;
+                    foreach ($existing[$key] ?? [] as $other) {
+                        if ($this->overlaps($slot, $other)) {
+                            $reason = 'Překrývá se se slotem ' . $other['slot_time_start'] . '–' . $other['slot_time_end'];
+                            break;
+                        }
+                    }
+                    
+                    if ($reason === null) {
+                        foreach ($planned[$key] ?? [] as $other) {
+                            if ($this->overlaps($slot, $other)) {
+                                $reason = 'Překrývá se se slotem šablony ' . $other['template_name'];
+                                break;
+                            }
+                        }
+                    }
+                    
+                    if ($reason === null && isset($dailyLimits[$companyId])) {
+                        if (($usage[$companyId][$day] ?? 0) >= $dailyLimits[$companyId]) {
+                            $reason = 'Licence povoluje nejvýše ' . $dailyLimits[$companyId] . ' slotů denně';
+                        } else {
+                            $usage[$companyId][$day] = ($usage[$companyId][$day] ?? 0) + 1;
+                        }
+                    }
+                    
+                    if ($reason !== null) {
+                        $skipped[] = $slot + ['reason' => $reason];
+                        continue;
+                    }
+                    
+                    $slots[] = $slot;
+                    $planned[$key][] = $slot;
+                }
+            }
+            
+            if (count($slots) > self::MAX_GENERATED_SLOTS) {
+                return $this->fieldError('end_date', 'Najednou lze vytvořit nejvýše ' . self::MAX_GENERATED_SLOTS . ' slotů, zkraťte období');
+            }
+        }
+        
+        return [
+            'success' => true,
+            'slots' => $slots,
+            'skipped' => $skipped,
+            'skipped_days' => $skippedDays,
+            'removed' => $removed,
+            'holidays' => $holidays,
+            'summary' => [
+                'created' => count($slots),
+                'skipped' => count($skipped),
+                'removed' => count($removed),
+                'holidays' => count(array_unique(array_column($skippedDays, 'slot_date')))
+            ]
+        ];
+    }
+    
+    /**
+     * Create the planned slots, on regeneration after removing the replaced ones
+     */
+    public function generateSlots($templates, $startDate, $endDate, $regenerate, $dailyLimits, $user) {
+        $plan = $this->planSlots($templates, $startDate, $endDate, $regenerate, $dailyLimits);
+        if (!$plan['success']) {
+            return $plan;
+        }
+        
+        if (empty($plan['slots']) && empty($plan['removed'])) {
+            return ['success' => false, 'errors' => ['Šablony v tomto období nevytvoří žádný nový slot']];
+        }
+        
+        try {
+            $this->db->beginTransaction();
+            
+            // Slot booked since the plan was made stays, the whole run is repeated
+            $delete = $this->db->prepare("DELETE FROM time_slots WHERE id = :slot_id
+                                         AND NOT EXISTS (SELECT 1 FROM bookings b WHERE b.time_slot_id = time_slots.id)");
+            foreach ($plan['removed'] as $slot) {
+                $delete->bindValue(':slot_id', $slot['id']);
+                $delete->execute();
+                
+                if ($delete->rowCount() === 0) {
+                    $this->db->rollBack();
+                    return ['success' => false, 'errors' => ['Slot ' . $slot['slot_date'] . ' ' . $slot['slot_time_start'] . ' byl mezitím rezervován, zobrazte náhled znovu']];
+                }
+            }
+            
+            $created = [];
+            foreach ($plan['slots'] as $slot) {
+                $created[] = $this->slotManager->insertSlot($slot + [
+                    'is_blocked' => 0,
+                    'recurring_pattern' => 'none',
+                    'created_by' => $user['user_id']
+                ]);
+            }
+            
+            $this->db->commit();
+            
+            return ['slot_ids' => $created] + $plan;
+        
+        } catch (Exception $e) {
+            $this->db->rollBack();
+            error_log("Generate slots error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření slotů ze šablon']];
+        }
+    }
+    
+    private function validateTemplate($data) {
+        $fieldErrors = [];
+        
+        $name = trim($data['name'] ?? '');
+        if ($name === '') {
+            $fieldErrors['name'] = 'Zadejte název šablony';
+        } elseif (mb_strlen($name) > self::MAX_NAME_LENGTH) {
+            $fieldErrors['name'] = 'Název může mít nejvýše ' . self::MAX_NAME_LENGTH . ' znaků';
+        }
+        
+        $zoneId = !empty($data['zone_id']) ? intval($data['zone_id']) : null;
+        if (empty($data['warehouse_id'])) {
+            $fieldErrors['warehouse_id'] = 'Vyberte sklad';
+        } elseif ($zoneId && !$this->slotManager->isZoneOfWarehouse($zoneId, $data['warehouse_id'])) {
+            $fieldErrors['zone_id'] = 'Zóna nepatří k vybranému skladu';
+        }
+        
+        $weekdays = array_values(array_unique(array_map('intval', (array) ($data['weekdays'] ?? []))));
+        sort($weekdays);
+        if (empty($weekdays) || array_diff($weekdays, range(1, 7))) {
+            $fieldErrors['weekdays'] = 'Vyberte dny v týdnu';
+        }
+        
+        $timeStart = substr((string) ($data['time_start'] ?? ''), 0, 5);
+        $timeEnd = substr((string) ($data['time_end'] ?? ''), 0, 5);
+        if (!$this->isValidTime($timeStart)) {
+            $fieldErrors['time_start'] = 'Neplatný čas začátku';
+        }
+        if (!$this->isValidTime($timeEnd)) {
+            $fieldErrors['time_end'] = 'Neplatný čas konce';
+        } elseif ($timeStart >= $timeEnd) {
+            $fieldErrors['time_end'] = 'Konec musí být později než začátek';
+        }
+        
+        $slotLength = intval($data['slot_length'] ?? 0);
+        if ($slotLength < self::MIN_SLOT_LENGTH || $slotLength > self::MAX_SLOT_LENGTH) {
+            $fieldErrors['slot_length'] = 'Délka slotu musí být ' . self::MIN_SLOT_LENGTH . ' až ' . self::MAX_SLOT_LENGTH . ' minut';
+        }
+        
+        $slotType = $data['slot_type'] ?? 'universal';
+        if (!in_array($slotType, SlotManager::SLOT_TYPES)) {
+            $fieldErrors['slot_type'] = 'Neplatný typ slotu';
+        }
+        
+        $capacity = intval($data['capacity'] ?? 1);
+        if ($capacity < 1 || $capacity > 100) {
+            $fieldErrors['capacity'] = 'Kapacita musí být mezi 1 a 100';
+        }
+        
+        $breaks = [];
+        foreach ((array) ($data['breaks'] ?? []) as $break) {
+            $start = substr((string) ($break['start'] ?? ''), 0, 5);
+            $end = substr((string) ($break['end'] ?? ''), 0, 5);
+            
+            if (!$this->isValidTime($start) || !$this->isValidTime($end) || $start >= $end) {
+                $fieldErrors['breaks'] = 'Neplatná přestávka ' . $start . '–' . $end;
+                break;
+            }
+            $breaks[] = ['start' => $start, 'end' => $end];
+        }
+        
+        $template = [
+            'warehouse_id' => intval($data['warehouse_id'] ?? 0),
+            'zone_id' => $zoneId,
+            'name' => $name,
+            'weekdays' => $weekdays,
+            'time_start' => $timeStart,
+            'time_end' => $timeEnd,
+            'slot_length' => $slotLength,
+            'slot_type' => $slotType,
+            'capacity' => $capacity,
+            'breaks' => $breaks,
+            'skip_holidays' => !empty($data['skip_holidays'])
+        ];
+        
+        if (empty($fieldErrors) && empty($this->getTemplateTimes($template))) {
+            $fieldErrors['slot_length'] = 'Do zadané doby se nevejde žádný slot';
+        }
+        
+        return [
+            'valid' => empty($fieldErrors),
+            'errors' => array_values($fieldErrors),
+            'field_errors' => $fieldErrors,
+            'template' => $template
+        ];
+    }
+    
+    private function validateRange($startDate, $endDate) {
+        $fieldErrors = [];
+        
+        if (!$this->isValidDate($startDate)) {
+            $fieldErrors['start_date'] = 'Neplatné datum začátku';
+        } elseif ($startDate < date('Y-m-d')) {
+            $fieldErrors['start_date'] = 'Sloty nelze vytvářet do minulosti';
+        }
+        
+        if (!$this->isValidDate($endDate)) {
+            $fieldErrors['end_date'] = 'Neplatné datum konce';
+        } elseif (empty($fieldErrors) && $endDate < $startDate) {
+            $fieldErrors['end_date'] = 'Konec musí být po začátku';
+        } elseif (empty($fieldErrors) && (new DateTime($startDate))->diff(new DateTime($endDate))->days >= self::MAX_GENERATE_DAYS) {
+            $fieldErrors['end_date'] = 'Období může mít nejvýše ' . self::MAX_GENERATE_DAYS . ' dní';
+        }
+        
+        return $fieldErrors;
+    }
+    
+    /**
+     * Slots of the warehouses between the dates with their booking count,
+     * cancelled bookings included as they still reference the slot
+     */
+    private function getSlotsInRange($warehouseIds, $startDate, $endDate) {
+        if (empty($warehouseIds)) {
+            return [];
+        }
+        
+        $placeholders = implode(',', array_fill(0, count($warehouseIds), '?'));
+        $query = "SELECT s.id, s.warehouse_id, w.company_id, s.zone_id, s.slot_date,
+                        TIME_FORMAT(s.slot_time_start, '%H:%i') as slot_time_start,
+                        TIME_FORMAT(s.slot_time_end, '%H:%i') as slot_time_end,
+                        s.template_id,
+                        (SELECT COUNT(*) FROM bookings b WHERE b.time_slot_id = s.id) as booking_count
+                 FROM time_slots s
+                 JOIN warehouses w ON s.warehouse_id = w.id
+                 WHERE s.warehouse_id IN ($placeholders) AND s.slot_date BETWEEN ? AND ?
+                 ORDER BY s.slot_date, s.slot_time_start";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->execute(array_merge(array_values($warehouseIds), [$startDate, $endDate]));
+        
+        return $stmt->fetchAll();
+    }
+    
+    /**
+     * Slots of the company warehouses by date
+     */
+    private function countSlotsByDate($companyId, $startDate, $endDate) {
+        $query = "SELECT ts.slot_date, COUNT(*) as slot_count
+                 FROM time_slots ts
+                 JOIN warehouses w ON ts.warehouse_id = w.id
+                 WHERE w.company_id = :company_id AND ts.slot_date BETWEEN :start_date AND :end_date
+                 GROUP BY ts.slot_date";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindValue(':company_id', $companyId);
+        $stmt->bindValue(':start_date', $startDate);
+        $stmt->bindValue(':end_date', $endDate);
+        $stmt->execute();
+        
+        $counts = [];
+        foreach ($stmt->fetchAll() as $row) {
+            $counts[$row['slot_date']] = intval($row['slot_count']);
+        }
+        
+        return $counts;
+    }
+    
+    /**
+     * Same rule as SlotManager::getOverlappingSlots, zones run side by side
+     */
+    private function overlaps($slot, $other) {
+        $samePlace = empty($slot['zone_id']) || empty($other['zone_id']) || $slot['zone_id'] == $other['zone_id'];
+        
+        return $samePlace
+            && $slot['slot_time_start'] < $other['slot_time_end']
+            && $slot['slot_time_end'] > $other['slot_time_start'];
+    }
+    
+    private function formatTemplate($template) {
+        $template['id'] = intval($template['id']);
+        $template['weekdays'] = array_map('intval', explode(',', $template['weekdays']));
+        $template['breaks'] = json_decode($template['breaks'] ?? '', true) ?: [];
+        $template['time_start'] = substr($template['time_start'], 0, 5);
+        $template['time_end'] = substr($template['time_end'], 0, 5);
+        $template['slot_length'] = intval($template['slot_length']);
+        $template['capacity'] = intval($template['capacity']);
+        $template['skip_holidays'] = (bool) $template['skip_holidays'];
+        $template['slots_per_day'] = count($this->getTemplateTimes($template));
+        
+        return $template;
+    }
+    
+    private function bindTemplate($stmt, $template) {
+        $stmt->bindValue(':warehouse_id', $template['warehouse_id']);
+        $stmt->bindValue(':zone_id', $template['zone_id']);
+        $stmt->bindValue(':name', $template['name']);
+        $stmt->bindValue(':weekdays', implode(',', $template['weekdays']));
+        $stmt->bindValue(':time_start', $template['time_start']);
+        $stmt->bindValue(':time_end', $template['time_end']);
+        $stmt->bindValue(':slot_length', $template['slot_length'], PDO::PARAM_INT);
+        $stmt->bindValue(':slot_type', $template['slot_type']);
+        $stmt->bindValue(':capacity', $template['capacity'], PDO::PARAM_INT);
+        $stmt->bindValue(':breaks', json_encode($template['breaks']));
+        $stmt->bindValue(':skip_holidays', $template['skip_holidays'] ? 1 : 0, PDO::PARAM_INT);
+    }
+    
+    /**
+     * Easter Sunday of the Gregorian calendar, without the calendar extension
+     */
+    private function getEasterSunday($year) {
+        $a = $year % 19;
+        $b = intdiv($year, 100);
+        $c = $year % 100;
+        $h = (19 * $a + $b - intdiv($b, 4) - intdiv($b - intdiv($b + 8, 25) + 1, 3) + 15) % 30;
+        $l = (32 + 2 * ($b % 4) + 2 * intdiv($c, 4) - $h - $c % 4) % 7;
+        $m = intdiv($a + 11 * $h + 22 * $l, 451);
+        $month = intdiv($h + $l - 7 * $m + 114, 31);
+        $day = ($h + $l - 7 * $m + 114) % 31 + 1;
+        
+        return new DateTime(sprintf('%04d-%02d-%02d', $year, $month, $day));
+    }
+    
+    private function toMinutes($time) {
+        list($hours, $minutes) = array_map('intval', explode(':', $time));
+        return $hours * 60 + $minutes;
+    }
+    
+    private function toTime($minutes) {
+        return sprintf('%02d:%02d', intdiv($minutes, 60), $minutes % 60);
+    }
+    
+    private function fieldError($field, $message) {
+        return ['success' => false, 'errors' => [$message], 'field_errors' => [$field => $message]];
+    }
+    
+    private function isValidDate($date) {
+        $parsed = DateTime::createFromFormat('Y-m-d', (string) $date);
+        return $parsed && $parsed->format('Y-m-d') === $date;
+    }
+    
+    private function isValidTime($time) {
+        $parsed = DateTime::createFromFormat('H:i', $time);
+        return $parsed && $parsed->format('H:i') === $time;
+    }
+}
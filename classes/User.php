@@ -269,6 +269,75 @@ class User {
         }
     }
     
+    /**
+     * Filtered page of users with the total count of matching users
+     */
+    public function getUsers($filters, $page, $limit) {
+        $where_conditions = [];
+        $params = [];
+        
+        if (!empty($filters['company_id'])) {
+            $where_conditions[] = "u.company_id = :company_id";
+            $params[':company_id'] = $filters['company_id'];
+        }
+        
+        if (!empty($filters['user_type'])) {
+            $where_conditions[] = "u.user_type = :user_type";
+            $params[':user_type'] = $filters['user_type'];
+        }
+        
+        if (!empty($filters['search'])) {
+            $where_conditions[] = "(u.full_name LIKE :search1 OR u.email LIKE :search2)";
+            $params[':search1'] = "%{$filters['search']}%";
+            $params[':search2'] = "%{$filters['search']}%";
+        }
+        
+        if (isset($filters['is_active']) && $filters['is_active'] !== '') {
+            $where_conditions[] = "u.is_active = :is_active";
+            $params[':is_active'] = $filters['is_active'] === '1' ? 1 : 0;
+        }
+        
+        $where_clause = !empty($where_conditions) ? 'WHERE ' . implode(' AND ', $where_conditions) : '';
+        
+        try {
+            // Get total count
+            $count_query = "SELECT COUNT(*) FROM {$this->table} u $where_clause";
+            $stmt = $this->db->prepare($count_query);
+            foreach ($params as $key => $value) {
+                $stmt->bindValue($key, $value);
+            }
+            $stmt->execute();
+            $total = intval($stmt->fetchColumn());
+            
+            // Get users
+            $query = "SELECT u.id, u.company_id, u.email, u.full_name, u.phone, u.user_type, 
+                            u.is_active, u.avatar_url, u.language, u.timezone, u.last_login,
+                            u.driver_license_number, u.driver_license_expires, u.notes,
+                            u.created_at, u.updated_at, c.name as company_name
+                     FROM {$this->table} u 
+                     LEFT JOIN companies c ON u.company_id = c.id
+                     $where_clause
+                     ORDER BY u.created_at DESC
+                     LIMIT :limit OFFSET :offset";
+            
+            $stmt = $this->db->prepare($query);
+            foreach ($params as $key => $value) {
+                $stmt->bindValue($key, $value);
+            }
+            $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+            $stmt->bindValue(':offset', ($page - 1) * $limit, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            return [
+                'users' => $stmt->fetchAll(),
+                'total' => $total
+            ];
+        } catch (PDOException $e) {
+            error_log("Get users error: " . $e->getMessage());
+            return false;
+        }
+    }
+    
     /**
      * Update user profile
      */
@@ -313,6 +382,51 @@ class User {
         }
     }
     
+    /**
+     * Update account type and active flag
+     */
+    public function updateAccount($user_id, $data) {
+        $fields = [];
+        $params = [':user_id' => $user_id];
+        
+        if (array_key_exists('user_type', $data)) {
+            if (!in_array($data['user_type'], ['super_admin', 'admin', 'logistics', 'driver'])) {
+                return ['success' => false, 'errors' => ['Neplatný typ uživatele']];
+            }
+            $fields[] = 'user_type = :user_type';
+            $params[':user_type'] = $data['user_type'];
+        }
+        
+        if (array_key_exists('is_active', $data)) {
+            $fields[] = 'is_active = :is_active';
+            $params[':is_active'] = $data['is_active'] ? 1 : 0;
+        }
+        
+        if (empty($fields)) {
+            return ['success' => true];
+        }
+        
+        try {
+            $query = "UPDATE {$this->table} SET " . implode(', ', $fields) . ", updated_at = NOW() WHERE id = :user_id";
+            
+            $stmt = $this->db->prepare($query);
+            foreach ($params as $key => $value) {
+                $stmt->bindValue($key, $value);
+            }
+            
+            if ($stmt->execute()) {
+                $this->logUserAction($user_id, 'account_updated', $data);
+                return ['success' => true, 'message' => 'Účet byl aktualizován'];
+            }
+            
+            return ['success' => false, 'errors' => ['Aktualizace se nezdařila']];
+            
+        } catch (PDOException $e) {
+            error_log("Update account error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při aktualizaci']];
+        }
+    }
+    
     /**
      * Change user password
      */
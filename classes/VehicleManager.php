@@ -0,0 +1,274 @@
+<?php
+/**
+ * Vehicle Management Class
+ * Logistic CRM System
+ *
+ * Handles company vehicles used in bookings
+ */
+
+class VehicleManager {
+    private $db;
+    
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Get vehicles with pagination
+     */
+    public function getVehicles($companyId = null, $filters = [], $page = 1, $limit = 20) {
+        $where_conditions = [];
+        $params = [];
+        
+        if ($companyId) {
+            $where_conditions[] = "v.company_id = :company_id";
+            $params[':company_id'] = $companyId;
+        }
+        
+        if (isset($filters['is_active'])) {
+            $where_conditions[] = "v.is_active = :is_active";
+            $params[':is_active'] = $filters['is_active'] ? 1 : 0;
+        }
+        
+        if (!empty($filters['type'])) {
+            $where_conditions[] = "v.type = :type";
+            $params[':type'] = $filters['type'];
+        }
+        
+        if (!empty($filters['search'])) {
+            $where_conditions[] = "(v.license_plate LIKE :search1 OR v.type LIKE :search2)";
+            $params[':search1'] = '%' . $filters['search'] . '%';
+            $params[':search2'] = '%' . $filters['search'] . '%';
+        }
+        
+        $where_clause = !empty($where_conditions) ? 'WHERE ' . implode(' AND ', $where_conditions) : '';
+        
+        // Get total count
+        $stmt = $this->db->prepare("SELECT COUNT(*) FROM vehicles v $where_clause");
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->execute();
+        $total = (int)$stmt->fetchColumn();
+        
+        // Get vehicles
+        $query = "SELECT v.*, c.name as company_name,
+                        (SELECT COUNT(*) FROM bookings b
+                         WHERE b.vehicle_id = v.id AND b.status NOT IN ('cancelled', 'completed')) as active_bookings
+                 FROM vehicles v
+                 LEFT JOIN companies c ON v.company_id = c.id
+                 $where_clause
+                 ORDER BY v.is_active DESC, v.license_plate
+                 LIMIT :limit OFFSET :offset";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+        $stmt->bindValue(':offset', ($page - 1) * $limit, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        return [
+            'vehicles' => $stmt->fetchAll(),
+            'pagination' => [
+                'page' => $page,
+                'limit' => $limit,
+                'total' => $total,
+                'pages' => ceil($total / $limit)
+            ]
+        ];
+    }
+    
+    /**
+     * Get vehicle by ID
+     */
+    public function getVehicleById($vehicleId) {
+        $query = "SELECT * FROM vehicles WHERE id = :vehicle_id";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindParam(':vehicle_id', $vehicleId);
+        $stmt->execute();
+        
+        return $stmt->fetch();
+    }
+    
+    /**
+     * Create vehicle
+     */
+    public function createVehicle($data) {
+        $validation = $this->validateVehicleData($data);
+        if (!$validation['valid']) {
+            return ['success' => false, 'errors' => $validation['errors']];
+        }
+        
+        try {
+            $licensePlate = $this->normalizeLicensePlate($data['license_plate']);
+            
+            if ($this->licensePlateExists($licensePlate, $data['company_id'] ?? null)) {
+                return ['success' => false, 'errors' => ['Vozidlo s touto SPZ již existuje']];
+            }
+            
+            $query = "INSERT INTO vehicles (company_id, license_plate, type, capacity, is_active)
+                     VALUES (:company_id, :license_plate, :type, :capacity, :is_active)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':company_id', $data['company_id'] ?? null);
+            $stmt->bindValue(':license_plate', $licensePlate);
+            $stmt->bindValue(':type', trim($data['type'] ?? '') ?: null);
+            $stmt->bindValue(':capacity', isset($data['capacity']) && $data['capacity'] !== '' ? $data['capacity'] : null);
+            $stmt->bindValue(':is_active', isset($data['is_active']) ? ($data['is_active'] ? 1 : 0) : 1, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $vehicleId = $this->db->lastInsertId();
+            
+            $this->logVehicleAction($vehicleId, 'vehicle_created', $data);
+            
+            return [
+                'success' => true,
+                'vehicle_id' => $vehicleId,
+                'message' => 'Vozidlo bylo vytvořeno'
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Create vehicle error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření vozidla']];
+        }
+    }
+    
+    /**
+     * Update vehicle
+     */
+    public function updateVehicle($vehicleId, $data) {
+        $validation = $this->validateVehicleData($data, true);
+        if (!$validation['valid']) {
+            return ['success' => false, 'errors' => $validation['errors']];
+        }
+        
+        try {
+            $currentVehicle = $this->getVehicleById($vehicleId);
+            if (!$currentVehicle) {
+                return ['success' => false, 'errors' => ['Vozidlo nenalezeno']];
+            }
+            
+            $fields = [];
+            $params = [':vehicle_id' => $vehicleId];
+            
+            if (array_key_exists('license_plate', $data)) {
+                $licensePlate = $this->normalizeLicensePlate($data['license_plate']);
+                if ($this->licensePlateExists($licensePlate, $currentVehicle['company_id'], $vehicleId)) {
+                    return ['success' => false, 'errors' => ['Vozidlo s touto SPZ již existuje']];
+                }
+                $fields[] = 'license_plate = :license_plate';
+                $params[':license_plate'] = $licensePlate;
+            }
+            
+            if (array_key_exists('type', $data)) {
+                $fields[] = 'type = :type';
+                $params[':type'] = trim($data['type'] ?? '') ?: null;
+            }
+            
+            if (array_key_exists('capacity', $data)) {
+                $fields[] = 'capacity = :capacity';
+                $params[':capacity'] = $data['capacity'] !== '' ? $data['capacity'] : null;
+            }
+            
+            if (array_key_exists('is_active', $data)) {
+                $fields[] = 'is_active = :is_active';
+                $params[':is_active'] = $data['is_active'] ? 1 : 0;
+            }
+            
+            if (empty($fields)) {
+                return ['success' => false, 'errors' => ['Nejsou žádné změny k uložení']];
+            }
+            
+            $stmt = $this->db->prepare("UPDATE vehicles SET " . implode(', ', $fields) . " WHERE id = :vehicle_id");
+            foreach ($params as $key => $value) {
+                $stmt->bindValue($key, $value);
+            }
+            $stmt->execute();
+            
+            $this->logVehicleAction($vehicleId, 'vehicle_updated', [
+                'old_data' => $currentVehicle,
+                'new_data' => $data
+            ]);
+            
+            return ['success' => true, 'message' => 'Vozidlo bylo aktualizováno'];
+        
+        } catch (Exception $e) {
+            error_log("Update vehicle error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při aktualizaci vozidla']];
+        }
+    }
+    
+    /**
+     * Deactivate vehicle, bookings keep their reference
+     */
+    public function deactivateVehicle($vehicleId) {
+        return $this->updateVehicle($vehicleId, ['is_active' => false]);
+    }
+    
+    private function validateVehicleData($data, $isUpdate = false) {
+        $errors = [];
+        
+        if (!$isUpdate || array_key_exists('license_plate', $data)) {
+            $licensePlate = $this->normalizeLicensePlate($data['license_plate'] ?? '');
+            if ($licensePlate === '') {
+                $errors[] = 'SPZ je povinná';
+            } elseif (strlen($licensePlate) > 20) {
+                $errors[] = 'SPZ je příliš dlouhá';
+            }
+        }
+        
+        if (isset($data['capacity']) && $data['capacity'] !== '' && (!is_numeric($data['capacity']) || $data['capacity'] < 0)) {
+            $errors[] = 'Kapacita musí být kladné číslo';
+        }
+        
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+    
+    private function normalizeLicensePlate($licensePlate) {
+        return strtoupper(preg_replace('/\s+/', ' ', trim($licensePlate)));
+    }
+    
+    private function licensePlateExists($licensePlate, $companyId, $excludeVehicleId = null) {
+        $query = "SELECT COUNT(*) FROM vehicles
+                 WHERE license_plate = :license_plate
+                 AND (company_id = :company_id OR (company_id IS NULL AND :company_id_null IS NULL))";
+        if ($excludeVehicleId) {
+            $query .= " AND id != :exclude_id";
+        }
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindValue(':license_plate', $licensePlate);
+        $stmt->bindValue(':company_id', $companyId);
+        $stmt->bindValue(':company_id_null', $companyId);
+        if ($excludeVehicleId) {
+            $stmt->bindValue(':exclude_id', $excludeVehicleId);
+        }
+        $stmt->execute();
+        
+        return $stmt->fetchColumn() > 0;
+    }
+    
+    private function logVehicleAction($vehicleId, $action, $data = null) {
+        try {
+            $query = "INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address, user_agent)
+                     VALUES (:user_id, :action, 'vehicle', :entity_id, :new_values, :ip_address, :user_agent)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':user_id', $_SESSION['user_id'] ?? null);
+            $stmt->bindValue(':action', $action);
+            $stmt->bindValue(':entity_id', $vehicleId);
+            $stmt->bindValue(':new_values', json_encode($data));
+            $stmt->bindValue(':ip_address', $_SERVER['REMOTE_ADDR'] ?? null);
+            $stmt->bindValue(':user_agent', $_SERVER['HTTP_USER_AGENT'] ?? null);
+            $stmt->execute();
+        } catch (Exception $e) {
+            error_log("Vehicle action log error: " . $e->getMessage());
+        }
+    }
+}
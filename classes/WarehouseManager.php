@@ -0,0 +1,418 @@
+<?php
+/**
+ * Warehouse Management Class
+ * Logistic CRM System
+ *
+ * Handles warehouses and their zones
+ */
+
+class WarehouseManager {
+    private $db;
+    
+    public function __construct($db) {
+        $this->db = $db;
+    }
+    
+    /**
+     * Get warehouses with their zones
+     */
+    public function getWarehouses($companyId = null, $filters = []) {
+        $where_conditions = [];
+        $params = [];
+        
+        if ($companyId) {
+            $where_conditions[] = "(w.company_id = :company_id OR w.company_id IS NULL)";
+            $params[':company_id'] = $companyId;
+        }
+        
+        if (isset($filters['is_active'])) {
+            $where_conditions[] = "w.is_active = :is_active";
+            $params[':is_active'] = $filters['is_active'] ? 1 : 0;
+        }
+        
+        if (!empty($filters['search'])) {
+            $where_conditions[] = "(w.name LIKE :search1 OR w.address LIKE :search2)";
+            $params[':search1'] = '%' . $filters['search'] . '%';
+            $params[':search2'] = '%' . $filters['search'] . '%';
+        }
+        
+        $where_clause = !empty($where_conditions) ? 'WHERE ' . implode(' AND ', $where_conditions) : '';
+        
+        $query = "SELECT w.*,
+                        (SELECT COUNT(*) FROM time_slots s
+                         WHERE s.warehouse_id = w.id AND s.slot_date = CURDATE()) as slots_today
+                 FROM warehouses w
+                 $where_clause
+                 ORDER BY w.is_active DESC, w.name";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->execute();
+        
+        $warehouses = $stmt->fetchAll();
+        
+        foreach ($warehouses as &$warehouse) {
+            $warehouse['zones'] = $this->getZones($warehouse['id'], !empty($filters['include_inactive_zones']));
+        }
+        
+        return $warehouses;
+    }
+    
+    /**
+     * Get booked share of slot capacity per active warehouse for a day
+     */
+    public function getUtilization($companyId = null, $date = null) {
+        $date = $date ?? date('Y-m-d');
+        
+        $query = "SELECT w.id, w.name,
+                        COUNT(s.id) as slots_count,
+                        COALESCE(SUM(s.capacity), 0) as total_capacity,
+                        COALESCE(SUM(b.booking_count), 0) as booking_count
+                 FROM warehouses w
+                 LEFT JOIN time_slots s ON s.warehouse_id = w.id
+                     AND s.slot_date = :date AND s.is_blocked = 0
+                 LEFT JOIN (
+                     SELECT time_slot_id, COUNT(*) as booking_count
+                     FROM bookings
+                     WHERE status != 'cancelled'
+                     GROUP BY time_slot_id
+                 ) b ON b.time_slot_id = s.id
+                 WHERE w.is_active = 1";
+        
+        $params = [':date' => $date];
+        
+        if ($companyId) {
+            $query .= " AND (w.company_id = :company_id OR w.company_id IS NULL)";
+            $params[':company_id'] = $companyId;
+        }
+        
+        $query .= " GROUP BY w.id, w.name ORDER BY w.name";
+        
+        $stmt = $this->db->prepare($query);
+        foreach ($params as $key => $value) {
+            $stmt->bindValue($key, $value);
+        }
+        $stmt->execute();
+        
+        $warehouses = $stmt->fetchAll();
+        
+        foreach ($warehouses as &$warehouse) {
+            $warehouse['utilization'] = $warehouse['total_capacity'] > 0
+                ? round($warehouse['booking_count'] / $warehouse['total_capacity'] * 100, 2)
+                : 0;
+        }
+        
+        return $warehouses;
+    }
+    
+    /**
+     * Get warehouse by ID
+     */
+    public function getWarehouseById($warehouseId) {
+        $query = "SELECT * FROM warehouses WHERE id = :warehouse_id";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindParam(':warehouse_id', $warehouseId);
+        $stmt->execute();
+        
+        $warehouse = $stmt->fetch();
+        
+        if ($warehouse) {
+            $warehouse['zones'] = $this->getZones($warehouseId, true);
+        }
+        
+        return $warehouse;
+    }
+    
+    /**
+     * Create warehouse
+     */
+    public function createWarehouse($data) {
+        $validation = $this->validateWarehouseData($data);
+        if (!$validation['valid']) {
+            return ['success' => false, 'errors' => $validation['errors']];
+        }
+        
+        try {
+            $query = "INSERT INTO warehouses (company_id, name, address, capacity, is_active)
+                     VALUES (:company_id, :name, :address, :capacity, :is_active)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':company_id', $data['company_id'] ?? null);
+            $stmt->bindValue(':name', trim($data['name']));
+            $stmt->bindValue(':address', trim($data['address'] ?? ''));
+            $stmt->bindValue(':capacity', intval($data['capacity'] ?? 100), PDO::PARAM_INT);
+            $stmt->bindValue(':is_active', isset($data['is_active']) ? ($data['is_active'] ? 1 : 0) : 1, PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $warehouseId = $this->db->lastInsertId();
+            
+            $this->logAction('warehouse', $warehouseId, 'warehouse_created', $data);
+            
+            return [
+                'success' => true,
+                'warehouse_id' => $warehouseId,
+                'message' => 'Sklad byl vytvořen'
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Create warehouse error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření skladu']];
+        }
+    }
+    
+    /**
+     * Update warehouse
+     */
+    public function updateWarehouse($warehouseId, $data) {
+        $validation = $this->validateWarehouseData($data, true);
+        if (!$validation['valid']) {
+            return ['success' => false, 'errors' => $validation['errors']];
+        }
+        
+        try {
+            $currentWarehouse = $this->getWarehouseById($warehouseId);
+            if (!$currentWarehouse) {
+                return ['success' => false, 'errors' => ['Sklad nenalezen']];
+            }
+            
+            $fields = [];
+            $params = [':warehouse_id' => $warehouseId];
+            
+            foreach (['name', 'address', 'capacity', 'is_active'] as $field) {
+                if (array_key_exists($field, $data)) {
+                    $fields[] = "$field = :$field";
+                    $params[":$field"] = $this->normalizeValue($field, $data[$field]);
+                }
+            }
+            
+            if (empty($fields)) {
+                return ['success' => false, 'errors' => ['Nejsou žádné změny k uložení']];
+            }
+            
+            $query = "UPDATE warehouses SET " . implode(', ', $fields) . ", updated_at = NOW() WHERE id = :warehouse_id";
+            
+            $stmt = $this->db->prepare($query);
+            foreach ($params as $key => $value) {
+                $stmt->bindValue($key, $value);
+            }
+            $stmt->execute();
+            
+            $this->logAction('warehouse', $warehouseId, 'warehouse_updated', [
+                'old_data' => $currentWarehouse,
+                'new_data' => $data
+            ]);
+            
+            return ['success' => true, 'message' => 'Sklad byl aktualizován'];
+        
+        } catch (Exception $e) {
+            error_log("Update warehouse error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při aktualizaci skladu']];
+        }
+    }
+    
+    /**
+     * Deactivate warehouse, slots and bookings stay for history
+     */
+    public function deactivateWarehouse($warehouseId) {
+        return $this->updateWarehouse($warehouseId, ['is_active' => false]);
+    }
+    
+    /**
+     * Get zones of warehouse
+     */
+    public function getZones($warehouseId, $includeInactive = false) {
+        $query = "SELECT * FROM warehouse_zones WHERE warehouse_id = :warehouse_id";
+        if (!$includeInactive) {
+            $query .= " AND is_active = 1";
+        }
+        $query .= " ORDER BY name";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindParam(':warehouse_id', $warehouseId);
+        $stmt->execute();
+        
+        return $stmt->fetchAll();
+    }
+    
+    /**
+     * Get zone by ID
+     */
+    public function getZoneById($zoneId) {
+        $query = "SELECT * FROM warehouse_zones WHERE id = :zone_id";
+        
+        $stmt = $this->db->prepare($query);
+        $stmt->bindParam(':zone_id', $zoneId);
+        $stmt->execute();
+        
+        return $stmt->fetch();
+    }
+    
+    /**
+     * Create zone in warehouse
+     */
+    public function createZone($warehouseId, $data) {
+        $validation = $this->validateZoneData($data);
+        if (!$validation['valid']) {
+            return ['success' => false, 'errors' => $validation['errors']];
+        }
+        
+        try {
+            if (!$this->getWarehouseById($warehouseId)) {
+                return ['success' => false, 'errors' => ['Sklad nenalezen']];
+            }
+            
+            $query = "INSERT INTO warehouse_zones (warehouse_id, name, capacity, is_active)
+                     VALUES (:warehouse_id, :name, :capacity, 1)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':warehouse_id', $warehouseId);
+            $stmt->bindValue(':name', trim($data['name']));
+            $stmt->bindValue(':capacity', intval($data['capacity'] ?? 10), PDO::PARAM_INT);
+            $stmt->execute();
+            
+            $zoneId = $this->db->lastInsertId();
+            
+            $this->logAction('warehouse_zone', $zoneId, 'zone_created', array_merge($data, ['warehouse_id' => $warehouseId]));
+            
+            return [
+                'success' => true,
+                'zone_id' => $zoneId,
+                'message' => 'Zóna byla vytvořena'
+            ];
+        
+        } catch (Exception $e) {
+            error_log("Create zone error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při vytváření zóny']];
+        }
+    }
+    
+    /**
+     * Update zone
+     */
+    public function updateZone($zoneId, $data) {
+        $validation = $this->validateZoneData($data, true);
+        if (!$validation['valid']) {
+            return ['success' => false, 'errors' => $validation['errors']];
+        }
+        
+        try {
+            $currentZone = $this->getZoneById($zoneId);
+            if (!$currentZone) {
+                return ['success' => false, 'errors' => ['Zóna nenalezena']];
+            }
+            
+            $fields = [];
+            $params = [':zone_id' => $zoneId];
+            
+            foreach (['name', 'capacity', 'is_active'] as $field) {
+                if (array_key_exists($field, $data)) {
+                    $fields[] = "$field = :$field";
+                    $params[":$field"] = $this->normalizeValue($field, $data[$field]);
+                }
+            }
+            
+            if (empty($fields)) {
+                return ['success' => false, 'errors' => ['Nejsou žádné změny k uložení']];
+            }
+            
+            $query = "UPDATE warehouse_zones SET " . implode(', ', $fields) . " WHERE id = :zone_id";
+            
+            $stmt = $this->db->prepare($query);
+            foreach ($params as $key => $value) {
+                $stmt->bindValue($key, $value);
+            }
+            $stmt->execute();
+            
+            $this->logAction('warehouse_zone', $zoneId, 'zone_updated', [
+                'old_data' => $currentZone,
+                'new_data' => $data
+            ]);
+            
+            return ['success' => true, 'message' => 'Zóna byla aktualizována'];
+        
+        } catch (Exception $e) {
+            error_log("Update zone error: " . $e->getMessage());
+            return ['success' => false, 'errors' => ['Chyba při aktualizaci zóny']];
+        }
+    }
+    
+    /**
+     * Deactivate zone
+     */
+    public function deactivateZone($zoneId) {
+        return $this->updateZone($zoneId, ['is_active' => false]);
+    }
+    
+    private function validateWarehouseData($data, $isUpdate = false) {
+        $errors = [];
+        
+        if (!$isUpdate || array_key_exists('name', $data)) {
+            if (empty(trim($data['name'] ?? ''))) {
+                $errors[] = 'Název skladu je povinný';
+            } elseif (mb_strlen($data['name']) > 255) {
+                $errors[] = 'Název skladu je příliš dlouhý';
+            }
+        }
+        
+        if (isset($data['capacity']) && (!is_numeric($data['capacity']) || $data['capacity'] < 1)) {
+            $errors[] = 'Kapacita musí být kladné číslo';
+        }
+        
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+    
+    private function validateZoneData($data, $isUpdate = false) {
+        $errors = [];
+        
+        if (!$isUpdate || array_key_exists('name', $data)) {
+            if (empty(trim($data['name'] ?? ''))) {
+                $errors[] = 'Název zóny je povinný';
+            }
+        }
+        
+        if (isset($data['capacity']) && (!is_numeric($data['capacity']) || $data['capacity'] < 1)) {
+            $errors[] = 'Kapacita musí být kladné číslo';
+        }
+        
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+    
+    private function normalizeValue($field, $value) {
+        switch ($field) {
+            case 'capacity':
+                return intval($value);
+            case 'is_active':
+                return $value ? 1 : 0;
+            default:
+                return is_string($value) ? trim($value) : $value;
+        }
+    }
+    
+    private function logAction($entityType, $entityId, $action, $data = null) {
+        try {
+            $query = "INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address, user_agent)
+                     VALUES (:user_id, :action, :entity_type, :entity_id, :new_values, :ip_address, :user_agent)";
+            
+            $stmt = $this->db->prepare($query);
+            $stmt->bindValue(':user_id', $_SESSION['user_id'] ?? null);
+            $stmt->bindValue(':action', $action);
+            $stmt->bindValue(':entity_type', $entityType);
+            $stmt->bindValue(':entity_id', $entityId);
+            $stmt->bindValue(':new_values', json_encode($data));
+            $stmt->bindValue(':ip_address', $_SERVER['REMOTE_ADDR'] ?? null);
+            $stmt->bindValue(':user_agent', $_SERVER['HTTP_USER_AGENT'] ?? null);
+            $stmt->execute();
+        } catch (Exception $e) {
+            error_log("Warehouse action log error: " . $e->getMessage());
+        }
+    }
+}
@@ -100,6 +100,9 @@ class Database {
     
     /**
      * Create tables if they don't exist (for development)
+     * 
+     * Running it again on an existing database upgrades it, columns added
+     * by later versions are added by addColumnIfMissing() below.
      */
     public function createTables() {
         $conn = $this->connect();
@@ -139,12 +142,14 @@ class Database {
             'warehouses' => "
                 CREATE TABLE IF NOT EXISTS warehouses (
                     id INT AUTO_INCREMENT PRIMARY KEY,
+                    company_id INT,
                     name VARCHAR(255) NOT NULL,
                     address TEXT,
                     capacity INT DEFAULT 100,
                     is_active BOOLEAN DEFAULT 1,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (company_id) REFERENCES companies(id)
                 )
             ",
             
@@ -160,6 +165,30 @@ class Database {
                 )
             ",
             
+            'slot_templates' => "
+                CREATE TABLE IF NOT EXISTS slot_templates (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    warehouse_id INT NOT NULL,
+                    zone_id INT,
+                    name VARCHAR(100) NOT NULL,
+                    weekdays VARCHAR(20) NOT NULL,
+                    time_start TIME NOT NULL,
+                    time_end TIME NOT NULL,
+                    slot_length INT NOT NULL,
+                    slot_type ENUM('loading', 'unloading', 'universal') DEFAULT 'universal',
+                    capacity INT DEFAULT 1,
+                    breaks TEXT,
+                    skip_holidays BOOLEAN DEFAULT 1,
+                    created_by INT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+                    FOREIGN KEY (zone_id) REFERENCES warehouse_zones(id),
+                    FOREIGN KEY (created_by) REFERENCES users(id),
+                    INDEX idx_warehouse (warehouse_id)
+                )
+            ",
+            
             'time_slots' => "
                 CREATE TABLE IF NOT EXISTS time_slots (
                     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -173,10 +202,12 @@ class Database {
                     is_blocked BOOLEAN DEFAULT 0,
                     block_reason TEXT,
                     recurring_pattern ENUM('none', 'daily', 'weekly', 'monthly') DEFAULT 'none',
+                    template_id INT,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
                     FOREIGN KEY (zone_id) REFERENCES warehouse_zones(id),
+                    FOREIGN KEY (template_id) REFERENCES slot_templates(id) ON DELETE SET NULL,
                     INDEX idx_slot_date_time (slot_date, slot_time_start),
                     INDEX idx_warehouse_date (warehouse_id, slot_date)
                 )
@@ -195,6 +226,21 @@ class Database {
                 )
             ",
             
+            'booking_series' => "
+                CREATE TABLE IF NOT EXISTS booking_series (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    company_id INT NOT NULL,
+                    frequency ENUM('daily', 'weekly') NOT NULL,
+                    weekdays VARCHAR(20),
+                    until_date DATE,
+                    occurrences INT,
+                    created_by INT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (company_id) REFERENCES companies(id),
+                    FOREIGN KEY (created_by) REFERENCES users(id)
+                )
+            ",
+            
             'bookings' => "
                 CREATE TABLE IF NOT EXISTS bookings (
                     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -214,6 +260,7 @@ class Database {
                     approved_at TIMESTAMP NULL,
                     cancelled_at TIMESTAMP NULL,
                     cancellation_reason TEXT,
+                    series_id INT,
                     created_by INT NOT NULL,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -223,6 +270,7 @@ class Database {
                     FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
                     FOREIGN KEY (approved_by) REFERENCES users(id),
                     FOREIGN KEY (created_by) REFERENCES users(id),
+                    FOREIGN KEY (series_id) REFERENCES booking_series(id),
                     INDEX idx_booking_number (booking_number),
                     INDEX idx_status (status),
                     INDEX idx_company_date (company_id, created_at)
@@ -261,6 +309,84 @@ class Database {
                     INDEX idx_entity (entity_type, entity_id),
                     INDEX idx_created_at (created_at)
                 )
+            ",
+            
+            'notifications' => "
+                CREATE TABLE IF NOT EXISTS notifications (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    company_id INT,
+                    user_id INT,
+                    type VARCHAR(50) NOT NULL DEFAULT 'system',
+                    title VARCHAR(255) NOT NULL,
+                    message TEXT,
+                    action_url VARCHAR(500),
+                    entity_type VARCHAR(50),
+                    entity_id INT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (company_id) REFERENCES companies(id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    INDEX idx_company_created (company_id, created_at),
+                    INDEX idx_user_created (user_id, created_at)
+                )
+            ",
+            
+            'notification_reads' => "
+                CREATE TABLE IF NOT EXISTS notification_reads (
+                    notification_id INT NOT NULL,
+                    user_id INT NOT NULL,
+                    read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (notification_id, user_id),
+                    FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            ",
+            
+            'booking_filter_presets' => "
+                CREATE TABLE IF NOT EXISTS booking_filter_presets (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    company_id INT,
+                    user_id INT NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    filters JSON NOT NULL,
+                    is_shared BOOLEAN DEFAULT FALSE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    FOREIGN KEY (company_id) REFERENCES companies(id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    INDEX idx_company_shared (company_id, is_shared)
+                )
+            ",
+            
+            'booking_filter_defaults' => "
+                CREATE TABLE IF NOT EXISTS booking_filter_defaults (
+                    user_id INT PRIMARY KEY,
+                    preset_id INT NOT NULL,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (preset_id) REFERENCES booking_filter_presets(id) ON DELETE CASCADE
+                )
+            ",
+            
+            'change_events' => "
+                CREATE TABLE IF NOT EXISTS change_events (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    company_id INT,
+                    entity_type VARCHAR(20) NOT NULL,
+                    entity_id INT NOT NULL,
+                    action VARCHAR(50) NOT NULL,
+                    payload JSON,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_company_id (company_id, id)
+                )
+            ",
+            
+            'calendar_feed_tokens' => "
+                CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+                    user_id INT PRIMARY KEY,
+                    token CHAR(64) NOT NULL UNIQUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_used_at TIMESTAMP NULL,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
             "
         ];
         
@@ -269,6 +395,12 @@ class Database {
                 $conn->exec($sql);
                 error_log("Table '$tableName' created or verified");
             }
+            
+            // Columns added after the tables were first created
+            $this->addColumnIfMissing($conn, 'warehouses', 'company_id', 'INT NULL AFTER id', 'companies(id)');
+            $this->addColumnIfMissing($conn, 'time_slots', 'template_id', 'INT NULL', 'slot_templates(id) ON DELETE SET NULL');
+            $this->addColumnIfMissing($conn, 'bookings', 'series_id', 'INT NULL', 'booking_series(id)');
+            
             return true;
         } catch (PDOException $e) {
             error_log("Error creating tables: " . $e->getMessage());
@@ -276,6 +408,42 @@ class Database {
         }
     }
     
+    /**
+     * Add a column and its foreign key to a table created by an older version
+     */
+    private function addColumnIfMissing($conn, $table, $column, $definition, $references = null) {
+        $stmt = $conn->prepare("
+            SELECT COUNT(*) FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND COLUMN_NAME = :column
+        ");
+        $stmt->bindValue(':table', $table);
+        $stmt->bindValue(':column', $column);
+        $stmt->execute();
+        
+        if ($stmt->fetchColumn() == 0) {
+            $conn->exec("ALTER TABLE `$table` ADD COLUMN `$column` $definition");
+            error_log("Column '$table.$column' added");
+        }
+        
+        if ($references === null) {
+            return;
+        }
+        
+        $stmt = $conn->prepare("
+            SELECT COUNT(*) FROM information_schema.KEY_COLUMN_USAGE
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND COLUMN_NAME = :column
+              AND REFERENCED_TABLE_NAME IS NOT NULL
+        ");
+        $stmt->bindValue(':table', $table);
+        $stmt->bindValue(':column', $column);
+        $stmt->execute();
+        
+        if ($stmt->fetchColumn() == 0) {
+            $conn->exec("ALTER TABLE `$table` ADD FOREIGN KEY (`$column`) REFERENCES $references");
+            error_log("Foreign key '$table.$column' added");
+        }
+    }
+    
     /**
      * Insert sample data for development
      */
@@ -300,8 +468,8 @@ class Database {
             
             // Insert sample warehouse
             $conn->exec("
-                INSERT IGNORE INTO warehouses (id, name, address, capacity) VALUES 
-                (1, 'Main Warehouse', 'Praha 5, Czech Republic', 50)
+                INSERT IGNORE INTO warehouses (id, company_id, name, address, capacity) VALUES 
+                (1, 1, 'Main Warehouse', 'Praha 5, Czech Republic', 50)
             ");
             
             return true;
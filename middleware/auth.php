@@ -55,6 +55,7 @@ function hasPermission($user_type, $entity, $action) {
             'companies' => ['create', 'read', 'update', 'delete'],
             'licenses' => ['create', 'read', 'update', 'delete'],
             'warehouses' => ['create', 'read', 'update', 'delete'],
+            'vehicles' => ['create', 'read', 'update', 'delete'],
             'slots' => ['create', 'read', 'update', 'delete'],
             'bookings' => ['create', 'read', 'update', 'delete'],
             'reports' => ['read', 'export'],
@@ -63,6 +64,7 @@ function hasPermission($user_type, $entity, $action) {
         'admin' => [
             'users' => ['create', 'read', 'update'],
             'warehouses' => ['create', 'read', 'update'],
+            'vehicles' => ['create', 'read', 'update', 'delete'],
             'slots' => ['create', 'read', 'update', 'delete'],
             'bookings' => ['create', 'read', 'update', 'delete'],
             'reports' => ['read', 'export'],
@@ -71,6 +73,7 @@ function hasPermission($user_type, $entity, $action) {
         'logistics' => [
             'users' => ['read'],
             'warehouses' => ['read'],
+            'vehicles' => ['create', 'read', 'update'],
             'slots' => ['create', 'read', 'update'],
             'bookings' => ['create', 'read', 'update'],
             'reports' => ['read']
@@ -78,6 +81,7 @@ function hasPermission($user_type, $entity, $action) {
         'driver' => [
             'bookings' => ['create', 'read', 'update_own'],
             'slots' => ['read'],
+            'vehicles' => ['read'],
             'profile' => ['read', 'update']
         ]
     ];
@@ -147,6 +151,19 @@ function canModifyBooking($user, $booking) {
     return false;
 }
 
+/**
+ * Slots of company warehouses are managed by the company, shared warehouses by super admin
+ */
+function canManageSlots($current_user, $warehouse) {
+    if ($current_user['user_type'] === 'super_admin') {
+        return true;
+    }
+    
+    return in_array($current_user['user_type'], ['admin', 'logistics'])
+        && !empty($warehouse['company_id'])
+        && $warehouse['company_id'] == $current_user['company_id'];
+}
+
 /**
  * Log user activity
  */
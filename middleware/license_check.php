@@ -154,6 +154,25 @@ function requireUsageLimit($company_id, $limit_type) {
     }
 }
 
+/**
+ * Slots the company license allows on one day, 0 when the license is not valid
+ */
+function getDailySlotLimit($company_id) {
+    try {
+        $database = new Database();
+        $db = $database->connect();
+        $licenseManager = new LicenseManager($db);
+        
+        $validation = $licenseManager->validateLicense($company_id);
+        
+        return $validation['valid'] ? (int) $validation['license']['max_slots_per_day'] : 0;
+        
+    } catch (Exception $e) {
+        error_log("Daily slot limit error: " . $e->getMessage());
+        return 0;
+    }
+}
+
 /**
  * Get license information for display
  */
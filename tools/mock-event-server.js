@@ -0,0 +1,210 @@
+/**
+ * Stand-in Event Server
+ * Logistic CRM System
+ *
+ * Serves random booking and slot changes in the format of api/events.php,
+ * so that live updates can be tried without PHP and a database.
+ *
+ * Usage:
+ *   node tools/mock-event-server.js
+ *   PORT=8787 INTERVAL=5000 NO_STREAM=1 node tools/mock-event-server.js
+ *
+ * Then in the browser console of the application:
+ *   app.liveUpdates.setUrl('http://localhost:8787/events')
+ *
+ * NO_STREAM=1 answers stream requests with an error, the client then
+ * falls back to polling. A custom event can be sent with:
+ *   curl -X POST localhost:8787/emit -d '{"entity_type":"booking","entity_id":1,"action":"updated","data":{...}}'
+ */
+
+const http = require('http');
+
+const config = {
+    port: Number(process.env.PORT) || 8787,
+    interval: Number(process.env.INTERVAL) || 5000,
+    noStream: Boolean(process.env.NO_STREAM),
+    historySize: 500
+};
+
+const history = [];
+const clients = new Set();
+let lastEventId = 0;
+
+const statuses = ['pending', 'confirmed', 'checked_in', 'checked_out', 'completed', 'cancelled', 'delayed'];
+const drivers = ['Jan Novák', 'Petr Svoboda', 'Karel Dvořák', 'Tomáš Černý'];
+
+function publish(entityType, entityId, action, data) {
+    const event = {
+        id: ++lastEventId,
+        entity_type: entityType,
+        entity_id: entityId,
+        action: action,
+        data: { id: entityId, ...data },
+        created_at: new Date().toISOString().slice(0, 19).replace('T', ' ')
+    };
+    
+    history.push(event);
+    if (history.length > config.historySize) {
+        history.shift();
+    }
+    
+    clients.forEach(res => writeEvent(res, event.entity_type, event.id, event));
+    console.log(`#${event.id} ${entityType} ${entityId} ${action}`);
+    
+    return event;
+}
+
+function randomItem(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+function today(offset = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offset);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function randomEvent() {
+    const slotId = 1 + Math.floor(Math.random() * 20);
+    const hour = String(6 + (slotId % 14)).padStart(2, '0');
+    const slot = {
+        warehouse_id: 1,
+        warehouse_name: 'Hlavní sklad',
+        slot_date: today(slotId % 5),
+        slot_time_start: `${hour}:00:00`,
+        slot_time_end: `${hour}:30:00`,
+        capacity: 2
+    };
+    
+    if (Math.random() < 0.3) {
+        const blocked = Math.random() < 0.5;
+        return publish('slot', slotId, blocked ? 'blocked' : 'unblocked', {
+            ...slot,
+            is_blocked: blocked ? 1 : 0,
+            block_reason: blocked ? 'Údržba rampy' : null
+        });
+    }
+    
+    const bookingId = 1 + Math.floor(Math.random() * 50);
+    const created = Math.random() < 0.2;
+    return publish('booking', created ? 1000 + lastEventId : bookingId, created ? 'created' : 'status_changed', {
+        booking_number: `BK${String(created ? 1000 + lastEventId : bookingId).padStart(6, '0')}`,
+        time_slot_id: slotId,
+        status: created ? 'pending' : randomItem(statuses),
+        booking_type: randomItem(['loading', 'unloading', 'universal']),
+        driver_name: randomItem(drivers),
+        slot_date: slot.slot_date,
+        slot_time_start: slot.slot_time_start,
+        slot_time_end: slot.slot_time_end,
+        warehouse_name: slot.warehouse_name
+    });
+}
+
+function writeEvent(res, type, id, data) {
+    res.write(`event: ${type}\nid: ${id}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+function handleStream(req, res, since) {
+    if (config.noStream) {
+        sendJson(res, 503, { error: 'Streaming disabled', code: 'STREAM_DISABLED' });
+        return;
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    const startId = since ?? lastEventId;
+    res.write('retry: 3000\n');
+    writeEvent(res, 'ready', startId, { last_event_id: startId });
+    
+    // Replay what the client missed while reconnecting
+    history.filter(event => event.id > startId).forEach(event => writeEvent(res, event.entity_type, event.id, event));
+    
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+}
+
+function handlePoll(res, since) {
+    const events = since === null ? [] : history.filter(event => event.id > since);
+    
+    sendJson(res, 200, {
+        success: true,
+        events: events,
+        last_event_id: events.length ? events[events.length - 1].id : (since ?? lastEventId)
+    });
+}
+
+function handleEmit(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            const input = JSON.parse(body);
+            const event = publish(input.entity_type, input.entity_id, input.action || 'updated', input.data || {});
+            sendJson(res, 200, { success: true, event });
+        } catch (error) {
+            sendJson(res, 400, { error: 'Invalid JSON input', code: 'INVALID_INPUT' });
+        }
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    
+    // EventSource with credentials needs the exact origin
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(200);
+        res.end();
+        return;
+    }
+    
+    if (req.method === 'POST' && url.pathname === '/emit') {
+        handleEmit(req, res);
+        return;
+    }
+    
+    if (req.method !== 'GET' || !['/events', '/api/events.php'].includes(url.pathname)) {
+        sendJson(res, 404, { error: 'Not found', code: 'NOT_FOUND' });
+        return;
+    }
+    
+    // No id means start from now
+    const lastId = req.headers['last-event-id'] ?? url.searchParams.get('last_event_id');
+    const since = lastId === null || lastId === undefined ? null : Number(lastId) || 0;
+    
+    if (url.searchParams.get('mode') === 'poll') {
+        handlePoll(res, since);
+    } else {
+        handleStream(req, res, since);
+    }
+});
+
+const generator = setInterval(randomEvent, config.interval);
+
+// Keep idle streams open
+const heartbeat = setInterval(() => clients.forEach(res => res.write(': heartbeat\n\n')), 15000);
+
+server.listen(config.port, () => {
+    console.log(`Stand-in event server on http://localhost:${config.port}/events`);
+});
+
+process.on('SIGINT', () => {
+    clearInterval(generator);
+    clearInterval(heartbeat);
+    clients.forEach(res => res.end());
+    server.close(() => process.exit(0));
+});